@@ -0,0 +1,59 @@
+import { Checkpoint } from "./shard-reader";
+
+/**
+ * A checkpoint for a particular shard of a particular stream, as kept in a checkpoint store.
+ */
+export interface CheckpointEntry extends Partial<Checkpoint> {
+    streamName: string;
+    shardId: string;
+
+    /** When the checkpoint was saved, as an ISO-8601 string, if the store keeps it. */
+    time?: string;
+}
+
+/**
+ * Somewhere to keep checkpoints between reads: a checkpoint file, a SQLite database, or a KCL
+ * lease table in DynamoDB.
+ */
+export interface CheckpointStore {
+    /** A description of where the checkpoints are stored, for messages. */
+    readonly location: string;
+
+    /** Load the latest checkpoint for each shard, optionally only for the given stream. */
+    load(streamName?: string): Promise<CheckpointEntry[]>;
+
+    /** Save checkpoints, in the same form as they're loaded. */
+    save(entries: CheckpointEntry[]): Promise<void>;
+
+    /** Release any resources held by the store. */
+    close(): Promise<void>;
+
+    /** Get all of the checkpoints saved for a shard, oldest first, if the store keeps them. */
+    history?(streamName: string, shardId: string): Promise<CheckpointEntry[]>;
+
+    /** Discard all but the latest checkpoint for each shard, if the store keeps older ones. */
+    compact?(): Promise<{ before: number; after: number }>;
+
+    /**
+     * Throw a CallerError if the store can't save a checkpoint like this one, for stores that skip
+     * the checkpoints they can't save.
+     */
+    checkCanSave?(entry: CheckpointEntry): void;
+}
+
+export interface OpenCheckpointStoreOptions {
+    /** For a checkpoint file, discard the existing content of the file when checkpoints are saved. */
+    trim?: boolean;
+
+    /** Get the region and credentials to use for stores in AWS. Only called if needed. */
+    getAwsConfig?: () => Promise<object>;
+}
+
+/**
+ * Open the checkpoint store described by a URI: `file:PATH` (or just a path), `sqlite:PATH`, or
+ * `dynamodb://TABLE[?region=REGION&endpoint=URL]`.
+ */
+export function openCheckpointStore(
+    uri: string,
+    options?: OpenCheckpointStoreOptions
+): Promise<CheckpointStore>;
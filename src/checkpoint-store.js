@@ -0,0 +1,81 @@
+const { CallerError } = require("./error");
+const { FileCheckpointStore } = require("./checkpoints");
+
+/**
+ * Open the checkpoint store described by a URI. The supported URIs are:
+ *
+ * - `file:PATH`, or just a path: a JSON-lines checkpoint file (the default).
+ * - `sqlite:PATH`: a SQLite database file, which is created if it doesn't exist.
+ * - `dynamodb://TABLE[?region=REGION&endpoint=URL]`: a DynamoDB lease table, in the layout used by
+ * the Kinesis Client Library (KCL).
+ *
+ * For `file:` and `sqlite:` URIs, `file:///abs/path` and `file:relative/path` are both accepted.
+ *
+ * @param {string} uri
+ * @param {object} [options]
+ * @param {boolean} [options.trim] For a checkpoint file, discard the existing content of the file
+ * when checkpoints are saved.
+ * @param {function(): Promise<object>} [options.getAwsConfig] Get the region and credentials to
+ * use for stores in AWS. Only called if needed.
+ *
+ * @returns {Promise<CheckpointStore>}
+ */
+async function openCheckpointStore(uri, { trim, getAwsConfig } = {}) {
+    // Require at least two letters for the scheme, so that Windows paths aren't taken for URIs.
+    const match = /^([a-z][a-z0-9+.-]+):(.*)$/i.exec(uri);
+    if (!match) {
+        return new FileCheckpointStore(uri, { trim });
+    }
+    const [, scheme, rest] = match;
+    switch (scheme.toLowerCase()) {
+        case "file":
+            return new FileCheckpointStore(getPath(uri, rest), { trim });
+
+        case "sqlite": {
+            const SqliteCheckpointStore = require("./sqlite-checkpoint-store");
+            return new SqliteCheckpointStore(getPath(uri, rest));
+        }
+
+        case "dynamodb": {
+            const DynamoDbCheckpointStore = require("./dynamodb-checkpoint-store");
+            const [tableName, query = ""] = rest
+                .replace(/^\/\//, "")
+                .split("?");
+            if (!tableName) {
+                throw new CallerError(
+                    `No table name given in checkpoint store URI ${uri}`
+                );
+            }
+            const params = new URLSearchParams(query);
+            const awsConfig = getAwsConfig ? await getAwsConfig() : {};
+            return new DynamoDbCheckpointStore(tableName, {
+                ...awsConfig,
+                ...(params.get("region") && { region: params.get("region") }),
+                ...(params.get("endpoint") && {
+                    endpoint: params.get("endpoint")
+                })
+            });
+        }
+
+        default:
+            throw new CallerError(
+                `Unsupported checkpoint store ${uri}, expected a file:, sqlite:, or dynamodb: URI`
+            );
+    }
+}
+
+function getPath(uri, rest) {
+    const path = rest.startsWith("//") ? rest.slice(2) : rest;
+    if (!path) {
+        throw new CallerError(`No path given in checkpoint store URI ${uri}`);
+    }
+    return decodeURIComponent(path);
+}
+
+module.exports = {
+    openCheckpointStore
+};
+
+/**
+ * @typedef {import("./checkpoint-store").CheckpointStore} CheckpointStore
+ */
@@ -0,0 +1,212 @@
+const chalk = require("chalk");
+const humanizeDuration = require("humanize-duration");
+const { CallerError } = require("./error");
+const printTable = require("./table");
+
+/**
+ * Run one of the subcommands of the `checkpoints` command, for inspecting and managing the
+ * checkpoints in a checkpoint store. The store is closed when the command is done.
+ *
+ * @param {string} action The subcommand: list, compact, set, reset, or history.
+ * @param {object} args The parsed command line arguments.
+ * @param {CheckpointStore} store
+ */
+async function checkpointsCommand(action, args, store) {
+    try {
+        switch (action) {
+            case "list":
+                return await listCheckpoints(args, store);
+
+            case "compact":
+                return await compactCheckpoints(store);
+
+            case "set":
+                return await setCheckpoint(args, store);
+
+            case "reset":
+                return await resetCheckpoints(args, store);
+
+            case "history":
+                return await showHistory(args, store);
+
+            default:
+                throw new Error(
+                    `Failed to handle checkpoints command ${action}`
+                );
+        }
+    } finally {
+        await store.close();
+    }
+}
+
+module.exports = checkpointsCommand;
+
+async function listCheckpoints(args, store) {
+    const latest = await store.load(args.streamName);
+    if (!latest.length) {
+        console.error(
+            chalk.yellow(
+                `No checkpoints ${
+                    args.streamName ? `for stream ${args.streamName} ` : ""
+                }in ${store.location}`
+            )
+        );
+        return;
+    }
+    if (args.json) {
+        latest.forEach(entry => console.log(JSON.stringify(entry)));
+        return;
+    }
+    printTable(
+        ["Stream", "Shard", "Resumes from", "Written", "Age"],
+        latest.map(entry => [
+            entry.streamName || "",
+            entry.shardId,
+            describePosition(entry),
+            entry.time || "",
+            describeAge(entry.time)
+        ])
+    );
+}
+
+async function compactCheckpoints(store) {
+    if (!store.compact) {
+        throw new CallerError(
+            `Only the latest checkpoints are kept in ${store.location}, there's nothing to compact`
+        );
+    }
+    const { before, after } = await store.compact();
+    console.log(
+        `Compacted ${store.location} from ${before} to ${after} line(s)`
+    );
+}
+
+async function setCheckpoint(args, store) {
+    if (!args.sequenceNumber === !args.timestamp) {
+        throw new CallerError(
+            "Specify exactly one of --sequence-number or --timestamp"
+        );
+    }
+    if (args.sequenceNumber && !/^\d+$/.test(args.sequenceNumber)) {
+        throw new CallerError(
+            `Invalid --sequence-number ${args.sequenceNumber}, expected a sequence number of digits`
+        );
+    }
+    const checkpoint = args.sequenceNumber
+        ? { lastReadSequenceNumber: args.sequenceNumber }
+        : { timestamp: args.timestamp.toISOString() };
+    await writeCheckpoints(store, [
+        {
+            streamName: args.streamName,
+            shardId: args.shardId,
+            ...checkpoint
+        }
+    ]);
+}
+
+async function resetCheckpoints(args, store) {
+    const shardIds = args.shard
+        ? args.shard
+        : (await store.load(args.streamName)).map(({ shardId }) => shardId);
+    if (!shardIds.length) {
+        throw new CallerError(
+            `No checkpoints found for stream ${args.streamName}, use --shard to specify the shards to reset`
+        );
+    }
+    // There's no iterator type we can save for LATEST that will still mean "now" when we next
+    // read, so we use the time of the reset instead.
+    const checkpoint =
+        args.to === "latest" ? { timestamp: new Date().toISOString() } : {};
+    await writeCheckpoints(
+        store,
+        shardIds.map(shardId => ({
+            streamName: args.streamName,
+            shardId,
+            ...checkpoint
+        }))
+    );
+}
+
+async function writeCheckpoints(store, checkpoints) {
+    if (store.checkCanSave) {
+        checkpoints.forEach(checkpoint => store.checkCanSave(checkpoint));
+    }
+    const time = new Date().toISOString();
+    await store.save(checkpoints.map(checkpoint => ({ time, ...checkpoint })));
+    checkpoints.forEach(checkpoint => {
+        console.log(
+            `${checkpoint.streamName} ${
+                checkpoint.shardId
+            }: will resume from ${describePosition(checkpoint)}`
+        );
+    });
+}
+
+async function showHistory(args, store) {
+    if (!store.history) {
+        throw new CallerError(
+            `Only the latest checkpoints are kept in ${store.location}, there's no history to show`
+        );
+    }
+    const history = await store.history(args.streamName, args.shardId);
+    if (!history.length) {
+        console.error(
+            chalk.yellow(
+                `No checkpoints for shard ${args.shardId} of stream ${args.streamName} in ${store.location}`
+            )
+        );
+        return;
+    }
+    if (args.json) {
+        history.forEach(entry => console.log(JSON.stringify(entry)));
+        return;
+    }
+    printTable(
+        ["Written", "Age", "Resumes from"],
+        history.map(entry => [
+            entry.time || "",
+            describeAge(entry.time),
+            describePosition(entry)
+        ])
+    );
+}
+
+/**
+ * Describe where reading will resume from for the given checkpoint, following the same precedence
+ * as the shard reader (except for the shard iterator, which will usually have expired).
+ */
+function describePosition({
+    shardIterator,
+    lastReadSequenceNumber,
+    lastReadSubSequenceNumber,
+    startSequenceNumber,
+    timestamp
+}) {
+    if (shardIterator === null) {
+        return "nowhere, the shard was read to the end";
+    } else if (lastReadSequenceNumber && lastReadSubSequenceNumber != null) {
+        // Partway through an aggregated record, the rest of which is read again.
+        return `after user record ${lastReadSubSequenceNumber} of sequence number ${lastReadSequenceNumber}`;
+    } else if (lastReadSequenceNumber) {
+        return `after sequence number ${lastReadSequenceNumber}`;
+    } else if (startSequenceNumber) {
+        return `at sequence number ${startSequenceNumber}`;
+    } else if (timestamp) {
+        return `timestamp ${new Date(timestamp).toISOString()}`;
+    }
+    return "TRIM_HORIZON";
+}
+
+function describeAge(time) {
+    if (!time) {
+        return "";
+    }
+    return `${humanizeDuration(Date.now() - new Date(time).getTime(), {
+        largest: 2,
+        round: true
+    })} ago`;
+}
+
+/**
+ * @typedef {import("./checkpoint-store").CheckpointStore} CheckpointStore
+ */
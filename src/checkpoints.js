@@ -0,0 +1,356 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Read the contents of a checkpoint file, or an empty string if it doesn't exist.
+ *
+ * @param {string} file
+ * @returns {Promise<string>}
+ */
+async function readCheckpointFile(file) {
+    try {
+        return await readFile(file, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return "";
+        }
+        throw error;
+    }
+}
+
+/**
+ * Parse the contents of a checkpoint file into the list of checkpoint entries it contains, in the
+ * order they were written. Each entry has a `streamName` and `shardId`, and usually a `time`, in addition
+ * to the checkpoint itself.
+ *
+ * @param {string} content
+ * @returns {object[]}
+ */
+function parseCheckpoints(content) {
+    return content
+        .split(/[\r\n]+/)
+        .map(line => line.trim())
+        .filter(line => line.length)
+        .map(line => {
+            return JSON.parse(line);
+        });
+}
+
+/**
+ * Fold a list of checkpoint entries into the latest checkpoint for each shard, keyed by
+ * `streamName:shardId`.
+ *
+ * @param {object[]} entries
+ * @returns {Object<string, Checkpoint>}
+ */
+function foldCheckpoints(entries) {
+    return entries.reduce(
+        (checkpoints, { streamName, shardId, ...checkpoint }) => {
+            checkpoints[`${streamName}:${shardId}`] = checkpoint;
+            return checkpoints;
+        },
+        {}
+    );
+}
+
+/**
+ * Get the latest checkpoint entry for each shard, in the order the shards first appear. This is
+ * the same as {@link foldCheckpoints}, but keeps the entries whole.
+ *
+ * @param {object[]} entries
+ * @returns {object[]}
+ */
+function getLatestEntries(entries) {
+    const latest = new Map();
+    entries.forEach(entry =>
+        latest.set(`${entry.streamName}:${entry.shardId}`, entry)
+    );
+    return [...latest.values()];
+}
+
+/**
+ * The default checkpoint store, which keeps checkpoints in a local JSON-lines file.
+ *
+ * Each time checkpoints are saved, one line per shard giving the latest checkpoint saved for it
+ * replaces the lines written by the previous save, so the file only grows by one line per shard per
+ * run, and keeps the history of each shard's checkpoints. The file is always replaced atomically
+ * (written to a temporary file which is then renamed) so it's never left half-written, and it's read
+ * again right before each save, so lines that other writers (like another dump, or the `checkpoints`
+ * command) have added in the meantime are kept.
+ */
+class FileCheckpointStore {
+    /**
+     * @param {string} file The path to the checkpoint file.
+     * @param {object} [options]
+     * @param {boolean} [options.trim] If true, the lines that were in the file when it was first read
+     * are discarded when checkpoints are saved, instead of being kept.
+     */
+    constructor(file, { trim = false } = {}) {
+        this.file = file;
+        this.location = file;
+        this.trim = trim;
+        // The lines that were in the file when it was first read, which are discarded if trimming.
+        this.baseLines = null;
+        this.saved = new Map();
+        // The lines written by the last save, which are replaced by the next one.
+        this.writtenLines = [];
+        this.pendingSave = Promise.resolve();
+    }
+
+    /**
+     * Load the latest checkpoint for each shard.
+     *
+     * @param {string} [streamName] Only load the checkpoints for this stream.
+     * @returns {Promise<object[]>}
+     */
+    async load(streamName) {
+        const lines = await this.readBaseLines();
+        return getLatestEntries(parseCheckpoints(lines.join("\n"))).filter(
+            entry => !streamName || entry.streamName === streamName
+        );
+    }
+
+    /**
+     * Save checkpoints, each of which has a `streamName` and `shardId` along with the checkpoint.
+     *
+     * @param {object[]} entries
+     * @returns {Promise<void>}
+     */
+    async save(entries) {
+        await this.readBaseLines();
+        entries.forEach(entry =>
+            this.saved.set(`${entry.streamName}:${entry.shardId}`, entry)
+        );
+        // Saves from several writers (e.g., one for each stream being read) take turns, so they
+        // don't write the same temporary file at once, or undo each other's lines.
+        const save = this.pendingSave.then(async () => {
+            const newLines = [...this.saved.values()].map(entry =>
+                JSON.stringify(entry)
+            );
+            let lines = removeLines(
+                splitLines(await readCheckpointFile(this.file)),
+                this.writtenLines
+            );
+            if (this.trim) {
+                lines = removeLines(lines, this.baseLines);
+            }
+            await writeFileAtomic(
+                this.file,
+                [...lines, ...newLines].map(line => `${line}\n`).join("")
+            );
+            this.writtenLines = newLines;
+        });
+        this.pendingSave = save.catch(() => {});
+        await save;
+    }
+
+    /**
+     * Get all of the checkpoints in the file for a shard, oldest first.
+     *
+     * @returns {Promise<object[]>}
+     */
+    async history(streamName, shardId) {
+        return parseCheckpoints(await readCheckpointFile(this.file)).filter(
+            entry =>
+                entry.streamName === streamName && entry.shardId === shardId
+        );
+    }
+
+    /**
+     * Rewrite the file keeping only the latest checkpoint for each shard.
+     *
+     * @returns {Promise<{before: number, after: number}>} The number of lines before and after.
+     */
+    async compact() {
+        const entries = parseCheckpoints(await readCheckpointFile(this.file));
+        const latest = getLatestEntries(entries);
+        await writeFileAtomic(
+            this.file,
+            latest.map(entry => `${JSON.stringify(entry)}\n`).join("")
+        );
+        return { before: entries.length, after: latest.length };
+    }
+
+    async close() {
+        await this.pendingSave;
+    }
+
+    async readBaseLines() {
+        if (this.baseLines === null) {
+            this.baseLines = splitLines(await readCheckpointFile(this.file));
+        }
+        return this.baseLines;
+    }
+}
+
+function splitLines(content) {
+    return content
+        .split(/[\r\n]+/)
+        .map(line => line.trim())
+        .filter(line => line.length);
+}
+
+/**
+ * Remove one occurrence of each of the given lines.
+ */
+function removeLines(lines, linesToRemove) {
+    const counts = new Map();
+    linesToRemove.forEach(line =>
+        counts.set(line, (counts.get(line) || 0) + 1)
+    );
+    return lines.filter(line => {
+        const count = counts.get(line);
+        if (count) {
+            counts.set(line, count - 1);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Records checkpoints as shards are read, and periodically saves them to a checkpoint store so
+ * progress isn't lost if the process dies.
+ */
+class CheckpointWriter {
+    /**
+     * @param {CheckpointStore} store The store to save checkpoints to.
+     * @param {object} [options]
+     * @param {number} [options.intervalBatches] Save checkpoints after this many batches have been
+     * recorded for a shard since they were last saved.
+     * @param {number} [options.intervalMs] Save checkpoints when recording one if this many
+     * milliseconds have passed since they were last saved.
+     */
+    constructor(store, { intervalBatches, intervalMs } = {}) {
+        this.store = store;
+        this.intervalBatches = intervalBatches;
+        this.intervalMs = intervalMs;
+        this.unsaved = new Map();
+        this.batchCounts = new Map();
+        this.lastWriteTime = Date.now();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Record the checkpoint for a shard after reading a batch, and save checkpoints if it's due.
+     *
+     * @param {{streamName: string, shardId: string}} checkpoint
+     * @returns {Promise<void>}
+     */
+    record(checkpoint) {
+        const key = checkpointKey(checkpoint);
+        this.unsaved.set(key, {
+            time: new Date().toISOString(),
+            ...checkpoint
+        });
+        const batchCount = (this.batchCounts.get(key) || 0) + 1;
+        this.batchCounts.set(key, batchCount);
+        if (
+            (this.intervalBatches && batchCount >= this.intervalBatches) ||
+            (this.intervalMs &&
+                Date.now() - this.lastWriteTime >= this.intervalMs)
+        ) {
+            return this.flush();
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Save the checkpoints recorded since they were last saved, if there are any. Saves are queued
+     * so they never overlap. If a save fails, its checkpoints are saved with the next one (unless
+     * newer checkpoints for the same shards have been recorded by then).
+     *
+     * @returns {Promise<void>} Resolved when this save is done, and rejected if it fails.
+     */
+    flush() {
+        if (!this.unsaved.size) {
+            return this.pendingWrite;
+        }
+        const entries = [...this.unsaved.values()];
+        this.unsaved.clear();
+        this.batchCounts.clear();
+        this.lastWriteTime = Date.now();
+        const save = this.pendingWrite
+            .then(() => this.store.save(entries))
+            .catch(error => {
+                entries.forEach(entry => {
+                    const key = checkpointKey(entry);
+                    if (!this.unsaved.has(key)) {
+                        this.unsaved.set(key, entry);
+                    }
+                });
+                throw error;
+            });
+        // The next save waits for this one, but doesn't fail because this one did.
+        this.pendingWrite = save.catch(() => {});
+        return save;
+    }
+}
+
+function checkpointKey({ streamName, shardId }) {
+    return `${streamName}:${shardId}`;
+}
+
+/**
+ * Replace the content of a file by writing to a temporary file in the same directory and renaming
+ * it over the original.
+ */
+async function writeFileAtomic(file, content) {
+    const tempFile = path.join(
+        path.dirname(file),
+        `.${path.basename(file)}.${process.pid}.tmp`
+    );
+    await writeFile(tempFile, content);
+    await rename(tempFile, file);
+}
+
+function writeFile(...args) {
+    return new Promise((resolve, reject) => {
+        fs.writeFile(...args, (error, data) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(data);
+            }
+        });
+    });
+}
+
+function readFile(...args) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(...args, (error, data) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(data);
+            }
+        });
+    });
+}
+
+function rename(...args) {
+    return new Promise((resolve, reject) => {
+        fs.rename(...args, error => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+module.exports = {
+    readCheckpointFile,
+    parseCheckpoints,
+    foldCheckpoints,
+    getLatestEntries,
+    writeFileAtomic,
+    FileCheckpointStore,
+    CheckpointWriter
+};
+
+/**
+ * @typedef {import("./shard-reader").Checkpoint} Checkpoint
+ * @typedef {import("./checkpoint-store").CheckpointStore} CheckpointStore
+ */
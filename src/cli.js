@@ -0,0 +1,1289 @@
+#!/usr/bin/env node
+
+const yargs = require("yargs/yargs");
+const AWS = require("aws-sdk");
+const { CallerError, DataLossError } = require("./error");
+const { getFormatterOptions } = require("./formatter");
+const { listShards } = require("./shards");
+const { getHashKey, filterShardsByHashKeyRanges } = require("./hash-keys");
+const { readStreams } = require("./read-stream");
+const checkpointsCommand = require("./checkpoints-command");
+const putCommand = require("./put-command");
+const describeCommand = require("./describe-command");
+const printTable = require("./table");
+const { loadTransform, applyTransform } = require("./transform");
+const { StdoutSink, FileSink } = require("./sinks");
+const { parseFields } = require("./fields");
+const { checkRetention, describeDataLoss } = require("./retention");
+const { foldCheckpoints } = require("./checkpoints");
+const {
+    parseTimestamp,
+    parseDuration,
+    parseSessionDuration,
+    parseSize,
+    parseShardSequenceNumbers,
+    parseStreamSpec,
+    splitByStream,
+    parseAssumeFor,
+    getRetryConfig
+} = require("./options");
+const { openCheckpointStore } = require("./checkpoint-store");
+const {
+    getProfileCredentials,
+    assumeRole,
+    createTokenCodeFn
+} = require("./credentials");
+const withRetry = require("./retry");
+const { configureRetries, getRetryStats } = withRetry;
+const chalk = require("chalk");
+const humanizeDuration = require("humanize-duration");
+
+// Exit code used when records may have been lost because a checkpoint fell out of retention.
+const DATA_LOSS_EXIT_CODE = 3;
+
+let logger = silentLogger;
+
+// Credentials by where they come from (the profile, then each role in a chain of roles), so that a
+// role that several clients use (e.g., for several streams) is only assumed and refreshed once.
+const credentialsCache = new Map();
+
+function getCreds(args) {
+    if (!args.profile) {
+        return null;
+    }
+    const key = JSON.stringify([args.profile]);
+    if (!credentialsCache.has(key)) {
+        credentialsCache.set(
+            key,
+            getProfileCredentials(args.profile, {
+                region: args.region,
+                tokenCodeFn: getTokenCodeFn(args),
+                logger
+            })
+        );
+    }
+    return credentialsCache.get(key);
+}
+
+function optionallyAssumeRole(args, baseCreds) {
+    if (!args.assume) {
+        return baseCreds;
+    }
+    return args.assume.reduce((prevCreds, roleArn, index) => {
+        const key = JSON.stringify([
+            args.profile || null,
+            ...args.assume.slice(0, index + 1)
+        ]);
+        if (!credentialsCache.has(key)) {
+            credentialsCache.set(
+                key,
+                assumeRole(prevCreds, roleArn, {
+                    region: args.region,
+                    sessionName: args.roleSessionName,
+                    externalId: args.externalId,
+                    durationSeconds: args.sessionDuration,
+                    // The MFA device belongs to whoever assumes the first role.
+                    mfaSerial: index === 0 ? args.mfaSerial : undefined,
+                    tokenCodeFn: getTokenCodeFn(args),
+                    logger
+                })
+            );
+        }
+        return credentialsCache.get(key);
+    }, baseCreds);
+}
+
+let tokenCodeFn = null;
+
+/**
+ * Get the function that gets MFA codes, which is shared so the --mfa-token is only used once.
+ */
+function getTokenCodeFn(args) {
+    if (!tokenCodeFn) {
+        tokenCodeFn = createTokenCodeFn(args.mfaToken);
+    }
+    return tokenCodeFn;
+}
+
+async function checkIterator(args) {
+    const kinesis = await getKinesisInstance(args);
+    try {
+        const response = await kinesis
+            .getRecords({
+                ShardIterator: args.shardIterator,
+                Limit: 1
+            })
+            .promise();
+        console.log(
+            chalk.green(
+                `ShardIterator was valid and not-expired, and is approximately ${humanizeDuration(
+                    response.MillisBehindLatest
+                )} behind the tip of the stream.`
+            )
+        );
+    } catch (error) {
+        if (error.code === "ExpiredIteratorException") {
+            console.error(chalk.red(error.message));
+            process.exitCode = 1;
+            return;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Print the IDs of the shards that a partition key maps to: the open shard whose hash key range
+ * covers it, and any closed ancestors of that shard that are still in the stream.
+ */
+async function shardFor(args) {
+    const kinesis = await getKinesisInstance(args);
+    const hashKey = getHashKey(args["partition-key"]);
+    logger(`Partition key ${args["partition-key"]} has hash key ${hashKey}`);
+    const shards = filterShardsByHashKeyRanges(
+        await listShards(kinesis, args["stream-name"]),
+        [{ start: hashKey, end: hashKey }]
+    );
+    shards.forEach(shard => console.log(shard.ShardId));
+}
+
+/**
+ * Get the region and credentials to use for AWS clients. The credentials are fetched up front, so
+ * that problems with them (or a prompt for an MFA code) come before anything else happens.
+ */
+async function getAwsConfig(args) {
+    const credentials = optionallyAssumeRole(args, getCreds(args));
+    if (credentials) {
+        await credentials.getPromise();
+    }
+    return {
+        region: args.region,
+        ...(credentials && { credentials })
+    };
+}
+
+async function getKinesisInstance(args) {
+    return new AWS.Kinesis({
+        apiVersion: "2013-12-02",
+        ...(await getAwsConfig(args))
+    });
+}
+
+/**
+ * Open the checkpoint store given by the --checkpoint-store option, or else the checkpoint file.
+ */
+function getCheckpointStore(args) {
+    return openCheckpointStore(args.checkpointStore || args.checkpointFile, {
+        trim: args.trimCheckpoints,
+        getAwsConfig: () => getAwsConfig(args)
+    });
+}
+
+async function dumpStream(args) {
+    if (!args.all && !args.shard && !args.partitionKey && !args.hashKeyRange) {
+        throw new CallerError("No shard IDs specified");
+    }
+    // A table is only printed once all of the records are in, which never happens when following.
+    if (args.output === "table" && args.follow) {
+        throw new CallerError(
+            "--output table can't be used with --follow, since the table is only printed once all of the records have been read, use --output tsv instead"
+        );
+    }
+    if (args.timestamp) {
+        args.timestamp = parseTimestamp(args.timestamp);
+        logger("Will read starting from", args.timestamp);
+    }
+    const streams = args["stream-name"].map(parseStreamSpec);
+    const streamNames = streams.map(({ streamName }) => streamName);
+    const shards = splitByStream(args.shard, streamNames, "--shard");
+    const startSequenceNumbers = splitByStream(
+        args.startAtSequence,
+        streamNames,
+        "--start-at-sequence"
+    );
+    const untilSequenceNumbers = splitByStream(
+        args.untilSequence,
+        streamNames,
+        "--until-sequence"
+    );
+    const roles = parseAssumeFor(args.assumeFor, streamNames);
+    const transform = args.transform ? loadTransform(args.transform) : null;
+    const streamOptions = [];
+    for (const { streamName, region, arn } of streams) {
+        if (args.shard && !shards[streamName].length) {
+            throw new CallerError(
+                `No shard IDs specified for stream ${streamName}, give them as --shard ${streamName}:SHARD-ID`
+            );
+        }
+        streamOptions.push({
+            kinesis: await getStreamKinesisInstance(args, {
+                streamName,
+                region: region || args.region,
+                arn,
+                roles: roles[streamName]
+            }),
+            streamName,
+            shards: args.shard && shards[streamName],
+            startSequenceNumbers: parseShardSequenceNumbers(
+                startSequenceNumbers[streamName],
+                shards[streamName],
+                "--start-at-sequence"
+            ),
+            untilSequenceNumbers: parseShardSequenceNumbers(
+                untilSequenceNumbers[streamName],
+                shards[streamName],
+                "--until-sequence"
+            )
+        });
+    }
+    const checkpointStore = args.checkpoint
+        ? await getCheckpointStore(args)
+        : null;
+    const stream = readStreams(
+        streamOptions.map(options => ({
+            ...options,
+            partitionKeys: args.partitionKey,
+            hashKeyRanges: args.hashKeyRange,
+            ...(args.timestamp && { start: args.timestamp, resume: false }),
+            ...(args.startAt && { start: args.startAt, resume: false }),
+            checkpointStore,
+            checkpointIntervalMs: args.checkpointIntervalSeconds * 1000,
+            checkpointIntervalBatches: args.checkpointIntervalBatches,
+            decoder: args.dataFormat,
+            decoderOptions: {
+                schema: args.schema,
+                proto: args.proto,
+                messageType: args.messageType
+            },
+            onDecodeError: args.onDecodeError,
+            deaggregate: args.deaggregate,
+            filter: args.filter,
+            follow: args.follow,
+            ordered: args.ordered,
+            orderedBufferSize: args.orderedBufferSize,
+            concurrency: args.concurrency,
+            stopAfter: args.stopAfter,
+            durationMs: args.duration,
+            maxRecordsPerShard: args.maxRecordsPerShard,
+            checkRetention: args.checkRetention,
+            strict: args.strict,
+            efo: args.efo,
+            consumerName: args.consumerName,
+            deregisterConsumer: args.deregisterConsumer,
+            onWarning: warning =>
+                console.error(
+                    chalk.yellow(
+                        warning instanceof DataLossError
+                            ? `Warning: ${warning.message}`
+                            : warning.message
+                    )
+                ),
+            logger
+        })),
+        { maxRecords: args.maxRecords }
+    );
+    const interrupt = () => onInterrupt(stream);
+    if (args.follow) {
+        process.on("SIGINT", interrupt);
+    }
+    // The number of records output for each shard of each stream.
+    const counts = new Map(
+        streamNames.map(streamName => [streamName, new Map()])
+    );
+    const sink = getSink(args, { separateStreams: streamNames.length > 1 });
+    // The hooks are given the first stream's name, as they were before there could be several.
+    const hookContext = { streamName: streamNames[0], streamNames };
+    let setUp = false;
+    try {
+        if (transform) {
+            await transform.setup(hookContext);
+            setUp = true;
+        }
+        for await (const record of stream) {
+            const outputs = transform
+                ? await applyTransform(transform.transform, record, {
+                      shardId: record._shardId,
+                      streamName: record._streamName,
+                      checkpoint:
+                          stream.streams
+                              .get(record._streamName)
+                              .checkpoints.get(record._shardId) || null
+                  })
+                : [record];
+            if (args.countOnly) {
+                const streamCounts = counts.get(record._streamName);
+                streamCounts.set(
+                    record._shardId,
+                    (streamCounts.get(record._shardId) || 0) + outputs.length
+                );
+            } else {
+                for (const output of outputs) {
+                    await sink.write(output, record);
+                }
+                if (sink.closed) {
+                    logger("Stopping because the output was closed");
+                    break;
+                }
+            }
+        }
+        if (args.countOnly) {
+            printCounts(args, stream, counts);
+        }
+    } finally {
+        process.removeListener("SIGINT", interrupt);
+        await sink.close();
+        if (setUp) {
+            await transform.teardown(hookContext);
+        }
+        if (checkpointStore) {
+            await checkpointStore.close();
+        }
+    }
+}
+
+/**
+ * Get a Kinesis client for one of the streams to dump, in the stream's region, with credentials
+ * from assuming the --assume roles and then the stream's own --assume-for roles. For a stream given
+ * by its ARN, make sure that these are credentials for the stream's account, since otherwise we'd
+ * read a stream with the same name in another account.
+ */
+async function getStreamKinesisInstance(
+    args,
+    { streamName, region, arn, roles = [] }
+) {
+    if (!region) {
+        throw new CallerError(
+            `No region specified for stream ${streamName}, use --region or give the stream's ARN`
+        );
+    }
+    const kinesis = await getKinesisInstance({
+        ...args,
+        region,
+        assume: [...(args.assume || []), ...roles]
+    });
+    if (arn) {
+        const {
+            StreamDescriptionSummary: { StreamARN: foundArn }
+        } = await withRetry(() =>
+            kinesis.describeStreamSummary({ StreamName: streamName }).promise()
+        );
+        if (foundArn !== arn) {
+            throw new CallerError(
+                `Found ${foundArn} instead of ${arn}, use --assume-for ${streamName}=ROLE-ARN to assume a role in the stream's account`
+            );
+        }
+    }
+    return kinesis;
+}
+
+/**
+ * The first interrupt asks the stream to stop after the current batch of each shard, so we can still
+ * write checkpoints. A second interrupt exits immediately.
+ */
+function onInterrupt(stream) {
+    if (stream.stopRequested) {
+        process.exit(130);
+    }
+    stream.stop();
+    console.error(
+        chalk.yellow(
+            "Interrupted: stopping after the current batch (interrupt again to exit immediately)"
+        )
+    );
+}
+
+/**
+ * Check the checkpoint of every shard in a stream to see if any have fallen out of the stream's
+ * retention window, without reading any data.
+ */
+async function verifyCheckpoints(args) {
+    const kinesis = await getKinesisInstance(args);
+    const streamName = args["stream-name"];
+    const checkpointStore = await getCheckpointStore(args);
+    let checkpoints;
+    try {
+        checkpoints = foldCheckpoints(await checkpointStore.load(streamName));
+    } finally {
+        await checkpointStore.close();
+    }
+    const shards = await listShards(kinesis, streamName);
+    let lossCount = 0;
+    for (const { ShardId: shardId } of shards) {
+        const checkpoint = checkpoints[`${streamName}:${shardId}`];
+        if (!checkpoint || !checkpoint.lastReadSequenceNumber) {
+            console.log(
+                `${shardId}: no checkpointed sequence number to check, will not resume from a previous read`
+            );
+            continue;
+        }
+        const result = await checkRetention(
+            kinesis,
+            streamName,
+            shardId,
+            checkpoint
+        );
+        if (result.lost) {
+            lossCount++;
+            console.log(
+                chalk.red(
+                    `${shardId}: ${describeDataLoss(
+                        streamName,
+                        shardId,
+                        result
+                    )}`
+                )
+            );
+        } else if (result.checkpointTrimmed) {
+            console.log(
+                chalk.yellow(
+                    `${shardId}: OK, the checkpointed record has been trimmed, but no records after it are known to be lost`
+                )
+            );
+        } else {
+            console.log(
+                chalk.green(
+                    `${shardId}: OK, will resume after sequence number ${checkpoint.lastReadSequenceNumber}`
+                )
+            );
+        }
+    }
+    // Shards that have been trimmed entirely aren't listed anymore. Unless we read them to the end,
+    // whatever we didn't read is gone.
+    const shardIds = new Set(shards.map(shard => shard.ShardId));
+    Object.entries(checkpoints)
+        .filter(
+            ([key, checkpoint]) =>
+                key.startsWith(`${streamName}:`) &&
+                !shardIds.has(key.slice(streamName.length + 1)) &&
+                checkpoint.shardIterator !== null
+        )
+        .forEach(([key]) => {
+            lossCount++;
+            console.log(
+                chalk.red(
+                    `${key.slice(
+                        streamName.length + 1
+                    )}: the shard is no longer in the stream, any records after the checkpoint have been lost`
+                )
+            );
+        });
+    if (lossCount) {
+        process.exitCode = DATA_LOSS_EXIT_CODE;
+    }
+}
+
+/**
+ * Print the number of records that were output for each shard that was read, and in total. When
+ * several streams were read, the shards are listed with their streams.
+ */
+function printCounts(args, stream, counts) {
+    const rows = [];
+    stream.streams.forEach((recordStream, streamName) => {
+        const streamCounts = counts.get(streamName);
+        [
+            ...new Set([
+                ...recordStream.checkpoints.keys(),
+                ...streamCounts.keys()
+            ])
+        ]
+            .sort()
+            .forEach(shardId =>
+                rows.push([streamName, shardId, streamCounts.get(shardId) || 0])
+            );
+    });
+    const total = rows.reduce((sum, [, , count]) => sum + count, 0);
+    const multipleStreams = stream.streams.size > 1;
+    if (args.json || args.jsonl) {
+        const shards = {};
+        rows.forEach(([streamName, shardId, count]) => {
+            const key = multipleStreams ? `${streamName}:${shardId}` : shardId;
+            shards[key] = count;
+        });
+        console.log(JSON.stringify({ shards, total }, null, args.json ? 4 : 0));
+        return;
+    }
+    if (multipleStreams) {
+        printTable(
+            ["Stream", "Shard", "Records"],
+            [...rows, ["Total", "", total]]
+        );
+        return;
+    }
+    printTable(
+        ["Shard", "Records"],
+        [
+            ...rows.map(([, shardId, count]) => [shardId, count]),
+            ["Total", total]
+        ]
+    );
+}
+
+/**
+ * Get where to write the records that are dumped: files in the output directory, or stdout.
+ */
+function getSink(args, { separateStreams }) {
+    if (args.outputDir) {
+        return new FileSink(args.outputDir, {
+            partitionBy: args.partitionBy,
+            separateStreams,
+            maxFileBytes: args.maxFileSize,
+            maxFileRecords: args.maxFileRecords,
+            gzip: args.gzip,
+            fields: args.fields
+        });
+    }
+    return new StdoutSink({
+        format:
+            args.output ||
+            (args.json ? "json" : args.jsonl ? "jsonl" : "inspect"),
+        fields: args.fields
+    });
+}
+
+/**
+ * Parse the command line arguments (without the node executable and the script).
+ *
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+    return yargs(argv)
+        .command(
+            "check-iterator <shard-iterator>",
+            "Check an existing shard iterator to see if it is expired or not and how far behind latest it is",
+            _yargs =>
+                _yargs
+                    .positional("shard-iterator", {
+                        description: "The shard iterator to check"
+                    })
+                    .demandOption("region")
+                    .strict()
+        )
+        .command(
+            "dump <stream-name..>",
+            "Dump records from the specified streams",
+            _yargs =>
+                _yargs
+                    .positional("stream-name", {
+                        description:
+                            "The names or ARNs of the streams to read. Streams given by name are in the --region."
+                    })
+                    .option("s", {
+                        alias: "shard",
+                        description:
+                            "Specify the name of the shard to read from. Give this option multipe times to read from multiple shards. " +
+                            "When reading several streams, give a shard as STREAM:SHARD-ID to read it from just that stream.",
+                        type: "string",
+                        array: true
+                    })
+                    .option("assume-for", {
+                        type: "string",
+                        array: true,
+                        description:
+                            "Assume this role for reading one of the streams, given as STREAM=ROLE-ARN, after any --assume roles. " +
+                            "Give this option multiple times for multiple streams, or for a chain of roles."
+                    })
+                    .option("a", {
+                        alias: "all",
+                        conflicts: "shard",
+                        type: "boolean",
+                        description:
+                            "Read from all shards in the given stream. Child shards are not read until their parent shards have been read to the end."
+                    })
+                    .option("partition-key", {
+                        type: "string",
+                        array: true,
+                        conflicts: ["shard", "all"],
+                        description:
+                            "Only read the shards this partition key maps to (including closed ancestors, for older records), and only output " +
+                            "records with this exact partition key. The shards are picked by the partition key's hash, so records put with " +
+                            "this partition key and an ExplicitHashKey may be in other shards, and aren't read. " +
+                            "Give this option multiple times for multiple partition keys."
+                    })
+                    .option("hash-key-range", {
+                        type: "string",
+                        array: true,
+                        conflicts: ["shard", "all"],
+                        description:
+                            "Only read the shards whose hash key range overlaps this range, given as START-END. " +
+                            "Give this option multiple times for multiple ranges."
+                    })
+                    .option("json", {
+                        description:
+                            "Output the records in pretty-printed JSON. The default is to use console.log to format the output",
+                        type: "boolean"
+                    })
+                    .option("jsonl", {
+                        alias: "json-lines",
+                        description:
+                            "Output the records in JSON lines, one line per record",
+                        type: "boolean",
+                        conflicts: "json"
+                    })
+                    .option("output", {
+                        choices: ["csv", "tsv", "table"],
+                        conflicts: [
+                            "json",
+                            "jsonl",
+                            "output-dir",
+                            "count-only"
+                        ],
+                        description:
+                            "Output a column for each of the --fields of the records, as CSV, TSV, or a table with aligned columns " +
+                            "(which is printed once all of the records have been read, so it can't be used with --follow)"
+                    })
+                    .option("fields", {
+                        type: "string",
+                        coerce: parseFields,
+                        conflicts: "count-only",
+                        description:
+                            "Output only these fields of the records, given as a comma-separated list of paths like _data.user.id " +
+                            "or _data.items[0].sku (default with --output: _shardId,SequenceNumber,PartitionKey,ApproximateArrivalTimestamp,_data)"
+                    })
+                    .option("output-dir", {
+                        type: "string",
+                        conflicts: ["json", "jsonl", "count-only"],
+                        description:
+                            "Write the records to newline-delimited JSON files in this directory, instead of stdout, with a " +
+                            "manifest.json listing the files"
+                    })
+                    .option("partition-by", {
+                        choices: ["shard", "hour"],
+                        default: "shard",
+                        description:
+                            "With --output-dir, write a series of files for each shard, or for each hour of the records' arrival times " +
+                            "(in YYYY/MM/DD/HH directories, UTC)"
+                    })
+                    .option("max-file-size", {
+                        type: "string",
+                        coerce: parseSize,
+                        implies: "output-dir",
+                        description:
+                            'With --output-dir, start a new file once a file has this much data (before compression), e.g., "100M"'
+                    })
+                    .option("max-file-records", {
+                        type: "number",
+                        implies: "output-dir",
+                        description:
+                            "With --output-dir, start a new file once a file has this many records"
+                    })
+                    .option("gzip", {
+                        type: "boolean",
+                        implies: "output-dir",
+                        description: "With --output-dir, gzip the files"
+                    })
+                    .option("c", {
+                        alias: "checkpoint",
+                        type: "boolean",
+                        description:
+                            "Read and use initial checkpoints from file, if present. Write checkpoints to file while reading and when complete. " +
+                            'Use the --checkpoint-file to specify the file to use, the default is ".checkpoints".'
+                    })
+                    .option("t", {
+                        alias: "timestamp",
+                        type: "string",
+                        description:
+                            "Specify a timestamp to start reading from. If you are using --checkpoints, this will ignore any " +
+                            "existing checkpoints, but will still update checkpoints after completion. This could cause you to skip " +
+                            "over records in between your previous checkpoint and the given timestamp."
+                    })
+                    .option("start-at", {
+                        choices: ["trim-horizon", "latest"],
+                        conflicts: "timestamp",
+                        description:
+                            "Start reading every shard from its oldest record (trim-horizon), or only read records added after now " +
+                            "(latest). Like --timestamp, this ignores any existing checkpoints."
+                    })
+                    .option("start-at-sequence", {
+                        type: "string",
+                        array: true,
+                        description:
+                            "Start reading a shard at the record with this sequence number, given as SHARD-ID=SEQUENCE-NUMBER (or just " +
+                            "the sequence number when reading a single --shard), ignoring the shard's checkpoint. Give this option " +
+                            "multiple times for multiple shards, and prefix it with STREAM: for a shard of one of several streams."
+                    })
+                    .option("checkpoint-file", {
+                        description:
+                            "Specify the path to the checkpoint file to use. Only relevant if the --checkpoint option is given.",
+                        type: "string",
+                        default: ".checkpoints"
+                    })
+                    .option("checkpoint-store", {
+                        type: "string",
+                        implies: "checkpoint",
+                        description:
+                            "Where to keep checkpoints, instead of the checkpoint file: sqlite:PATH for a SQLite database, " +
+                            "dynamodb://TABLE[?region=REGION&endpoint=URL] for the lease table of a Kinesis Client Library application, " +
+                            "or file:PATH for a checkpoint file."
+                    })
+                    .option("checkpoint-interval-seconds", {
+                        type: "number",
+                        default: 30,
+                        description:
+                            "When using --checkpoint, write checkpoints to the file while reading, at most this many seconds apart. " +
+                            "Checkpoints are always written when a shard finishes, and when the dump completes or fails."
+                    })
+                    .option("checkpoint-interval-batches", {
+                        type: "number",
+                        implies: "checkpoint",
+                        description:
+                            "When using --checkpoint, also write checkpoints to the file after this many batches have been read from any one shard."
+                    })
+                    .option("trim-checkpoints", {
+                        description:
+                            "If set, overwrite the contents of the checkpoint-file instead of appending to it.",
+                        type: "boolean",
+                        implies: "checkpoint"
+                    })
+                    .option("d", {
+                        alias: "data-format",
+                        type: "string",
+                        default: "utf-8",
+                        description:
+                            "Specifies how to handle the data payload of kinesis records. Give a comma-separated list of stages " +
+                            'to decode the data in steps, e.g., "gzip,json". Every stage but the last must be a decoder. ' +
+                            `Available stages: ${getFormatterOptions().join(
+                                ", "
+                            )}`
+                    })
+                    .option("schema", {
+                        type: "string",
+                        description:
+                            "The path to the Avro schema (.avsc) file to use with the avro data format"
+                    })
+                    .option("proto", {
+                        type: "string",
+                        description:
+                            "The path to the .proto file to use with the protobuf data format"
+                    })
+                    .option("message-type", {
+                        type: "string",
+                        implies: "proto",
+                        description:
+                            'The fully qualified name of the Protobuf message type to decode with the protobuf data format, e.g., "my.package.MyMessage"'
+                    })
+                    .option("on-decode-error", {
+                        choices: ["skip", "raw", "fail"],
+                        default: "raw",
+                        description:
+                            "What to do with a record whose data can't be decoded according to the --data-format: skip it, " +
+                            "output it with the raw data as base64 (and the error in the _decodeError field), or fail the dump."
+                    })
+                    .option("f", {
+                        alias: "follow",
+                        type: "boolean",
+                        description:
+                            "Keep reading after reaching the tip of the stream, waiting for new records, until interrupted (e.g., with Ctrl+C). " +
+                            "Checkpoints are still written (if enabled) when interrupted."
+                    })
+                    .option("filter", {
+                        type: "string",
+                        description:
+                            "Only output the records that match this JMESPath expression, which is evaluated against each record after " +
+                            "its data is decoded, e.g., \"_data.level == 'ERROR'\" or \"PartitionKey == 'user-1'\""
+                    })
+                    .option("transform", {
+                        type: "string",
+                        description:
+                            "The path to a JavaScript module that exports a function to transform each record before it's output, " +
+                            "returning the record to output, an array of records, or null to drop it. See the README."
+                    })
+                    .option("count-only", {
+                        type: "boolean",
+                        description:
+                            "Instead of outputting the records, output how many there were (that matched the --filter, if given) from " +
+                            "each shard, and in total"
+                    })
+                    .option("ordered", {
+                        type: "boolean",
+                        description:
+                            "Merge the records from all shards into a single output ordered by ApproximateArrivalTimestamp " +
+                            "(and SequenceNumber for records with the same timestamp), instead of outputting each shard's records as they are read."
+                    })
+                    .option("ordered-buffer-size", {
+                        type: "number",
+                        default: 10000,
+                        description:
+                            "The maximum number of records to hold while waiting for other shards to catch up, when using --ordered"
+                    })
+                    .option("concurrency", {
+                        type: "number",
+                        conflicts: ["follow", "ordered"],
+                        description:
+                            "The most shards to read at once. The others wait for a turn, so this can't be used with --follow or --ordered. " +
+                            "The default is to read every shard that's ready at once."
+                    })
+                    .option("check-retention", {
+                        type: "boolean",
+                        default: true,
+                        description:
+                            "When resuming from a checkpoint, check whether it has fallen out of the stream's retention window " +
+                            "(meaning records may have been lost) and warn if so. Use --no-check-retention to skip the check."
+                    })
+                    .option("strict", {
+                        type: "boolean",
+                        description: `Fail with exit code ${DATA_LOSS_EXIT_CODE} instead of warning if a checkpoint has fallen out of the stream's retention window`
+                    })
+                    .option("efo", {
+                        type: "boolean",
+                        description:
+                            "Read with enhanced fan-out, through a consumer registered with the stream, instead of polling with GetRecords. " +
+                            "The consumer gets its own read throughput, so it doesn't compete with the stream's other consumers."
+                    })
+                    .option("consumer-name", {
+                        type: "string",
+                        default: "read-kinesis",
+                        description:
+                            "The name of the consumer to read through with --efo. It's registered with the stream if it doesn't exist."
+                    })
+                    .option("deregister-consumer", {
+                        type: "boolean",
+                        implies: "efo",
+                        description:
+                            "With --efo, deregister the consumer from the stream when done"
+                    })
+                    .option("deaggregate", {
+                        type: "boolean",
+                        default: true,
+                        description:
+                            "Expand records that were aggregated by the Kinesis Producer Library (KPL) into the individual user records they contain. " +
+                            "Records that aren't aggregated are unaffected. Use --no-deaggregate to output aggregated records as is."
+                    })
+                    .options("stop-after", {
+                        coerce: parseTimestamp,
+                        description:
+                            "Optionally specify a timestamp to stop reading after. Each shard stops at the first record that arrived " +
+                            "after this time, which isn't output."
+                    })
+                    .option("duration", {
+                        type: "string",
+                        coerce: parseDuration,
+                        description:
+                            'Stop at records that arrived this long after the time reading starts from (the --timestamp, or now), e.g., "30s", ' +
+                            '"5m", or "1h". With --follow, this reads new records for this long.'
+                    })
+                    .option("until-sequence", {
+                        type: "string",
+                        array: true,
+                        description:
+                            "Stop reading a shard after the record with this sequence number, given as SHARD-ID=SEQUENCE-NUMBER (or " +
+                            "just the sequence number when reading a single --shard). Give this option multiple times for multiple shards, " +
+                            "and prefix it with STREAM: for a shard of one of several streams."
+                    })
+                    .option("max-records", {
+                        type: "number",
+                        description:
+                            "Stop after outputting this many records in total"
+                    })
+                    .option("max-records-per-shard", {
+                        type: "number",
+                        description:
+                            "Stop reading each shard after outputting this many records from it"
+                    })
+                    .strict()
+        )
+        .command(
+            ["put <stream-name> [files..]", "replay"],
+            "Write records to the specified stream, from the JSON lines output of the dump command (or raw lines of data), " +
+                "read from the given files or stdin",
+            _yargs =>
+                _yargs
+                    .positional("stream-name", {
+                        description: "The name of the stream to write to"
+                    })
+                    .positional("files", {
+                        description:
+                            'The files to read records from, the default is stdin. Use "-" for stdin.',
+                        type: "string"
+                    })
+                    .demandOption("region")
+                    .option("input", {
+                        choices: ["jsonl", "lines"],
+                        default: "jsonl",
+                        description:
+                            "The format of the input: the output of the dump command with --jsonl, or lines of raw data " +
+                            "(which need --partition-key or --random-partition-keys)"
+                    })
+                    .option("d", {
+                        alias: "data-format",
+                        type: "string",
+                        default: "utf-8",
+                        description:
+                            "The data format the records were dumped with, used to encode the _data of each record back into " +
+                            'the record\'s data. The stages are reversed, e.g., "gzip,json" serializes the data as JSON and then compresses it.'
+                    })
+                    .option("schema", {
+                        type: "string",
+                        description:
+                            "The path to the Avro schema (.avsc) file to use with the avro data format"
+                    })
+                    .option("proto", {
+                        type: "string",
+                        description:
+                            "The path to the .proto file to use with the protobuf data format"
+                    })
+                    .option("message-type", {
+                        type: "string",
+                        implies: "proto",
+                        description:
+                            "The fully qualified name of the Protobuf message type to encode with the protobuf data format"
+                    })
+                    .option("partition-key", {
+                        type: "string",
+                        description:
+                            "Use this partition key for every record, instead of each record's original partition key"
+                    })
+                    .option("random-partition-keys", {
+                        type: "boolean",
+                        conflicts: "partition-key",
+                        description:
+                            "Use a random partition key for each record, instead of each record's original partition key"
+                    })
+                    .strict()
+        )
+        .command(
+            "shard-for <stream-name> <partition-key>",
+            "Print the IDs of the shards that a partition key maps to: the open shard whose hash key range covers it, " +
+                "and any of that shard's closed ancestors that are still in the stream. Records put with an ExplicitHashKey " +
+                "can be in other shards.",
+            _yargs =>
+                _yargs
+                    .positional("stream-name", {
+                        description: "The name of the stream"
+                    })
+                    .positional("partition-key", {
+                        description: "The partition key",
+                        type: "string"
+                    })
+                    .demandOption("region")
+                    .strict()
+        )
+        .command(
+            "describe <stream-name>",
+            "Describe the specified stream and its shards: the state, hash key range, parents and children, and sequence " +
+                "number range of each shard, and the stream's retention period and encryption",
+            _yargs =>
+                _yargs
+                    .positional("stream-name", {
+                        description: "The name of the stream to describe"
+                    })
+                    .demandOption("region")
+                    .option("lag", {
+                        type: "boolean",
+                        description:
+                            "Also show how far behind the tip of the stream each open shard's trim horizon and checkpoint are. " +
+                            "This reads a record from each open shard."
+                    })
+                    .option("json", {
+                        type: "boolean",
+                        description:
+                            "Output the description as JSON, instead of a table"
+                    })
+                    .option("checkpoint-file", {
+                        description:
+                            "The path to the checkpoint file to get checkpoints from, with --lag",
+                        type: "string",
+                        default: ".checkpoints"
+                    })
+                    .option("checkpoint-store", {
+                        type: "string",
+                        description:
+                            "Where to get checkpoints from with --lag, instead of the checkpoint file: sqlite:PATH for a SQLite database, " +
+                            "dynamodb://TABLE[?region=REGION&endpoint=URL] for the lease table of a Kinesis Client Library application, " +
+                            "or file:PATH for a checkpoint file."
+                    })
+                    .strict()
+        )
+        .command(
+            "verify-checkpoints <stream-name>",
+            "Check whether the checkpoint of any shard in the stream has fallen out of the stream's retention window, " +
+                `meaning records may have been lost. Exits with code ${DATA_LOSS_EXIT_CODE} if so.`,
+            _yargs =>
+                _yargs
+                    .positional("stream-name", {
+                        description: "The name of the stream to check"
+                    })
+                    .option("checkpoint-file", {
+                        description: "The path to the checkpoint file",
+                        type: "string",
+                        default: ".checkpoints"
+                    })
+                    .option("checkpoint-store", {
+                        type: "string",
+                        description:
+                            "Where to keep checkpoints, instead of the checkpoint file: sqlite:PATH for a SQLite database, " +
+                            "dynamodb://TABLE[?region=REGION&endpoint=URL] for the lease table of a Kinesis Client Library application, " +
+                            "or file:PATH for a checkpoint file."
+                    })
+                    .demandOption("region")
+                    .strict()
+        )
+        .command(
+            "checkpoints",
+            "Inspect and manage the checkpoints in a checkpoint file",
+            _yargs =>
+                _yargs
+                    .command(
+                        "list [stream-name]",
+                        "Show where reading will resume from for each shard (optionally, only the shards of the specified stream)",
+                        __yargs =>
+                            __yargs.option("json", {
+                                description:
+                                    "Output the checkpoints in JSON lines, one line per shard",
+                                type: "boolean"
+                            })
+                    )
+                    .command(
+                        "compact",
+                        "Rewrite the checkpoint file, keeping only the latest checkpoint for each shard"
+                    )
+                    .command(
+                        "set <stream-name> <shard-id>",
+                        "Set where to resume reading from for a shard, either after a sequence number or from a timestamp",
+                        __yargs =>
+                            __yargs
+                                .option("sequence-number", {
+                                    description:
+                                        "Resume reading after the record with this sequence number",
+                                    type: "string"
+                                })
+                                .option("t", {
+                                    alias: "timestamp",
+                                    coerce: parseTimestamp,
+                                    description:
+                                        'Resume reading from this time, as an ISO-8601 date or a human relative time (e.g., "1 hour ago")'
+                                })
+                    )
+                    .command(
+                        "reset <stream-name>",
+                        "Reset where to resume reading from for the shards of a stream",
+                        __yargs =>
+                            __yargs
+                                .option("s", {
+                                    alias: "shard",
+                                    description:
+                                        "The shard to reset. Give this option multiple times to reset multiple shards. " +
+                                        "The default is every shard of the stream in the checkpoint file.",
+                                    type: "string",
+                                    array: true
+                                })
+                                .option("to", {
+                                    choices: ["trim-horizon", "latest"],
+                                    default: "trim-horizon",
+                                    description:
+                                        "Reset to the oldest record in each shard (trim-horizon), or to only read records added after now (latest)"
+                                })
+                    )
+                    .command(
+                        "history <stream-name> <shard-id>",
+                        "Show all of the checkpoints in the file for a shard, oldest first",
+                        __yargs =>
+                            __yargs.option("json", {
+                                description:
+                                    "Output the checkpoints in JSON lines, one line per checkpoint",
+                                type: "boolean"
+                            })
+                    )
+                    .option("checkpoint-file", {
+                        description: "The path to the checkpoint file",
+                        type: "string",
+                        default: ".checkpoints"
+                    })
+                    .option("checkpoint-store", {
+                        type: "string",
+                        description:
+                            "Where to keep checkpoints, instead of the checkpoint file: sqlite:PATH for a SQLite database, " +
+                            "dynamodb://TABLE[?region=REGION&endpoint=URL] for the lease table of a Kinesis Client Library application, " +
+                            "or file:PATH for a checkpoint file."
+                    })
+                    .demandCommand(
+                        1,
+                        1,
+                        "You must specify a checkpoints command",
+                        "You must specify exactly one checkpoints command"
+                    )
+                    .strict()
+        )
+        .option("r", {
+            alias: "region",
+            type: "string",
+            description: "The AWS region of the stream"
+        })
+        .option("profile", {
+            description:
+                "Use the specified profile from your shared credentials file (typically ~/.aws/credentials) or config file (typically ~/.aws/config) for AWS credentials"
+        })
+        .option("assume", {
+            description:
+                "Assume the AWS role specified by this ARN for reading from Kinesis. You can specify this option multiple " +
+                "times to specify a chain of roles that will be assumed.",
+            type: "string",
+            array: true
+        })
+        .option("mfa-serial", {
+            type: "string",
+            description:
+                "The ARN (or serial number) of the MFA device to use for assuming the first --assume role"
+        })
+        .option("mfa-token", {
+            type: "string",
+            implies: "mfa-serial",
+            description:
+                "The code from the MFA device. When the role's credentials are refreshed, you're asked for a new code."
+        })
+        .option("external-id", {
+            type: "string",
+            description:
+                "The external ID to give when assuming the --assume and --assume-for roles"
+        })
+        .option("session-duration", {
+            type: "string",
+            coerce: parseSessionDuration,
+            description:
+                'How long the sessions for the --assume and --assume-for roles last, e.g., "2h" (default: 1h). They\'re renewed before they expire.'
+        })
+        .option("role-session-name", {
+            type: "string",
+            description:
+                "The session name to use when assuming the --assume and --assume-for roles (default: kinesis-reader- and the time)"
+        })
+        .option("retry-config", {
+            type: "string",
+            description:
+                "The path to a JSON file with the retry policies for AWS requests (see the README). The other retry options " +
+                "override what's in the file."
+        })
+        .option("retry-max-attempts", {
+            type: "number",
+            description:
+                "The most times to make an AWS request that keeps failing with errors worth retrying (default: 11)"
+        })
+        .option("retry-base-delay", {
+            type: "number",
+            description:
+                "How many milliseconds to wait before the first retry of a request, doubling for each retry after " +
+                "(default: 100 for throttling errors, 10 for other errors)"
+        })
+        .option("retry-max-delay", {
+            type: "number",
+            description:
+                "The most milliseconds to wait before any retry (default: 5000)"
+        })
+        .option("retry-jitter", {
+            choices: ["none", "full", "equal", "decorrelated"],
+            description:
+                "How to randomize the delay before each retry (default: full for throttling errors, equal for other errors)"
+        })
+        .option("retry-deadline", {
+            type: "number",
+            description:
+                "The most milliseconds to keep retrying a request for, in total. By default there's no limit."
+        })
+        .option("verbose", {
+            type: "boolean",
+            alias: "v",
+            description: "Output messages to STDERR about what's happening"
+        })
+        .option("debug", {
+            hidden: true,
+            type: "boolean"
+        })
+        .strict()
+        .demandCommand(
+            1,
+            1,
+            "You must specify a command",
+            "You must specify exactly one command"
+        ).argv;
+}
+
+/**
+ * Run the command given by the command line arguments, setting the process's exit code if it fails.
+ *
+ * @param {string[]} [argv] The arguments, without the node executable and the script.
+ */
+async function main(argv = process.argv.slice(2)) {
+    const args = parseArgs(argv);
+    logger = args.verbose ? verboseLogger : silentLogger;
+    args._ = Array.isArray(args._) ? args._ : [args._];
+    const [command] = args._;
+    try {
+        configureRetries(getRetryConfig(args), (message, meta) =>
+            logger(message, meta)
+        );
+        switch (command) {
+            case "dump":
+                await dumpStream(args);
+                return;
+
+            case "check-iterator":
+                await checkIterator(args);
+                return;
+
+            case "checkpoints":
+                await checkpointsCommand(
+                    args._[1],
+                    args,
+                    await getCheckpointStore(args)
+                );
+                return;
+
+            case "verify-checkpoints":
+                await verifyCheckpoints(args);
+                return;
+
+            case "shard-for":
+                await shardFor(args);
+                return;
+
+            case "describe":
+                await describeCommand(
+                    await getKinesisInstance(args),
+                    args,
+                    args.lag ? await getCheckpointStore(args) : null
+                );
+                return;
+
+            case "put":
+            case "replay":
+                await putCommand(await getKinesisInstance(args), args, logger);
+                return;
+
+            default:
+                throw new Error(`Failed to handle command ${command}`);
+        }
+    } catch (error) {
+        if (args.debug) {
+            console.error(error);
+        } else {
+            console.error(
+                `An error occurred (${error.name}): ${error.message}`
+            );
+        }
+        process.exitCode =
+            error instanceof DataLossError ? DATA_LOSS_EXIT_CODE : 1;
+    } finally {
+        const { retries, throttling, transient } = getRetryStats();
+        if (retries) {
+            console.error(
+                chalk.yellow(
+                    `Retried AWS requests ${retries} time(s): ${throttling} after throttling, ${transient} after other errors`
+                )
+            );
+        }
+    }
+}
+
+function verboseLogger(message, ...meta) {
+    console.error(message, ...meta);
+}
+
+function silentLogger() {}
+
+if (require.main === module) {
+    main();
+}
+
+// For the specs, which run commands without starting a process for each.
+module.exports = {
+    main,
+    parseArgs
+};
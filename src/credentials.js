@@ -0,0 +1,321 @@
+const AWS = require("aws-sdk");
+const { version: sdkVersion } = require("aws-sdk/package.json");
+const readline = require("readline");
+const { CallerError } = require("./error");
+
+// Temporary credentials are refreshed this long before they expire, so that no request is signed
+// with credentials that expire while it's still running (a SubscribeToShard call lasts up to five
+// minutes).
+const EXPIRY_WINDOW_SECONDS = 5 * 60;
+
+/**
+ * Get the credentials for a profile in the shared credentials file (`~/.aws/credentials`) or config
+ * file (`~/.aws/config`), as the AWS CLI would: the profile's static keys, the output of its
+ * `credential_process`, or its `role_arn`, assumed with the credentials of its `source_profile` (or
+ * of its `credential_source`: "Environment", "Ec2InstanceMetadata", or "EcsContainer"). Temporary
+ * credentials are refreshed before they expire.
+ *
+ * @param {string} profileName
+ * @param {object} [options]
+ * @param {string} [options.region] The region to call STS in.
+ * @param {function} [options.tokenCodeFn] Gets the MFA code for a role with an `mfa_serial`, see
+ * {@link createTokenCodeFn}.
+ * @param {function} [options.logger]
+ * @returns {AWS.Credentials}
+ * @throws {CallerError} If the profile isn't found, or doesn't say where to get credentials.
+ */
+function getProfileCredentials(profileName, options = {}) {
+    return resolveProfile(loadProfiles(), profileName, [], options);
+}
+
+function resolveProfile(profiles, profileName, sourceOf, options) {
+    const profile = profiles[profileName];
+    if (!profile) {
+        throw new CallerError(
+            `Profile ${profileName} was not found in the AWS credentials or config file`
+        );
+    }
+    if (sourceOf.includes(profileName)) {
+        throw new CallerError(
+            `Profile ${profileName} is its own source_profile, through ${sourceOf.join(
+                ", "
+            )}`
+        );
+    }
+    const hasKeys = Boolean(
+        profile.aws_access_key_id && profile.aws_secret_access_key
+    );
+    // As in the AWS CLI, a source profile's keys are used before its role.
+    if (profile.role_arn && !(sourceOf.length && hasKeys)) {
+        return assumeRole(
+            getSourceCredentials(profiles, profileName, sourceOf, options),
+            profile.role_arn,
+            {
+                ...options,
+                sessionName: profile.role_session_name,
+                externalId: profile.external_id,
+                durationSeconds:
+                    profile.duration_seconds &&
+                    Number(profile.duration_seconds),
+                mfaSerial: profile.mfa_serial
+            }
+        );
+    }
+    if (profile.credential_process) {
+        return new ProcessCredentials(profileName, options);
+    }
+    if (!hasKeys) {
+        throw new CallerError(
+            `Profile ${profileName} has no credentials: it needs keys, a credential_process, or a role_arn`
+        );
+    }
+    return new AWS.Credentials(
+        profile.aws_access_key_id,
+        profile.aws_secret_access_key,
+        profile.aws_session_token
+    );
+}
+
+function getSourceCredentials(profiles, profileName, sourceOf, options) {
+    const profile = profiles[profileName];
+    if (profile.source_profile) {
+        return resolveProfile(
+            profiles,
+            profile.source_profile,
+            [...sourceOf, profileName],
+            options
+        );
+    }
+    switch (profile.credential_source) {
+        case "Environment":
+            return new AWS.EnvironmentCredentials("AWS");
+        case "Ec2InstanceMetadata":
+            return new AWS.EC2MetadataCredentials();
+        case "EcsContainer":
+            return new AWS.ECSCredentials();
+        case undefined:
+            throw new CallerError(
+                `Profile ${profileName} has a role_arn, but no source_profile or credential_source to assume it with`
+            );
+        default:
+            throw new CallerError(
+                `Profile ${profileName} has an unsupported credential_source ${profile.credential_source}, expected ` +
+                    "Environment, Ec2InstanceMetadata, or EcsContainer"
+            );
+    }
+}
+
+/**
+ * Load the profiles from the config file and the credentials file, with the credentials file taking
+ * precedence for settings that are in both.
+ */
+function loadProfiles() {
+    const iniLoader = new AWS.IniLoader();
+    const load = options => {
+        try {
+            return iniLoader.loadFrom(options);
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return {};
+            }
+            throw error;
+        }
+    };
+    const config = load({
+        isConfig: true,
+        filename: process.env.AWS_CONFIG_FILE
+    });
+    const credentials = load({
+        filename: process.env.AWS_SHARED_CREDENTIALS_FILE
+    });
+    const profiles = {};
+    [config, credentials].forEach(file =>
+        Object.entries(file).forEach(([profileName, profile]) => {
+            profiles[profileName] = { ...profiles[profileName], ...profile };
+        })
+    );
+    return profiles;
+}
+
+/**
+ * Get credentials for a role, assumed with the given credentials (or the default credentials, if
+ * they're null). The role is assumed again before the credentials expire, and if the given
+ * credentials are also for an assumed role, they're refreshed first, so a chain of roles stays
+ * fresh however long it's used for.
+ *
+ * @param {AWS.Credentials|null} masterCredentials
+ * @param {string} roleArn
+ * @param {AssumeRoleOptions} [options]
+ * @returns {AWS.Credentials}
+ */
+function assumeRole(masterCredentials, roleArn, options = {}) {
+    return new AssumedRoleCredentials(masterCredentials, roleArn, options);
+}
+
+class AssumedRoleCredentials extends AWS.ChainableTemporaryCredentials {
+    constructor(
+        masterCredentials,
+        roleArn,
+        {
+            region,
+            sessionName,
+            externalId,
+            durationSeconds,
+            mfaSerial,
+            tokenCodeFn,
+            logger = () => {}
+        }
+    ) {
+        if (mfaSerial && !tokenCodeFn) {
+            throw new CallerError(
+                `Role ${roleArn} needs an MFA code for ${mfaSerial}, but there's no way to get one`
+            );
+        }
+        super({
+            params: {
+                RoleArn: roleArn,
+                RoleSessionName: sessionName || `kinesis-reader-${Date.now()}`,
+                ...(externalId && { ExternalId: externalId }),
+                ...(durationSeconds && { DurationSeconds: durationSeconds }),
+                ...(mfaSerial && { SerialNumber: mfaSerial })
+            },
+            ...(masterCredentials && { masterCredentials }),
+            ...(mfaSerial && { tokenCodeFn }),
+            stsConfig: { apiVersion: "2011-06-15", region }
+        });
+        this.roleArn = roleArn;
+        this.logger = logger;
+        this.expiryWindow = EXPIRY_WINDOW_SECONDS;
+    }
+
+    load(callback) {
+        super.load(error => {
+            if (!error) {
+                this.logger(
+                    `Assumed role: ${
+                        this.roleArn
+                    } (expires ${this.expireTime.toISOString()})`
+                );
+            }
+            callback(error);
+        });
+    }
+}
+
+/**
+ * Credentials from a profile's `credential_process`, which prints them as JSON (see
+ * https://docs.aws.amazon.com/cli/latest/userguide/cli-configure-sourcing-external.html). The SDK
+ * runs the process, and runs it again before the credentials expire, if they have an expiration
+ * time. It only finds the profile in the config file when `AWS_SDK_LOAD_CONFIG` is set, though, so
+ * the profile is loaded the same way as every other profile here, and given to the method the SDK
+ * runs the process with. That method is private to the SDK, so we check that it's still there.
+ */
+class ProcessCredentials extends AWS.ProcessCredentials {
+    constructor(profileName, { logger = () => {} }) {
+        super({ profile: profileName });
+        this.logger = logger;
+        this.expiryWindow = EXPIRY_WINDOW_SECONDS;
+    }
+
+    load(callback) {
+        if (typeof this.loadViaCredentialProcess !== "function") {
+            callback(
+                new CallerError(
+                    `The credential_process for profile ${this.profile} can't be run with version ${sdkVersion} of the AWS SDK, ` +
+                        "which no longer runs it the way we expect"
+                )
+            );
+            return;
+        }
+        this.loadViaCredentialProcess(
+            loadProfiles()[this.profile] || {},
+            (error, output) => {
+                if (error) {
+                    callback(
+                        new CallerError(
+                            `The credential_process for profile ${this.profile} failed: ${error.message}`,
+                            { cause: error }
+                        )
+                    );
+                    return;
+                }
+                this.accessKeyId = output.AccessKeyId;
+                this.secretAccessKey = output.SecretAccessKey;
+                this.sessionToken = output.SessionToken;
+                this.expireTime = output.Expiration
+                    ? new Date(output.Expiration)
+                    : null;
+                this.expired = false;
+                this.logger(
+                    `Loaded credentials for profile ${this.profile} from its credential_process` +
+                        (this.expireTime
+                            ? ` (expires ${this.expireTime.toISOString()})`
+                            : "")
+                );
+                callback(null);
+            }
+        );
+    }
+}
+
+/**
+ * Get a function for the SDK to get MFA codes from: the code that was given up front the first time,
+ * and after that (when credentials are refreshed, by which time that code will have expired) one
+ * that's typed in at the terminal.
+ *
+ * @param {string} [code]
+ * @returns {function(string, function(Error, string=): void): void}
+ */
+function createTokenCodeFn(code) {
+    let nextCode = code;
+    return (serialNumber, callback) => {
+        if (nextCode) {
+            const tokenCode = nextCode;
+            nextCode = null;
+            callback(null, tokenCode);
+            return;
+        }
+        promptForTokenCode(serialNumber).then(
+            tokenCode => callback(null, tokenCode),
+            error => callback(error)
+        );
+    };
+}
+
+async function promptForTokenCode(serialNumber) {
+    if (!process.stdin.isTTY) {
+        throw new CallerError(
+            `An MFA code for ${serialNumber} is needed, but there's no terminal to ask for one`
+        );
+    }
+    const prompt = readline.createInterface({
+        input: process.stdin,
+        output: process.stderr
+    });
+    try {
+        return await new Promise(resolve =>
+            prompt.question(`MFA code for ${serialNumber}: `, answer =>
+                resolve(answer.trim())
+            )
+        );
+    } finally {
+        prompt.close();
+    }
+}
+
+module.exports = {
+    getProfileCredentials,
+    assumeRole,
+    createTokenCodeFn
+};
+
+/**
+ * @typedef {object} AssumeRoleOptions
+ * @property {string} [region] The region to call STS in.
+ * @property {string} [sessionName] The role session name, which defaults to one with the time.
+ * @property {string} [externalId]
+ * @property {number} [durationSeconds] How long each session lasts, which defaults to an hour.
+ * @property {string} [mfaSerial] The MFA device to get a code from, for a role that needs one.
+ * @property {function} [tokenCodeFn] Gets the MFA code, see {@link createTokenCodeFn}.
+ * @property {function} [logger]
+ */
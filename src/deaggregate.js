@@ -0,0 +1,229 @@
+const crypto = require("crypto");
+const { DecodeError } = require("./error");
+
+// Per https://github.com/awslabs/amazon-kinesis-producer/blob/master/aggregation-format.md
+const KPL_MAGIC = Buffer.from([0xf3, 0x89, 0x9a, 0xc2]);
+const MD5_LENGTH = 16;
+
+const WIRE_TYPE_VARINT = 0;
+const WIRE_TYPE_64BIT = 1;
+const WIRE_TYPE_LENGTH_DELIMITED = 2;
+const WIRE_TYPE_32BIT = 5;
+
+/**
+ * Expand a Kinesis record into the user records it contains, if it was aggregated by the Kinesis
+ * Producer Library (KPL). Each user record has the same fields as the Kinesis record (notably the
+ * SequenceNumber), but with its own `Data`, `PartitionKey`, and `ExplicitHashKey` (if any), and a
+ * `SubSequenceNumber` giving its index in the aggregated record.
+ *
+ * Records that aren't aggregated (i.e., don't start with the KPL magic number or don't have a valid
+ * MD5 trailer) are returned as is, as the only element of the array.
+ *
+ * @param {object} record A record as returned by Kinesis GetRecords.
+ * @returns {object[]}
+ * @throws {DecodeError} If the record has a valid MD5 trailer, but its contents can't be parsed.
+ */
+function deaggregate(record) {
+    const data = record.Data;
+    if (!isAggregated(data)) {
+        return [record];
+    }
+    let aggregatedRecord;
+    try {
+        aggregatedRecord = parseAggregatedRecord(
+            data.slice(KPL_MAGIC.length, data.length - MD5_LENGTH)
+        );
+    } catch (error) {
+        throw new DecodeError(
+            `Failed to deaggregate record ${record.SequenceNumber}: ${error.message}`,
+            {
+                stage: "deaggregate",
+                sequenceNumber: record.SequenceNumber,
+                cause: error
+            }
+        );
+    }
+    const {
+        partitionKeyTable,
+        explicitHashKeyTable,
+        records
+    } = aggregatedRecord;
+    return records.map((userRecord, idx) => ({
+        ...record,
+        PartitionKey: partitionKeyTable[userRecord.partitionKeyIndex],
+        ...(userRecord.explicitHashKeyIndex != null && {
+            ExplicitHashKey:
+                explicitHashKeyTable[userRecord.explicitHashKeyIndex]
+        }),
+        SubSequenceNumber: idx,
+        Data: userRecord.data
+    }));
+}
+
+module.exports = deaggregate;
+
+function isAggregated(data) {
+    if (
+        !Buffer.isBuffer(data) ||
+        data.length <= KPL_MAGIC.length + MD5_LENGTH ||
+        !data.slice(0, KPL_MAGIC.length).equals(KPL_MAGIC)
+    ) {
+        return false;
+    }
+    const message = data.slice(KPL_MAGIC.length, data.length - MD5_LENGTH);
+    const checksum = data.slice(data.length - MD5_LENGTH);
+    return crypto
+        .createHash("md5")
+        .update(message)
+        .digest()
+        .equals(checksum);
+}
+
+/**
+ * Parse the AggregatedRecord protobuf message:
+ *
+ * ```protobuf
+ * message AggregatedRecord {
+ *     repeated string partition_key_table = 1;
+ *     repeated string explicit_hash_key_table = 2;
+ *     repeated Record records = 3;
+ * }
+ * ```
+ */
+function parseAggregatedRecord(buffer) {
+    const aggregatedRecord = {
+        partitionKeyTable: [],
+        explicitHashKeyTable: [],
+        records: []
+    };
+    for (const { fieldNumber, value } of readFields(buffer)) {
+        switch (fieldNumber) {
+            case 1:
+                aggregatedRecord.partitionKeyTable.push(value.toString("utf8"));
+                break;
+            case 2:
+                aggregatedRecord.explicitHashKeyTable.push(
+                    value.toString("utf8")
+                );
+                break;
+            case 3:
+                aggregatedRecord.records.push(parseRecord(value));
+                break;
+        }
+    }
+    aggregatedRecord.records.forEach((record, idx) => {
+        checkIndex(
+            record.partitionKeyIndex,
+            aggregatedRecord.partitionKeyTable,
+            `Sub-record ${idx} has partition key index`
+        );
+        if (record.explicitHashKeyIndex != null) {
+            checkIndex(
+                record.explicitHashKeyIndex,
+                aggregatedRecord.explicitHashKeyTable,
+                `Sub-record ${idx} has explicit hash key index`
+            );
+        }
+    });
+    return aggregatedRecord;
+}
+
+function checkIndex(index, table, description) {
+    if (index >= table.length) {
+        throw new Error(
+            `${description} ${index}, but the table only has ${table.length} entries`
+        );
+    }
+}
+
+/**
+ * Parse a Record protobuf message. We don't bother with the tags, they aren't used.
+ *
+ * ```protobuf
+ * message Record {
+ *     required uint64 partition_key_index = 1;
+ *     optional uint64 explicit_hash_key_index = 2;
+ *     required bytes data = 3;
+ *     repeated Tag tags = 4;
+ * }
+ * ```
+ */
+function parseRecord(buffer) {
+    const record = { data: Buffer.alloc(0) };
+    for (const { fieldNumber, value } of readFields(buffer)) {
+        switch (fieldNumber) {
+            case 1:
+                record.partitionKeyIndex = value;
+                break;
+            case 2:
+                record.explicitHashKeyIndex = value;
+                break;
+            case 3:
+                record.data = value;
+                break;
+        }
+    }
+    if (record.partitionKeyIndex == null) {
+        throw new Error("Sub-record is missing its partition key index");
+    }
+    return record;
+}
+
+/**
+ * Iterate over the fields of a protobuf message. Varint fields are given as numbers, length-delimited
+ * fields as Buffers.
+ */
+function* readFields(buffer) {
+    let offset = 0;
+    while (offset < buffer.length) {
+        const key = readVarint(buffer, offset);
+        offset = key.offset;
+        const fieldNumber = Math.floor(key.value / 8);
+        const wireType = key.value % 8;
+        switch (wireType) {
+            case WIRE_TYPE_VARINT: {
+                const { value, offset: nextOffset } = readVarint(
+                    buffer,
+                    offset
+                );
+                offset = nextOffset;
+                yield { fieldNumber, value };
+                break;
+            }
+            case WIRE_TYPE_LENGTH_DELIMITED: {
+                const length = readVarint(buffer, offset);
+                offset = length.offset + length.value;
+                if (offset > buffer.length) {
+                    throw new Error("Truncated protobuf message");
+                }
+                yield {
+                    fieldNumber,
+                    value: buffer.slice(length.offset, offset)
+                };
+                break;
+            }
+            case WIRE_TYPE_64BIT:
+                offset += 8;
+                break;
+            case WIRE_TYPE_32BIT:
+                offset += 4;
+                break;
+            default:
+                throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+}
+
+function readVarint(buffer, offset) {
+    let value = 0;
+    let multiplier = 1;
+    for (let idx = offset; idx < buffer.length; idx++) {
+        const byte = buffer[idx];
+        value += (byte & 0x7f) * multiplier;
+        if (!(byte & 0x80)) {
+            return { value, offset: idx + 1 };
+        }
+        multiplier *= 128;
+    }
+    throw new Error("Truncated protobuf varint");
+}
@@ -0,0 +1,219 @@
+const chalk = require("chalk");
+const humanizeDuration = require("humanize-duration");
+const { listShards, getParentIds } = require("./shards");
+const { foldCheckpoints } = require("./checkpoints");
+const withRetry = require("./retry");
+const printTable = require("./table");
+
+/**
+ * Describe a stream and its shards: the state, hash key range, parents and children, and
+ * sequence number range of each shard, along with the stream's retention period and encryption.
+ * With the `lag` option, also probe how far behind the tip of the stream each open shard's trim
+ * horizon and checkpoint are. The checkpoint store (if any) is closed when the command is done.
+ *
+ * @param {AWS.Kinesis} kinesis
+ * @param {object} args The parsed command line arguments.
+ * @param {CheckpointStore} [checkpointStore] The store to get checkpoints from, for `lag`.
+ */
+async function describeCommand(kinesis, args, checkpointStore) {
+    const streamName = args["stream-name"];
+    let checkpoints = {};
+    try {
+        if (checkpointStore) {
+            checkpoints = foldCheckpoints(
+                await checkpointStore.load(streamName)
+            );
+        }
+    } finally {
+        if (checkpointStore) {
+            await checkpointStore.close();
+        }
+    }
+    const summary = (await withRetry(() =>
+        kinesis.describeStreamSummary({ StreamName: streamName }).promise()
+    )).StreamDescriptionSummary;
+    const shards = await listShards(kinesis, streamName);
+    const description = {
+        streamName: summary.StreamName,
+        streamArn: summary.StreamARN,
+        status: summary.StreamStatus,
+        createdAt: summary.StreamCreationTimestamp,
+        retentionPeriodHours: summary.RetentionPeriodHours,
+        encryptionType: summary.EncryptionType || "NONE",
+        ...(summary.KeyId && { keyId: summary.KeyId }),
+        openShardCount: summary.OpenShardCount,
+        shards: shards.map(shard => describeShard(shard, shards))
+    };
+    if (args.lag) {
+        for (const shard of description.shards) {
+            if (shard.state === "open") {
+                shard.lag = await probeLag(
+                    kinesis,
+                    streamName,
+                    shard.shardId,
+                    checkpoints[`${streamName}:${shard.shardId}`]
+                );
+            }
+        }
+    }
+    if (args.json) {
+        console.log(JSON.stringify(description, null, 4));
+    } else {
+        printDescription(description, args.lag);
+    }
+}
+
+module.exports = describeCommand;
+
+function describeShard(shard, shards) {
+    const {
+        HashKeyRange: hashKeys,
+        SequenceNumberRange: sequenceNumbers
+    } = shard;
+    return {
+        shardId: shard.ShardId,
+        state: sequenceNumbers.EndingSequenceNumber ? "closed" : "open",
+        parentShardIds: getParentIds(shard),
+        childShardIds: shards
+            .filter(other => getParentIds(other).includes(shard.ShardId))
+            .map(other => other.ShardId),
+        hashKeyRange: {
+            start: hashKeys.StartingHashKey,
+            end: hashKeys.EndingHashKey
+        },
+        sequenceNumberRange: {
+            start: sequenceNumbers.StartingSequenceNumber,
+            end: sequenceNumbers.EndingSequenceNumber || null
+        }
+    };
+}
+
+/**
+ * Find out how far behind the tip of the stream the shard's trim horizon is (i.e., the age of the
+ * oldest record in the shard), and how far behind the checkpoint is, if there is one.
+ */
+async function probeLag(kinesis, streamName, shardId, checkpoint) {
+    const trimHorizonMs = await getMillisBehindLatest(kinesis, {
+        StreamName: streamName,
+        ShardId: shardId,
+        ShardIteratorType: "TRIM_HORIZON"
+    });
+    const position = getCheckpointPosition(checkpoint);
+    return {
+        trimHorizonMs,
+        checkpointMs: position
+            ? await getMillisBehindLatest(kinesis, {
+                  StreamName: streamName,
+                  ShardId: shardId,
+                  ...position
+              })
+            : null,
+        ...(checkpoint && { checkpoint })
+    };
+}
+
+/**
+ * Get the shard iterator parameters for where reading will resume from a checkpoint, or null if
+ * there's no position to probe.
+ */
+function getCheckpointPosition(checkpoint) {
+    if (!checkpoint || checkpoint.shardIterator === null) {
+        return null;
+    } else if (checkpoint.lastReadSequenceNumber) {
+        return {
+            ShardIteratorType: "AFTER_SEQUENCE_NUMBER",
+            StartingSequenceNumber: checkpoint.lastReadSequenceNumber
+        };
+    } else if (checkpoint.startSequenceNumber) {
+        return {
+            ShardIteratorType: "AT_SEQUENCE_NUMBER",
+            StartingSequenceNumber: checkpoint.startSequenceNumber
+        };
+    } else if (checkpoint.timestamp) {
+        return {
+            ShardIteratorType: "AT_TIMESTAMP",
+            Timestamp: new Date(checkpoint.timestamp)
+        };
+    }
+    return { ShardIteratorType: "TRIM_HORIZON" };
+}
+
+async function getMillisBehindLatest(kinesis, shardIteratorParams) {
+    const { ShardIterator: shardIterator } = await withRetry(() =>
+        kinesis.getShardIterator(shardIteratorParams).promise()
+    );
+    const response = await withRetry(() =>
+        kinesis.getRecords({ ShardIterator: shardIterator, Limit: 1 }).promise()
+    );
+    return response.MillisBehindLatest;
+}
+
+function printDescription(description, lag) {
+    console.log(
+        `${chalk.bold("Stream:")} ${description.streamName} (${
+            description.streamArn
+        })`
+    );
+    console.log(`${chalk.bold("Status:")} ${description.status}`);
+    console.log(
+        `${chalk.bold("Created:")} ${new Date(
+            description.createdAt
+        ).toISOString()}`
+    );
+    console.log(
+        `${chalk.bold("Retention:")} ${description.retentionPeriodHours} hours`
+    );
+    console.log(
+        `${chalk.bold("Encryption:")} ${description.encryptionType}${
+            description.keyId ? ` (${description.keyId})` : ""
+        }`
+    );
+    console.log(
+        `${chalk.bold("Shards:")} ${description.openShardCount} open, ${
+            description.shards.length
+        } total`
+    );
+    console.log();
+    printTable(
+        [
+            "Shard",
+            "State",
+            "Parents",
+            "Children",
+            "Starting hash key",
+            "Ending hash key",
+            "Starting sequence number",
+            "Ending sequence number",
+            ...(lag ? ["Trim horizon behind", "Checkpoint behind"] : [])
+        ],
+        description.shards.map(shard => [
+            shard.shardId,
+            shard.state,
+            shard.parentShardIds.join(", "),
+            shard.childShardIds.join(", "),
+            shard.hashKeyRange.start,
+            shard.hashKeyRange.end,
+            shard.sequenceNumberRange.start,
+            shard.sequenceNumberRange.end || "",
+            ...(lag
+                ? [
+                      describeLag(shard.lag, "trimHorizonMs"),
+                      describeLag(shard.lag, "checkpointMs")
+                  ]
+                : [])
+        ])
+    );
+}
+
+function describeLag(lag, key) {
+    if (!lag) {
+        return "";
+    } else if (lag[key] === null) {
+        return key === "checkpointMs" ? "no checkpoint" : "";
+    }
+    return humanizeDuration(lag[key], { largest: 2, round: true });
+}
+
+/**
+ * @typedef {import("./checkpoint-store").CheckpointStore} CheckpointStore
+ */
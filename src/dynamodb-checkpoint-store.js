@@ -0,0 +1,192 @@
+const AWS = require("aws-sdk");
+const { CallerError } = require("./error");
+const withRetry = require("./retry");
+
+// The special values the KCL uses in the checkpoint attribute instead of a sequence number.
+const TRIM_HORIZON = "TRIM_HORIZON";
+const LATEST = "LATEST";
+const AT_TIMESTAMP = "AT_TIMESTAMP";
+const SHARD_END = "SHARD_END";
+
+/**
+ * A checkpoint store that reads and writes the lease table of a Kinesis Client Library (KCL)
+ * application in DynamoDB, so you can resume reading from where a KCL consumer is, or hand a
+ * position back to one.
+ *
+ * Each lease in the table is an item keyed by `leaseKey`, which is the shard ID (or, for a KCL
+ * application that consumes multiple streams, `account:streamName:creationEpoch:shardId`). The
+ * position in the shard is the `checkpoint` attribute, which is the sequence number of the last
+ * processed record or one of the special values TRIM_HORIZON, LATEST, AT_TIMESTAMP, or SHARD_END,
+ * along with a `checkpointSubSequenceNumber`, which is the index of the last processed user record
+ * in a record aggregated by the KPL (and 0 for other records). That's loaded as the checkpoint's
+ * `lastReadSubSequenceNumber`, so that the rest of the aggregated record is still read.
+ *
+ * The KCL only tracks records, so checkpoints that are only a timestamp or a starting sequence
+ * number (i.e., before any record has been read from the shard) can't be saved. They're skipped
+ * when saved while reading, and {@link DynamoDbCheckpointStore#checkCanSave} rejects them for
+ * commands that only write checkpoints. Saving a checkpoint doesn't take the lease, so a KCL worker
+ * that holds the lease will overwrite it the next time it checkpoints.
+ */
+class DynamoDbCheckpointStore {
+    /**
+     * @param {string} tableName The name of the lease table, which is usually the KCL application name.
+     * @param {object} config Options for the DynamoDB client: region, credentials, and optionally an endpoint.
+     */
+    constructor(tableName, config) {
+        this.tableName = tableName;
+        this.location = `dynamodb://${tableName}`;
+        this.dynamodb = new AWS.DynamoDB({
+            apiVersion: "2012-08-10",
+            ...config
+        });
+        // The lease keys of the leases we've loaded, by streamName:shardId, so we save back to the same items.
+        this.leaseKeys = new Map();
+    }
+
+    async load(streamName) {
+        const entries = [];
+        let exclusiveStartKey;
+        do {
+            const response = await withRetry(() =>
+                this.dynamodb
+                    .scan({
+                        TableName: this.tableName,
+                        ExclusiveStartKey: exclusiveStartKey
+                    })
+                    .promise()
+            );
+            response.Items.forEach(item => {
+                const entry = fromLease(item, streamName);
+                if (!streamName || entry.streamName === streamName) {
+                    this.leaseKeys.set(
+                        `${entry.streamName}:${entry.shardId}`,
+                        item.leaseKey.S
+                    );
+                    entries.push(entry);
+                }
+            });
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return entries;
+    }
+
+    async save(entries) {
+        for (const entry of entries) {
+            const checkpoint = toLeaseCheckpoint(entry);
+            if (!checkpoint) {
+                continue;
+            }
+            const leaseKey =
+                this.leaseKeys.get(`${entry.streamName}:${entry.shardId}`) ||
+                entry.shardId;
+            // Like the KCL does when checkpointing, reset the owner switches and clear any pending
+            // checkpoint. The counters are created if this is a new lease, which a KCL worker will
+            // then pick up.
+            await withRetry(() =>
+                this.dynamodb
+                    .updateItem({
+                        TableName: this.tableName,
+                        Key: { leaseKey: { S: leaseKey } },
+                        UpdateExpression:
+                            "SET #checkpoint = :checkpoint, checkpointSubSequenceNumber = :subSequenceNumber, " +
+                            "ownerSwitchesSinceCheckpoint = :zero, leaseCounter = if_not_exists(leaseCounter, :zero) " +
+                            "REMOVE pendingCheckpoint, pendingCheckpointSubSequenceNumber, pendingCheckpointState",
+                        ExpressionAttributeNames: {
+                            "#checkpoint": "checkpoint"
+                        },
+                        ExpressionAttributeValues: {
+                            ":checkpoint": { S: checkpoint },
+                            ":subSequenceNumber": {
+                                N: String(entry.lastReadSubSequenceNumber || 0)
+                            },
+                            ":zero": { N: "0" }
+                        }
+                    })
+                    .promise()
+            );
+        }
+    }
+
+    /**
+     * Check that a checkpoint can be saved to the table, rather than being skipped.
+     *
+     * @param {CheckpointEntry} entry
+     * @throws {CallerError} If the checkpoint is only a timestamp or a starting sequence number.
+     */
+    checkCanSave(entry) {
+        if (!toLeaseCheckpoint(entry)) {
+            throw new CallerError(
+                `Can't save a checkpoint for shard ${entry.shardId} to ${this.location}: a KCL lease can only ` +
+                    "start from a sequence number, TRIM_HORIZON, or LATEST, and the timestamp for AT_TIMESTAMP is " +
+                    "part of the KCL application's configuration"
+            );
+        }
+    }
+
+    async close() {}
+}
+
+/**
+ * Convert a lease item into a checkpoint entry.
+ */
+function fromLease(item, streamName) {
+    const leaseKey = item.leaseKey.S;
+    const parts = leaseKey.split(":");
+    const checkpoint = item.checkpoint ? item.checkpoint.S : TRIM_HORIZON;
+    return {
+        streamName: parts.length === 4 ? parts[1] : streamName || null,
+        shardId: parts.length === 4 ? parts[3] : leaseKey,
+        ...(item.leaseOwner && { leaseOwner: item.leaseOwner.S }),
+        ...fromLeaseCheckpoint(checkpoint, item.checkpointSubSequenceNumber)
+    };
+}
+
+function fromLeaseCheckpoint(checkpoint, subSequenceNumber) {
+    switch (checkpoint) {
+        case TRIM_HORIZON:
+        case AT_TIMESTAMP:
+            // The timestamp for AT_TIMESTAMP is part of the KCL application's configuration, not
+            // the lease, so the best we can do is start from the beginning.
+            return {};
+
+        case LATEST:
+            return { timestamp: new Date().toISOString() };
+
+        case SHARD_END:
+            return { shardIterator: null, lastReadSequenceNumber: null };
+
+        default:
+            return {
+                lastReadSequenceNumber: checkpoint,
+                lastReadSubSequenceNumber: subSequenceNumber
+                    ? Number(subSequenceNumber.N)
+                    : 0
+            };
+    }
+}
+
+/**
+ * Get the value of the lease's checkpoint attribute for a checkpoint, or null if the checkpoint
+ * can't be represented in the lease.
+ */
+function toLeaseCheckpoint({
+    shardIterator,
+    lastReadSequenceNumber,
+    startSequenceNumber,
+    timestamp
+}) {
+    if (shardIterator === null) {
+        return SHARD_END;
+    } else if (lastReadSequenceNumber) {
+        return lastReadSequenceNumber;
+    } else if (startSequenceNumber || timestamp) {
+        return null;
+    }
+    return TRIM_HORIZON;
+}
+
+module.exports = DynamoDbCheckpointStore;
+
+/**
+ * @typedef {import("./checkpoint-store").CheckpointEntry} CheckpointEntry
+ */
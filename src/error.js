@@ -7,6 +7,33 @@ class CallerError extends Error {
     }
 }
 
+/**
+ * Indicates that a record's data could not be decoded by one of the stages of the data format.
+ */
+class DecodeError extends Error {
+    constructor(message, props = {}) {
+        super(message);
+        this.name = "DecodeError";
+        Error.captureStackTrace(this, this.constructor);
+        Object.assign(this, props);
+    }
+}
+
+/**
+ * Indicates that records after a checkpoint were lost because they fell out of the stream's
+ * retention window before they were read.
+ */
+class DataLossError extends Error {
+    constructor(message, props = {}) {
+        super(message);
+        this.name = "DataLossError";
+        Error.captureStackTrace(this, this.constructor);
+        Object.assign(this, props);
+    }
+}
+
 module.exports = {
-    CallerError
+    CallerError,
+    DecodeError,
+    DataLossError
 };
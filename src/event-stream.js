@@ -0,0 +1,69 @@
+const { version: sdkVersion } = require("aws-sdk/package.json");
+
+// The AWS SDK (v2) has a parser for event streams, but it's private to the SDK (it isn't in its
+// typings or docs), so it could move or change in any release. This module is the only one that
+// uses it, and checks that it's still there, so that if it isn't, enhanced fan-out fails with an
+// error that says why, instead of a TypeError somewhere in the middle of reading a shard.
+let parser = null;
+
+/**
+ * Read the messages of an AWS event stream, which is how Kinesis sends the events for
+ * SubscribeToShard. Each message is a binary frame with typed headers and a payload, per
+ * https://docs.aws.amazon.com/transcribe/latest/dg/event-stream.html.
+ *
+ * @param {stream.Readable} stream The body of the response.
+ * @returns {AsyncIterableIterator<{headers: Object<string, *>, body: Buffer}>} The messages,
+ * with the value of each header.
+ */
+function readMessages(stream) {
+    // Load the parser now, rather than when the first message is read, so it fails right away.
+    return parseMessages(stream, loadParser());
+}
+
+async function* parseMessages(
+    stream,
+    { EventMessageChunkerStream, parseMessage }
+) {
+    // In object mode, so that each message is read on its own, rather than concatenated with any
+    // others that are buffered.
+    const chunker = new EventMessageChunkerStream({ readableObjectMode: true });
+    stream.on("error", error => chunker.destroy(error));
+    for await (const chunk of stream.pipe(chunker)) {
+        const { headers, body } = parseMessage(chunk);
+        const values = {};
+        Object.entries(headers).forEach(([name, header]) => {
+            values[name] = header.value;
+        });
+        yield { headers: values, body };
+    }
+}
+
+function loadParser() {
+    if (!parser) {
+        let loaded;
+        try {
+            loaded = {
+                ...require("aws-sdk/lib/event-stream/event-message-chunker-stream"),
+                ...require("aws-sdk/lib/event-stream/parse-message")
+            };
+        } catch (error) {
+            throw unsupportedSdk(error.message);
+        }
+        if (
+            typeof loaded.EventMessageChunkerStream !== "function" ||
+            typeof loaded.parseMessage !== "function"
+        ) {
+            throw unsupportedSdk("its event stream parser has changed");
+        }
+        parser = loaded;
+    }
+    return parser;
+}
+
+function unsupportedSdk(reason) {
+    return new Error(
+        `Enhanced fan-out can't parse event streams with version ${sdkVersion} of the AWS SDK: ${reason}`
+    );
+}
+
+module.exports = { readMessages };
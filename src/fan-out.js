@@ -0,0 +1,334 @@
+const http2 = require("http2");
+const withRetry = require("./retry");
+const ShardSubscription = require("./shard-subscription");
+const { CallerError } = require("./error");
+const { getMoreRecordsBy } = require("./retention");
+const { wait } = require("./wait");
+
+// Per https://docs.aws.amazon.com/kinesis/latest/APIReference/API_DescribeStreamConsumer.html,
+// we can call DescribeStreamConsumer up to 20 times per second, but registering a consumer takes
+// a few seconds, so there's no need to ask that often.
+const CONSUMER_STATUS_POLL_INTERVAL_MS = 1000;
+const MAX_CONSUMER_STATUS_POLLS = 120;
+
+/**
+ * An enhanced fan-out consumer of a stream, for reading shards with SubscribeToShard instead of
+ * polling them with GetRecords. Each consumer gets its own read throughput from each shard, so it
+ * doesn't compete with other consumers of the stream.
+ *
+ * Subscriptions to all shards share a single HTTP/2 session with the Kinesis endpoint.
+ */
+class FanOutConsumer {
+    /**
+     * Get the stream's consumer with the given name, registering it if it doesn't exist, and wait
+     * for it to be active.
+     *
+     * @param {AWS.Kinesis} kinesis
+     * @param {string} streamName
+     * @param {string} consumerName
+     * @param {object} [options]
+     * @param {function} [options.logger]
+     * @returns {Promise<FanOutConsumer>}
+     */
+    static async open(
+        kinesis,
+        streamName,
+        consumerName,
+        { logger = () => {} } = {}
+    ) {
+        const { StreamARN: streamArn } = (await withRetry(() =>
+            kinesis.describeStreamSummary({ StreamName: streamName }).promise()
+        )).StreamDescriptionSummary;
+        let consumer = await describeConsumer(kinesis, streamArn, consumerName);
+        if (consumer) {
+            logger(`Using existing consumer ${consumerName}`, {
+                consumerArn: consumer.ConsumerARN,
+                status: consumer.ConsumerStatus
+            });
+        } else {
+            consumer = (await withRetry(() =>
+                kinesis
+                    .registerStreamConsumer({
+                        StreamARN: streamArn,
+                        ConsumerName: consumerName
+                    })
+                    .promise()
+            )).Consumer;
+            logger(`Registered consumer ${consumerName}`, {
+                consumerArn: consumer.ConsumerARN
+            });
+        }
+        for (let poll = 0; consumer.ConsumerStatus !== "ACTIVE"; poll++) {
+            if (
+                consumer.ConsumerStatus === "DELETING" ||
+                poll >= MAX_CONSUMER_STATUS_POLLS
+            ) {
+                throw new CallerError(
+                    `Consumer ${consumerName} of stream ${streamName} is ${consumer.ConsumerStatus}, and can't be used`,
+                    { consumerArn: consumer.ConsumerARN }
+                );
+            }
+            await wait(CONSUMER_STATUS_POLL_INTERVAL_MS);
+            consumer = await describeConsumer(kinesis, streamArn, consumerName);
+            if (!consumer) {
+                throw new CallerError(
+                    `Consumer ${consumerName} of stream ${streamName} was deregistered while waiting for it to be active`
+                );
+            }
+        }
+        return new FanOutConsumer(kinesis, consumer.ConsumerARN, { logger });
+    }
+
+    /**
+     * @param {AWS.Kinesis} kinesis
+     * @param {string} consumerArn
+     * @param {object} [options]
+     * @param {function} [options.logger]
+     */
+    constructor(kinesis, consumerArn, { logger = () => {} } = {}) {
+        this.kinesis = kinesis;
+        this.consumerArn = consumerArn;
+        this.logger = logger;
+        this.session = null;
+    }
+
+    /**
+     * Get a reader for a shard, starting from the given checkpoint. The reader works just like the
+     * one from {@link readFromShard}, with each cursor having the records from one event.
+     *
+     * @param {string} shardId
+     * @param {Checkpoint} lastCheckpoint
+     * @param {ShardReaderOptions} [options]
+     * @returns {InitialShardReadCursor}
+     */
+    readFromShard(shardId, lastCheckpoint, { follow = false } = {}) {
+        const reader = new SubscriptionReader(this, shardId, lastCheckpoint, {
+            follow
+        });
+        return { next: () => reader.read() };
+    }
+
+    /**
+     * Subscribe to a shard, starting from the given position.
+     *
+     * @param {string} shardId
+     * @param {object} startingPosition The StartingPosition for SubscribeToShard.
+     * @returns {Promise<ShardSubscription>}
+     */
+    async subscribe(shardId, startingPosition) {
+        const subscription = new ShardSubscription(
+            this.getSession(),
+            this.kinesis,
+            {
+                ConsumerARN: this.consumerArn,
+                ShardId: shardId,
+                StartingPosition: startingPosition
+            }
+        );
+        await subscription.open();
+        this.logger(`Subscribed to shard ${shardId}`, { startingPosition });
+        return subscription;
+    }
+
+    getSession() {
+        if (!this.session || this.session.closed || this.session.destroyed) {
+            this.session = http2.connect(this.kinesis.endpoint.href);
+            // Errors are also given to the open streams, which is where we handle them.
+            this.session.on("error", error =>
+                this.logger("HTTP/2 session error", error)
+            );
+        }
+        return this.session;
+    }
+
+    /**
+     * Close the HTTP/2 session, ending any subscriptions that are still open, and optionally
+     * deregister the consumer from the stream.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.deregister]
+     */
+    async close({ deregister = false } = {}) {
+        if (this.session) {
+            this.session.destroy();
+        }
+        if (deregister) {
+            await withRetry(() =>
+                this.kinesis
+                    .deregisterStreamConsumer({
+                        ConsumerARN: this.consumerArn
+                    })
+                    .promise()
+            );
+            this.logger("Deregistered consumer", {
+                consumerArn: this.consumerArn
+            });
+        }
+    }
+}
+
+/**
+ * Reads a shard one event at a time, subscribing again whenever a subscription ends (which they do
+ * every five minutes), or fails in a way that's worth retrying. Each new subscription starts from
+ * the continuation sequence number of the last event, so nothing is missed or read twice.
+ */
+class SubscriptionReader {
+    constructor(consumer, shardId, lastCheckpoint, { follow }) {
+        this.consumer = consumer;
+        this.shardId = shardId;
+        this.checkpoint = lastCheckpoint || {};
+        this.follow = follow;
+        this.continuationSequenceNumber = null;
+        this.subscription = null;
+    }
+
+    /**
+     * @returns {Promise<ShardReadCursor>}
+     */
+    async read() {
+        const event = await withRetry(async () => {
+            for (;;) {
+                if (!this.subscription) {
+                    this.subscription = await this.consumer.subscribe(
+                        this.shardId,
+                        this.getStartingPosition()
+                    );
+                }
+                let nextEvent;
+                try {
+                    nextEvent = await this.subscription.next();
+                } catch (error) {
+                    this.cancel();
+                    throw error;
+                }
+                if (nextEvent) {
+                    return nextEvent;
+                }
+                // The subscription expired, so renew it.
+                this.subscription = null;
+            }
+        });
+        const shardEnded = !event.ContinuationSequenceNumber;
+        this.continuationSequenceNumber = event.ContinuationSequenceNumber;
+        this.checkpoint = getNextCheckpoint(event, this.checkpoint, shardEnded);
+        const more = this.follow
+            ? !shardEnded
+            : Boolean(event.MillisBehindLatest) && !shardEnded;
+        if (!more) {
+            this.cancel();
+        }
+        return {
+            records: event.Records,
+            checkpoint: this.checkpoint,
+            millisBehindLatest: event.MillisBehindLatest,
+            shardEnded,
+            ...(more && { next: () => this.read() })
+        };
+    }
+
+    getStartingPosition() {
+        const sequenceNumber =
+            this.continuationSequenceNumber ||
+            this.checkpoint.lastReadSequenceNumber;
+        if (
+            !this.continuationSequenceNumber &&
+            sequenceNumber &&
+            this.checkpoint.lastReadSubSequenceNumber != null
+        ) {
+            // Like the poll reader, start at a partly read aggregated record.
+            return {
+                Type: "AT_SEQUENCE_NUMBER",
+                SequenceNumber: sequenceNumber
+            };
+        } else if (sequenceNumber) {
+            return {
+                Type: "AFTER_SEQUENCE_NUMBER",
+                SequenceNumber: sequenceNumber
+            };
+        } else if (this.checkpoint.startSequenceNumber) {
+            return {
+                Type: "AT_SEQUENCE_NUMBER",
+                SequenceNumber: this.checkpoint.startSequenceNumber
+            };
+        } else if (this.checkpoint.timestamp) {
+            return {
+                Type: "AT_TIMESTAMP",
+                Timestamp: new Date(this.checkpoint.timestamp).getTime() / 1000
+            };
+        }
+        return { Type: "TRIM_HORIZON" };
+    }
+
+    cancel() {
+        if (this.subscription) {
+            this.subscription.cancel();
+            this.subscription = null;
+        }
+    }
+}
+
+/**
+ * Get the checkpoint after an event. These are the same as the checkpoints from polling, except
+ * there's no shard iterator to resume from (other than null, once the shard has been read to the end).
+ */
+function getNextCheckpoint(event, lastCheckpoint, shardEnded) {
+    const records = event.Records;
+    const lastRecord = records[records.length - 1] || {};
+    const lastReadSequenceNumber =
+        lastRecord.SequenceNumber || lastCheckpoint.lastReadSequenceNumber;
+    const lastReadTimestamp =
+        lastRecord.ApproximateArrivalTimestamp ||
+        lastCheckpoint.lastReadTimestamp;
+    const moreRecordsBy = getMoreRecordsBy(
+        records,
+        event.MillisBehindLatest,
+        lastCheckpoint
+    );
+    return {
+        ...(shardEnded && { shardIterator: null }),
+        lastReadSequenceNumber: lastReadSequenceNumber || null,
+        ...(!lastRecord.SequenceNumber &&
+            lastCheckpoint.lastReadSubSequenceNumber != null && {
+                lastReadSubSequenceNumber:
+                    lastCheckpoint.lastReadSubSequenceNumber
+            }),
+        ...(lastReadTimestamp && { lastReadTimestamp }),
+        ...(moreRecordsBy && { moreRecordsBy }),
+        ...(!lastReadSequenceNumber &&
+            lastCheckpoint.startSequenceNumber && {
+                startSequenceNumber: lastCheckpoint.startSequenceNumber
+            }),
+        ...(!lastReadSequenceNumber &&
+            lastCheckpoint.timestamp && { timestamp: lastCheckpoint.timestamp })
+    };
+}
+
+/**
+ * Get the description of the stream's consumer with the given name, or null if there isn't one.
+ */
+function describeConsumer(kinesis, streamArn, consumerName) {
+    return withRetry(async () => {
+        try {
+            return (await kinesis
+                .describeStreamConsumer({
+                    StreamARN: streamArn,
+                    ConsumerName: consumerName
+                })
+                .promise()).ConsumerDescription;
+        } catch (error) {
+            if (error.code === "ResourceNotFoundException") {
+                return null;
+            }
+            throw error;
+        }
+    });
+}
+
+module.exports = FanOutConsumer;
+
+/**
+ * @typedef {import("./shard-reader").Checkpoint} Checkpoint
+ * @typedef {import("./shard-reader").ShardReaderOptions} ShardReaderOptions
+ * @typedef {import("./shard-reader").ShardReadCursor} ShardReadCursor
+ * @typedef {import("./shard-reader").InitialShardReadCursor} InitialShardReadCursor
+ */
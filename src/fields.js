@@ -0,0 +1,114 @@
+const { CallerError } = require("./error");
+
+/**
+ * The fields output in columns when no fields are given.
+ */
+const DEFAULT_FIELDS = [
+    "_shardId",
+    "SequenceNumber",
+    "PartitionKey",
+    "ApproximateArrivalTimestamp",
+    "_data"
+];
+
+/**
+ * Parse a comma-separated list of fields to output, each of which is a path into the record, with
+ * property names separated by dots and array indexes in brackets, e.g., `_data.user.id` or
+ * `_data.items[0].sku`.
+ *
+ * @param {string} fields
+ * @returns {Field[]}
+ * @throws {CallerError} If any of the fields isn't a valid path.
+ */
+function parseFields(fields) {
+    const parsed = fields
+        .split(",")
+        .map(field => field.trim())
+        .filter(Boolean)
+        .map(parseField);
+    if (!parsed.length) {
+        throw new CallerError(`No fields given in "${fields}"`);
+    }
+    return parsed;
+}
+
+const FIELD_PATTERN = /^[^.[\]]+(\[\d+\])*(\.[^.[\]]+(\[\d+\])*)*$/;
+
+function parseField(name) {
+    if (!FIELD_PATTERN.test(name)) {
+        throw new CallerError(
+            `Invalid field ${name}, expected property names separated by "." and array indexes like "[0]"`
+        );
+    }
+    const path = name
+        .match(/[^.[\]]+|\[\d+\]/g)
+        .map(key => (key.startsWith("[") ? Number(key.slice(1, -1)) : key));
+    return { name, path };
+}
+
+/**
+ * Get the value of a field of a record, or undefined if the record doesn't have it.
+ *
+ * @param {any} record
+ * @param {Field} field
+ */
+function getField(record, { path }) {
+    let value = record;
+    for (const key of path) {
+        if (value === null || typeof value !== "object") {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Get an object with just the given fields of a record, keyed by the names they were given as.
+ * Fields that the record doesn't have are null, so that every object has the same keys.
+ *
+ * @param {any} record
+ * @param {Field[]} fields
+ */
+function selectFields(record, fields) {
+    const selected = {};
+    fields.forEach(field => {
+        const value = getField(record, field);
+        selected[field.name] = value === undefined ? null : value;
+    });
+    return selected;
+}
+
+/**
+ * Format the value of a field for a column: timestamps as ISO-8601, objects and arrays as JSON, and
+ * missing values as empty.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) {
+        return "";
+    } else if (value instanceof Date) {
+        return value.toISOString();
+    } else if (Buffer.isBuffer(value)) {
+        return value.toString("base64");
+    } else if (typeof value === "object") {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+module.exports = {
+    DEFAULT_FIELDS,
+    parseFields,
+    getField,
+    selectFields,
+    formatValue
+};
+
+/**
+ * @typedef {object} Field
+ * @property {string} name The field as it was given.
+ * @property {Array<string|number>} path The property names and array indexes to get to it.
+ */
@@ -1,4 +1,6 @@
-const { CallerError } = require("./error");
+const fs = require("fs");
+const zlib = require("zlib");
+const { CallerError, DecodeError } = require("./error");
 
 function binaryFormatter(buffer) {
     return buffer;
@@ -20,6 +22,119 @@ function jsonFormatter(buffer) {
     return JSON.parse(buffer.toString("utf8"));
 }
 
+function gunzipDecoder(buffer) {
+    return zlib.gunzipSync(buffer);
+}
+
+function inflateDecoder(buffer) {
+    return zlib.inflateSync(buffer);
+}
+
+function inflateRawDecoder(buffer) {
+    return zlib.inflateRawSync(buffer);
+}
+
+function base64Decoder(buffer) {
+    const text = buffer.toString("utf8").trim();
+    if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(text)) {
+        throw new Error("Data is not base64 encoded text");
+    }
+    return Buffer.from(text, "base64");
+}
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+/**
+ * Expands a CloudWatch Logs subscription filter payload into one entry per log event, dropping
+ * CONTROL_MESSAGE payloads (which CloudWatch Logs sends to check that the destination is reachable).
+ * See https://docs.aws.amazon.com/AmazonCloudWatch/latest/logs/SubscriptionFilters.html
+ */
+function cloudWatchLogsExpander(buffer) {
+    const json = buffer.slice(0, GZIP_MAGIC.length).equals(GZIP_MAGIC)
+        ? zlib.gunzipSync(buffer)
+        : buffer;
+    const envelope = JSON.parse(json.toString("utf8"));
+    if (envelope.messageType === "CONTROL_MESSAGE") {
+        return [];
+    }
+    if (!Array.isArray(envelope.logEvents)) {
+        throw new Error("Data is not a CloudWatch Logs subscription payload");
+    }
+    return envelope.logEvents.map(logEvent => ({
+        fields: {
+            _logGroup: envelope.logGroup,
+            _logStream: envelope.logStream,
+            _logEventId: logEvent.id,
+            _logEventTimestamp: new Date(logEvent.timestamp)
+        },
+        data: logEvent.message
+    }));
+}
+
+/**
+ * Create a formatter that decodes Avro binary data with the schema in the given `.avsc` file.
+ */
+function createAvroFormatter(schemaOptions) {
+    const type = loadAvroType(schemaOptions);
+    return buffer => type.fromBuffer(buffer);
+}
+
+function loadAvroType({ schema }) {
+    if (!schema) {
+        throw new CallerError(
+            "The avro data format requires an Avro schema file, given with --schema"
+        );
+    }
+    const avro = require("avsc");
+    let type;
+    try {
+        type = avro.Type.forSchema(JSON.parse(fs.readFileSync(schema, "utf8")));
+    } catch (error) {
+        throw new CallerError(
+            `Failed to load Avro schema from ${schema}: ${error.message}`,
+            { cause: error }
+        );
+    }
+    return type;
+}
+
+/**
+ * Create a formatter that decodes Protobuf binary data as the given message type from the given
+ * `.proto` file. 64-bit integers, enums, and bytes are presented as strings (bytes as base64) so the
+ * result can be output as JSON.
+ */
+function createProtobufFormatter(schemaOptions) {
+    const type = loadProtobufType(schemaOptions);
+    return buffer =>
+        type.toObject(type.decode(buffer), {
+            longs: String,
+            enums: String,
+            bytes: String
+        });
+}
+
+function loadProtobufType({ proto, messageType }) {
+    if (!proto || !messageType) {
+        throw new CallerError(
+            "The protobuf data format requires a .proto file and a message type, given with --proto and --message-type"
+        );
+    }
+    const protobuf = require("protobufjs");
+    let type;
+    try {
+        type = protobuf.loadSync(proto).lookupType(messageType);
+    } catch (error) {
+        throw new CallerError(
+            `Failed to load Protobuf message type ${messageType} from ${proto}: ${error.message}`,
+            { cause: error }
+        );
+    }
+    return type;
+}
+
+/**
+ * Formatters present the final data, so they can only be the last stage of a data format.
+ */
 const formatters = {
     binary: binaryFormatter,
     bin: binaryFormatter,
@@ -33,17 +148,197 @@ const formatters = {
     utf8: utf8Formatter,
     json: jsonFormatter
 };
-const formatterOptions = Object.keys(formatters);
 
-module.exports = {
-    getFormatterOptions: () => formatterOptions,
-    getFormatter: format => {
-        const formatter = formatters[format];
-        if (formatter == null) {
-            throw new CallerError(`Invalid format name specified: ${format}`, {
-                format
-            });
+/**
+ * Schema formatters are also formatters, but need to be created with the schema options before they
+ * can be used.
+ */
+const schemaFormatters = {
+    avro: createAvroFormatter,
+    protobuf: createProtobufFormatter,
+    proto: createProtobufFormatter
+};
+
+/**
+ * Expanders are formatters that turn each record into any number of output records, each
+ * presented as `{fields, data}`, where the fields are added to the output record.
+ */
+const expanders = {
+    "cloudwatch-logs": cloudWatchLogsExpander,
+    cwl: cloudWatchLogsExpander
+};
+
+/**
+ * Decoders transform a Buffer into another Buffer, so they can be used at any stage of a data format.
+ */
+const decoders = {
+    gzip: gunzipDecoder,
+    gunzip: gunzipDecoder,
+    deflate: inflateDecoder,
+    inflate: inflateDecoder,
+    "deflate-raw": inflateRawDecoder,
+    "base64-decode": base64Decoder,
+    "b64-decode": base64Decoder
+};
+
+/**
+ * Encoders reverse the stages of a data format, to turn the data that was output for a record back
+ * into the Buffer it was decoded from. The encoders for formatters take the output value, and
+ * the rest take a Buffer.
+ */
+const formatterEncoders = {
+    // A Buffer that's been through JSON comes back as {type: "Buffer", data: [...]}.
+    binary: encodeBinary,
+    bin: encodeBinary,
+    buf: encodeBinary,
+    buffer: encodeBinary,
+    hex: value => Buffer.from(value, "hex"),
+    "base-64": value => Buffer.from(value, "base64"),
+    base64: value => Buffer.from(value, "base64"),
+    b64: value => Buffer.from(value, "base64"),
+    "utf-8": value => Buffer.from(String(value), "utf8"),
+    utf8: value => Buffer.from(String(value), "utf8"),
+    json: value => Buffer.from(JSON.stringify(value), "utf8")
+};
+
+const schemaFormatterEncoders = {
+    avro: schemaOptions => {
+        const type = loadAvroType(schemaOptions);
+        return value =>
+            type.toBuffer(type.clone(value, { coerceBuffers: true }));
+    },
+    protobuf: createProtobufEncoder,
+    proto: createProtobufEncoder
+};
+
+const decoderEncoders = {
+    gzip: buffer => zlib.gzipSync(buffer),
+    gunzip: buffer => zlib.gzipSync(buffer),
+    deflate: buffer => zlib.deflateSync(buffer),
+    inflate: buffer => zlib.deflateSync(buffer),
+    "deflate-raw": buffer => zlib.deflateRawSync(buffer),
+    "base64-decode": buffer => Buffer.from(buffer.toString("base64"), "utf8"),
+    "b64-decode": buffer => Buffer.from(buffer.toString("base64"), "utf8")
+};
+
+function encodeBinary(value) {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value.data || value);
+}
+
+function createProtobufEncoder(schemaOptions) {
+    const type = loadProtobufType(schemaOptions);
+    return value => Buffer.from(type.encode(type.fromObject(value)).finish());
+}
+
+const formatterOptions = [
+    ...Object.keys(formatters),
+    ...Object.keys(schemaFormatters),
+    ...Object.keys(expanders),
+    ...Object.keys(decoders)
+];
+
+/**
+ * Get a function that applies the specified data format to the data of a record. The format is
+ * a comma-separated pipeline of stages, like "gzip,json". Each stage except the last must be a decoder.
+ *
+ * The returned function takes the data Buffer and the record it came from, and throws a
+ * {@link DecodeError} naming the stage and the record's sequence number if any stage fails. If the
+ * last stage is an expander, the function's `expandsRecords` property is true, and it returns an
+ * array of `{fields, data}` objects instead of a single value.
+ *
+ * @param {string} format
+ * @param {{schema: string, proto: string, messageType: string}} [schemaOptions] Options for the
+ * schema-based formats: the path to the Avro schema file, or the path to the .proto file and the
+ * name of the Protobuf message type.
+ * @returns {function(Buffer, object): any}
+ */
+function getFormatter(format, schemaOptions = {}) {
+    const stageNames = String(format)
+        .split(",")
+        .map(name => name.trim());
+    const stages = stageNames.map((name, idx) => {
+        const isLast = idx === stageNames.length - 1;
+        const isFormatter = Boolean(
+            formatters[name] || schemaFormatters[name] || expanders[name]
+        );
+        const stage =
+            decoders[name] ||
+            (isLast &&
+                (schemaFormatters[name]
+                    ? schemaFormatters[name](schemaOptions)
+                    : formatters[name] || expanders[name]));
+        if (!stage) {
+            throw new CallerError(
+                isFormatter
+                    ? `Invalid format specified: ${name} can only be the last stage of a data format`
+                    : `Invalid format name specified: ${name}`,
+                { format }
+            );
         }
-        return formatter;
+        return { name, stage };
+    });
+    const formatter = (data, record = {}) =>
+        stages.reduce((value, { name, stage }) => {
+            try {
+                return stage(value);
+            } catch (error) {
+                throw new DecodeError(
+                    `Failed to decode record ${record.SequenceNumber} at stage "${name}": ${error.message}`,
+                    {
+                        stage: name,
+                        sequenceNumber: record.SequenceNumber,
+                        cause: error
+                    }
+                );
+            }
+        }, data);
+    formatter.expandsRecords = Boolean(expanders[last(stageNames)]);
+    return formatter;
+}
+
+/**
+ * Get a function that reverses the specified data format, turning the data that was output for a
+ * record (e.g., the `_data` of a record from the dump command) back into the Buffer it was decoded
+ * from. Stages are applied in the reverse order, so "gzip,json" serializes the value as JSON and then
+ * compresses it.
+ *
+ * Expanders can't be reversed, since each output record is only part of the original data.
+ *
+ * @param {string} format
+ * @param {{schema: string, proto: string, messageType: string}} [schemaOptions] As for {@link getFormatter}.
+ * @returns {function(any): Buffer}
+ */
+function getEncoder(format, schemaOptions = {}) {
+    // Validate the format the same way as for decoding.
+    getFormatter(format, schemaOptions);
+    const stageNames = String(format)
+        .split(",")
+        .map(name => name.trim());
+    if (expanders[last(stageNames)]) {
+        throw new CallerError(
+            `Records can't be re-encoded with the ${last(
+                stageNames
+            )} data format, because each record was expanded into several`,
+            { format }
+        );
     }
+    const stages = stageNames
+        .map((name, idx) =>
+            idx === stageNames.length - 1 && !decoders[name]
+                ? formatterEncoders[name] ||
+                  schemaFormatterEncoders[name](schemaOptions)
+                : decoderEncoders[name]
+        )
+        .reverse();
+    return value => stages.reduce((data, stage) => stage(data), value);
+}
+
+function last(ari) {
+    return ari[ari.length - 1];
+}
+
+module.exports = {
+    getFormatterOptions: () => formatterOptions,
+    getFormatter,
+    getEncoder
 };
@@ -0,0 +1,72 @@
+/* global BigInt */
+const crypto = require("crypto");
+const { CallerError } = require("./error");
+
+// Hash keys are 128-bit unsigned integers, given as decimal strings.
+const MAX_HASH_KEY = BigInt(`0x${"f".repeat(32)}`);
+
+/**
+ * Get the hash key that Kinesis maps a partition key to, which is the MD5 hash of the partition
+ * key (as UTF-8) read as a 128-bit unsigned integer. See
+ * https://docs.aws.amazon.com/kinesis/latest/APIReference/API_PutRecord.html
+ *
+ * @param {string} partitionKey
+ * @returns {string} The hash key, as a decimal string.
+ */
+function getHashKey(partitionKey) {
+    const digest = crypto
+        .createHash("md5")
+        .update(partitionKey, "utf8")
+        .digest("hex");
+    return BigInt(`0x${digest}`).toString();
+}
+
+/**
+ * Parse a range of hash keys, given as "START-END" (inclusive), or as `{start, end}`.
+ *
+ * @param {string|{start: string, end: string}} range
+ * @returns {{start: string, end: string}}
+ */
+function parseHashKeyRange(range) {
+    const [start, end] =
+        typeof range === "string"
+            ? range.split("-").map(part => part.trim())
+            : [range.start, range.end];
+    const valid = [start, end].every(
+        hashKey =>
+            /^\d+$/.test(String(hashKey)) && BigInt(hashKey) <= MAX_HASH_KEY
+    );
+    if (!valid || BigInt(start) > BigInt(end)) {
+        throw new CallerError(
+            `Invalid hash key range ${JSON.stringify(
+                range
+            )}, expected START-END, where START and END are hash keys from 0 to ${MAX_HASH_KEY} and START <= END`
+        );
+    }
+    return { start: String(start), end: String(end) };
+}
+
+/**
+ * Get the shards whose hash key range overlaps any of the given ranges. Since a shard's parents
+ * cover (at least) its hash key range, this includes the closed ancestors that the hash keys
+ * mapped to before the stream was resharded, as long as they're still in the stream.
+ *
+ * @param {AWS.Kinesis.Shard[]} shards
+ * @param {{start: string, end: string}[]} ranges
+ * @returns {AWS.Kinesis.Shard[]}
+ */
+function filterShardsByHashKeyRanges(shards, ranges) {
+    return shards.filter(({ HashKeyRange: shardRange }) =>
+        ranges.some(
+            range =>
+                BigInt(range.start) <= BigInt(shardRange.EndingHashKey) &&
+                BigInt(range.end) >= BigInt(shardRange.StartingHashKey)
+        )
+    );
+}
+
+module.exports = {
+    getHashKey,
+    parseHashKeyRange,
+    filterShardsByHashKeyRanges
+};
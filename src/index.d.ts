@@ -0,0 +1,141 @@
+import { Kinesis } from "aws-sdk";
+import {
+    Checkpoint,
+    InitialShardReadCursor,
+    ShardReaderOptions
+} from "./shard-reader";
+import { CheckpointStore, CheckpointEntry } from "./checkpoint-store";
+
+export {
+    readStream,
+    readStreams,
+    RecordStream,
+    MultiRecordStream,
+    ReadStreamOptions,
+    ReadStreamsOptions,
+    StreamRecord
+} from "./read-stream";
+export {
+    openCheckpointStore,
+    OpenCheckpointStoreOptions,
+    CheckpointStore,
+    CheckpointEntry
+} from "./checkpoint-store";
+export {
+    Checkpoint,
+    InitialShardReadCursor,
+    ShardReadCursor,
+    ShardReadCursorAdvance,
+    ShardReaderOptions
+} from "./shard-reader";
+
+/**
+ * Get an iterative reader to read records out of a single shard, starting from the given checkpoint
+ * (or the TRIM_HORIZON if no checkpoint is given). This is the lower level reader that
+ * {@link readStream} is built on.
+ */
+export function readFromShard(
+    kinesis: Kinesis,
+    streamName: string,
+    shardId: string,
+    lastCheckpoint?: Checkpoint,
+    options?: ShardReaderOptions
+): InitialShardReadCursor;
+
+/** List all of the shards in a stream. */
+export function listShards(
+    kinesis: Kinesis,
+    streamName: string
+): Promise<Kinesis.Shard[]>;
+
+/** The default checkpoint store, which keeps checkpoints in a local JSON-lines file. */
+export class FileCheckpointStore implements CheckpointStore {
+    constructor(file: string, options?: { trim?: boolean });
+    readonly location: string;
+    load(streamName?: string): Promise<CheckpointEntry[]>;
+    save(entries: CheckpointEntry[]): Promise<void>;
+    close(): Promise<void>;
+    history(streamName: string, shardId: string): Promise<CheckpointEntry[]>;
+    compact(): Promise<{ before: number; after: number }>;
+}
+
+/**
+ * Get a function that decodes record data according to a data format, e.g., "gzip,json".
+ */
+export function getFormatter(
+    format: string,
+    schemaOptions?: { schema?: string; proto?: string; messageType?: string }
+): (data: Buffer, record: Kinesis.Record) => any;
+
+/** The names of the available data formats and decoders. */
+export function getFormatterOptions(): string[];
+
+/**
+ * Expand a record aggregated by the KPL into its user records. Other records are returned as is.
+ * Throws a {@link DecodeError} if an aggregated record is corrupt.
+ */
+export function deaggregate(record: Kinesis.Record): Kinesis.Record[];
+
+/** The settings of a retry policy. */
+export interface RetryPolicySettings {
+    /**
+     * How many times to make a request before giving up, counting the attempts that failed with
+     * either kind of error. Defaults to 11.
+     */
+    maxAttempts?: number;
+    /**
+     * How long to wait before the first retry, which doubles for each retry after. Defaults to
+     * 100 ms for throttling errors and 10 ms for other errors.
+     */
+    baseDelayMs?: number;
+    /** The most to wait before any retry. Defaults to 5000 ms. */
+    maxDelayMs?: number;
+    /**
+     * How to randomize the delays. Defaults to "full" for throttling errors and "equal" for other errors.
+     */
+    jitter?: "none" | "full" | "equal" | "decorrelated";
+}
+
+/**
+ * The retry policies for AWS requests. The settings at the top level apply to both throttling
+ * errors and other errors worth retrying (network errors and 5xx responses), and the settings
+ * under `throttling` and `transient` apply to only that kind of error.
+ */
+export interface RetryConfig extends RetryPolicySettings {
+    /** The most time to spend retrying a request, in total. By default there's no limit. */
+    deadlineMs?: number;
+    throttling?: RetryPolicySettings;
+    transient?: RetryPolicySettings;
+}
+
+/**
+ * Set the retry policies for all AWS requests made by the reader, and optionally a function to call
+ * for each retry. Throws a CallerError if the config isn't valid.
+ */
+export function configureRetries(
+    config?: RetryConfig,
+    logger?: (
+        message: string,
+        meta: {
+            kind: "throttling" | "transient";
+            attempt: number;
+            message: string;
+        }
+    ) => void
+): void;
+
+/** Get the number of retries of AWS requests so far, in total and after each kind of error. */
+export function getRetryStats(): {
+    retries: number;
+    throttling: number;
+    transient: number;
+};
+
+/** Indicates a problem with how the reader was called, like invalid options. */
+export class CallerError extends Error {}
+
+/** Indicates that a record's data could not be decoded by one of the stages of the data format. */
+export class DecodeError extends Error {}
+
+/** Indicates that records after a checkpoint were lost because they fell out of retention. */
+export class DataLossError extends Error {}
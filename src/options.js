@@ -0,0 +1,211 @@
+const fs = require("fs");
+const dateFns = require("date-fns");
+const parseHumanTime = require("parse-human-relative-time/date-fns")(dateFns);
+const { CallerError } = require("./error");
+
+/**
+ * Parse a timestamp given on the command line, either as a date and time (e.g., an ISO 8601 string)
+ * or relative to now (e.g., "3 hours ago").
+ *
+ * @param {string} timestamp
+ * @returns {Date}
+ * @throws {CallerError} If it's neither.
+ */
+function parseTimestamp(timestamp) {
+    const d = new Date(timestamp);
+    if (!isNaN(d.getTime())) {
+        return d;
+    }
+    try {
+        return parseHumanTime(timestamp);
+    } catch (error) {
+        throw new CallerError(`Failed to parse timestamp: ${error.message}`, {
+            cause: error
+        });
+    }
+}
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like "90s", "5m", or "1h" (or a number of seconds) into milliseconds.
+ */
+function parseDuration(duration) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/.exec(duration.trim());
+    if (!match || !(Number(match[1]) > 0)) {
+        throw new CallerError(
+            `Invalid duration ${duration}, expected a number with a unit of ms, s, m, or h (e.g., "5m")`
+        );
+    }
+    return Math.round(Number(match[1]) * DURATION_UNITS_MS[match[2] || "s"]);
+}
+
+/**
+ * Parse the duration of role sessions into seconds, which STS requires to be between 15 minutes
+ * and 12 hours.
+ */
+function parseSessionDuration(duration) {
+    const seconds = Math.round(parseDuration(duration) / 1000);
+    if (seconds < 15 * 60 || seconds > 12 * 60 * 60) {
+        throw new CallerError(
+            `Invalid session duration ${duration}, expected between 15 minutes and 12 hours`
+        );
+    }
+    return seconds;
+}
+
+const SIZE_UNITS = { "": 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+/**
+ * Parse a size like "500K", "100M", or "1G" (or a number of bytes) into bytes.
+ */
+function parseSize(size) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i.exec(String(size).trim());
+    if (!match || !(Number(match[1]) > 0)) {
+        throw new CallerError(
+            `Invalid size ${size}, expected a number of bytes, or a number with a unit of K, M, or G (e.g., "100M")`
+        );
+    }
+    return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Parse SHARD-ID=SEQUENCE-NUMBER option values into an object of sequence numbers by shard ID. A
+ * value can be just a sequence number if exactly one shard is being read.
+ */
+function parseShardSequenceNumbers(values = [], shards = [], optionName) {
+    const sequenceNumbers = {};
+    values.forEach(value => {
+        const [shardId, sequenceNumber] = value.includes("=")
+            ? value.split("=")
+            : [shards.length === 1 ? shards[0] : null, value];
+        if (!shardId || !/^\d+$/.test(sequenceNumber)) {
+            throw new CallerError(
+                `Invalid ${optionName} ${value}, expected SHARD-ID=SEQUENCE-NUMBER, or just the sequence number when reading a single --shard`
+            );
+        }
+        sequenceNumbers[shardId] = sequenceNumber;
+    });
+    return sequenceNumbers;
+}
+
+const STREAM_ARN_PATTERN = /^arn:aws[\w-]*:kinesis:([\w-]+):(\d{12}):stream\/([\w.-]+)$/;
+
+/**
+ * Parse a stream to dump, given by its name, or by its ARN (which also gives its region).
+ */
+function parseStreamSpec(spec) {
+    if (!spec.startsWith("arn:")) {
+        return { streamName: spec, region: null, arn: null };
+    }
+    const match = STREAM_ARN_PATTERN.exec(spec);
+    if (!match) {
+        throw new CallerError(
+            `Invalid stream ARN ${spec}, expected arn:aws:kinesis:REGION:ACCOUNT-ID:stream/STREAM-NAME`
+        );
+    }
+    return { streamName: match[3], region: match[1], arn: spec };
+}
+
+/**
+ * Split up the values of an option that applies to particular streams: a value given as
+ * STREAM:VALUE applies to just that stream, and one without a stream applies to all of them.
+ *
+ * @returns {object} The values for each stream, by stream name.
+ */
+function splitByStream(values = [], streamNames, optionName) {
+    const valuesByStream = {};
+    streamNames.forEach(streamName => {
+        valuesByStream[streamName] = [];
+    });
+    values.forEach(value => {
+        const separator = value.indexOf(":");
+        if (separator < 0) {
+            streamNames.forEach(streamName =>
+                valuesByStream[streamName].push(value)
+            );
+            return;
+        }
+        const streamName = value.slice(0, separator);
+        if (!valuesByStream[streamName]) {
+            throw new CallerError(
+                `Invalid ${optionName} ${value}, ${streamName} isn't one of the streams being read`
+            );
+        }
+        valuesByStream[streamName].push(value.slice(separator + 1));
+    });
+    return valuesByStream;
+}
+
+/**
+ * Parse STREAM=ROLE-ARN values of the --assume-for option into the roles to assume for each
+ * stream, by stream name.
+ */
+function parseAssumeFor(values = [], streamNames) {
+    const roles = {};
+    values.forEach(value => {
+        const separator = value.indexOf("=");
+        const streamName = value.slice(0, separator);
+        if (separator < 0 || !streamNames.includes(streamName)) {
+            throw new CallerError(
+                `Invalid --assume-for ${value}, expected STREAM=ROLE-ARN for one of the streams being read`
+            );
+        }
+        roles[streamName] = [
+            ...(roles[streamName] || []),
+            value.slice(separator + 1)
+        ];
+    });
+    return roles;
+}
+
+/**
+ * Get the retry policies from the retry config file (if any), with the retry options on top, which
+ * apply to both throttling and other errors.
+ *
+ * @param {object} args The parsed command line arguments.
+ * @returns {object} The retry config, as `configureRetries` takes it.
+ * @throws {CallerError} If the retry config file can't be read.
+ */
+function getRetryConfig(args) {
+    let config = {};
+    if (args.retryConfig) {
+        try {
+            config = JSON.parse(fs.readFileSync(args.retryConfig, "utf8"));
+        } catch (error) {
+            throw new CallerError(
+                `Failed to read the retry config file ${args.retryConfig}: ${error.message}`
+            );
+        }
+    }
+    const overrides = {};
+    [
+        ["retryMaxAttempts", "maxAttempts"],
+        ["retryBaseDelay", "baseDelayMs"],
+        ["retryMaxDelay", "maxDelayMs"],
+        ["retryJitter", "jitter"]
+    ].forEach(([option, setting]) => {
+        if (args[option] != null) {
+            overrides[setting] = args[option];
+        }
+    });
+    return {
+        ...config,
+        ...overrides,
+        ...(args.retryDeadline != null && { deadlineMs: args.retryDeadline }),
+        throttling: { ...config.throttling, ...overrides },
+        transient: { ...config.transient, ...overrides }
+    };
+}
+
+module.exports = {
+    parseTimestamp,
+    parseDuration,
+    parseSessionDuration,
+    parseSize,
+    parseShardSequenceNumbers,
+    parseStreamSpec,
+    splitByStream,
+    parseAssumeFor,
+    getRetryConfig
+};
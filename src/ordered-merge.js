@@ -0,0 +1,158 @@
+const { compareSequenceNumbers } = require("./sequence-numbers");
+
+/**
+ * Merges the output records from several shards into a single sequence ordered by
+ * ApproximateArrivalTimestamp, using the SequenceNumber as a tie breaker.
+ *
+ * Each shard's records are queued in the order they were read (a k-way merge), and a record is only
+ * emitted once every active shard has a watermark at or past the record's timestamp, meaning
+ * no active shard can still produce an earlier record. The watermark for a shard is the latest
+ * point in time we know it has been read up to, which is how a shard that has no records (or has
+ * caught up to the tip of the stream) lets output continue.
+ *
+ * The number of queued records is bounded: once the limit is reached, any shard that isn't
+ * holding back the watermark has to wait for the queue to drain before it can add more records.
+ *
+ * The emit function can return false to stop the merge (e.g., when enough records have been output),
+ * after which nothing more is emitted, and the records still queued stay there.
+ */
+class OrderedMerge {
+    /**
+     * @param {function(object): (boolean|void)} emit Called with each record, in order, until it
+     * returns false.
+     * @param {{maxBufferedRecords: number}} options
+     */
+    constructor(emit, { maxBufferedRecords }) {
+        this.emit = emit;
+        this.maxBufferedRecords = maxBufferedRecords;
+        this.queues = new Map();
+        this.watermarks = new Map();
+        this.bufferedCount = 0;
+        this.waiters = [];
+        this.stopped = false;
+    }
+
+    /**
+     * Start tracking a shard. Until records or a watermark are pushed for the shard, nothing later
+     * than the current output can be emitted.
+     */
+    addShard(shardId) {
+        this.watermarks.set(shardId, -Infinity);
+        if (!this.queues.has(shardId)) {
+            this.queues.set(shardId, []);
+        }
+    }
+
+    /**
+     * Stop tracking a shard that won't produce any more records. Its queued records are still
+     * emitted in order.
+     */
+    removeShard(shardId) {
+        this.watermarks.delete(shardId);
+        this.flush();
+    }
+
+    /**
+     * Add records read from a shard, in the order they were read, and advance the shard's watermark.
+     *
+     * @param {string} shardId
+     * @param {object[]} records
+     * @param {number} watermark The time (in milliseconds since the epoch) the shard is known to have
+     * been read up to.
+     *
+     * @returns {Promise<void>} Resolves once there's room in the buffer for the shard to read more.
+     */
+    async push(shardId, records, watermark) {
+        this.queues.get(shardId).push(...records);
+        this.bufferedCount += records.length;
+        this.watermarks.set(
+            shardId,
+            Math.max(this.watermarks.get(shardId), watermark)
+        );
+        this.flush();
+        while (
+            !this.stopped &&
+            this.bufferedCount >= this.maxBufferedRecords &&
+            this.getLowestShard() !== shardId
+        ) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Check whether all of the records pushed for a shard have been emitted.
+     */
+    isDrained(shardId) {
+        return !this.queues.get(shardId).length;
+    }
+
+    /**
+     * Get the next record queued for a shard, which hasn't been emitted yet.
+     */
+    nextRecord(shardId) {
+        return this.queues.get(shardId)[0];
+    }
+
+    /**
+     * Emit all remaining records, regardless of watermarks (unless the merge was stopped).
+     */
+    end() {
+        this.watermarks.clear();
+        this.flush();
+    }
+
+    flush() {
+        const lowWatermark = Math.min(...this.watermarks.values());
+        while (!this.stopped) {
+            const queue = this.getQueueWithEarliestRecord();
+            if (!queue || getTimestamp(queue[0]) > lowWatermark) {
+                break;
+            }
+            if (this.emit(queue[0]) === false) {
+                this.stopped = true;
+                break;
+            }
+            queue.shift();
+            this.bufferedCount--;
+        }
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    getQueueWithEarliestRecord() {
+        let earliest = null;
+        for (const queue of this.queues.values()) {
+            if (
+                queue.length &&
+                (!earliest || compareRecords(queue[0], earliest[0]) < 0)
+            ) {
+                earliest = queue;
+            }
+        }
+        return earliest;
+    }
+
+    getLowestShard() {
+        let lowest = null;
+        for (const [shardId, watermark] of this.watermarks) {
+            if (lowest === null || watermark < this.watermarks.get(lowest)) {
+                lowest = shardId;
+            }
+        }
+        return lowest;
+    }
+}
+
+function getTimestamp(record) {
+    return new Date(record.ApproximateArrivalTimestamp).getTime();
+}
+
+function compareRecords(a, b) {
+    return (
+        getTimestamp(a) - getTimestamp(b) ||
+        compareSequenceNumbers(a.SequenceNumber, b.SequenceNumber)
+    );
+}
+
+module.exports = OrderedMerge;
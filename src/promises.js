@@ -0,0 +1,27 @@
+/**
+ * Wait for all of the given promises to settle, like `Promise.all`, but without rejecting as soon
+ * as one of them rejects: once they've all settled, the first rejection is thrown, if there was one.
+ * This way nothing is left running in the background after a failure.
+ *
+ * @param {Promise<any>[]} promises
+ * @returns {Promise<any[]>} The values of the promises, if they all resolve.
+ */
+async function settleAll(promises) {
+    const results = await Promise.all(
+        promises.map(promise =>
+            promise.then(
+                value => ({ value }),
+                error => ({ error, failed: true })
+            )
+        )
+    );
+    const failure = results.find(({ failed }) => failed);
+    if (failure) {
+        throw failure.error;
+    }
+    return results.map(({ value }) => value);
+}
+
+module.exports = {
+    settleAll
+};
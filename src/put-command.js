@@ -0,0 +1,127 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const readline = require("readline");
+const { CallerError } = require("./error");
+const { getEncoder } = require("./formatter");
+const RecordWriter = require("./record-writer");
+
+// With --input lines, lines for these formats are JSON that's parsed before it's encoded.
+const JSON_LINE_FORMATS = ["json", "avro", "protobuf", "proto"];
+
+/**
+ * Write records to a stream, reading them from the given files (or stdin) as the JSON lines
+ * output of the dump command, or as raw lines of data.
+ *
+ * @param {AWS.Kinesis} kinesis
+ * @param {object} args The parsed command line arguments.
+ * @param {function} logger
+ */
+async function putCommand(kinesis, args, logger) {
+    const streamName = args["stream-name"];
+    const encoder = getEncoder(args.dataFormat, {
+        schema: args.schema,
+        proto: args.proto,
+        messageType: args.messageType
+    });
+    const writer = new RecordWriter(kinesis, streamName, { logger });
+    const files = args.files && args.files.length ? args.files : ["-"];
+    for (const file of files) {
+        const lines = readline.createInterface({
+            input: file === "-" ? process.stdin : fs.createReadStream(file),
+            crlfDelay: Infinity
+        });
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) {
+                continue;
+            }
+            const where = `line ${lineNumber} of ${
+                file === "-" ? "stdin" : file
+            }`;
+            await writer.add(getEntry(args, encoder, line, where));
+        }
+    }
+    await writer.flush();
+    console.error(
+        `Put ${writer.recordCount} record(s) to stream ${streamName}${
+            writer.retriedCount
+                ? ` (${writer.retriedCount} failed put(s) were retried)`
+                : ""
+        }`
+    );
+}
+
+/**
+ * Get the PutRecords entry for a line of input.
+ */
+function getEntry(args, encoder, line, where) {
+    const record = args.input === "lines" ? {} : parseRecord(line, where);
+    let data;
+    try {
+        data =
+            args.input === "lines"
+                ? encoder(parseLine(args.dataFormat, line))
+                : getData(encoder, record);
+    } catch (error) {
+        throw new CallerError(
+            `Failed to encode the data on ${where} as ${args.dataFormat}: ${error.message}`,
+            { cause: error }
+        );
+    }
+    if (args.partitionKey) {
+        return { Data: data, PartitionKey: args.partitionKey };
+    } else if (args.randomPartitionKeys) {
+        return {
+            Data: data,
+            PartitionKey: crypto.randomBytes(16).toString("hex")
+        };
+    } else if (!record.PartitionKey) {
+        throw new CallerError(
+            `There's no PartitionKey for the record on ${where}, use --partition-key or --random-partition-keys`
+        );
+    }
+    return {
+        Data: data,
+        PartitionKey: record.PartitionKey,
+        ...(record.ExplicitHashKey && {
+            ExplicitHashKey: record.ExplicitHashKey
+        })
+    };
+}
+
+function parseRecord(line, where) {
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch (error) {
+        throw new CallerError(
+            `Invalid JSON on ${where} (use --input lines for raw data): ${error.message}`,
+            { cause: error }
+        );
+    }
+    if (!record || typeof record !== "object" || !("_data" in record)) {
+        throw new CallerError(
+            `The record on ${where} has no _data, expected the output of the dump command with --jsonl`
+        );
+    }
+    return record;
+}
+
+function getData(encoder, record) {
+    // Records that couldn't be decoded when they were dumped have the raw data, as base64.
+    if (record._decodeError) {
+        return Buffer.from(record._data, "base64");
+    }
+    return encoder(record._data);
+}
+
+function parseLine(format, line) {
+    const lastStage = String(format)
+        .split(",")
+        .pop()
+        .trim();
+    return JSON_LINE_FORMATS.includes(lastStage) ? JSON.parse(line) : line;
+}
+
+module.exports = putCommand;
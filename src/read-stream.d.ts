@@ -0,0 +1,269 @@
+import { Kinesis } from "aws-sdk";
+import { Checkpoint } from "./shard-reader";
+import { CheckpointStore } from "./checkpoint-store";
+
+/**
+ * Options for {@link readStream}. Only the `streamName` is required.
+ */
+export interface ReadStreamOptions {
+    /**
+     * The Kinesis client to read with. If not given, a client is created with the default
+     * credentials for the given `region`.
+     */
+    kinesis?: Kinesis;
+    region?: string;
+
+    /** The name of the stream to read. */
+    streamName: string;
+
+    /**
+     * The IDs of the shards to read. By default, all shards in the stream are read, with child
+     * shards read only after their parents have been read to the end.
+     */
+    shards?: string[];
+
+    /**
+     * Only read the shards that these partition keys map to (including closed ancestors that they
+     * mapped to before the stream was resharded), and only output records with one of these exact
+     * partition keys. Shards are picked by the partition key's hash, so records put with one of
+     * these partition keys and an `ExplicitHashKey` may be in other shards, and aren't read. Can't
+     * be given with `shards`.
+     */
+    partitionKeys?: string[];
+
+    /**
+     * Only read the shards whose hash key range overlaps one of these ranges, given as "START-END"
+     * or `{start, end}`, where the hash keys are decimal strings. Can't be given with `shards`.
+     */
+    hashKeyRanges?: Array<string | { start: string; end: string }>;
+
+    /**
+     * Where to start reading shards that don't have a checkpoint: "trim-horizon" (the default),
+     * "latest" (only records added after the stream starts reading), or a timestamp.
+     */
+    start?: "trim-horizon" | "latest" | Date | string;
+
+    /**
+     * Start reading these shards at the record with the given sequence number (by shard ID), instead
+     * of from their checkpoints or the `start` position.
+     */
+    startSequenceNumbers?: { [shardId: string]: string };
+
+    /**
+     * Whether to resume each shard from its checkpoint in the checkpoint store (the default), or
+     * to ignore existing checkpoints and start every shard from the `start` position. Checkpoints
+     * are still saved either way.
+     */
+    resume?: boolean;
+
+    /**
+     * Where to load checkpoints from and save them to: a store, or a URI for one (see
+     * {@link openCheckpointStore}). A store given as a URI is closed when the stream is done;
+     * otherwise closing it is up to you. Without a store, checkpoints are only kept in
+     * {@link RecordStream.checkpoints}.
+     */
+    checkpointStore?: CheckpointStore | string;
+
+    /** Save checkpoints at most this many milliseconds apart while reading. Defaults to 30 seconds. */
+    checkpointIntervalMs?: number;
+
+    /** Also save checkpoints after this many batches have been read from any one shard. */
+    checkpointIntervalBatches?: number;
+
+    /**
+     * How to decode the data of each record: a data format, as for the `--data-format` CLI option
+     * (e.g., "gzip,json"; "utf-8" by default), or a function that decodes the data. Throw a
+     * DecodeError from the function for records that can't be decoded.
+     */
+    decoder?: string | ((data: Buffer, record: Kinesis.Record) => any);
+
+    /** Options for schema-based data formats. */
+    decoderOptions?: {
+        /** The path to the Avro schema file for the "avro" data format. */
+        schema?: string;
+        /** The path to the .proto file for the "protobuf" data format. */
+        proto?: string;
+        /** The fully qualified name of the message type for the "protobuf" data format. */
+        messageType?: string;
+    };
+
+    /**
+     * What to do with records that can't be decoded: output them with the raw data as base64
+     * ("raw", the default), skip them, or fail.
+     */
+    onDecodeError?: "raw" | "skip" | "fail";
+
+    /** Expand records aggregated by the KPL into their user records. Defaults to true. */
+    deaggregate?: boolean;
+
+    /**
+     * Only output the records that match this: a [JMESPath](https://jmespath.org/) expression
+     * that's evaluated against each decoded record, and matches if the result is truthy (e.g.,
+     * "_data.level == 'ERROR'"), or a function. Timestamps are ISO-8601 strings in the expression.
+     * Records that don't match don't count toward `maxRecords` and `maxRecordsPerShard`.
+     */
+    filter?: string | ((record: StreamRecord) => boolean);
+
+    /** Keep reading after reaching the tip of the stream, until stopped. */
+    follow?: boolean;
+
+    /** Merge the records from all shards into a single sequence ordered by arrival time. */
+    ordered?: boolean;
+
+    /** The maximum number of records to hold in the ordered merge. Defaults to 10000. */
+    orderedBufferSize?: number;
+
+    /**
+     * The most shards to read at once, with the others waiting for a turn. By default, every shard
+     * that's ready is read at once. Can't be used with `follow` or `ordered`.
+     */
+    concurrency?: number;
+
+    /**
+     * Stop reading each shard at the first record that arrived after this time. When following, a
+     * shard also stops once it has caught up to the tip of the stream after this time.
+     *
+     * Like the other stop conditions, this applies to each record: nothing past it is output, and
+     * the shard's checkpoint is left after the last record that was.
+     */
+    stopAfter?: Date | string;
+
+    /**
+     * Stop reading each shard at the first record that arrived this many milliseconds after the time
+     * reading starts from: the `start` timestamp, or when reading starts. Works like `stopAfter`.
+     */
+    durationMs?: number;
+
+    /** Stop reading these shards after the record with the given sequence number (by shard ID). */
+    untilSequenceNumbers?: { [shardId: string]: string };
+
+    /**
+     * Stop after this many records have been read in total (with `ordered`, the earliest ones). If
+     * the limit is reached partway through a KPL aggregated record, the checkpoint is left after
+     * the last of its user records that was output in full.
+     */
+    maxRecords?: number;
+
+    /** Stop reading each shard after this many records have been read from it. */
+    maxRecordsPerShard?: number;
+
+    /**
+     * Check whether checkpoints have fallen out of the stream's retention window before resuming
+     * from them. Defaults to true.
+     */
+    checkRetention?: boolean;
+
+    /** Fail with a DataLossError, instead of warning, when a checkpoint is out of retention. */
+    strict?: boolean;
+
+    /**
+     * Read with enhanced fan-out (SubscribeToShard) through the consumer named by `consumerName`,
+     * instead of polling with GetRecords. The consumer is registered with the stream if it doesn't
+     * exist. The Kinesis client's endpoint has to support HTTP/2.
+     */
+    efo?: boolean;
+
+    /** The name of the enhanced fan-out consumer to read through. Defaults to "read-kinesis". */
+    consumerName?: string;
+
+    /** Deregister the enhanced fan-out consumer from the stream when done reading. */
+    deregisterConsumer?: boolean;
+
+    /** Stop reading (as with {@link RecordStream.stop}) when the signal is aborted. */
+    signal?: AbortSignal;
+
+    /**
+     * Called with errors that don't stop the stream: a DecodeError for a record that couldn't be
+     * decoded, or a DataLossError for a checkpoint that's out of retention.
+     */
+    onWarning?: (warning: Error) => void;
+
+    /** Called with debug messages about what's happening. */
+    logger?: (message: string, ...meta: any[]) => void;
+}
+
+/**
+ * A record read from the stream. This has all of the properties of the Kinesis record except
+ * `Data`, plus the decoded data and where the record came from. Data formats that expand records
+ * (like "cloudwatch-logs") add their own fields.
+ */
+export interface StreamRecord {
+    _shardId: string;
+    _streamName: string;
+    SequenceNumber: string;
+    ApproximateArrivalTimestamp: Date;
+    PartitionKey: string;
+    EncryptionType?: string;
+    /** For user records from a KPL aggregated record, the index of the user record. */
+    SubSequenceNumber?: number;
+    ExplicitHashKey?: string;
+    /** The decoded data. */
+    _data: any;
+    /** If the data couldn't be decoded, the reason why (and `_data` is the raw data as base64). */
+    _decodeError?: string;
+    [field: string]: any;
+}
+
+export class RecordStream implements AsyncIterable<StreamRecord> {
+    constructor(options: ReadStreamOptions);
+
+    /**
+     * The checkpoint for each shard, by shard ID, as of the last batch of records from the shard
+     * that was consumed.
+     */
+    readonly checkpoints: Map<string, Checkpoint>;
+
+    /** True once the stream has been asked to stop. */
+    readonly stopRequested: boolean;
+
+    /**
+     * Ask every shard to stop reading after its current batch. Iteration ends once the records
+     * that have already been read are consumed, and checkpoints are saved as usual.
+     */
+    stop(): void;
+
+    [Symbol.asyncIterator](): AsyncIterator<StreamRecord>;
+}
+
+/**
+ * Read records from a Kinesis stream, as an async iterable of decoded records.
+ */
+export function readStream(options: ReadStreamOptions): RecordStream;
+
+/** Options for {@link readStreams}, other than the options for each stream. */
+export interface ReadStreamsOptions {
+    /** Stop after this many records have been read from the streams in total. */
+    maxRecords?: number;
+
+    /** Stop reading (as with {@link MultiRecordStream.stop}) when the signal is aborted. */
+    signal?: AbortSignal;
+}
+
+export class MultiRecordStream implements AsyncIterable<StreamRecord> {
+    constructor(streams: ReadStreamOptions[], options?: ReadStreamsOptions);
+
+    /**
+     * The stream being read for each stream name, which has the checkpoints for the stream's
+     * shards. These can't be iterated on their own.
+     */
+    readonly streams: Map<string, RecordStream>;
+
+    /** True once the streams have been asked to stop. */
+    readonly stopRequested: boolean;
+
+    /** Ask every shard of every stream to stop reading after its current batch. */
+    stop(): void;
+
+    [Symbol.asyncIterator](): AsyncIterator<StreamRecord>;
+}
+
+/**
+ * Read records from several Kinesis streams at once (which can be in different regions or
+ * accounts, with a Kinesis client for each), as a single async iterable of decoded records. Each
+ * record's `_streamName` says which stream it's from, so the streams must have different names.
+ * The streams' own `signal` options are ignored, in favor of the one in `options`.
+ */
+export function readStreams(
+    streams: ReadStreamOptions[],
+    options?: ReadStreamsOptions
+): MultiRecordStream;
@@ -0,0 +1,1102 @@
+const AWS = require("aws-sdk");
+const readFromShard = require("./shard-reader");
+const { CallerError, DecodeError, DataLossError } = require("./error");
+const { getFormatter } = require("./formatter");
+const { listShards, readShardsInLineageOrder } = require("./shards");
+const { settleAll } = require("./promises");
+const deaggregate = require("./deaggregate");
+const OrderedMerge = require("./ordered-merge");
+const ShardThrottle = require("./throttle");
+const { checkRetention, describeDataLoss } = require("./retention");
+const { foldCheckpoints, CheckpointWriter } = require("./checkpoints");
+const { openCheckpointStore } = require("./checkpoint-store");
+const FanOutConsumer = require("./fan-out");
+const { compareSequenceNumbers } = require("./sequence-numbers");
+const createRecordFilter = require("./record-filter");
+const {
+    getHashKey,
+    parseHashKeyRange,
+    filterShardsByHashKeyRanges
+} = require("./hash-keys");
+
+/**
+ * Read records from a Kinesis stream, as an async iterable of decoded records.
+ *
+ * ```javascript
+ * const stream = readStream({ kinesis, streamName: "my-stream", decoder: "gzip,json" });
+ * for await (const record of stream) {
+ *     console.log(record._shardId, record.SequenceNumber, record._data);
+ * }
+ * ```
+ *
+ * Each shard's checkpoint is only advanced past a batch of records once all of the records in
+ * the batch have been consumed (that is, once the loop has asked for the record after the last
+ * one), so if you stop iterating partway through a batch, that batch will be read again next time.
+ *
+ * @param {ReadStreamOptions} options
+ * @returns {RecordStream}
+ */
+function readStream(options) {
+    return new RecordStream(options);
+}
+
+/**
+ * The records read from a stream, which can be iterated once with `for await`.
+ */
+class RecordStream {
+    /**
+     * @param {ReadStreamOptions} options See {@link readStream}.
+     */
+    constructor({
+        kinesis,
+        region,
+        streamName,
+        shards,
+        partitionKeys,
+        hashKeyRanges,
+        start = "trim-horizon",
+        startSequenceNumbers = {},
+        resume = true,
+        checkpointStore,
+        checkpointIntervalMs = 30000,
+        checkpointIntervalBatches,
+        decoder = "utf-8",
+        decoderOptions = {},
+        onDecodeError = "raw",
+        deaggregate = true,
+        filter,
+        follow = false,
+        ordered = false,
+        orderedBufferSize = 10000,
+        concurrency,
+        stopAfter,
+        durationMs,
+        untilSequenceNumbers = {},
+        maxRecords,
+        maxRecordsPerShard,
+        checkRetention = true,
+        strict = false,
+        efo = false,
+        consumerName = "read-kinesis",
+        deregisterConsumer = false,
+        signal,
+        onWarning = () => {},
+        logger = () => {}
+    }) {
+        if (!streamName) {
+            throw new CallerError("No stream name specified");
+        }
+        if (shards && !shards.length) {
+            throw new CallerError("No shard IDs specified");
+        }
+        if (concurrency !== undefined && !(concurrency >= 1)) {
+            throw new CallerError(
+                `Invalid concurrency ${concurrency}, expected at least 1`
+            );
+        }
+        // Shards waiting for a turn would hold up the merge forever, and followed shards never
+        // finish to give them one.
+        if (concurrency && (ordered || follow)) {
+            throw new CallerError(
+                "The number of shards read at once can't be limited when reading in order, or following"
+            );
+        }
+        [
+            ["maxRecords", maxRecords],
+            ["maxRecordsPerShard", maxRecordsPerShard],
+            ["durationMs", durationMs]
+        ].forEach(([name, value]) => {
+            if (value !== undefined && !(value >= 1)) {
+                throw new CallerError(
+                    `Invalid ${name} ${value}, expected at least 1`
+                );
+            }
+        });
+        if (shards && (partitionKeys || hashKeyRanges)) {
+            throw new CallerError(
+                "Shards can't be given along with partition keys or hash key ranges, which select the shards to read"
+            );
+        }
+        this.kinesis =
+            kinesis || new AWS.Kinesis({ apiVersion: "2013-12-02", region });
+        this.streamName = streamName;
+        this.shardIds = shards;
+        this.partitionKeys = partitionKeys && new Set(partitionKeys);
+        this.hashKeyRanges =
+            partitionKeys || hashKeyRanges
+                ? [
+                      ...(partitionKeys || []).map(partitionKey => {
+                          const hashKey = getHashKey(partitionKey);
+                          return { start: hashKey, end: hashKey };
+                      }),
+                      ...(hashKeyRanges || []).map(parseHashKeyRange)
+                  ]
+                : null;
+        this.startCheckpoint = getStartCheckpoint(start);
+        this.startSequenceNumbers = startSequenceNumbers;
+        this.resume = resume;
+        this.checkpointStore = checkpointStore;
+        this.checkpointIntervalMs = checkpointIntervalMs;
+        this.checkpointIntervalBatches = checkpointIntervalBatches;
+        this.formatter =
+            typeof decoder === "function"
+                ? decoder
+                : getFormatter(decoder, decoderOptions);
+        this.onDecodeError = onDecodeError;
+        this.deaggregate = deaggregate;
+        this.filter =
+            typeof filter === "string" ? createRecordFilter(filter) : filter;
+        this.follow = follow;
+        this.ordered = ordered;
+        this.orderedBufferSize = orderedBufferSize;
+        this.concurrency = concurrency;
+        this.stopAfter = stopAfter && new Date(stopAfter);
+        this.durationMs = durationMs;
+        this.untilSequenceNumbers = untilSequenceNumbers;
+        // The number of records left to read in total, which may be shared with other streams.
+        this.budget = { recordsLeft: maxRecords || Infinity };
+        this.maxRecordsPerShard = maxRecordsPerShard || Infinity;
+        // The time to stop at, from stopAfter and durationMs, set once reading starts.
+        this.stopAt = null;
+        this.checkRetention = checkRetention;
+        this.strict = strict;
+        this.efo = efo;
+        this.consumerName = consumerName;
+        this.deregisterConsumer = deregisterConsumer;
+        this.consumer = null;
+        this.signal = signal;
+        this.onWarning = onWarning;
+        this.logger = logger;
+
+        /**
+         * The checkpoint for each shard, by shard ID, as of the last batch of records that was
+         * consumed from the shard.
+         * @type {Map<string, Checkpoint>}
+         */
+        this.checkpoints = new Map();
+        this.stopRequested = false;
+        this.iterated = false;
+    }
+
+    /**
+     * Ask every shard to stop reading after its current batch. Iteration ends once the records
+     * that have already been read are consumed, and checkpoints are saved as usual.
+     */
+    stop() {
+        this.stopRequested = true;
+    }
+
+    [Symbol.asyncIterator]() {
+        return iterateRecords(this, channel => this.read(channel));
+    }
+
+    async read(channel) {
+        const { kinesis, streamName } = this;
+        this.stopAt = getStopAt(
+            this.stopAfter,
+            this.durationMs,
+            this.startCheckpoint.timestamp
+        );
+        const shards = this.shardIds ? null : await this.listShards();
+        const shardIds = shards
+            ? shards.map(shard => shard.ShardId)
+            : this.shardIds;
+        this.logger("Will read from the following shards:", shardIds);
+
+        const checkpointStore =
+            typeof this.checkpointStore === "string"
+                ? await openCheckpointStore(this.checkpointStore, {
+                      getAwsConfig: async () => ({
+                          region: kinesis.config.region,
+                          credentials: kinesis.config.credentials
+                      })
+                  })
+                : this.checkpointStore;
+        try {
+            const checkpoints =
+                checkpointStore && this.resume
+                    ? foldCheckpoints(await checkpointStore.load(streamName))
+                    : {};
+            const checkpointWriter = checkpointStore
+                ? new CheckpointWriter(checkpointStore, {
+                      intervalBatches: this.checkpointIntervalBatches,
+                      intervalMs: this.checkpointIntervalMs
+                  })
+                : null;
+            if (this.efo) {
+                this.consumer = await FanOutConsumer.open(
+                    kinesis,
+                    streamName,
+                    this.consumerName,
+                    { logger: this.logger }
+                );
+            }
+            await this.readShards(
+                channel,
+                shards,
+                shardIds,
+                shardId =>
+                    (this.startSequenceNumbers[shardId] && {
+                        startSequenceNumber: this.startSequenceNumbers[shardId]
+                    }) ||
+                    checkpoints[`${streamName}:${shardId}`] ||
+                    this.startCheckpoint,
+                checkpointWriter
+            );
+        } finally {
+            if (this.consumer) {
+                await this.consumer.close({
+                    deregister: this.deregisterConsumer
+                });
+            }
+            if (typeof this.checkpointStore === "string") {
+                await checkpointStore.close();
+            }
+        }
+    }
+
+    /**
+     * List the shards in the stream, or only the ones selected by the partition keys and hash key
+     * ranges, if any were given.
+     */
+    async listShards() {
+        const shards = await listShards(this.kinesis, this.streamName);
+        return this.hashKeyRanges
+            ? filterShardsByHashKeyRanges(shards, this.hashKeyRanges)
+            : shards;
+    }
+
+    async readShards(
+        channel,
+        shards,
+        shardIds,
+        checkpointProvider,
+        checkpointWriter
+    ) {
+        // In ordered mode, we need to know when the records that were emitted for a shard have
+        // been consumed, so we keep the last one.
+        const lastConsumed = new Map();
+        const lastEmitted = new Map();
+        // The records read from the shards come out of the merge in a different order, so the total
+        // number of records is counted here instead of as they're read.
+        const merge = this.ordered
+            ? new OrderedMerge(
+                  output => {
+                      if (!this.budget.recordsLeft) {
+                          return false;
+                      }
+                      this.budget.recordsLeft--;
+                      lastEmitted.set(output._shardId, output);
+                      lastConsumed.set(output._shardId, channel.push([output]));
+                  },
+                  { maxBufferedRecords: this.orderedBufferSize }
+              )
+            : null;
+        const limit = createLimiter(this.concurrency);
+        const readShard = shardId =>
+            limit(() => {
+                if (merge) {
+                    merge.addShard(shardId);
+                }
+                return this.readShard(shardId, checkpointProvider(shardId), {
+                    channel,
+                    merge,
+                    lastConsumed,
+                    checkpointWriter
+                });
+            }).catch(error => {
+                // Let the other shards stop (and record their checkpoints) instead of reading on.
+                // The error is only thrown once they have, so their checkpoints can still be saved.
+                this.stop();
+                throw error;
+            });
+        const finishShard = shardId => {
+            if (merge) {
+                merge.removeShard(shardId);
+            }
+        };
+        try {
+            let newCheckpoints = shards
+                ? await readShardsInLineageOrder(
+                      shards,
+                      shard => readShard(shard.ShardId),
+                      () => this.listShards(),
+                      shard => finishShard(shard.ShardId)
+                  )
+                : await settleAll(
+                      shardIds.map(async shardId => {
+                          const { checkpoint } = await readShard(shardId);
+                          finishShard(shardId);
+                          return checkpoint;
+                      })
+                  );
+            if (merge) {
+                merge.end();
+                // The shards' final checkpoints include records that were still in the merge, so
+                // they only count once those have been consumed.
+                const consumed = await Promise.all(lastConsumed.values());
+                if (!consumed.every(Boolean)) {
+                    return;
+                }
+                // Once the total number of records is reached, the merge stops with records still
+                // in it, so those shards are only read up to the last record that came out.
+                newCheckpoints = newCheckpoints
+                    .map(checkpoint =>
+                        merge.isDrained(checkpoint.shardId)
+                            ? checkpoint
+                            : getEmittedCheckpoint(
+                                  checkpoint,
+                                  lastEmitted.get(checkpoint.shardId),
+                                  merge.nextRecord(checkpoint.shardId)
+                              )
+                    )
+                    .filter(Boolean);
+                newCheckpoints.forEach(({ streamName, shardId, ...cp }) =>
+                    this.checkpoints.set(shardId, cp)
+                );
+            }
+            if (checkpointWriter) {
+                newCheckpoints.forEach(cp => checkpointWriter.record(cp));
+            }
+        } finally {
+            if (checkpointWriter) {
+                await checkpointWriter.flush();
+            }
+        }
+    }
+
+    /**
+     * Read records from a shard into the channel, directly or through the ordered merge. The
+     * checkpoint is recorded after each batch, once all of the batch's records have been consumed.
+     */
+    async readShard(
+        shardId,
+        checkpoint,
+        { channel, merge, lastConsumed, checkpointWriter }
+    ) {
+        const { kinesis, streamName, logger } = this;
+        if (checkpoint && checkpoint.shardIterator === null) {
+            logger(`Shard ${shardId} was already read to the end`);
+            return {
+                checkpoint: { streamName, shardId, ...checkpoint },
+                shardEnded: true
+            };
+        }
+        // The retention check reads from the shard too, so it shares the reader's limits.
+        const throttle = new ShardThrottle();
+        if (this.checkRetention) {
+            await this.checkShardRetention(shardId, checkpoint, throttle);
+        }
+        let reader = this.consumer
+            ? this.consumer.readFromShard(shardId, checkpoint, {
+                  follow: this.follow
+              })
+            : readFromShard(kinesis, streamName, shardId, checkpoint, {
+                  follow: this.follow,
+                  throttle
+              });
+        // Without the merge, the batches are consumed in order, so this is where to resume from.
+        let consumedCheckpoint = null;
+        let lastCheckpoint = checkpoint || {};
+        const shardState = { recordsLeft: this.maxRecordsPerShard };
+        let stopReason = null;
+        while (reader.next) {
+            if (this.stopRequested) {
+                logger(`Terminating read of shard ${shardId} due to stop`);
+                break;
+            }
+            if (!this.budget.recordsLeft) {
+                logger(
+                    `Terminating read of shard ${shardId} due to "max-records" condition`
+                );
+                break;
+            }
+            reader = await reader.next();
+            const records = reader.records;
+            logger("Got one batch of records", {
+                recordCount: records.length,
+                shardId,
+                streamName,
+                millisBehindLatest: reader.millisBehindLatest
+            });
+            const batch = this.takeRecords(
+                shardId,
+                records,
+                reader.checkpoint,
+                lastCheckpoint,
+                shardState
+            );
+            lastCheckpoint = batch.checkpoint;
+            let consumed;
+            if (merge) {
+                await merge.push(shardId, batch.outputs, getWatermark(reader));
+                consumed =
+                    merge.isDrained(shardId) &&
+                    (await (lastConsumed.get(shardId) || true));
+            } else {
+                consumed = await channel.push(batch.outputs);
+            }
+            if (channel.closed) {
+                break;
+            }
+            if (consumed) {
+                consumedCheckpoint = batch.checkpoint;
+                this.checkpoints.set(shardId, batch.checkpoint);
+                if (checkpointWriter) {
+                    await checkpointWriter.record({
+                        streamName,
+                        shardId,
+                        ...batch.checkpoint
+                    });
+                }
+            }
+            stopReason =
+                batch.stopReason ||
+                (this.stopAt &&
+                    reader.millisBehindLatest === 0 &&
+                    Date.now() > this.stopAt.getTime() &&
+                    "caught up past the stop time");
+            if (stopReason) {
+                logger(
+                    `Terminating read of shard ${shardId} due to ${stopReason}`,
+                    { stopAt: this.stopAt }
+                );
+                break;
+            }
+        }
+        if (checkpointWriter) {
+            await checkpointWriter.flush();
+        }
+        return {
+            checkpoint: {
+                streamName,
+                shardId,
+                // If nothing we read was consumed, keep the checkpoint we started from.
+                ...((merge ? lastCheckpoint : consumedCheckpoint) || checkpoint)
+            },
+            shardEnded:
+                Boolean(reader.shardEnded) && !channel.closed && !stopReason
+        };
+    }
+
+    /**
+     * Get the output records for a batch of records read from a shard, up to the first record that
+     * meets a stop condition: the max number of records (in total or for the shard), the sequence
+     * number to read until, or the time to stop at. If the batch is cut short, so is its checkpoint,
+     * which is left after the last record that was output in full.
+     *
+     * @returns {{outputs: object[], checkpoint: Checkpoint, stopReason: string|null}}
+     */
+    takeRecords(shardId, records, checkpoint, lastCheckpoint, shardState) {
+        const untilSequenceNumber = this.untilSequenceNumbers[shardId];
+        // With the merge, the total number of records is counted as they come out of it.
+        const budget = this.ordered ? { recordsLeft: Infinity } : this.budget;
+        const outputs = [];
+        let lastRecord = null;
+        let stopReason = null;
+        for (const record of records) {
+            if (
+                this.stopAt &&
+                new Date(record.ApproximateArrivalTimestamp) > this.stopAt
+            ) {
+                stopReason = "reaching the stop time";
+                break;
+            }
+            if (
+                untilSequenceNumber &&
+                compareSequenceNumbers(
+                    record.SequenceNumber,
+                    untilSequenceNumber
+                ) > 0
+            ) {
+                stopReason = `passing sequence number ${untilSequenceNumber}`;
+                break;
+            }
+            const recordOutputs = this.getRecordOutputs(shardId, record).filter(
+                output =>
+                    !isAlreadyRead(output, lastCheckpoint) &&
+                    (!this.filter || this.filter(output))
+            );
+            const room = Math.min(budget.recordsLeft, shardState.recordsLeft);
+            const taken = recordOutputs.slice(0, room);
+            outputs.push(...taken);
+            budget.recordsLeft -= taken.length;
+            shardState.recordsLeft -= taken.length;
+            if (taken.length < recordOutputs.length) {
+                // The record was only partly output, so it'll be read again next time, from after
+                // the last of its user records that was output in full, if it's aggregated.
+                const partialCheckpoint = getPartialCheckpoint(
+                    record,
+                    recordOutputs,
+                    taken.length
+                );
+                if (partialCheckpoint) {
+                    return {
+                        outputs,
+                        checkpoint: partialCheckpoint,
+                        stopReason: '"max-records" condition'
+                    };
+                }
+                stopReason = '"max-records" condition';
+                break;
+            }
+            lastRecord = record;
+            if (
+                untilSequenceNumber &&
+                compareSequenceNumbers(
+                    record.SequenceNumber,
+                    untilSequenceNumber
+                ) === 0
+            ) {
+                stopReason = `reaching sequence number ${untilSequenceNumber}`;
+                break;
+            }
+            if (!budget.recordsLeft || !shardState.recordsLeft) {
+                stopReason = '"max-records" condition';
+                break;
+            }
+        }
+        if (!stopReason || lastRecord === records[records.length - 1]) {
+            return {
+                outputs,
+                checkpoint: lastRecord
+                    ? {
+                          ...checkpoint,
+                          ...this.getSubSequenceCheckpoint(lastRecord)
+                      }
+                    : checkpoint,
+                stopReason
+            };
+        }
+        return {
+            outputs,
+            checkpoint: lastRecord
+                ? {
+                      lastReadSequenceNumber: lastRecord.SequenceNumber,
+                      ...this.getSubSequenceCheckpoint(lastRecord),
+                      lastReadTimestamp: lastRecord.ApproximateArrivalTimestamp,
+                      moreRecordsBy:
+                          records[records.indexOf(lastRecord) + 1]
+                              .ApproximateArrivalTimestamp
+                  }
+                : lastCheckpoint,
+            stopReason
+        };
+    }
+
+    /**
+     * Get the position in a record that was read in full, if it was aggregated by the KPL: the
+     * SubSequenceNumber of its last user record, which is how the KCL checkpoints it.
+     */
+    getSubSequenceCheckpoint(record) {
+        if (!this.deaggregate) {
+            return {};
+        }
+        let userRecords;
+        try {
+            userRecords = deaggregate(record);
+        } catch (error) {
+            return {};
+        }
+        const lastUserRecord = userRecords[userRecords.length - 1] || {};
+        return lastUserRecord.SubSequenceNumber == null
+            ? {}
+            : { lastReadSubSequenceNumber: lastUserRecord.SubSequenceNumber };
+    }
+
+    /**
+     * Warn if the checkpoint we're starting from has fallen out of the stream's retention window, or
+     * fail with a {@link DataLossError} in strict mode.
+     */
+    async checkShardRetention(shardId, checkpoint, throttle) {
+        const { streamName } = this;
+        const result = await checkRetention(
+            this.kinesis,
+            streamName,
+            shardId,
+            checkpoint,
+            { throttle }
+        );
+        if (!result.lost) {
+            if (result.checkpointTrimmed) {
+                this.logger(
+                    `The checkpointed record of shard ${shardId} has been trimmed, but no records after it are known to be lost`
+                );
+            }
+            return;
+        }
+        const error = new DataLossError(
+            describeDataLoss(streamName, shardId, result),
+            { streamName, shardId, ...result }
+        );
+        if (this.strict) {
+            throw error;
+        }
+        this.onWarning(error);
+    }
+
+    /**
+     * Get the output records for a record read from a shard: one for each of its user records if it
+     * was aggregated by the KPL (and has one of the partition keys we're looking for), decoded by
+     * {@link formatRecord}. An aggregated record that's corrupt is handled like any other record that
+     * can't be decoded.
+     */
+    getRecordOutputs(shardId, record) {
+        let userRecords;
+        try {
+            userRecords = this.deaggregate ? deaggregate(record) : [record];
+        } catch (error) {
+            const { Data: data, ...output } = this.getOutputFields(
+                shardId,
+                record
+            );
+            return this.handleDecodeError(error, output, data);
+        }
+        return userRecords
+            .filter(
+                userRecord =>
+                    !this.partitionKeys ||
+                    this.partitionKeys.has(userRecord.PartitionKey)
+            )
+            .flatMap(userRecord => this.formatRecord(shardId, userRecord));
+    }
+
+    /**
+     * Get the output records for a record read from a shard. This is usually just one output record,
+     * but may be none if the record couldn't be decoded and is skipped, or several if the data format
+     * expands each record (e.g., into CloudWatch Logs events).
+     */
+    formatRecord(shardId, record) {
+        const { formatter } = this;
+        const { Data: data, ...output } = this.getOutputFields(shardId, record);
+        let formatted;
+        try {
+            formatted = formatter(data, record);
+        } catch (error) {
+            return this.handleDecodeError(error, output, data);
+        }
+        if (formatter.expandsRecords) {
+            return formatted.map(({ fields, data }) => ({
+                ...output,
+                ...fields,
+                _data: data
+            }));
+        }
+        return [{ ...output, _data: formatted }];
+    }
+
+    getOutputFields(shardId, record) {
+        return {
+            _shardId: shardId,
+            _streamName: this.streamName,
+            ...record
+        };
+    }
+
+    /**
+     * Handle a record that couldn't be decoded, according to the `onDecodeError` option: fail, skip
+     * the record, or output it with its raw data (as base64) and the error.
+     */
+    handleDecodeError(error, output, data) {
+        if (!(error instanceof DecodeError) || this.onDecodeError === "fail") {
+            throw error;
+        }
+        this.onWarning(error);
+        if (this.onDecodeError === "skip") {
+            return [];
+        }
+        return [
+            {
+                ...output,
+                _data: data.toString("base64"),
+                _decodeError: error.message
+            }
+        ];
+    }
+}
+
+/**
+ * Read records from several Kinesis streams at once (which can be in different regions or accounts,
+ * with a Kinesis client for each), as a single async iterable of decoded records. Each record's
+ * `_streamName` says which stream it's from.
+ *
+ * ```javascript
+ * const stream = readStreams([
+ *     { kinesis: kinesisEast, streamName: "orders" },
+ *     { kinesis: kinesisWest, streamName: "payments" }
+ * ]);
+ * ```
+ *
+ * Records from different streams are output as they're read, so with `ordered`, each stream's
+ * records are in order, but the streams' records are interleaved.
+ *
+ * @param {ReadStreamOptions[]} streams The options for reading each stream. Their `signal`s are
+ * ignored, in favor of the one given here.
+ * @param {object} [options]
+ * @param {number} [options.maxRecords] Stop after this many records have been read from the streams
+ * in total.
+ * @param {AbortSignal} [options.signal] Stop reading when the signal is aborted.
+ * @returns {MultiRecordStream}
+ */
+function readStreams(streams, options) {
+    return new MultiRecordStream(streams, options);
+}
+
+/**
+ * The records read from several streams, which can be iterated once with `for await`.
+ */
+class MultiRecordStream {
+    /**
+     * See {@link readStreams}.
+     *
+     * @param {ReadStreamOptions[]} streams
+     * @param {object} [options]
+     * @param {number} [options.maxRecords]
+     * @param {AbortSignal} [options.signal]
+     */
+    constructor(streams, { maxRecords, signal } = {}) {
+        if (!streams.length) {
+            throw new CallerError("No streams specified");
+        }
+        if (maxRecords !== undefined && !(maxRecords >= 1)) {
+            throw new CallerError(
+                `Invalid maxRecords ${maxRecords}, expected at least 1`
+            );
+        }
+        /**
+         * The stream being read for each stream name.
+         * @type {Map<string, RecordStream>}
+         */
+        this.streams = new Map();
+        const budget = { recordsLeft: maxRecords || Infinity };
+        streams.forEach(options => {
+            // Records and checkpoints only say which stream they're from by its name.
+            if (this.streams.has(options.streamName)) {
+                throw new CallerError(
+                    `Stream ${options.streamName} is given more than once`
+                );
+            }
+            const stream = new RecordStream({ ...options, signal: null });
+            stream.budget = budget;
+            // They're read together, so they can't be iterated on their own.
+            stream.iterated = true;
+            this.streams.set(options.streamName, stream);
+        });
+        this.signal = signal;
+        this.stopRequested = false;
+        this.iterated = false;
+    }
+
+    /**
+     * Ask every shard of every stream to stop reading after its current batch.
+     */
+    stop() {
+        this.stopRequested = true;
+        this.streams.forEach(stream => stream.stop());
+    }
+
+    [Symbol.asyncIterator]() {
+        return iterateRecords(this, channel => this.read(channel));
+    }
+
+    async read(channel) {
+        let firstError = null;
+        await Promise.all(
+            [...this.streams.values()].map(stream =>
+                stream.read(channel).catch(error => {
+                    // The other streams finish their current batches, and then we fail.
+                    firstError = firstError || error;
+                    this.stop();
+                })
+            )
+        );
+        if (firstError) {
+            throw firstError;
+        }
+    }
+}
+
+/**
+ * Start reading records into a channel, and get an iterator for the records, for a
+ * {@link RecordStream} or {@link MultiRecordStream}.
+ */
+function iterateRecords(source, read) {
+    if (source.iterated) {
+        throw new Error("A record stream can only be iterated once");
+    }
+    source.iterated = true;
+    const channel = new RecordChannel();
+    const onAbort = () => source.stop();
+    if (source.signal) {
+        if (source.signal.aborted) {
+            source.stop();
+        }
+        source.signal.addEventListener("abort", onAbort);
+    }
+    const reading = read(channel).then(
+        () => channel.end(),
+        error => channel.end(error)
+    );
+    return channel.iterate(async () => {
+        // The consumer is done with us, whether or not there are records left.
+        source.stop();
+        channel.close();
+        await reading;
+        if (source.signal) {
+            source.signal.removeEventListener("abort", onAbort);
+        }
+    });
+}
+
+/**
+ * Hands records from the shard readers to the consumer of a {@link RecordStream}, one at a time,
+ * and lets the readers know when the records they pushed have been consumed.
+ */
+class RecordChannel {
+    constructor() {
+        this.queue = [];
+        this.ended = false;
+        this.error = null;
+        this.closed = false;
+        this.inFlight = null;
+        this.wakeConsumer = () => {};
+    }
+
+    /**
+     * Add records for the consumer.
+     *
+     * @returns {Promise<boolean>} Resolves to true once the consumer has asked for the record after
+     * the last of these, or false if the consumer stops before then.
+     */
+    push(records) {
+        if (this.closed) {
+            return Promise.resolve(false);
+        }
+        if (!records.length) {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            records.forEach((record, index) =>
+                this.queue.push({
+                    record,
+                    onConsumed: index === records.length - 1 ? resolve : null
+                })
+            );
+            this.wakeConsumer();
+        });
+    }
+
+    /**
+     * Indicate that no more records will be pushed, optionally because of an error, which is thrown
+     * to the consumer after the records already pushed.
+     */
+    end(error = null) {
+        this.ended = true;
+        this.error = error;
+        this.wakeConsumer();
+    }
+
+    /**
+     * Stop handing out records, and let any readers waiting on records they pushed know that they
+     * weren't consumed.
+     */
+    close() {
+        this.closed = true;
+        this.queue.forEach(({ onConsumed }) => onConsumed && onConsumed(false));
+        this.queue = [];
+        if (this.inFlight) {
+            this.inFlight(false);
+        }
+    }
+
+    async *iterate(onFinished) {
+        try {
+            for (;;) {
+                if (!this.queue.length && !this.ended) {
+                    await new Promise(resolve => {
+                        this.wakeConsumer = resolve;
+                    });
+                    continue;
+                }
+                if (!this.queue.length) {
+                    if (this.error) {
+                        throw this.error;
+                    }
+                    return;
+                }
+                const { record, onConsumed } = this.queue.shift();
+                // If the consumer stops while it has the last record of a batch, we don't know
+                // whether it finished with it, so the batch doesn't count as consumed.
+                this.inFlight = onConsumed;
+                yield record;
+                this.inFlight = null;
+                if (onConsumed) {
+                    onConsumed(true);
+                }
+            }
+        } finally {
+            await onFinished();
+        }
+    }
+}
+
+/**
+ * Get the checkpoint to start from for shards that don't have one: "trim-horizon", "latest",
+ * or a timestamp.
+ */
+function getStartCheckpoint(start) {
+    if (start === "trim-horizon") {
+        return {};
+    } else if (start === "latest") {
+        // There's no iterator type for LATEST that would still mean "now" if we had to get a new
+        // iterator later (e.g., for a child shard), so we use the current time instead.
+        return { timestamp: new Date() };
+    }
+    const timestamp = new Date(start);
+    if (isNaN(timestamp.getTime())) {
+        throw new CallerError(
+            `Invalid start position ${start}, expected "trim-horizon", "latest", or a timestamp`
+        );
+    }
+    return { timestamp };
+}
+
+/**
+ * Get the time to stop reading at: the earlier of `stopAfter`, and `durationMs` after the time
+ * reading starts from (the start timestamp, or now).
+ */
+function getStopAt(stopAfter, durationMs, startTimestamp) {
+    const stopTimes = [
+        stopAfter,
+        durationMs &&
+            new Date(
+                new Date(startTimestamp || Date.now()).getTime() + durationMs
+            )
+    ].filter(Boolean);
+    return stopTimes.length
+        ? new Date(Math.min(...stopTimes.map(time => time.getTime())))
+        : null;
+}
+
+/**
+ * Get a function that runs async functions, with at most `max` of them running at once (or any
+ * number, if `max` isn't given). The others wait their turn, first come first served.
+ *
+ * @param {number} [max]
+ * @returns {function(function(): Promise<any>): Promise<any>}
+ */
+function createLimiter(max) {
+    let running = 0;
+    const waiting = [];
+    return async f => {
+        if (!max) {
+            return f();
+        }
+        if (running < max) {
+            running++;
+        } else {
+            // The function that finishes hands its turn to us.
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        try {
+            return await f();
+        } finally {
+            if (waiting.length) {
+                waiting.shift()();
+            } else {
+                running--;
+            }
+        }
+    };
+}
+
+/**
+ * Check whether an output record was read before, from a checkpoint that's part of the way through
+ * the aggregated record it came from (as a KCL checkpoint can be). Like the KCL, a record that isn't
+ * aggregated counts as read if the checkpoint is at it.
+ */
+function isAlreadyRead(output, checkpoint) {
+    return (
+        checkpoint.lastReadSubSequenceNumber != null &&
+        output.SequenceNumber === checkpoint.lastReadSequenceNumber &&
+        !(output.SubSequenceNumber > checkpoint.lastReadSubSequenceNumber)
+    );
+}
+
+/**
+ * Get the checkpoint for a KPL aggregated record whose outputs were only partly taken: after the
+ * last user record whose outputs were all taken. This is null if the record isn't aggregated, or
+ * none of its user records were output in full.
+ */
+function getPartialCheckpoint(record, recordOutputs, takenCount) {
+    const next = recordOutputs[takenCount];
+    // The outputs of a user record are together, and one of them wasn't taken, so that user
+    // record wasn't output in full.
+    const fullyTaken = recordOutputs
+        .slice(0, takenCount)
+        .filter(output => output.SubSequenceNumber !== next.SubSequenceNumber);
+    const lastOutput = fullyTaken[fullyTaken.length - 1];
+    if (!lastOutput || lastOutput.SubSequenceNumber == null) {
+        return null;
+    }
+    return {
+        lastReadSequenceNumber: record.SequenceNumber,
+        lastReadSubSequenceNumber: lastOutput.SubSequenceNumber,
+        lastReadTimestamp: record.ApproximateArrivalTimestamp,
+        // The rest of the record's user records arrived with it.
+        moreRecordsBy: record.ApproximateArrivalTimestamp
+    };
+}
+
+/**
+ * Get the checkpoint for a shard whose records were left in the ordered merge when it stopped:
+ * after the last record (or user record, if aggregated) that came out of it, unless the next one is
+ * part of the same (e.g., a record split into several outputs). This is null if there's no such
+ * record, in which case the shard keeps the checkpoint it had before.
+ */
+function getEmittedCheckpoint({ streamName, shardId }, lastOutput, nextOutput) {
+    if (
+        !lastOutput ||
+        (lastOutput.SequenceNumber === nextOutput.SequenceNumber &&
+            lastOutput.SubSequenceNumber === nextOutput.SubSequenceNumber)
+    ) {
+        return null;
+    }
+    return {
+        streamName,
+        shardId,
+        lastReadSequenceNumber: lastOutput.SequenceNumber,
+        ...(lastOutput.SubSequenceNumber != null && {
+            lastReadSubSequenceNumber: lastOutput.SubSequenceNumber
+        }),
+        lastReadTimestamp: lastOutput.ApproximateArrivalTimestamp,
+        moreRecordsBy: nextOutput.ApproximateArrivalTimestamp
+    };
+}
+
+/**
+ * Get the time that a shard has been read up to, after reading a batch of records: the later of
+ * the last record's arrival time and how far behind the tip of the stream the reader is. Once a
+ * shard has ended, only the records count, since its child shards pick up where it left off.
+ */
+function getWatermark({ records, millisBehindLatest, shardEnded }) {
+    const lastRecord = records[records.length - 1];
+    return Math.max(
+        lastRecord
+            ? new Date(lastRecord.ApproximateArrivalTimestamp).getTime()
+            : -Infinity,
+        shardEnded ? -Infinity : Date.now() - (millisBehindLatest || 0)
+    );
+}
+
+module.exports = {
+    readStream,
+    readStreams,
+    RecordStream,
+    MultiRecordStream
+};
+
+/**
+ * @typedef {import("./read-stream").ReadStreamOptions} ReadStreamOptions
+ * @typedef {import("./shard-reader").Checkpoint} Checkpoint
+ */
@@ -0,0 +1,56 @@
+const { compile, TreeInterpreter } = require("@metrichor/jmespath");
+const { CallerError } = require("./error");
+
+/**
+ * Get a predicate for output records from a [JMESPath](https://jmespath.org/) expression, which
+ * matches the records that the expression gives a truthy value for (anything other than null,
+ * false, or an empty string, array, or object), e.g., `PartitionKey == 'user-1'` or
+ * `_data.level == 'ERROR'`.
+ *
+ * The expression sees the record's timestamps as ISO-8601 strings. Records that the expression
+ * can't be evaluated against (e.g., because a function is given a field of the wrong type) don't match.
+ * The expression is compiled once, here, rather than for each record.
+ *
+ * @param {string} expression
+ * @returns {function(object): boolean}
+ * @throws {CallerError} If the expression isn't valid.
+ */
+function createRecordFilter(expression) {
+    let ast;
+    try {
+        ast = compile(expression);
+    } catch (error) {
+        throw new CallerError(
+            `Invalid filter expression ${expression}: ${error.message}`,
+            { cause: error }
+        );
+    }
+    return record => {
+        let result;
+        try {
+            result = TreeInterpreter.search(ast, toSearchable(record));
+        } catch (error) {
+            return false;
+        }
+        return isTruthy(result);
+    };
+}
+
+module.exports = createRecordFilter;
+
+function toSearchable(record) {
+    const searchable = {};
+    Object.entries(record).forEach(([field, value]) => {
+        searchable[field] = value instanceof Date ? value.toISOString() : value;
+    });
+    return searchable;
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value) || typeof value === "string") {
+        return value.length > 0;
+    } else if (value && typeof value === "object") {
+        return Object.keys(value).length > 0;
+    }
+    return value !== null && value !== undefined && value !== false;
+}
@@ -0,0 +1,113 @@
+const withRetry = require("./retry");
+const { CallerError } = require("./error");
+
+// Per https://docs.aws.amazon.com/kinesis/latest/APIReference/API_PutRecords.html
+const MAX_RECORDS_PER_REQUEST = 500;
+const MAX_BYTES_PER_REQUEST = 5 * 1024 * 1024;
+const MAX_BYTES_PER_RECORD = 1024 * 1024;
+
+/**
+ * Writes records to a Kinesis stream with PutRecords, batching them into requests that stay
+ * within the limits on the number of records and the number of bytes per request.
+ *
+ * PutRecords can partially fail, for instance if some shards are throttled. The failed entries
+ * (and only those) are retried with backoff, until they all succeed or we run out of retries.
+ * Note that this means records with the same partition key may be written out of order.
+ */
+class RecordWriter {
+    /**
+     * @param {AWS.Kinesis} kinesis
+     * @param {string} streamName
+     * @param {object} [options]
+     * @param {function} [options.logger]
+     */
+    constructor(kinesis, streamName, { logger = () => {} } = {}) {
+        this.kinesis = kinesis;
+        this.streamName = streamName;
+        this.logger = logger;
+        this.batch = [];
+        this.batchBytes = 0;
+        this.recordCount = 0;
+        this.retriedCount = 0;
+    }
+
+    /**
+     * Add a record to be written, writing the current batch first if the record won't fit in it.
+     *
+     * @param {{Data: Buffer, PartitionKey: string, ExplicitHashKey: string}} entry
+     * @returns {Promise<void>}
+     */
+    async add(entry) {
+        const size = getSize(entry);
+        if (size > MAX_BYTES_PER_RECORD) {
+            throw new CallerError(
+                `Record with partition key ${entry.PartitionKey} is ${size} bytes, which is more than the ` +
+                    `limit of ${MAX_BYTES_PER_RECORD} bytes for a Kinesis record`
+            );
+        }
+        if (
+            this.batch.length >= MAX_RECORDS_PER_REQUEST ||
+            this.batchBytes + size > MAX_BYTES_PER_REQUEST
+        ) {
+            await this.flush();
+        }
+        this.batch.push(entry);
+        this.batchBytes += size;
+    }
+
+    /**
+     * Write the current batch, if there is one.
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (!this.batch.length) {
+            return;
+        }
+        let pending = this.batch;
+        this.batch = [];
+        this.batchBytes = 0;
+        await withRetry(async () => {
+            const response = await this.kinesis
+                .putRecords({ StreamName: this.streamName, Records: pending })
+                .promise();
+            const failed = pending.filter(
+                (entry, idx) => response.Records[idx].ErrorCode
+            );
+            this.recordCount += pending.length - failed.length;
+            this.logger("Put one batch of records", {
+                streamName: this.streamName,
+                recordCount: pending.length,
+                failedRecordCount: response.FailedRecordCount
+            });
+            if (failed.length) {
+                const errorCodes = [
+                    ...new Set(
+                        response.Records.map(r => r.ErrorCode).filter(Boolean)
+                    )
+                ];
+                pending = failed;
+                this.retriedCount += failed.length;
+                throw Object.assign(
+                    new Error(
+                        `Failed to put ${
+                            failed.length
+                        } record(s): ${errorCodes.join(", ")}`
+                    ),
+                    {
+                        name: "PutRecordsFailure",
+                        code: errorCodes[0],
+                        failedRecordCount: failed.length,
+                        retryable: true
+                    }
+                );
+            }
+        });
+    }
+}
+
+function getSize({ Data: data, PartitionKey: partitionKey }) {
+    return data.length + Buffer.byteLength(partitionKey, "utf8");
+}
+
+module.exports = RecordWriter;
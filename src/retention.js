@@ -0,0 +1,204 @@
+const humanizeDuration = require("humanize-duration");
+const withRetry = require("./retry");
+const { compareSequenceNumbers } = require("./sequence-numbers");
+const ShardThrottle = require("./throttle");
+
+// Reading from the TRIM_HORIZON of a sparse shard can return a lot of empty batches before getting
+// to a record, so we give up looking for the first record after this many. The reads are paced by
+// the shard's throttle, so this takes about two seconds at most.
+const MAX_TRIM_HORIZON_PROBES = 10;
+
+/**
+ * Check whether records after a checkpoint have been lost because they fell out of the shard's
+ * retention window, by comparing the checkpoint to the first record currently available in the
+ * shard (at the TRIM_HORIZON).
+ *
+ * If the first available record comes after the checkpoint, then the checkpointed record has been
+ * trimmed from the shard, but that alone doesn't mean anything was lost: the first available record
+ * may well be the next one. Records are only known to be lost if the checkpoint has a
+ * `moreRecordsBy` time (meaning the shard had records after the checkpointed one when it was read)
+ * and the first available record arrived after that time, since then at least one record between
+ * the two is gone.
+ *
+ * @param {AWS.Kinesis} kinesis
+ * @param {string} streamName
+ * @param {string} shardId
+ * @param {Checkpoint} checkpoint The checkpoint to check. Only checkpoints with a
+ * `lastReadSequenceNumber` can be checked, for others the result is always `{ lost: false }`.
+ * @param {object} [options]
+ * @param {ShardThrottle} [options.throttle] The throttle for GetRecords calls to the shard, to share
+ * its limits with a reader.
+ *
+ * @returns {Promise<RetentionCheck>}
+ */
+async function checkRetention(
+    kinesis,
+    streamName,
+    shardId,
+    checkpoint,
+    { throttle = new ShardThrottle() } = {}
+) {
+    if (!checkpoint || !checkpoint.lastReadSequenceNumber) {
+        return { lost: false };
+    }
+    const firstRecord = await getFirstAvailableRecord(
+        kinesis,
+        streamName,
+        shardId,
+        throttle
+    );
+    if (
+        !firstRecord ||
+        compareSequenceNumbers(
+            firstRecord.SequenceNumber,
+            checkpoint.lastReadSequenceNumber
+        ) <= 0
+    ) {
+        return { lost: false };
+    }
+    const firstAvailableTimestamp = new Date(
+        firstRecord.ApproximateArrivalTimestamp
+    );
+    if (
+        !checkpoint.moreRecordsBy ||
+        firstAvailableTimestamp.getTime() <=
+            new Date(checkpoint.moreRecordsBy).getTime()
+    ) {
+        return { lost: false, checkpointTrimmed: true };
+    }
+    // If we know when the last read record arrived, the gap is the time from then to the first
+    // available record. Otherwise the best we can do is the time from when the checkpoint was written.
+    const gapStart = checkpoint.lastReadTimestamp || checkpoint.time;
+    return {
+        lost: true,
+        checkpointTrimmed: true,
+        lastReadSequenceNumber: checkpoint.lastReadSequenceNumber,
+        firstAvailableSequenceNumber: firstRecord.SequenceNumber,
+        firstAvailableTimestamp,
+        gapMs: gapStart
+            ? Math.max(
+                  0,
+                  firstAvailableTimestamp.getTime() -
+                      new Date(gapStart).getTime()
+              )
+            : null,
+        gapIsLowerBound: !checkpoint.lastReadTimestamp
+    };
+}
+
+/**
+ * Get the `moreRecordsBy` time for the checkpoint after a batch of records: the time by which a
+ * record after the last one in the batch had arrived, if Kinesis says there were any (i.e., the
+ * batch was behind the tip of the shard). An empty batch doesn't move the checkpoint, so it keeps
+ * the last checkpoint's time.
+ *
+ * @param {AWS.Kinesis.Record[]} records
+ * @param {number} millisBehindLatest
+ * @param {Checkpoint} [lastCheckpoint]
+ * @returns {Date|string|undefined}
+ */
+function getMoreRecordsBy(records, millisBehindLatest, lastCheckpoint) {
+    const lastRecord = records[records.length - 1];
+    if (!lastRecord) {
+        return (lastCheckpoint || {}).moreRecordsBy;
+    }
+    return millisBehindLatest
+        ? new Date(
+              new Date(lastRecord.ApproximateArrivalTimestamp).getTime() +
+                  millisBehindLatest
+          )
+        : undefined;
+}
+
+/**
+ * Describe a {@link RetentionCheck} that found data loss, for messages.
+ *
+ * @param {string} streamName
+ * @param {string} shardId
+ * @param {RetentionCheck} result
+ * @returns {string}
+ */
+function describeDataLoss(streamName, shardId, result) {
+    const gap =
+        result.gapMs == null
+            ? ""
+            : `, ${result.gapIsLowerBound ? "at least " : ""}${humanizeDuration(
+                  result.gapMs,
+                  { largest: 2, round: true }
+              )} after the ${
+                  result.gapIsLowerBound
+                      ? "checkpoint was written"
+                      : "last record that was read"
+              }`;
+    return (
+        `The checkpoint for shard ${shardId} of stream ${streamName} is outside of the stream's retention window, ` +
+        `records after sequence number ${result.lastReadSequenceNumber} have been lost. ` +
+        `The oldest available record (sequence number ${
+            result.firstAvailableSequenceNumber
+        }) arrived at ${result.firstAvailableTimestamp.toISOString()}${gap}.`
+    );
+}
+
+/**
+ * Get the oldest record currently available in the shard, or null if there isn't one (or we
+ * couldn't find it in a reasonable number of reads).
+ */
+async function getFirstAvailableRecord(kinesis, streamName, shardId, throttle) {
+    let shardIterator = (await withRetry(() =>
+        kinesis
+            .getShardIterator({
+                StreamName: streamName,
+                ShardId: shardId,
+                ShardIteratorType: "TRIM_HORIZON"
+            })
+            .promise()
+    )).ShardIterator;
+    for (let probe = 0; probe < MAX_TRIM_HORIZON_PROBES; probe++) {
+        const response = await withRetry(async () => {
+            await throttle.beforeRead();
+            try {
+                const response = await kinesis
+                    .getRecords({ ShardIterator: shardIterator, Limit: 1 })
+                    .promise();
+                throttle.afterRead(1, response.Records);
+                return response;
+            } catch (error) {
+                if (error.code === "ProvisionedThroughputExceededException") {
+                    throttle.throttled(1);
+                }
+                throw error;
+            }
+        });
+        if (response.Records.length) {
+            return response.Records[0];
+        }
+        if (!response.MillisBehindLatest || !response.NextShardIterator) {
+            return null;
+        }
+        shardIterator = response.NextShardIterator;
+    }
+    return null;
+}
+
+module.exports = {
+    checkRetention,
+    describeDataLoss,
+    getMoreRecordsBy
+};
+
+/**
+ * @typedef {import("./shard-reader").Checkpoint} Checkpoint
+ */
+/**
+ * @typedef {object} RetentionCheck
+ * @property {boolean} lost True if records after the checkpoint are known to have been trimmed from
+ * the shard. The other properties are only present if this is true, except for `checkpointTrimmed`.
+ * @property {boolean} [checkpointTrimmed] True if the checkpointed record itself is no longer in the
+ * shard, whether or not any records after it were lost.
+ * @property {string} [lastReadSequenceNumber] The sequence number from the checkpoint.
+ * @property {string} [firstAvailableSequenceNumber] The sequence number of the oldest record in the shard.
+ * @property {Date} [firstAvailableTimestamp] The arrival time of the oldest record in the shard.
+ * @property {number|null} [gapMs] An estimate of the span of time in which records may have been lost.
+ * @property {boolean} [gapIsLowerBound] True if the estimate is based on when the checkpoint was written,
+ * rather than when the last read record arrived, in which case the actual gap may be larger.
+ */
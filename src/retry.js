@@ -1,52 +1,228 @@
-const MAX_RETRIES = 10;
-const INITIAL_BACKOFF_MS = 10;
-const BACKOFF_DITHER_FACTOR = 1;
-
-function withRetry(f) {
-    return withRetryRecursive(
-        f,
-        [],
-        MAX_RETRIES,
-        INITIAL_BACKOFF_MS,
-        INITIAL_BACKOFF_MS * BACKOFF_DITHER_FACTOR
-    );
-}
+const { CallerError } = require("./error");
+const { wait } = require("./wait");
 
-module.exports = withRetry;
+const JITTER_STRATEGIES = ["none", "full", "equal", "decorrelated"];
 
-async function withRetryRecursive(
-    f,
-    prevErrors,
-    retries,
-    backoff,
-    backoffDither
-) {
-    try {
-        return await f();
-    } catch (error) {
-        if (error.retryable) {
-            const allErrors = [...prevErrors, error];
-            if (retries) {
-                if (backoff) {
-                    const dither = Math.floor(backoffDither * Math.random());
-                    await wait(backoff + dither);
+// Error codes (and HTTP statuses) that mean we're being throttled, as opposed to something
+// else going wrong that's worth retrying (like a network error or a 5xx).
+const THROTTLING_ERROR_CODES = [
+    "ProvisionedThroughputExceededException",
+    "LimitExceededException",
+    "ThrottlingException",
+    "Throttling",
+    "TooManyRequestsException",
+    "RequestLimitExceeded",
+    "KMSThrottlingException"
+];
+const THROTTLING_STATUS_CODE = 429;
+
+/**
+ * The retry policy for each kind of error. Throttling backs off from a longer delay, since retrying
+ * right away will just get throttled again.
+ */
+const DEFAULT_POLICIES = {
+    throttling: {
+        maxAttempts: 11,
+        baseDelayMs: 100,
+        maxDelayMs: 5000,
+        jitter: "full"
+    },
+    transient: {
+        maxAttempts: 11,
+        baseDelayMs: 10,
+        maxDelayMs: 5000,
+        jitter: "equal"
+    }
+};
+
+let policies = DEFAULT_POLICIES;
+let deadlineMs = null;
+let logger = () => {};
+const stats = { retries: 0, throttling: 0, transient: 0 };
+
+/**
+ * Call the given function, calling it again (after a delay) if it throws an error that's marked as
+ * `retryable`, until it succeeds or we run out of retries. Throttling errors and other retryable
+ * errors (like network errors and 5xx responses) each have their own retry policy, see
+ * {@link configureRetries}. Every attempt counts toward the `maxAttempts` of the policy for the
+ * latest error, whatever the earlier attempts failed with, so a request is never made more often
+ * than that.
+ *
+ * @param {function(): Promise<any>} f
+ * @returns {Promise<any>} Whatever the function returns, once it succeeds.
+ * @throws {NonRetryableError} If the function throws an error that isn't retryable.
+ * @throws {OutOfRetriesError} If the function keeps failing until we run out of attempts, or time.
+ */
+async function withRetry(f) {
+    const startTime = Date.now();
+    const prevErrors = [];
+    const delays = [];
+    const failures = { throttling: 0, transient: 0 };
+    const lastDelays = { throttling: 0, transient: 0 };
+    for (;;) {
+        try {
+            return await f();
+        } catch (error) {
+            if (!error.retryable) {
+                throw new NonRetryableError(error, prevErrors);
+            }
+            const kind = isThrottlingError(error) ? "throttling" : "transient";
+            const policy = policies[kind];
+            const attempts = prevErrors.length + 1;
+            // The backoff grows with the failures of each kind, but they share one budget of attempts.
+            failures[kind]++;
+            const delay = getDelay(policy, failures[kind], lastDelays[kind]);
+            const elapsed = Date.now() - startTime;
+            const outOfTime =
+                deadlineMs !== null && elapsed + delay > deadlineMs;
+            if (attempts >= policy.maxAttempts || outOfTime) {
+                throw new OutOfRetriesError(error, prevErrors, {
+                    attempts,
+                    elapsedMs: elapsed,
+                    delaysMs: delays,
+                    deadlineExceeded: outOfTime
+                });
+            }
+            logger(
+                `Retrying after ${error.name}${
+                    error.code && error.code !== error.name
+                        ? ` (${error.code})`
+                        : ""
+                } in ${delay} ms`,
+                {
+                    kind,
+                    attempt: attempts,
+                    message: error.message
                 }
-                return withRetryRecursive(
-                    f,
-                    allErrors,
-                    retries - 1,
-                    backoff + backoff,
-                    backoffDither
-                );
+            );
+            stats.retries++;
+            stats[kind]++;
+            prevErrors.push(error);
+            delays.push(delay);
+            lastDelays[kind] = delay;
+            if (delay) {
+                await wait(delay);
             }
-            throw new OutOfRetriesError(error, prevErrors);
         }
-        throw new NonRetryableError(error, prevErrors);
     }
 }
 
-function wait(ms) {
-    return new Promise(resolve => setTimeout(() => resolve(), ms));
+module.exports = withRetry;
+
+/**
+ * Set the retry policies used by {@link withRetry}. The `maxAttempts`, `baseDelayMs`, `maxDelayMs`,
+ * and `jitter` settings at the top level apply to both kinds of errors, and those under `throttling`
+ * and `transient` apply to only that kind. Anything that isn't given keeps its default.
+ *
+ * @param {RetryConfig} [config]
+ * @param {function} [retryLogger] Called with a message for each retry.
+ */
+function configureRetries(config = {}, retryLogger = () => {}) {
+    const common = getPolicySettings(config, "retry config");
+    const newPolicies = {};
+    for (const kind of Object.keys(DEFAULT_POLICIES)) {
+        const policy = {
+            ...DEFAULT_POLICIES[kind],
+            ...common,
+            ...getPolicySettings(config[kind] || {}, `${kind} retry config`)
+        };
+        if (policy.baseDelayMs > policy.maxDelayMs) {
+            throw new CallerError(
+                `Invalid ${kind} retry config: the base delay (${policy.baseDelayMs} ms) is more than the max delay (${policy.maxDelayMs} ms)`
+            );
+        }
+        newPolicies[kind] = policy;
+    }
+    if (config.deadlineMs != null && !(config.deadlineMs > 0)) {
+        throw new CallerError(
+            `Invalid retry deadline ${config.deadlineMs}, expected a number of milliseconds`
+        );
+    }
+    policies = newPolicies;
+    deadlineMs = config.deadlineMs == null ? null : config.deadlineMs;
+    logger = retryLogger;
+}
+
+/**
+ * Get the number of retries that have been made since the process started, in total and of each kind.
+ *
+ * @returns {{retries: number, throttling: number, transient: number}}
+ */
+function getRetryStats() {
+    return { ...stats };
+}
+
+module.exports.configureRetries = configureRetries;
+module.exports.getRetryStats = getRetryStats;
+
+function getPolicySettings(config, where) {
+    const settings = {};
+    ["maxAttempts", "baseDelayMs", "maxDelayMs"].forEach(name => {
+        if (config[name] == null) {
+            return;
+        }
+        const value = Number(config[name]);
+        const min = name === "maxAttempts" ? 1 : 0;
+        if (!Number.isFinite(value) || value < min) {
+            throw new CallerError(
+                `Invalid ${where}: ${name} must be a number, at least ${min}`
+            );
+        }
+        settings[name] = value;
+    });
+    if (config.jitter != null) {
+        if (!JITTER_STRATEGIES.includes(config.jitter)) {
+            throw new CallerError(
+                `Invalid ${where}: jitter must be one of ${JITTER_STRATEGIES.join(
+                    ", "
+                )}`
+            );
+        }
+        settings.jitter = config.jitter;
+    }
+    return settings;
+}
+
+function isThrottlingError(error) {
+    return (
+        THROTTLING_ERROR_CODES.includes(error.code) ||
+        error.statusCode === THROTTLING_STATUS_CODE
+    );
+}
+
+/**
+ * Get how long to wait before the next attempt, after the given number of failures. The delay
+ * doubles with each failure, from the base delay up to the max delay, and then the jitter strategy
+ * randomizes it (see https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/):
+ * "full" picks a delay up to the backoff, "equal" picks one between half the backoff and the
+ * backoff, and "decorrelated" picks one between the base delay and three times the last delay.
+ */
+function getDelay(
+    { baseDelayMs, maxDelayMs, jitter },
+    failureCount,
+    lastDelay
+) {
+    const backoff = Math.min(
+        maxDelayMs,
+        baseDelayMs * Math.pow(2, failureCount - 1)
+    );
+    switch (jitter) {
+        case "full":
+            return Math.floor(Math.random() * backoff);
+        case "equal":
+            return Math.floor(backoff / 2 + (Math.random() * backoff) / 2);
+        case "decorrelated":
+            return Math.floor(
+                Math.min(
+                    maxDelayMs,
+                    baseDelayMs +
+                        Math.random() *
+                            (Math.max(baseDelayMs, lastDelay * 3) - baseDelayMs)
+                )
+            );
+        default:
+            return backoff;
+    }
 }
 
 class NonRetryableError extends Error {
@@ -63,10 +239,22 @@ class NonRetryableError extends Error {
 }
 
 class OutOfRetriesError extends Error {
-    constructor(lastError, prevErrors) {
+    /**
+     * @param {Error} lastError
+     * @param {Error[]} prevErrors
+     * @param {{attempts: number, elapsedMs: number, delaysMs: number[], deadlineExceeded: boolean}} timings
+     */
+    constructor(lastError, prevErrors, timings) {
         const allErrors = [...prevErrors, lastError];
+        const waitedMs = timings.delaysMs.reduce((sum, ms) => sum + ms, 0);
         super(
-            `Ran out of retries after ${allErrors.length} error(s): ${[
+            `Ran out of retries after ${allErrors.length} error(s)${
+                timings.deadlineExceeded
+                    ? " (the retry deadline was reached)"
+                    : ""
+            }, over ${
+                timings.elapsedMs
+            } ms, ${waitedMs} ms of it waiting to retry: ${[
                 ...new Set(allErrors.map(e => e.name))
             ].join(", ")}`
         );
@@ -75,6 +263,7 @@ class OutOfRetriesError extends Error {
         this.lastError = lastError;
         this.cause = usefulCause(lastError);
         this.prevErrors = prevErrors.map(usefulCause);
+        this.timings = { ...timings, waitedMs };
     }
 }
 
@@ -104,4 +293,18 @@ function without(obj, ...props) {
     return res;
 }
 
-module.exports = withRetry;
+/**
+ * @typedef {object} RetryPolicySettings
+ * @property {number} [maxAttempts] How many times to call the function before giving up, counting
+ * the calls that failed with either kind of error.
+ * @property {number} [baseDelayMs] The delay before the first retry, which doubles for each one after.
+ * @property {number} [maxDelayMs] The most to wait before any retry.
+ * @property {"none"|"full"|"equal"|"decorrelated"} [jitter] How to randomize the delays.
+ *
+ * @typedef {RetryPolicySettings & {
+ *     deadlineMs?: number,
+ *     throttling?: RetryPolicySettings,
+ *     transient?: RetryPolicySettings
+ * }} RetryConfig The settings for both kinds of error, and for each, along with how long to keep
+ * retrying in total (`deadlineMs`).
+ */
@@ -0,0 +1,18 @@
+/**
+ * Compare two Kinesis sequence numbers. They're strings of decimal digits too big to compare
+ * as numbers, but since they never have leading zeros, a longer one is always bigger.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a comes before b, positive if a comes after b, zero if they're equal.
+ */
+function compareSequenceNumbers(a = "", b = "") {
+    if (a.length !== b.length) {
+        return a.length - b.length;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+module.exports = {
+    compareSequenceNumbers
+};
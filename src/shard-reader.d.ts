@@ -9,6 +9,48 @@
 export interface Checkpoint {
     shardIterator: ShardIterator | null;
     lastReadSequenceNumber: SequenceNumber | null;
+
+    /**
+     * The ApproximateArrivalTimestamp of the record with the lastReadSequenceNumber, if known.
+     */
+    lastReadTimestamp?: Date | string;
+
+    /**
+     * If the lastReadSequenceNumber is a record aggregated by the KPL that may have only been read
+     * part of the way through (as in a KCL checkpoint), the SubSequenceNumber of the last user record
+     * that was read from it. Reading resumes at the record, skipping the user records up to this
+     * one, or the whole record if it isn't aggregated.
+     */
+    lastReadSubSequenceNumber?: number;
+
+    /**
+     * If the shard had records after the lastReadSequenceNumber when it was read, a time by which at
+     * least one of them had arrived. This is what tells us records were lost if the checkpoint falls
+     * out of the stream's retention window.
+     */
+    moreRecordsBy?: Date | string;
+
+    /**
+     * If no record has been read yet, the sequence number of the record to start reading at (using
+     * the AT_SEQUENCE_NUMBER iterator type) when there's no valid shardIterator. This takes
+     * precedence over the `timestamp`.
+     */
+    startSequenceNumber?: SequenceNumber;
+
+    /**
+     * If no record has been read yet, the time to start reading from (using the AT_TIMESTAMP
+     * iterator type) when there's no valid shardIterator. Without this or a lastReadSequenceNumber,
+     * reading starts at the TRIM_HORIZON.
+     */
+    timestamp?: Date | string;
+}
+
+export interface ShardReaderOptions {
+    /**
+     * If true, keep reading after reaching the tip of the shard, waiting for new records to arrive,
+     * until the shard is closed.
+     */
+    follow?: boolean;
 }
 
 type ShardIterator = string;
@@ -30,9 +72,15 @@ export interface ShardReadCursor {
 
     millisBehindLatest: number;
 
+    /**
+     * True if the shard is closed and there are no more records to read from it, meaning it's
+     * safe to start reading the shard's children.
+     */
+    shardEnded: boolean;
+
     /**
      * The function to get the next (advanced) cursor. Present if and only if the cursor
-     * has not reached the end of the shard.
+     * has not reached the end of the shard (or, when following, if the shard is still open).
      */
     next?: ShardReadCursorAdvance;
 }
@@ -1,4 +1,7 @@
+const { getMoreRecordsBy } = require("./retention");
 const withRetry = require("./retry");
+const ShardThrottle = require("./throttle");
+const { wait } = require("./wait");
 
 /**
  * Get an iterative reader to read records our of the specified Kinesis shard, starting form
@@ -8,13 +11,24 @@ const withRetry = require("./retry");
  * @param {string} streamName The name of the stream to read from.
  * @param {string} shardId The shardID to read from.
  * @param {Checkpoint} lastCheckpoint Optional, the last known checkpoint.
+ * @param {ShardReaderOptions} [options]
  *
  * @returns {InitialShardReadCursor}
  */
-function readFromShard(kinesis, streamName, shardId, lastCheckpoint) {
-    const shard = new KinesisShard(kinesis, streamName, shardId);
+function readFromShard(
+    kinesis,
+    streamName,
+    shardId,
+    lastCheckpoint,
+    { follow = false, throttle = new ShardThrottle() } = {}
+) {
+    const shard = new KinesisShard(kinesis, streamName, shardId, throttle);
     return {
-        next: () => readAndAdvance(shard, lastCheckpoint || {})
+        next: () =>
+            readAndAdvance(shard, lastCheckpoint || {}, {
+                follow,
+                idleDelay: 0
+            })
     };
 }
 
@@ -27,7 +41,9 @@ module.exports = readFromShard;
  * This is meant to be used in a chase-the-tail conga-line kind of fashion. Each call returns
  * the records read and an updated checkpoint, but also a `next` function that can be called
  * without parameters to read the next batch of records. When there are no records left to
- * read, the `next` function is omitted.
+ * read, the `next` function is omitted. In `follow` mode, reaching the tip of the shard doesn't
+ * end the read: `next` is provided for as long as Kinesis gives us a `NextShardIterator` (i.e., until
+ * the shard is closed), and will wait a little before reading if the previous batch came back empty.
  *
  * ```javascript
  * let cursor = createShardReader(...);
@@ -40,17 +56,25 @@ module.exports = readFromShard;
  *
  * @param {KinesisShard} shard
  * @param {Checkpoint} [lastCheckpoint]
+ * @param {{follow: boolean, idleDelay: number}} [options] The `idleDelay` is how long to wait before
+ * reading, in milliseconds.
  *
  * @returns {Promise<ShardReadCursor>} The returned cursor has the data that was read starting from the given
  * checkpoint, and a {@link ShardReadCursorAdvance} function to get the next cursor.
  */
-async function readAndAdvance(shard, lastCheckpoint = {}) {
+async function readAndAdvance(shard, lastCheckpoint = {}, options = {}) {
+    if (options.idleDelay) {
+        await wait(options.idleDelay);
+    }
     const shardIterator = await shard.getShardIteratorFromCheckpoint(
         lastCheckpoint
     );
     const getRecordsResponse = await shard.getOneBatchOfRecords({
         shardIterator,
-        lastReadSequenceNumber: lastCheckpoint.lastReadSequenceNumber
+        lastReadSequenceNumber: lastCheckpoint.lastReadSequenceNumber,
+        lastReadSubSequenceNumber: lastCheckpoint.lastReadSubSequenceNumber,
+        startSequenceNumber: lastCheckpoint.startSequenceNumber,
+        timestamp: lastCheckpoint.timestamp
     });
     const nextCheckpoint = getNextCheckpoint(
         getRecordsResponse,
@@ -60,38 +84,37 @@ async function readAndAdvance(shard, lastCheckpoint = {}) {
         records: getRecordsResponse.Records,
         checkpoint: nextCheckpoint,
         millisBehindLatest: getRecordsResponse.MillisBehindLatest,
-        ...(moreToRead(getRecordsResponse) && {
-            next: () => readAndAdvance(shard, nextCheckpoint)
+        shardEnded: !getRecordsResponse.NextShardIterator,
+        ...((options.follow
+            ? getRecordsResponse.NextShardIterator
+            : moreToRead(getRecordsResponse)) && {
+            next: () =>
+                readAndAdvance(shard, nextCheckpoint, {
+                    ...options,
+                    idleDelay: getNextIdleDelay(
+                        getRecordsResponse,
+                        options.idleDelay
+                    )
+                })
         })
     };
 }
 
-// Max value for Limit, per https://docs.aws.amazon.com/kinesis/latest/APIReference/API_GetRecords.html
-const MAX_BATCH_SIZE = 10000;
-const INITIAL_BATCH_SIZE = Math.floor(MAX_BATCH_SIZE / 4);
-const MIN_BATCH_SIZE = 1;
-const BATCH_SIZE_DECREASE_MULTIPLE = 0.5;
-const BATCH_SIZE_INCREASE_MULTIPLE = 1.5;
-
-let batchSize = INITIAL_BATCH_SIZE;
-
-function batchSizeWasSuccessful(usedBatchSize) {
-    batchSize = Math.min(
-        MAX_BATCH_SIZE,
-        Math.max(
-            batchSize,
-            Math.round(usedBatchSize * BATCH_SIZE_INCREASE_MULTIPLE)
-        )
-    );
-}
+// How long to wait between reads when following a shard that has no new records. Doubles with each
+// consecutive empty batch, up to the max.
+const MIN_IDLE_DELAY_MS = 250;
+const MAX_IDLE_DELAY_MS = 2000;
 
-function batchSizeWasUnsuccessful(usedBatchSize) {
-    batchSize = Math.max(
-        MIN_BATCH_SIZE,
-        Math.min(
-            batchSize,
-            Math.round(usedBatchSize * BATCH_SIZE_DECREASE_MULTIPLE)
-        )
+function getNextIdleDelay(getRecordsResponse, lastIdleDelay) {
+    if (
+        getRecordsResponse.Records.length ||
+        getRecordsResponse.MillisBehindLatest
+    ) {
+        return 0;
+    }
+    return Math.min(
+        MAX_IDLE_DELAY_MS,
+        Math.max(MIN_IDLE_DELAY_MS, lastIdleDelay * 2)
     );
 }
 
@@ -100,10 +123,11 @@ function batchSizeWasUnsuccessful(usedBatchSize) {
  * the kinesis client, streamName, and shardId everywhere.
  */
 class KinesisShard {
-    constructor(kinesis, streamName, shardId) {
+    constructor(kinesis, streamName, shardId, throttle) {
         this.kinesis = kinesis;
         this.streamName = streamName;
         this.shardId = shardId;
+        this.throttle = throttle;
     }
 
     /**
@@ -112,9 +136,15 @@ class KinesisShard {
      * @param {Checkpoint} lastCheckpoint The checkpoint value to start from.
      * @returns {object} The response body from the Kinesis getRecords call.
      */
-    getOneBatchOfRecords({ shardIterator, lastReadSequenceNumber }) {
+    getOneBatchOfRecords({
+        shardIterator,
+        lastReadSequenceNumber,
+        lastReadSubSequenceNumber,
+        startSequenceNumber,
+        timestamp
+    }) {
         return withRetry(async () => {
-            const usedBatchSize = batchSize;
+            const usedBatchSize = await this.throttle.beforeRead();
             try {
                 const response = await this.kinesis
                     .getRecords({
@@ -122,21 +152,29 @@ class KinesisShard {
                         Limit: usedBatchSize
                     })
                     .promise();
-                batchSizeWasSuccessful(usedBatchSize);
+                this.throttle.afterRead(usedBatchSize, response.Records);
                 return response;
             } catch (error) {
                 if (error.code === "ExpiredIteratorException") {
-                    const newShardIterator = await this.getShardIteratorFromLastReadSequenceNumber(
-                        lastReadSequenceNumber
+                    const newShardIterator = await this.getShardIteratorFromCheckpoint(
+                        {
+                            lastReadSequenceNumber,
+                            lastReadSubSequenceNumber,
+                            startSequenceNumber,
+                            timestamp
+                        }
                     );
                     return this.getOneBatchOfRecords({
                         shardIterator: newShardIterator,
-                        lastReadSequenceNumber
+                        lastReadSequenceNumber,
+                        lastReadSubSequenceNumber,
+                        startSequenceNumber,
+                        timestamp
                     });
                 } else if (
                     error.code === "ProvisionedThroughputExceededException"
                 ) {
-                    batchSizeWasUnsuccessful(usedBatchSize);
+                    this.throttle.throttled(usedBatchSize);
                 }
                 throw error;
             }
@@ -160,16 +198,30 @@ class KinesisShard {
     getShardIteratorFromCheckpoint({
         shardIterator,
         lastReadSequenceNumber,
+        lastReadSubSequenceNumber,
+        startSequenceNumber,
         timestamp
     }) {
         // If we already have a shard iterator, use it.
         if (shardIterator) {
             return shardIterator;
         }
-        if (lastReadSequenceNumber) {
+        // The rest of a partly read aggregated record is still to be read, so start at the record
+        // itself, and leave skipping the user records that were read to the caller.
+        if (lastReadSequenceNumber && lastReadSubSequenceNumber != null) {
+            return this.requestShardIterator(
+                "AT_SEQUENCE_NUMBER",
+                lastReadSequenceNumber
+            );
+        } else if (lastReadSequenceNumber) {
             return this.getShardIteratorFromLastReadSequenceNumber(
                 lastReadSequenceNumber
             );
+        } else if (startSequenceNumber) {
+            return this.requestShardIterator(
+                "AT_SEQUENCE_NUMBER",
+                startSequenceNumber
+            );
         } else if (timestamp) {
             return this.getShardIteratorFromTimestamp(timestamp);
         }
@@ -205,12 +257,41 @@ function moreToRead(getRecordsResponse) {
 }
 
 function getNextCheckpoint(getRecordsResponse, lastCheckpoint) {
+    const lastRecord = last(getRecordsResponse.Records) || {};
+    const lastReadSequenceNumber =
+        lastRecord.SequenceNumber ||
+        (lastCheckpoint || {}).lastReadSequenceNumber ||
+        null;
+    const lastReadTimestamp =
+        lastRecord.ApproximateArrivalTimestamp ||
+        (lastCheckpoint || {}).lastReadTimestamp;
+    const moreRecordsBy = getMoreRecordsBy(
+        getRecordsResponse.Records,
+        getRecordsResponse.MillisBehindLatest,
+        lastCheckpoint
+    );
     return {
-        shardIterator: getRecordsResponse.NextShardIterator,
-        lastReadSequenceNumber:
-            (last(getRecordsResponse.Records) || {}).SequenceNumber ||
-            (lastCheckpoint || {}).lastReadSequenceNumber ||
-            null
+        // A null shard iterator means the shard has been read to the end.
+        shardIterator: getRecordsResponse.NextShardIterator || null,
+        lastReadSequenceNumber,
+        // The reader doesn't look inside aggregated records, so it only keeps the position in one
+        // until it reads another record.
+        ...(!lastRecord.SequenceNumber &&
+            (lastCheckpoint || {}).lastReadSubSequenceNumber != null && {
+                lastReadSubSequenceNumber:
+                    lastCheckpoint.lastReadSubSequenceNumber
+            }),
+        ...(lastReadTimestamp && { lastReadTimestamp }),
+        ...(moreRecordsBy && { moreRecordsBy }),
+        // Until we've read a record, keep the position we started from in case the shard iterator expires.
+        ...(!lastReadSequenceNumber &&
+            (lastCheckpoint || {}).startSequenceNumber && {
+                startSequenceNumber: lastCheckpoint.startSequenceNumber
+            }),
+        ...(!lastReadSequenceNumber &&
+            (lastCheckpoint || {}).timestamp && {
+                timestamp: lastCheckpoint.timestamp
+            })
     };
 }
 
@@ -224,4 +305,5 @@ function last(ari) {
  * @typedef {import("./shard-reader").ShardReadCursor} ShardReadCursor
  * @typedef {import("./shard-reader").InitialShardReadCursor} InitialShardReadCursor
  * @typedef {import("./shard-reader").ShardReadCursorAdvance} ShardReadCursorAdvance
+ * @typedef {import("./shard-reader").ShardReaderOptions} ShardReaderOptions
  */
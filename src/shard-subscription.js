@@ -0,0 +1,200 @@
+const http2 = require("http2");
+const AWS = require("aws-sdk");
+const { readMessages } = require("./event-stream");
+
+// Errors from SubscribeToShard that are worth subscribing again for. ResourceInUseException means
+// the previous subscription to the shard hasn't been cleaned up yet, or the consumer isn't active yet.
+const RETRYABLE_ERROR_CODES = [
+    "ResourceInUseException",
+    "LimitExceededException",
+    "InternalFailureException",
+    "ProvisionedThroughputExceededException"
+];
+
+/**
+ * A subscription to a shard through an enhanced fan-out consumer, with the SubscribeToShard API.
+ * Kinesis pushes events with records to the subscription over an HTTP/2 event stream, for up to
+ * five minutes, after which the subscription ends and a new one is needed.
+ *
+ * The AWS SDK (v2) doesn't support SubscribeToShard, so we make the request ourselves, signed with
+ * the Kinesis client's credentials, and parse the event stream with {@link readMessages}.
+ */
+class ShardSubscription {
+    /**
+     * @param {http2.ClientHttp2Session} session A session with the Kinesis endpoint.
+     * @param {AWS.Kinesis} kinesis The client to get the endpoint, region, and credentials from.
+     * @param {object} params The parameters for SubscribeToShard: `ConsumerARN`, `ShardId`, and `StartingPosition`.
+     */
+    constructor(session, kinesis, params) {
+        this.session = session;
+        this.kinesis = kinesis;
+        this.params = params;
+        this.stream = null;
+        this.messages = null;
+    }
+
+    /**
+     * Make the request, resolving once Kinesis has accepted the subscription (or rejecting if it hasn't).
+     */
+    async open() {
+        const { endpoint } = this.kinesis;
+        const body = JSON.stringify(this.params);
+        const request = new AWS.HttpRequest(
+            endpoint,
+            this.kinesis.config.region
+        );
+        request.method = "POST";
+        request.path = "/";
+        request.body = body;
+        Object.assign(request.headers, {
+            Host: endpoint.host,
+            "Content-Type": "application/x-amz-json-1.1",
+            "Content-Length": Buffer.byteLength(body),
+            "X-Amz-Target": "Kinesis_20131202.SubscribeToShard"
+        });
+        const credentials = await getCredentials(this.kinesis);
+        new AWS.Signers.V4(request, "kinesis").addAuthorization(
+            credentials,
+            AWS.util.date.getDate()
+        );
+        const headers = {
+            ":method": "POST",
+            ":path": "/",
+            ":authority": endpoint.host,
+            ":scheme": endpoint.protocol.replace(/:$/, "")
+        };
+        Object.entries(request.headers)
+            .filter(([name]) => name.toLowerCase() !== "host")
+            .forEach(([name, value]) => {
+                headers[name.toLowerCase()] = value;
+            });
+
+        this.stream = this.session.request(headers);
+        this.stream.end(body);
+        const status = await new Promise((resolve, reject) => {
+            this.stream.once("response", responseHeaders =>
+                resolve(responseHeaders[":status"])
+            );
+            this.stream.once("error", error =>
+                reject(toSubscriptionError(error))
+            );
+        });
+        if (status !== 200) {
+            throw await readErrorResponse(this.stream, status);
+        }
+        this.messages = readMessages(this.stream);
+    }
+
+    /**
+     * Get the next SubscribeToShardEvent, or null if the subscription has ended.
+     *
+     * @returns {Promise<object>}
+     */
+    async next() {
+        for (;;) {
+            let result;
+            try {
+                result = await this.messages.next();
+            } catch (error) {
+                throw toSubscriptionError(error);
+            }
+            if (result.done) {
+                return null;
+            }
+            const { headers, body } = result.value;
+            const messageType = headers[":message-type"];
+            if (messageType === "exception") {
+                throw createError(
+                    headers[":exception-type"],
+                    parseJson(body).message
+                );
+            } else if (messageType === "error") {
+                throw createError(
+                    headers[":error-code"],
+                    headers[":error-message"]
+                );
+            } else if (headers[":event-type"] === "SubscribeToShardEvent") {
+                return parseEvent(parseJson(body));
+            }
+            // Otherwise it's the initial-response event, which doesn't tell us anything.
+        }
+    }
+
+    /**
+     * Stop receiving events, if the subscription hasn't ended already.
+     */
+    cancel() {
+        if (this.stream && !this.stream.destroyed) {
+            this.stream.close(http2.constants.NGHTTP2_CANCEL);
+        }
+    }
+}
+
+/**
+ * Convert the records in an event into the form the SDK gives them to us from GetRecords.
+ */
+function parseEvent(event) {
+    return {
+        ...event,
+        Records: event.Records.map(record => ({
+            ...record,
+            Data: Buffer.from(record.Data, "base64"),
+            ApproximateArrivalTimestamp: new Date(
+                record.ApproximateArrivalTimestamp * 1000
+            )
+        }))
+    };
+}
+
+function getCredentials(kinesis) {
+    return new Promise((resolve, reject) =>
+        kinesis.config.getCredentials(error =>
+            error ? reject(error) : resolve(kinesis.config.credentials)
+        )
+    );
+}
+
+async function readErrorResponse(stream, status) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    const { __type: type = "", message, Message } = parseJson(
+        Buffer.concat(chunks)
+    );
+    const error = createError(
+        type.split("#").pop() || `Http${status}Error`,
+        message || Message || `SubscribeToShard failed with status ${status}`
+    );
+    error.statusCode = status;
+    error.retryable = error.retryable || status >= 500;
+    return error;
+}
+
+function createError(code, message) {
+    return Object.assign(new Error(message || code), {
+        name: code,
+        code,
+        retryable: RETRYABLE_ERROR_CODES.includes(code)
+    });
+}
+
+/**
+ * Network errors (e.g., the connection being reset) are worth subscribing again for.
+ */
+function toSubscriptionError(error) {
+    if (error.code && !("retryable" in error)) {
+        error.retryable = true;
+    }
+    return error;
+}
+
+function parseJson(buffer) {
+    try {
+        return JSON.parse(buffer.toString("utf8") || "{}");
+    } catch (error) {
+        return {};
+    }
+}
+
+module.exports = ShardSubscription;
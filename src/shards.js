@@ -0,0 +1,135 @@
+const withRetry = require("./retry");
+const { settleAll } = require("./promises");
+
+/**
+ * List all of the shards in the specified stream, following pagination as necessary.
+ *
+ * @param {AWS.Kinesis} kinesis A Kinesis client to use.
+ * @param {string} streamName The name of the stream to list shards for.
+ *
+ * @returns {Promise<AWS.Kinesis.Shard[]>}
+ */
+async function listShards(kinesis, streamName) {
+    const shards = [];
+    // Per https://docs.aws.amazon.com/kinesis/latest/APIReference/API_ListShards.html, the
+    // StreamName can't be given with a NextToken.
+    let params = { StreamName: streamName };
+    while (params) {
+        const response = await withRetry(() =>
+            kinesis.listShards(params).promise()
+        );
+        shards.push(...response.Shards);
+        params = response.NextToken && { NextToken: response.NextToken };
+    }
+    return shards;
+}
+
+/**
+ * Read a set of shards, making sure that no shard is read until its parent shards have been
+ * read to the end, so that records for a given partition key come out in order across a
+ * resharding. Shards with no parents in the set are read concurrently.
+ *
+ * When a shard is read to the end and we don't know of any children for it, the shards are
+ * listed again to pick up any child shards that were created while we were reading.
+ *
+ * @param {AWS.Kinesis.Shard[]} shards The shards to read.
+ * @param {function(AWS.Kinesis.Shard): Promise<{checkpoint: object, shardEnded: boolean}>} readShard
+ * Reads a single shard, resolving to the final checkpoint for the shard and whether or not the
+ * shard was closed and read to the end. Children are only read for shards that ended.
+ * @param {function(): Promise<AWS.Kinesis.Shard[]>} discoverShards Lists the current shards in the stream.
+ * @param {function(AWS.Kinesis.Shard): void} [onShardFinished] Called when we're done with a shard,
+ * after any of its children that are ready have been started.
+ *
+ * If reading a shard fails, the shards that are already being read are waited for before the error
+ * is thrown (but their children aren't started).
+ *
+ * @returns {Promise<object[]>} The checkpoints for every shard that was read.
+ */
+async function readShardsInLineageOrder(
+    shards,
+    readShard,
+    discoverShards,
+    onShardFinished = () => {}
+) {
+    const graph = new ShardGraph(shards);
+    const checkpoints = [];
+
+    const readReadyShards = () =>
+        settleAll(graph.takeReadyShards().map(readShardAndChildren));
+
+    async function readShardAndChildren(shard) {
+        const { checkpoint, shardEnded } = await readShard(shard);
+        checkpoints.push(checkpoint);
+        if (!shardEnded) {
+            onShardFinished(shard);
+            return;
+        }
+        if (!graph.hasChildren(shard.ShardId)) {
+            graph.addShards(await discoverShards());
+        }
+        graph.markEnded(shard.ShardId);
+        const readingChildren = readReadyShards();
+        onShardFinished(shard);
+        await readingChildren;
+    }
+
+    await readReadyShards();
+    return checkpoints;
+}
+
+/**
+ * Tracks the parent/child relationships between shards, and which shards have been read.
+ */
+class ShardGraph {
+    constructor(shards) {
+        this.shards = new Map();
+        this.taken = new Set();
+        this.ended = new Set();
+        this.addShards(shards);
+    }
+
+    addShards(shards) {
+        for (const shard of shards) {
+            if (!this.shards.has(shard.ShardId)) {
+                this.shards.set(shard.ShardId, shard);
+            }
+        }
+    }
+
+    markEnded(shardId) {
+        this.ended.add(shardId);
+    }
+
+    hasChildren(shardId) {
+        return [...this.shards.values()].some(shard =>
+            getParentIds(shard).includes(shardId)
+        );
+    }
+
+    /**
+     * Get the shards that haven't been taken yet, and whose parents are all either ended or
+     * unknown (e.g., trimmed from the stream), and mark them as taken.
+     */
+    takeReadyShards() {
+        const ready = [...this.shards.values()].filter(
+            shard =>
+                !this.taken.has(shard.ShardId) &&
+                getParentIds(shard).every(
+                    parentId =>
+                        this.ended.has(parentId) || !this.shards.has(parentId)
+                )
+        );
+        ready.forEach(shard => this.taken.add(shard.ShardId));
+        return ready;
+    }
+}
+
+function getParentIds(shard) {
+    return [shard.ParentShardId, shard.AdjacentParentShardId].filter(Boolean);
+}
+
+module.exports = {
+    listShards,
+    readShardsInLineageOrder,
+    getParentIds
+};
@@ -0,0 +1,465 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const zlib = require("zlib");
+const { writeFileAtomic } = require("./checkpoints");
+const { formatTable } = require("./table");
+const {
+    DEFAULT_FIELDS,
+    parseFields,
+    getField,
+    selectFields,
+    formatValue
+} = require("./fields");
+
+const MANIFEST_FILE = "manifest.json";
+
+const TABULAR_FORMATS = ["csv", "tsv", "table"];
+
+/**
+ * Writes output records to stdout, one per line: as JSON (pretty-printed, or JSON lines), in the
+ * same form as `console.log`, or as rows of CSV, TSV, or an aligned table, with a column for each of
+ * the given fields under a header row. A table is written when the sink is closed, once the widths
+ * of the columns are known. Each write waits for stdout to drain if its buffer is full, so a slow
+ * consumer (like a pipe to another process) slows down reading instead of filling up memory.
+ */
+class StdoutSink {
+    /**
+     * @param {object} [options]
+     * @param {"json"|"jsonl"|"inspect"|"csv"|"tsv"|"table"} [options.format]
+     * @param {Field[]} [options.fields] The fields to output, instead of the whole record. Defaults to
+     * {@link DEFAULT_FIELDS} for CSV, TSV, and tables.
+     */
+    constructor({ format = "inspect", fields = null } = {}) {
+        this.format = format;
+        this.fields =
+            fields ||
+            (TABULAR_FORMATS.includes(format)
+                ? parseFields(DEFAULT_FIELDS.join(","))
+                : null);
+        this.headerWritten = false;
+        // The rows of a table, which are only written when the sink is closed.
+        this.rows = [];
+        this.stream = process.stdout;
+        this.error = null;
+        this.onError = error => {
+            this.error = this.error || error;
+        };
+        this.stream.on("error", this.onError);
+    }
+
+    /**
+     * True if whatever was reading stdout (e.g., `head`) has closed it, so there's no point in
+     * writing any more.
+     */
+    get closed() {
+        return Boolean(this.error && this.error.code === "EPIPE");
+    }
+
+    /**
+     * @param {any} output The record to write.
+     */
+    async write(output) {
+        if (this.closed) {
+            return;
+        }
+        if (this.format === "table") {
+            this.rows.push(
+                this.fields.map(field =>
+                    escapeControlCharacters(
+                        formatValue(getField(output, field))
+                    )
+                )
+            );
+            return;
+        }
+        let text = "";
+        if (!this.headerWritten && TABULAR_FORMATS.includes(this.format)) {
+            text += this.formatHeader();
+        }
+        await this.writeText(`${text}${this.formatLine(output)}\n`);
+    }
+
+    async writeText(text) {
+        try {
+            await writeWithBackpressure(this.stream, text);
+        } catch (error) {
+            if (error.code !== "EPIPE") {
+                throw error;
+            }
+        }
+        if (this.error && !this.closed) {
+            throw this.error;
+        }
+    }
+
+    formatHeader() {
+        this.headerWritten = true;
+        return `${this.formatRow(this.fields.map(({ name }) => name))}\n`;
+    }
+
+    formatLine(output) {
+        if (TABULAR_FORMATS.includes(this.format)) {
+            return this.formatRow(
+                this.fields.map(field => formatValue(getField(output, field)))
+            );
+        } else if (this.fields) {
+            output = selectFields(output, this.fields);
+        }
+        switch (this.format) {
+            case "json":
+                return JSON.stringify(output, null, 4);
+            case "jsonl":
+                return JSON.stringify(output);
+            default:
+                return util.formatWithOptions(
+                    { colors: hasColors(this.stream) },
+                    output
+                );
+        }
+    }
+
+    formatRow(cells) {
+        return this.format === "csv"
+            ? cells.map(quoteCsv).join(",")
+            : cells.map(escapeTsv).join("\t");
+    }
+
+    async close() {
+        try {
+            if (this.closed) {
+                return;
+            }
+            if (this.format === "table") {
+                const headers = this.fields.map(({ name }) => name);
+                const table = formatTable(headers, this.rows);
+                this.rows = [];
+                await this.writeText(`${table.join("\n")}\n`);
+            } else if (
+                !this.headerWritten &&
+                TABULAR_FORMATS.includes(this.format)
+            ) {
+                // There were no records, but a header still says what the columns would have been.
+                await this.writeText(this.formatHeader());
+            }
+        } finally {
+            this.stream.removeListener("error", this.onError);
+        }
+    }
+}
+
+/**
+ * Writes output records to newline-delimited JSON files in a directory, either one series of files
+ * per shard (`SHARD-ID/part-00000.ndjson`), or per hour of the records' arrival times
+ * (`YYYY/MM/DD/HH/part-00000.ndjson`, in UTC). Records from several streams can be kept apart in a
+ * directory for each stream. When a file reaches the max size or number of records, it's closed and
+ * the next record goes to the next part. Files can be gzipped.
+ *
+ * A manifest (`manifest.json`) lists the files that have been written, with the stream and the
+ * number of records in each, and the range of sequence numbers from each shard. It's updated each
+ * time a file is closed, and files from earlier dumps into the same directory are kept in it.
+ */
+class FileSink {
+    /**
+     * @param {string} dir
+     * @param {object} [options]
+     * @param {"shard"|"hour"} [options.partitionBy]
+     * @param {boolean} [options.separateStreams] Put each stream's files in a directory named for the stream.
+     * @param {number} [options.maxFileBytes] Start a new file once a file has this many bytes (before compression).
+     * @param {number} [options.maxFileRecords] Start a new file once a file has this many records.
+     * @param {boolean} [options.gzip]
+     * @param {Field[]} [options.fields] The fields to write, instead of the whole record.
+     */
+    constructor(
+        dir,
+        {
+            partitionBy = "shard",
+            separateStreams = false,
+            maxFileBytes = Infinity,
+            maxFileRecords = Infinity,
+            gzip = false,
+            fields = null
+        } = {}
+    ) {
+        this.dir = dir;
+        this.partitionBy = partitionBy;
+        this.separateStreams = separateStreams;
+        this.maxFileBytes = maxFileBytes;
+        this.maxFileRecords = maxFileRecords;
+        this.gzip = gzip;
+        this.fields = fields;
+        this.manifest = null;
+        // The file currently being written for each partition.
+        this.openFiles = new Map();
+    }
+
+    /**
+     * Write an output record to the file for its partition.
+     *
+     * @param {any} output The record to write.
+     * @param {StreamRecord} record The record that was read from the stream, which the output came
+     * from, for where it goes and the manifest. (These are the same unless records are transformed.)
+     */
+    async write(output, record) {
+        const manifest = await this.loadManifest();
+        const partition = this.getPartition(record);
+        let file = this.openFiles.get(partition);
+        if (!file) {
+            if (this.partitionBy === "hour") {
+                await this.closeEarlierHours(record);
+            }
+            file = await this.openFile(manifest, partition, record._streamName);
+            this.openFiles.set(partition, file);
+        }
+        const line = `${JSON.stringify(
+            this.fields ? selectFields(output, this.fields) : output
+        )}\n`;
+        await writeWithBackpressure(file.stream, line);
+        if (file.error) {
+            throw file.error;
+        }
+        const { entry } = file;
+        entry.records++;
+        entry.bytes += Buffer.byteLength(line);
+        const shard = entry.shards[record._shardId] || {
+            firstSequenceNumber: record.SequenceNumber
+        };
+        shard.lastSequenceNumber = record.SequenceNumber;
+        entry.shards[record._shardId] = shard;
+        if (
+            entry.records >= this.maxFileRecords ||
+            entry.bytes >= this.maxFileBytes
+        ) {
+            this.openFiles.delete(partition);
+            await this.closeFile(file);
+            await this.saveManifest();
+        }
+    }
+
+    /**
+     * Close all of the open files, and save the manifest.
+     */
+    async close() {
+        const files = [...this.openFiles.values()];
+        this.openFiles.clear();
+        await Promise.all(files.map(file => this.closeFile(file)));
+        if (this.manifest) {
+            await this.saveManifest();
+        }
+    }
+
+    /**
+     * Close the files for the hours before a record's hour, once its hour's first record arrives, so
+     * that finished hours are complete on disk and in the manifest while reading goes on. Each shard's
+     * records arrive in order, but a shard that's behind the others can still have records for an
+     * earlier hour, which then go to a new part of that hour.
+     */
+    async closeEarlierHours(record) {
+        const hour = this.getStreamPartition(record);
+        const earlier = [...this.openFiles].filter(
+            ([, file]) =>
+                file.hour < hour &&
+                (!this.separateStreams ||
+                    file.entry.stream === record._streamName)
+        );
+        if (!earlier.length) {
+            return;
+        }
+        earlier.forEach(([partition]) => this.openFiles.delete(partition));
+        await Promise.all(earlier.map(([, file]) => this.closeFile(file)));
+        await this.saveManifest();
+    }
+
+    getPartition(record) {
+        const partition = this.getStreamPartition(record);
+        return this.separateStreams
+            ? `${record._streamName}/${partition}`
+            : partition;
+    }
+
+    getStreamPartition(record) {
+        if (this.partitionBy === "hour") {
+            const time = new Date(record.ApproximateArrivalTimestamp);
+            return [
+                time.getUTCFullYear(),
+                time.getUTCMonth() + 1,
+                time.getUTCDate(),
+                time.getUTCHours()
+            ]
+                .map(part => String(part).padStart(2, "0"))
+                .join("/");
+        }
+        return record._shardId;
+    }
+
+    /**
+     * Open the next part file for a partition, skipping any that already exist.
+     */
+    async openFile(manifest, partition, streamName) {
+        const partitionDir = path.join(this.dir, ...partition.split("/"));
+        await fs.promises.mkdir(partitionDir, { recursive: true });
+        let fileName;
+        for (let part = 0; ; part++) {
+            fileName = path.join(
+                partitionDir,
+                `part-${String(part).padStart(5, "0")}.ndjson${
+                    this.gzip ? ".gz" : ""
+                }`
+            );
+            if (!(await exists(fileName))) {
+                break;
+            }
+        }
+        const fileStream = fs.createWriteStream(fileName, { flags: "wx" });
+        const stream = this.gzip ? zlib.createGzip() : fileStream;
+        if (this.gzip) {
+            stream.pipe(fileStream);
+        }
+        const entry = {
+            file: path.relative(this.dir, fileName).replace(/\\/g, "/"),
+            partition,
+            stream: streamName,
+            records: 0,
+            bytes: 0,
+            shards: {}
+        };
+        manifest.files.push(entry);
+        const file = {
+            stream,
+            fileStream,
+            entry,
+            // The hour's YYYY/MM/DD/HH partition (without the stream's), with `partitionBy` "hour".
+            hour:
+                this.partitionBy === "hour"
+                    ? partition
+                          .split("/")
+                          .slice(-4)
+                          .join("/")
+                    : null,
+            error: null
+        };
+        // Errors writing the file (like the disk filling up) are thrown from the next write.
+        const onError = error => {
+            file.error = file.error || error;
+            if (stream !== fileStream && !stream.destroyed) {
+                // Otherwise the gzip stream would wait forever for the file to drain.
+                stream.destroy(error);
+            }
+        };
+        fileStream.on("error", onError);
+        if (stream !== fileStream) {
+            stream.on("error", onError);
+        }
+        return file;
+    }
+
+    async closeFile(file) {
+        if (file.error) {
+            throw file.error;
+        }
+        await new Promise((resolve, reject) => {
+            file.fileStream.once("error", reject);
+            file.fileStream.once("close", resolve);
+            file.stream.end();
+        });
+    }
+
+    async loadManifest() {
+        if (!this.manifest) {
+            let content = null;
+            try {
+                content = await fs.promises.readFile(
+                    path.join(this.dir, MANIFEST_FILE),
+                    "utf8"
+                );
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    throw error;
+                }
+            }
+            this.manifest = content ? JSON.parse(content) : { files: [] };
+            await fs.promises.mkdir(this.dir, { recursive: true });
+        }
+        return this.manifest;
+    }
+
+    async saveManifest() {
+        await writeFileAtomic(
+            path.join(this.dir, MANIFEST_FILE),
+            `${JSON.stringify(this.manifest, null, 4)}\n`
+        );
+    }
+}
+
+/**
+ * Write to a stream, waiting for it to drain if its buffer is full.
+ */
+async function writeWithBackpressure(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await new Promise((resolve, reject) => {
+            const onError = error => {
+                stream.removeListener("drain", onDrain);
+                reject(error);
+            };
+            const onDrain = () => {
+                stream.removeListener("error", onError);
+                resolve();
+            };
+            stream.once("drain", onDrain);
+            stream.once("error", onError);
+        });
+    }
+}
+
+/**
+ * Quote a CSV cell if it needs it, as in RFC 4180: if it has a comma, a quote, or a line break (or
+ * leading or trailing spaces, which some tools would otherwise trim), it's put in quotes, with any
+ * quotes in it doubled.
+ */
+function quoteCsv(cell) {
+    return /[",\r\n]|^\s|\s$/.test(cell)
+        ? `"${cell.replace(/"/g, '""')}"`
+        : cell;
+}
+
+/**
+ * Escape a TSV cell, which can't be quoted, so that tabs and line breaks in it don't start new
+ * cells or rows: they're written as `\t`, `\n`, and `\r`, and backslashes as `\\`.
+ */
+function escapeTsv(cell) {
+    return cell.replace(/\\/g, "\\\\").replace(/[\t\r\n]/g, escapeCharacter);
+}
+
+/**
+ * Escape the tabs and line breaks in a table cell, to keep each row on one line.
+ */
+function escapeControlCharacters(cell) {
+    return cell.replace(/[\t\r\n]/g, escapeCharacter);
+}
+
+function escapeCharacter(character) {
+    return { "\t": "\\t", "\r": "\\r", "\n": "\\n" }[character];
+}
+
+function hasColors(stream) {
+    return Boolean(stream.isTTY && stream.hasColors && stream.hasColors());
+}
+
+async function exists(file) {
+    try {
+        await fs.promises.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    StdoutSink,
+    FileSink
+};
+
+/**
+ * @typedef {import("./read-stream").StreamRecord} StreamRecord
+ * @typedef {import("./fields").Field} Field
+ */
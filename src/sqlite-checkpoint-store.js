@@ -0,0 +1,164 @@
+const fs = require("fs");
+const initSqlJs = require("sql.js");
+const { writeFileAtomic } = require("./checkpoints");
+
+const CREATE_TABLE = `
+    CREATE TABLE IF NOT EXISTS checkpoints (
+        stream_name TEXT NOT NULL,
+        shard_id TEXT NOT NULL,
+        time TEXT,
+        shard_iterator TEXT,
+        shard_ended INTEGER NOT NULL DEFAULT 0,
+        last_read_sequence_number TEXT,
+        last_read_sub_sequence_number INTEGER,
+        last_read_timestamp TEXT,
+        more_records_by TEXT,
+        start_sequence_number TEXT,
+        timestamp TEXT,
+        PRIMARY KEY (stream_name, shard_id)
+    )`;
+
+const UPSERT = `
+    INSERT INTO checkpoints (
+        stream_name, shard_id, time, shard_iterator, shard_ended,
+        last_read_sequence_number, last_read_sub_sequence_number,
+        last_read_timestamp, more_records_by, start_sequence_number, timestamp
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (stream_name, shard_id) DO UPDATE SET
+        time = excluded.time,
+        shard_iterator = excluded.shard_iterator,
+        shard_ended = excluded.shard_ended,
+        last_read_sequence_number = excluded.last_read_sequence_number,
+        last_read_sub_sequence_number = excluded.last_read_sub_sequence_number,
+        last_read_timestamp = excluded.last_read_timestamp,
+        more_records_by = excluded.more_records_by,
+        start_sequence_number = excluded.start_sequence_number,
+        timestamp = excluded.timestamp`;
+
+/**
+ * A checkpoint store that keeps the latest checkpoint for each shard in a table of a local SQLite
+ * database file, which is created if it doesn't exist.
+ *
+ * The database is held in memory while the store is open, and the whole file is replaced
+ * atomically each time checkpoints are saved. This is meant for local use: if two processes save
+ * checkpoints to the same file at the same time, the last one to save wins.
+ */
+class SqliteCheckpointStore {
+    /**
+     * @param {string} file The path to the database file.
+     */
+    constructor(file) {
+        this.file = file;
+        this.location = `sqlite:${file}`;
+        this.db = null;
+    }
+
+    async load(streamName) {
+        const db = await this.getDatabase();
+        const statement = db.prepare(
+            "SELECT * FROM checkpoints WHERE ? IS NULL OR stream_name = ? ORDER BY rowid"
+        );
+        try {
+            statement.bind([streamName || null, streamName || null]);
+            const entries = [];
+            while (statement.step()) {
+                entries.push(fromRow(statement.getAsObject()));
+            }
+            return entries;
+        } finally {
+            statement.free();
+        }
+    }
+
+    async save(entries) {
+        const db = await this.getDatabase();
+        entries.forEach(entry => db.run(UPSERT, toRow(entry)));
+        await writeFileAtomic(this.file, Buffer.from(db.export()));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async getDatabase() {
+        if (!this.db) {
+            const SQL = await initSqlJs();
+            this.db = new SQL.Database(await readFileIfExists(this.file));
+            this.db.run(CREATE_TABLE);
+        }
+        return this.db;
+    }
+}
+
+function toRow({
+    streamName,
+    shardId,
+    time,
+    shardIterator,
+    lastReadSequenceNumber,
+    lastReadSubSequenceNumber,
+    lastReadTimestamp,
+    moreRecordsBy,
+    startSequenceNumber,
+    timestamp
+}) {
+    return [
+        streamName,
+        shardId,
+        toText(time),
+        shardIterator || null,
+        shardIterator === null ? 1 : 0,
+        lastReadSequenceNumber || null,
+        lastReadSubSequenceNumber == null ? null : lastReadSubSequenceNumber,
+        toText(lastReadTimestamp),
+        toText(moreRecordsBy),
+        startSequenceNumber || null,
+        toText(timestamp)
+    ];
+}
+
+function fromRow(row) {
+    return {
+        streamName: row.stream_name,
+        shardId: row.shard_id,
+        ...(row.time && { time: row.time }),
+        ...(row.shard_ended
+            ? { shardIterator: null }
+            : row.shard_iterator && { shardIterator: row.shard_iterator }),
+        ...(row.last_read_sequence_number && {
+            lastReadSequenceNumber: row.last_read_sequence_number
+        }),
+        ...(row.last_read_sub_sequence_number != null && {
+            lastReadSubSequenceNumber: row.last_read_sub_sequence_number
+        }),
+        ...(row.last_read_timestamp && {
+            lastReadTimestamp: row.last_read_timestamp
+        }),
+        ...(row.more_records_by && { moreRecordsBy: row.more_records_by }),
+        ...(row.start_sequence_number && {
+            startSequenceNumber: row.start_sequence_number
+        }),
+        ...(row.timestamp && { timestamp: row.timestamp })
+    };
+}
+
+function toText(time) {
+    return time ? new Date(time).toISOString() : null;
+}
+
+function readFileIfExists(file) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(file, (error, data) => {
+            if (error && error.code !== "ENOENT") {
+                reject(error);
+            } else {
+                resolve(error ? null : data);
+            }
+        });
+    });
+}
+
+module.exports = SqliteCheckpointStore;
@@ -0,0 +1,36 @@
+const chalk = require("chalk");
+
+/**
+ * Print rows of cells as a table with aligned columns, under a bold header row.
+ *
+ * @param {string[]} headers
+ * @param {any[][]} rows
+ */
+function printTable(headers, rows) {
+    formatTable(headers, rows).forEach(line => console.log(line));
+}
+
+/**
+ * Format rows of cells as the lines of a table with aligned columns, under a bold header row.
+ *
+ * @param {string[]} headers
+ * @param {any[][]} rows
+ * @returns {string[]}
+ */
+function formatTable(headers, rows) {
+    const widths = headers.map((header, col) =>
+        rows.reduce(
+            (width, row) => Math.max(width, String(row[col]).length),
+            header.length
+        )
+    );
+    const formatRow = row =>
+        row
+            .map((cell, col) => String(cell).padEnd(widths[col]))
+            .join("  ")
+            .trimEnd();
+    return [chalk.bold(formatRow(headers)), ...rows.map(formatRow)];
+}
+
+module.exports = printTable;
+module.exports.formatTable = formatTable;
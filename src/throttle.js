@@ -0,0 +1,109 @@
+const { wait } = require("./wait");
+
+// Per https://docs.aws.amazon.com/kinesis/latest/APIReference/API_GetRecords.html, each shard
+// supports up to 5 GetRecords calls per second, and up to 2 MB per second of data read.
+const MAX_CALLS_PER_SECOND = 5;
+const MAX_BYTES_PER_SECOND = 2 * 1024 * 1024;
+
+// Max value for Limit, per https://docs.aws.amazon.com/kinesis/latest/APIReference/API_GetRecords.html
+const MAX_BATCH_SIZE = 10000;
+const INITIAL_BATCH_SIZE = Math.floor(MAX_BATCH_SIZE / 4);
+const MIN_BATCH_SIZE = 1;
+const BATCH_SIZE_DECREASE_MULTIPLE = 0.5;
+const BATCH_SIZE_INCREASE_MULTIPLE = 1.5;
+
+// How long to hold off on a shard after it's been throttled, since its limits are per second.
+const THROTTLED_BACKOFF_MS = 1000;
+
+/**
+ * Controls the rate of GetRecords calls for a single shard, so that we stay under the shard's limits
+ * instead of only reacting once we've been throttled. Calls are paced to at most 5 per second, and
+ * after each response, the next call waits long enough for the data that was read to fit within
+ * 2 MB per second.
+ *
+ * The batch size (the Limit for GetRecords) also adapts to the shard: it grows while reads succeed,
+ * and shrinks when the shard is throttled.
+ */
+class ShardThrottle {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxCallsPerSecond]
+     * @param {number} [options.maxBytesPerSecond]
+     */
+    constructor({
+        maxCallsPerSecond = MAX_CALLS_PER_SECOND,
+        maxBytesPerSecond = MAX_BYTES_PER_SECOND
+    } = {}) {
+        this.minCallIntervalMs = Math.ceil(1000 / maxCallsPerSecond);
+        this.maxBytesPerSecond = maxBytesPerSecond;
+        this.batchSize = INITIAL_BATCH_SIZE;
+        this.lastCallTime = 0;
+        // The time at which the data we've read so far fits within the byte rate limit.
+        this.bytesClearAt = 0;
+    }
+
+    /**
+     * Wait until we can make the next call without going over the shard's limits.
+     *
+     * @returns {Promise<number>} The batch size to use for the call.
+     */
+    async beforeRead() {
+        const readyAt = Math.max(
+            this.lastCallTime + this.minCallIntervalMs,
+            this.bytesClearAt
+        );
+        const delay = readyAt - Date.now();
+        if (delay > 0) {
+            await wait(delay);
+        }
+        this.lastCallTime = Date.now();
+        return this.batchSize;
+    }
+
+    /**
+     * Record a successful call, with the batch size it used and the records it got.
+     *
+     * @param {number} usedBatchSize
+     * @param {AWS.Kinesis.Record[]} records
+     */
+    afterRead(usedBatchSize, records) {
+        const bytes = records.reduce(
+            (total, record) =>
+                total +
+                record.Data.length +
+                Buffer.byteLength(record.PartitionKey || "", "utf8"),
+            0
+        );
+        this.bytesClearAt =
+            Math.max(this.bytesClearAt, this.lastCallTime) +
+            (bytes / this.maxBytesPerSecond) * 1000;
+        this.batchSize = Math.min(
+            MAX_BATCH_SIZE,
+            Math.max(
+                this.batchSize,
+                Math.round(usedBatchSize * BATCH_SIZE_INCREASE_MULTIPLE)
+            )
+        );
+    }
+
+    /**
+     * Record that a call with the given batch size was throttled.
+     *
+     * @param {number} usedBatchSize
+     */
+    throttled(usedBatchSize) {
+        this.bytesClearAt = Math.max(
+            this.bytesClearAt,
+            Date.now() + THROTTLED_BACKOFF_MS
+        );
+        this.batchSize = Math.max(
+            MIN_BATCH_SIZE,
+            Math.min(
+                this.batchSize,
+                Math.round(usedBatchSize * BATCH_SIZE_DECREASE_MULTIPLE)
+            )
+        );
+    }
+}
+
+module.exports = ShardThrottle;
@@ -0,0 +1,79 @@
+const path = require("path");
+const { CallerError } = require("./error");
+
+/**
+ * Load a transform module for the `dump` command. The module exports the transform function, which
+ * is called with each record and a {@link TransformContext}, and returns the record to output in its
+ * place, an array of records, or null to drop it (or a promise for any of these). The function can
+ * instead be exported as `transform`, alongside optional async `setup` and `teardown` functions,
+ * which are called before the first record is read and after the last one.
+ *
+ * @param {string} modulePath The path to the module, relative to the working directory.
+ * @returns {{transform: function, setup: function, teardown: function}}
+ * @throws {CallerError} If the module can't be loaded, or doesn't export a transform function.
+ */
+function loadTransform(modulePath) {
+    let transformModule;
+    try {
+        transformModule = require(path.resolve(modulePath));
+    } catch (error) {
+        // The message for a missing module goes on to list the modules that required it.
+        throw new CallerError(
+            `Failed to load the transform module ${modulePath}: ${
+                error.message.split("\n")[0]
+            }`,
+            { cause: error }
+        );
+    }
+    const transform =
+        typeof transformModule === "function"
+            ? transformModule
+            : transformModule && transformModule.transform;
+    if (typeof transform !== "function") {
+        throw new CallerError(
+            `The transform module ${modulePath} must export a function, or an object with a transform function`
+        );
+    }
+    const hooks = {};
+    ["setup", "teardown"].forEach(hook => {
+        const f = transformModule[hook];
+        if (f !== undefined && typeof f !== "function") {
+            throw new CallerError(
+                `The ${hook} export of the transform module ${modulePath} must be a function`
+            );
+        }
+        hooks[hook] = f || (async () => {});
+    });
+    return { transform, ...hooks };
+}
+
+/**
+ * Transform a record, getting the records to output in its place: none, one, or more.
+ *
+ * @param {function} transform
+ * @param {object} record
+ * @param {TransformContext} context
+ * @returns {Promise<any[]>}
+ */
+async function applyTransform(transform, record, context) {
+    const result = await transform(record, context);
+    if (result === null || result === undefined) {
+        return [];
+    }
+    return Array.isArray(result) ? result : [result];
+}
+
+module.exports = {
+    loadTransform,
+    applyTransform
+};
+
+/**
+ * @typedef {object} TransformContext
+ * @property {string} shardId The ID of the shard the record was read from.
+ * @property {string} streamName The name of the stream the record was read from.
+ * @property {Checkpoint|null} checkpoint The shard's checkpoint as of the last batch of records that
+ * was output in full (so not including the batch this record is from), or null if there hasn't been one.
+ *
+ * @typedef {import("./shard-reader").Checkpoint} Checkpoint
+ */
@@ -0,0 +1,13 @@
+/**
+ * Get a promise that resolves after the given delay.
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(() => resolve(), ms));
+}
+
+module.exports = {
+    wait
+};
@@ -0,0 +1,104 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const { openCheckpointStore } = require("../../src/checkpoint-store");
+
+// Support
+const { FileCheckpointStore } = require("../../src/checkpoints");
+const DynamoDbCheckpointStore = require("../../src/dynamodb-checkpoint-store");
+const SqliteCheckpointStore = require("../../src/sqlite-checkpoint-store");
+const { CallerError } = require("../../src/error");
+const chai = require("chai");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+chai.use(sinonChai);
+
+async function expectCallerError(promise, pattern) {
+    let error = null;
+    try {
+        await promise;
+    } catch (caught) {
+        error = caught;
+    }
+    expect(error).to.be.an.instanceOf(CallerError);
+    expect(error.message).to.match(pattern);
+}
+
+describe("checkpoint-store", () => {
+    describe("openCheckpointStore", () => {
+        it("should open a checkpoint file for a plain path", async () => {
+            const store = await openCheckpointStore("C:\\data\\.checkpoints", {
+                trim: true
+            });
+
+            expect(store).to.be.an.instanceOf(FileCheckpointStore);
+            expect(store.location).to.equal("C:\\data\\.checkpoints");
+            expect(store.trim).to.be.true;
+        });
+
+        it("should open a checkpoint file or a SQLite database for a path URI", async () => {
+            const relative = await openCheckpointStore(
+                "file:data/.checkpoints"
+            );
+            const absolute = await openCheckpointStore(
+                "sqlite:///var/lib/checkpoints.db"
+            );
+
+            expect(relative).to.be.an.instanceOf(FileCheckpointStore);
+            expect(relative.location).to.equal("data/.checkpoints");
+            expect(absolute).to.be.an.instanceOf(SqliteCheckpointStore);
+            expect(absolute.location).to.equal(
+                "sqlite:/var/lib/checkpoints.db"
+            );
+        });
+
+        it("should open a DynamoDB lease table with the AWS config and the URI's options", async () => {
+            const getAwsConfig = sinon.stub().resolves({
+                region: "us-east-1",
+                maxRetries: 2
+            });
+
+            const store = await openCheckpointStore(
+                "dynamodb://my-app?region=eu-west-1&endpoint=http://localhost:8000",
+                { getAwsConfig }
+            );
+
+            expect(store).to.be.an.instanceOf(DynamoDbCheckpointStore);
+            expect(store.location).to.equal("dynamodb://my-app");
+            expect(store.dynamodb.config).to.include({
+                region: "eu-west-1",
+                maxRetries: 2
+            });
+            expect(store.dynamodb.endpoint.href).to.equal(
+                "http://localhost:8000/"
+            );
+        });
+
+        it("should only get the AWS config for a store in AWS", async () => {
+            const getAwsConfig = sinon.stub().resolves({});
+
+            await openCheckpointStore("sqlite:checkpoints.db", {
+                getAwsConfig
+            });
+
+            expect(getAwsConfig).to.not.have.been.called;
+        });
+
+        it("should reject URIs it can't open", async () => {
+            await expectCallerError(
+                openCheckpointStore("redis://localhost"),
+                /Unsupported checkpoint store redis:\/\/localhost/
+            );
+            await expectCallerError(
+                openCheckpointStore("sqlite:"),
+                /No path given/
+            );
+            await expectCallerError(
+                openCheckpointStore("dynamodb://?region=us-east-1"),
+                /No table name given/
+            );
+        });
+    });
+});
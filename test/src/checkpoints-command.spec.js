@@ -0,0 +1,214 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const checkpointsCommand = require("../../src/checkpoints-command");
+
+// Support
+const { CallerError } = require("../../src/error");
+const { MemoryCheckpointStore } = require("../test-utils");
+const chai = require("chai");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+chai.use(sinonChai);
+
+function entry(shardId, checkpoint) {
+    return {
+        streamName: "stream",
+        shardId,
+        time: "2020-01-01T00:00:00.000Z",
+        ...checkpoint
+    };
+}
+
+async function expectCallerError(promise, pattern) {
+    let error = null;
+    try {
+        await promise;
+    } catch (caught) {
+        error = caught;
+    }
+    expect(error).to.be.an.instanceOf(CallerError);
+    expect(error.message).to.match(pattern);
+}
+
+describe("checkpoints-command", () => {
+    let log;
+    beforeEach(() => {
+        log = sinon.stub(console, "log");
+        sinon.stub(console, "error");
+    });
+    afterEach(() => sinon.restore());
+
+    function printed() {
+        return log.getCalls().map(call => call.args.join(" "));
+    }
+
+    describe("list", () => {
+        it("should print the latest checkpoints as JSON lines", async () => {
+            const store = new MemoryCheckpointStore([
+                entry("a", { lastReadSequenceNumber: "1" })
+            ]);
+            const close = sinon.spy(store, "close");
+
+            await checkpointsCommand(
+                "list",
+                { streamName: "stream", json: true },
+                store
+            );
+
+            expect(printed()).to.deep.equal([
+                JSON.stringify(entry("a", { lastReadSequenceNumber: "1" }))
+            ]);
+            expect(close).to.have.been.calledOnce;
+        });
+
+        it("should describe where each shard will resume from", async () => {
+            const store = new MemoryCheckpointStore([
+                entry("a", { lastReadSequenceNumber: "1" }),
+                entry("b", { shardIterator: null }),
+                entry("c", { timestamp: "2020-01-02T00:00:00Z" }),
+                entry("d", {}),
+                entry("e", {
+                    lastReadSequenceNumber: "2",
+                    lastReadSubSequenceNumber: 0
+                })
+            ]);
+
+            await checkpointsCommand("list", {}, store);
+
+            const lines = printed();
+            expect(lines).to.have.lengthOf(6);
+            expect(lines[1]).to.match(/a\s+after sequence number 1/);
+            expect(lines[2]).to.match(/b\s+nowhere, the shard was read/);
+            expect(lines[3]).to.match(/c\s+timestamp 2020-01-02T00:00:00.000Z/);
+            expect(lines[4]).to.match(/d\s+TRIM_HORIZON/);
+            expect(lines[5]).to.match(
+                /e\s+after user record 0 of sequence number 2/
+            );
+        });
+    });
+
+    describe("set", () => {
+        it("should save a checkpoint after a sequence number", async () => {
+            const store = new MemoryCheckpointStore();
+
+            await checkpointsCommand(
+                "set",
+                { streamName: "stream", shardId: "a", sequenceNumber: "42" },
+                store
+            );
+
+            expect(store.latest("stream", "a")).to.include({
+                lastReadSequenceNumber: "42"
+            });
+            expect(printed()).to.deep.equal([
+                "stream a: will resume from after sequence number 42"
+            ]);
+        });
+
+        it("should need exactly one of a sequence number or a timestamp", async () => {
+            await expectCallerError(
+                checkpointsCommand(
+                    "set",
+                    { streamName: "stream", shardId: "a" },
+                    new MemoryCheckpointStore()
+                ),
+                /exactly one of --sequence-number or --timestamp/
+            );
+        });
+
+        it("should refuse a sequence number that isn't one", async () => {
+            const store = new MemoryCheckpointStore();
+
+            await expectCallerError(
+                checkpointsCommand(
+                    "set",
+                    {
+                        streamName: "stream",
+                        shardId: "a",
+                        sequenceNumber: "4e2"
+                    },
+                    store
+                ),
+                /Invalid --sequence-number 4e2/
+            );
+            expect(store.saves).to.be.empty;
+        });
+    });
+
+    describe("reset", () => {
+        it("should rewind every shard with a checkpoint to the trim horizon", async () => {
+            const store = new MemoryCheckpointStore([
+                entry("a", { lastReadSequenceNumber: "1" }),
+                entry("b", { lastReadSequenceNumber: "2" })
+            ]);
+
+            await checkpointsCommand(
+                "reset",
+                { streamName: "stream", to: "trim-horizon" },
+                store
+            );
+
+            expect(store.saves).to.have.lengthOf(1);
+            expect(
+                store.saves[0].map(({ shardId, lastReadSequenceNumber }) => ({
+                    shardId,
+                    lastReadSequenceNumber
+                }))
+            ).to.deep.equal([
+                { shardId: "a", lastReadSequenceNumber: undefined },
+                { shardId: "b", lastReadSequenceNumber: undefined }
+            ]);
+        });
+
+        it("should need shards when there are no checkpoints", async () => {
+            await expectCallerError(
+                checkpointsCommand(
+                    "reset",
+                    { streamName: "stream" },
+                    new MemoryCheckpointStore()
+                ),
+                /use --shard/
+            );
+        });
+    });
+
+    describe("compact and history", () => {
+        it("should fail for a store that only keeps the latest checkpoints", async () => {
+            await expectCallerError(
+                checkpointsCommand("compact", {}, new MemoryCheckpointStore()),
+                /nothing to compact/
+            );
+            await expectCallerError(
+                checkpointsCommand(
+                    "history",
+                    { streamName: "stream", shardId: "a" },
+                    new MemoryCheckpointStore()
+                ),
+                /no history to show/
+            );
+        });
+
+        it("should print a shard's history as JSON lines", async () => {
+            const history = [
+                entry("a", { lastReadSequenceNumber: "1" }),
+                entry("a", { lastReadSequenceNumber: "2" })
+            ];
+            const store = new MemoryCheckpointStore();
+            store.history = sinon.stub().resolves(history);
+
+            await checkpointsCommand(
+                "history",
+                { streamName: "stream", shardId: "a", json: true },
+                store
+            );
+
+            expect(store.history).to.have.been.calledWith("stream", "a");
+            expect(printed()).to.deep.equal(
+                history.map(line => JSON.stringify(line))
+            );
+        });
+    });
+});
@@ -0,0 +1,245 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const {
+    parseCheckpoints,
+    foldCheckpoints,
+    getLatestEntries,
+    FileCheckpointStore,
+    CheckpointWriter
+} = require("../../src/checkpoints");
+
+// Support
+const fs = require("fs");
+const path = require("path");
+const { MemoryCheckpointStore, useTempDir } = require("../test-utils");
+const { expect } = require("chai");
+
+function entry(streamName, shardId, lastReadSequenceNumber) {
+    return {
+        streamName,
+        shardId,
+        shardIterator: null,
+        lastReadSequenceNumber
+    };
+}
+
+function readLines(file) {
+    return parseCheckpoints(fs.readFileSync(file, "utf8"));
+}
+
+describe("checkpoints", () => {
+    describe("parseCheckpoints and foldCheckpoints", () => {
+        it("should get the latest checkpoint for each shard", () => {
+            const entries = parseCheckpoints(
+                [
+                    JSON.stringify(entry("s", "a", "1")),
+                    "",
+                    JSON.stringify(entry("s", "b", "5")),
+                    JSON.stringify(entry("s", "a", "2"))
+                ].join("\r\n")
+            );
+
+            expect(entries).to.have.lengthOf(3);
+            expect(foldCheckpoints(entries)).to.deep.equal({
+                "s:a": { shardIterator: null, lastReadSequenceNumber: "2" },
+                "s:b": { shardIterator: null, lastReadSequenceNumber: "5" }
+            });
+            expect(getLatestEntries(entries)).to.deep.equal([
+                entry("s", "a", "2"),
+                entry("s", "b", "5")
+            ]);
+        });
+    });
+
+    describe("FileCheckpointStore", () => {
+        const tempDir = useTempDir();
+        let file;
+        beforeEach(() => {
+            file = path.join(tempDir.path, ".checkpoints");
+        });
+
+        it("should load nothing from a file that doesn't exist", async () => {
+            expect(await new FileCheckpointStore(file).load()).to.deep.equal(
+                []
+            );
+        });
+
+        it("should replace its own lines each time it saves", async () => {
+            fs.writeFileSync(file, `${JSON.stringify(entry("s", "a", "1"))}`);
+            const store = new FileCheckpointStore(file);
+
+            await store.save([entry("s", "a", "2"), entry("s", "b", "7")]);
+            await store.save([entry("s", "a", "3")]);
+
+            expect(readLines(file)).to.deep.equal([
+                entry("s", "a", "1"),
+                entry("s", "a", "3"),
+                entry("s", "b", "7")
+            ]);
+            expect(await new FileCheckpointStore(file).load("s")).to.deep.equal(
+                [entry("s", "a", "3"), entry("s", "b", "7")]
+            );
+            expect(fs.readdirSync(tempDir.path)).to.deep.equal([
+                ".checkpoints"
+            ]);
+        });
+
+        it("should keep lines that other writers added since it loaded the file", async () => {
+            const first = new FileCheckpointStore(file);
+            const second = new FileCheckpointStore(file);
+            await first.load("s1");
+            await second.load("s2");
+
+            await second.save([entry("s2", "a", "20")]);
+            await first.save([entry("s1", "a", "10")]);
+            await second.save([entry("s2", "a", "21")]);
+
+            expect(
+                await new FileCheckpointStore(file).load()
+            ).to.have.deep.members([
+                entry("s1", "a", "10"),
+                entry("s2", "a", "21")
+            ]);
+            expect(readLines(file)).to.have.lengthOf(2);
+        });
+
+        it("should keep the saves of several writers sharing it in order", async () => {
+            const store = new FileCheckpointStore(file);
+
+            await Promise.all([
+                store.save([entry("s1", "a", "1")]),
+                store.save([entry("s2", "a", "2")]),
+                store.save([entry("s1", "a", "3")])
+            ]);
+
+            expect(readLines(file)).to.deep.equal([
+                entry("s1", "a", "3"),
+                entry("s2", "a", "2")
+            ]);
+        });
+
+        it("should discard the file's original lines when trimming", async () => {
+            fs.writeFileSync(
+                file,
+                `${JSON.stringify(entry("s", "a", "1"))}\n${JSON.stringify(
+                    entry("s", "b", "1")
+                )}\n`
+            );
+            const store = new FileCheckpointStore(file, { trim: true });
+            expect(await store.load()).to.have.lengthOf(2);
+            fs.appendFileSync(
+                file,
+                `${JSON.stringify(entry("t", "a", "9"))}\n`
+            );
+
+            await store.save([entry("s", "a", "2")]);
+
+            expect(readLines(file)).to.deep.equal([
+                entry("t", "a", "9"),
+                entry("s", "a", "2")
+            ]);
+        });
+
+        it("should give the history of a shard and compact the file", async () => {
+            fs.writeFileSync(
+                file,
+                [
+                    entry("s", "a", "1"),
+                    entry("s", "b", "1"),
+                    entry("s", "a", "2")
+                ]
+                    .map(line => `${JSON.stringify(line)}\n`)
+                    .join("")
+            );
+            const store = new FileCheckpointStore(file);
+
+            expect(await store.history("s", "a")).to.deep.equal([
+                entry("s", "a", "1"),
+                entry("s", "a", "2")
+            ]);
+            expect(await store.compact()).to.deep.equal({
+                before: 3,
+                after: 2
+            });
+            expect(readLines(file)).to.deep.equal([
+                entry("s", "a", "2"),
+                entry("s", "b", "1")
+            ]);
+        });
+    });
+
+    describe("CheckpointWriter", () => {
+        it("should save after the given number of batches for a shard", async () => {
+            const store = new MemoryCheckpointStore();
+            const writer = new CheckpointWriter(store, { intervalBatches: 2 });
+
+            await writer.record(entry("s", "a", "1"));
+            expect(store.saves).to.be.empty;
+            await writer.record(entry("s", "a", "2"));
+
+            expect(store.saves).to.have.lengthOf(1);
+            expect(store.saves[0]).to.have.lengthOf(1);
+            expect(store.saves[0][0]).to.include(entry("s", "a", "2"));
+            expect(store.saves[0][0].time).to.be.a("string");
+        });
+
+        it("should save the latest checkpoint of each shard when flushed", async () => {
+            const store = new MemoryCheckpointStore();
+            const writer = new CheckpointWriter(store, {
+                intervalMs: 60000
+            });
+
+            await writer.record(entry("s", "a", "1"));
+            await writer.record(entry("s", "b", "1"));
+            await writer.record(entry("s", "a", "2"));
+            await writer.flush();
+            await writer.flush();
+
+            expect(store.saves).to.have.lengthOf(1);
+            expect(
+                store.saves[0].map(
+                    ({ shardId, lastReadSequenceNumber }) =>
+                        `${shardId}:${lastReadSequenceNumber}`
+                )
+            ).to.deep.equal(["a:2", "b:1"]);
+        });
+
+        it("should save the checkpoints of a failed save with the next one", async () => {
+            const store = new MemoryCheckpointStore();
+            const save = store.save.bind(store);
+            let failures = 1;
+            store.save = async entries => {
+                if (failures) {
+                    failures -= 1;
+                    throw new Error("Disk full");
+                }
+                await save(entries);
+            };
+            const writer = new CheckpointWriter(store, {
+                intervalMs: 60000
+            });
+
+            await writer.record(entry("s", "a", "1"));
+            await writer.record(entry("s", "b", "1"));
+            let error = null;
+            try {
+                await writer.flush();
+            } catch (caught) {
+                error = caught;
+            }
+            await writer.record(entry("s", "a", "2"));
+            await writer.flush();
+
+            expect(error.message).to.equal("Disk full");
+            expect(store.saves).to.have.lengthOf(1);
+            expect(
+                store.saves[0].map(
+                    ({ shardId, lastReadSequenceNumber }) =>
+                        `${shardId}:${lastReadSequenceNumber}`
+                )
+            ).to.deep.equal(["a:2", "b:1"]);
+        });
+    });
+});
@@ -0,0 +1,369 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const { main, parseArgs } = require("../../src/cli");
+
+// Support
+const AWS = require("aws-sdk");
+const fs = require("fs");
+const path = require("path");
+const { configureRetries } = require("../../src/retry");
+const {
+    FakeKinesis,
+    record,
+    useTempDir,
+    MAX_HASH_KEY
+} = require("../test-utils");
+const chai = require("chai");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+chai.use(sinonChai);
+
+const STREAM = "stream";
+// The end of the lower half of the hash key range, 2^127 - 1.
+const HALF_HASH_KEY = "170141183460469231731687303715884105727";
+
+describe("cli", () => {
+    const tempDir = useTempDir();
+    let kinesis;
+    let log;
+    let error;
+    beforeEach(() => {
+        kinesis = new FakeKinesis({ streams: {} });
+        // Every client the CLI creates is the fake one.
+        sinon.stub(AWS, "Kinesis").returns(kinesis);
+        log = sinon.stub(console, "log");
+        error = sinon.stub(console, "error");
+    });
+    afterEach(() => {
+        sinon.restore();
+        process.exitCode = undefined;
+        configureRetries();
+    });
+
+    function printed(stub = log) {
+        return stub
+            .getCalls()
+            .map(call => call.args.join(" "))
+            .join("\n");
+    }
+
+    function writeCheckpoints(checkpoints) {
+        const file = path.join(tempDir.path, ".checkpoints");
+        fs.writeFileSync(
+            file,
+            checkpoints
+                .map(checkpoint =>
+                    JSON.stringify({ streamName: STREAM, ...checkpoint })
+                )
+                .join("\n")
+        );
+        return file;
+    }
+
+    describe("options", () => {
+        // Parse the arguments, expecting yargs to reject them, which it does by printing why and
+        // exiting.
+        function expectRejected(argv, pattern) {
+            const exit = sinon.stub(process, "exit");
+
+            parseArgs(argv);
+
+            expect(exit).to.have.been.calledWith(1);
+            expect(printed(error)).to.match(pattern);
+        }
+
+        it("should refuse a partition key for every record with random ones for put", () => {
+            expectRejected(
+                [
+                    "put",
+                    STREAM,
+                    "--region",
+                    "us-east-1",
+                    "--partition-key",
+                    "pk",
+                    "--random-partition-keys"
+                ],
+                /Arguments random-partition-keys and partition-key are mutually exclusive/
+            );
+        });
+
+        it("should parse put's options", () => {
+            const args = parseArgs([
+                "replay",
+                STREAM,
+                "records.jsonl",
+                "--region",
+                "us-east-1",
+                "-d",
+                "gzip,json"
+            ]);
+
+            expect(args).to.include({
+                streamName: STREAM,
+                input: "jsonl",
+                dataFormat: "gzip,json"
+            });
+            expect(args.files).to.deep.equal(["records.jsonl"]);
+        });
+    });
+
+    describe("describe", () => {
+        beforeEach(() => {
+            kinesis.streams[STREAM] = {
+                shards: [{ ShardId: "shardId-0", records: [record("1", "a")] }]
+            };
+        });
+
+        function describeStream(...options) {
+            return main([
+                "describe",
+                STREAM,
+                "--region",
+                "us-east-1",
+                "--json",
+                ...options
+            ]);
+        }
+
+        it("should only read the checkpoints with --lag", async () => {
+            const checkpointFile = writeCheckpoints([
+                { shardId: "shardId-0", lastReadSequenceNumber: "1" }
+            ]);
+
+            await describeStream("--checkpoint-file", checkpointFile);
+            await describeStream("--lag", "--checkpoint-file", checkpointFile);
+
+            const [without, withLag] = log
+                .getCalls()
+                .map(call => JSON.parse(call.args[0]));
+            expect(without.shards[0]).to.not.have.property("lag");
+            expect(withLag.shards[0].lag.checkpoint).to.include({
+                lastReadSequenceNumber: "1"
+            });
+            expect(process.exitCode).to.be.undefined;
+        });
+
+        it("should not need a checkpoint file for --lag", async () => {
+            await describeStream(
+                "--lag",
+                "--checkpoint-file",
+                path.join(tempDir.path, "missing")
+            );
+
+            const [description] = log
+                .getCalls()
+                .map(call => JSON.parse(call.args[0]));
+            expect(description.shards[0].lag).to.not.have.property(
+                "checkpoint"
+            );
+        });
+    });
+
+    describe("shard-for", () => {
+        it("should print the shards a partition key maps to, oldest first", async () => {
+            // "pk" hashes into the lower half of the hash key range.
+            kinesis.streams[STREAM] = {
+                shards: [
+                    {
+                        ShardId: "shardId-0",
+                        closed: true,
+                        HashKeyRange: {
+                            StartingHashKey: "0",
+                            EndingHashKey: MAX_HASH_KEY
+                        }
+                    },
+                    {
+                        ShardId: "shardId-1",
+                        ParentShardId: "shardId-0",
+                        HashKeyRange: {
+                            StartingHashKey: "0",
+                            EndingHashKey: HALF_HASH_KEY
+                        }
+                    },
+                    {
+                        ShardId: "shardId-2",
+                        ParentShardId: "shardId-0",
+                        HashKeyRange: {
+                            StartingHashKey: `${HALF_HASH_KEY.slice(0, -1)}8`,
+                            EndingHashKey: MAX_HASH_KEY
+                        }
+                    }
+                ].map(shard => ({ records: [], ...shard }))
+            };
+
+            await main(["shard-for", STREAM, "pk", "--region", "us-east-1"]);
+
+            expect(printed()).to.equal("shardId-0\nshardId-1");
+            expect(process.exitCode).to.be.undefined;
+        });
+    });
+
+    describe("dump --count-only", () => {
+        function countRecords(streamNames, ...options) {
+            return main([
+                "dump",
+                ...streamNames,
+                "--all",
+                "--count-only",
+                "--region",
+                "us-east-1",
+                "--no-check-retention",
+                ...options
+            ]);
+        }
+
+        beforeEach(() => {
+            kinesis.streams[STREAM] = {
+                shards: [
+                    {
+                        ShardId: "shardId-0",
+                        closed: true,
+                        records: [record("1", "a"), record("2", "b")]
+                    },
+                    { ShardId: "shardId-1", closed: true, records: [] }
+                ]
+            };
+        });
+
+        it("should print the number of records read from each shard, including the empty ones", async () => {
+            await countRecords([STREAM], "--json");
+
+            expect(JSON.parse(printed())).to.deep.equal({
+                shards: { "shardId-0": 2, "shardId-1": 0 },
+                total: 2
+            });
+            expect(process.exitCode).to.be.undefined;
+        });
+
+        it("should print a table with the stream of each shard when reading several", async () => {
+            kinesis.streams.other = {
+                shards: [
+                    {
+                        ShardId: "shardId-0",
+                        closed: true,
+                        records: [record("1", "c")]
+                    }
+                ]
+            };
+
+            await countRecords([STREAM, "other"]);
+
+            expect(
+                printed()
+                    .split("\n")
+                    .map(line => line.split(/\s+/))
+            ).to.deep.equal([
+                ["Stream", "Shard", "Records"],
+                [STREAM, "shardId-0", "2"],
+                [STREAM, "shardId-1", "0"],
+                ["other", "shardId-0", "1"],
+                ["Total", "3"]
+            ]);
+        });
+    });
+
+    describe("verify-checkpoints", () => {
+        function verify(checkpointFile) {
+            return main([
+                "verify-checkpoints",
+                STREAM,
+                "--region",
+                "us-east-1",
+                "--checkpoint-file",
+                checkpointFile
+            ]);
+        }
+
+        beforeEach(() => {
+            // Records 1 and 2 of shard 0 have been trimmed.
+            kinesis.streams[STREAM] = {
+                shards: [
+                    {
+                        ShardId: "shardId-0",
+                        trimmed: 2,
+                        records: ["1", "2", "3"].map(seq => record(seq, seq))
+                    },
+                    { ShardId: "shardId-1", records: [record("4", "4")] }
+                ]
+            };
+        });
+
+        it("should report each shard that's OK", async () => {
+            await verify(
+                writeCheckpoints([
+                    {
+                        shardId: "shardId-0",
+                        lastReadSequenceNumber: "3"
+                    },
+                    {
+                        shardId: "shardId-0",
+                        lastReadSequenceNumber: "2"
+                    }
+                ])
+            );
+
+            expect(printed()).to.match(
+                /shardId-0: OK, the checkpointed record has been trimmed/
+            );
+            expect(printed()).to.match(
+                /shardId-1: no checkpointed sequence number to check/
+            );
+            expect(process.exitCode).to.be.undefined;
+        });
+
+        it("should exit with code 3 when records after a checkpoint have been lost", async () => {
+            await verify(
+                writeCheckpoints([
+                    {
+                        shardId: "shardId-0",
+                        lastReadSequenceNumber: "1",
+                        moreRecordsBy: new Date(2000).toISOString()
+                    },
+                    { shardId: "shardId-1", lastReadSequenceNumber: "4" }
+                ])
+            );
+
+            expect(printed()).to.match(
+                /shardId-0: The checkpoint for shard shardId-0 of stream stream is outside of the stream's retention window/
+            );
+            expect(printed()).to.match(
+                /shardId-1: OK, will resume after sequence number 4/
+            );
+            expect(process.exitCode).to.equal(3);
+        });
+
+        it("should exit with code 3 when a shard that wasn't read to the end is gone", async () => {
+            await verify(
+                writeCheckpoints([
+                    { shardId: "shardId-gone", lastReadSequenceNumber: "1" },
+                    { shardId: "shardId-done", shardIterator: null }
+                ])
+            );
+
+            expect(printed()).to.match(
+                /shardId-gone: the shard is no longer in the stream/
+            );
+            expect(printed()).to.not.match(/shardId-done/);
+            expect(process.exitCode).to.equal(3);
+        });
+    });
+
+    describe("when a command fails", () => {
+        it("should print the error and exit with code 1", async () => {
+            await main([
+                "checkpoints",
+                "compact",
+                "--checkpoint-store",
+                "redis://localhost"
+            ]);
+
+            expect(printed(error)).to.match(
+                /An error occurred \(CallerError\): Unsupported checkpoint store redis:\/\/localhost/
+            );
+            expect(process.exitCode).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,264 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const {
+    getProfileCredentials,
+    assumeRole,
+    createTokenCodeFn
+} = require("../../src/credentials");
+
+// Support
+const AWS = require("aws-sdk");
+const fs = require("fs");
+const path = require("path");
+const { CallerError } = require("../../src/error");
+const { useTempDir } = require("../test-utils");
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+describe("credentials", () => {
+    const tempDir = useTempDir();
+    beforeEach(() => {
+        sinon.stub(process, "env").value({
+            ...process.env,
+            AWS_CONFIG_FILE: path.join(tempDir.path, "config"),
+            AWS_SHARED_CREDENTIALS_FILE: path.join(tempDir.path, "credentials")
+        });
+    });
+    afterEach(() => sinon.restore());
+
+    function writeFiles({ config = "", credentials = "" }) {
+        fs.writeFileSync(process.env.AWS_CONFIG_FILE, config);
+        fs.writeFileSync(process.env.AWS_SHARED_CREDENTIALS_FILE, credentials);
+    }
+
+    // A credential_process that runs a script with the Node running the tests.
+    function writeCredentialProcess(script) {
+        const file = path.join(tempDir.path, "credential-process.js");
+        fs.writeFileSync(file, script);
+        return `"${process.execPath}" "${file}"`;
+    }
+
+    async function expectCallerError(getCredentials, pattern) {
+        let error = null;
+        try {
+            await getCredentials().getPromise();
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).to.be.an.instanceOf(CallerError);
+        expect(error.message).to.match(pattern);
+    }
+
+    describe("getProfileCredentials", () => {
+        it("should get a profile's keys, from either file", async () => {
+            writeFiles({
+                config: "[profile dev]\naws_access_key_id = config-key\n",
+                credentials:
+                    "[dev]\naws_secret_access_key = secret\naws_session_token = token\n"
+            });
+
+            const credentials = getProfileCredentials("dev");
+
+            expect(credentials).to.be.an.instanceOf(AWS.Credentials);
+            expect(credentials).to.include({
+                accessKeyId: "config-key",
+                secretAccessKey: "secret",
+                sessionToken: "token"
+            });
+        });
+
+        it("should run a profile's credential_process with the SDK, even if it's in the config file", async () => {
+            writeFiles({
+                config: `[profile tool]\ncredential_process = ${writeCredentialProcess(
+                    `console.log(JSON.stringify({
+                        Version: 1,
+                        AccessKeyId: "process-key",
+                        SecretAccessKey: "process-secret",
+                        SessionToken: "process-token",
+                        Expiration: "2999-01-01T00:00:00Z"
+                    }));`
+                )}\n`
+            });
+
+            const messages = [];
+
+            const credentials = getProfileCredentials("tool", {
+                logger: message => messages.push(message)
+            });
+            await credentials.getPromise();
+
+            expect(credentials).to.be.an.instanceOf(AWS.ProcessCredentials);
+            expect(credentials).to.include({
+                accessKeyId: "process-key",
+                secretAccessKey: "process-secret",
+                sessionToken: "process-token",
+                expired: false
+            });
+            expect(credentials.expireTime).to.deep.equal(
+                new Date("2999-01-01T00:00:00Z")
+            );
+            expect(messages).to.deep.equal([
+                "Loaded credentials for profile tool from its credential_process (expires 2999-01-01T00:00:00.000Z)"
+            ]);
+        });
+
+        it("should fail with the profile if its credential_process does", async () => {
+            writeFiles({
+                config: `[profile tool]\ncredential_process = ${writeCredentialProcess(
+                    "console.log(JSON.stringify({ Version: 2 }));"
+                )}\n`
+            });
+
+            await expectCallerError(
+                () => getProfileCredentials("tool"),
+                /The credential_process for profile tool failed: .*Version/
+            );
+        });
+
+        it("should fail with the profile if the SDK can't run its credential_process", async () => {
+            writeFiles({
+                config: `[profile tool]\ncredential_process = ${writeCredentialProcess(
+                    "console.log('{}');"
+                )}\n`
+            });
+            sinon
+                .stub(
+                    AWS.ProcessCredentials.prototype,
+                    "loadViaCredentialProcess"
+                )
+                .value(undefined);
+
+            await expectCallerError(
+                () => getProfileCredentials("tool"),
+                /The credential_process for profile tool can't be run with version [\d.]+ of the AWS SDK/
+            );
+        });
+
+        it("should assume a profile's role with its source profile's credentials", () => {
+            writeFiles({
+                config: [
+                    "[profile base]",
+                    "aws_access_key_id = key",
+                    "aws_secret_access_key = secret",
+                    "[profile admin]",
+                    "role_arn = arn:aws:iam::123456789012:role/admin",
+                    "source_profile = base",
+                    "role_session_name = me",
+                    "external_id = outside",
+                    "duration_seconds = 900",
+                    ""
+                ].join("\n")
+            });
+
+            const credentials = getProfileCredentials("admin", {
+                region: "eu-west-1"
+            });
+
+            expect(credentials).to.be.an.instanceOf(
+                AWS.ChainableTemporaryCredentials
+            );
+            expect(credentials.service.config.params).to.deep.equal({
+                RoleArn: "arn:aws:iam::123456789012:role/admin",
+                RoleSessionName: "me",
+                ExternalId: "outside",
+                DurationSeconds: 900
+            });
+            expect(credentials.service.config.region).to.equal("eu-west-1");
+            expect(credentials.service.config.credentials).to.include({
+                accessKeyId: "key"
+            });
+        });
+
+        it("should use a source profile's keys instead of its role", () => {
+            writeFiles({
+                config: [
+                    "[profile base]",
+                    "aws_access_key_id = key",
+                    "aws_secret_access_key = secret",
+                    "role_arn = arn:aws:iam::123456789012:role/base",
+                    "[profile admin]",
+                    "role_arn = arn:aws:iam::123456789012:role/admin",
+                    "source_profile = base",
+                    ""
+                ].join("\n")
+            });
+
+            const credentials = getProfileCredentials("admin");
+
+            expect(
+                credentials.service.config.credentials
+            ).to.not.be.an.instanceOf(AWS.ChainableTemporaryCredentials);
+        });
+
+        it("should reject profiles it can't get credentials for", () => {
+            writeFiles({
+                config: [
+                    "[profile empty]",
+                    "region = us-east-1",
+                    "[profile loop]",
+                    "role_arn = arn:aws:iam::123456789012:role/loop",
+                    "source_profile = loop",
+                    "[profile sourceless]",
+                    "role_arn = arn:aws:iam::123456789012:role/admin",
+                    "[profile unsupported]",
+                    "role_arn = arn:aws:iam::123456789012:role/admin",
+                    "credential_source = Somewhere",
+                    ""
+                ].join("\n")
+            });
+
+            const cases = {
+                missing: /Profile missing was not found/,
+                empty: /Profile empty has no credentials/,
+                loop: /Profile loop is its own source_profile, through loop/,
+                sourceless: /no source_profile or credential_source/,
+                unsupported: /unsupported credential_source Somewhere/
+            };
+            Object.entries(cases).forEach(([profileName, pattern]) =>
+                expect(() => getProfileCredentials(profileName)).to.throw(
+                    CallerError,
+                    pattern
+                )
+            );
+        });
+    });
+
+    describe("assumeRole", () => {
+        it("should refuse a role that needs an MFA code without a way to get one", () => {
+            expect(() =>
+                assumeRole(null, "arn:aws:iam::123456789012:role/admin", {
+                    mfaSerial: "arn:aws:iam::123456789012:mfa/me"
+                })
+            ).to.throw(CallerError, /needs an MFA code/);
+        });
+    });
+
+    describe("createTokenCodeFn", () => {
+        it("should give the code it was given once, and then ask for one", async () => {
+            const tokenCodeFn = createTokenCodeFn("123456");
+            const getCode = () =>
+                new Promise((resolve, reject) =>
+                    tokenCodeFn("mfa", (error, code) =>
+                        error ? reject(error) : resolve(code)
+                    )
+                );
+
+            expect(await getCode()).to.equal("123456");
+            // There's no terminal when the tests run, and isTTY is only set when there is one.
+            const { isTTY } = process.stdin;
+            process.stdin.isTTY = false;
+            let error = null;
+            try {
+                await getCode();
+            } catch (caught) {
+                error = caught;
+            } finally {
+                process.stdin.isTTY = isTTY;
+            }
+            expect(error).to.be.an.instanceOf(CallerError);
+            expect(error.message).to.match(/no terminal to ask for one/);
+        });
+    });
+});
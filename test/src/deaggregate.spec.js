@@ -0,0 +1,120 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const deaggregate = require("../../src/deaggregate");
+
+// Support
+const { DecodeError } = require("../../src/error");
+const { record, aggregate } = require("../test-utils");
+const { expect } = require("chai");
+
+describe("deaggregate", () => {
+    it("should return a record that isn't aggregated as is", () => {
+        const kinesisRecord = record("1", "plain data");
+
+        expect(deaggregate(kinesisRecord)).to.deep.equal([kinesisRecord]);
+    });
+
+    it("should expand an aggregated record into its user records", () => {
+        const kinesisRecord = record(
+            "1",
+            aggregate([
+                { partitionKey: "a", data: "first" },
+                { partitionKey: "b", explicitHashKey: "42", data: "second" },
+                { partitionKey: "a", data: "third" }
+            ]),
+            { partitionKey: "outer" }
+        );
+
+        const userRecords = deaggregate(kinesisRecord);
+
+        expect(
+            userRecords.map(
+                ({
+                    PartitionKey,
+                    ExplicitHashKey,
+                    SubSequenceNumber,
+                    Data
+                }) => ({
+                    PartitionKey,
+                    ExplicitHashKey,
+                    SubSequenceNumber,
+                    Data: Data.toString()
+                })
+            )
+        ).to.deep.equal([
+            {
+                PartitionKey: "a",
+                ExplicitHashKey: undefined,
+                SubSequenceNumber: 0,
+                Data: "first"
+            },
+            {
+                PartitionKey: "b",
+                ExplicitHashKey: "42",
+                SubSequenceNumber: 1,
+                Data: "second"
+            },
+            {
+                PartitionKey: "a",
+                ExplicitHashKey: undefined,
+                SubSequenceNumber: 2,
+                Data: "third"
+            }
+        ]);
+        userRecords.forEach(userRecord => {
+            expect(userRecord.SequenceNumber).to.equal("1");
+            expect(userRecord.ApproximateArrivalTimestamp).to.equal(
+                kinesisRecord.ApproximateArrivalTimestamp
+            );
+        });
+    });
+
+    it("should return a record with the magic number but a bad MD5 as is", () => {
+        const data = aggregate([{ partitionKey: "a", data: "x" }]);
+        data[data.length - 1] ^= 0xff;
+        const kinesisRecord = record("1", data);
+
+        expect(deaggregate(kinesisRecord)).to.deep.equal([kinesisRecord]);
+    });
+
+    it("should throw a DecodeError for a truncated message", () => {
+        // A length-delimited field that says it's longer than the message.
+        const message = Buffer.from([0x0a, 0x05, 0x61]);
+
+        expect(() =>
+            deaggregate(record("7", aggregate([], { message })))
+        ).to.throw(DecodeError, /record 7: Truncated protobuf message/);
+    });
+
+    it("should throw a DecodeError for a partition key index out of range", () => {
+        const data = aggregate([
+            { partitionKey: "a", data: "x" },
+            { partitionKey: 3, data: "y" }
+        ]);
+
+        expect(() => deaggregate(record("1", data)))
+            .to.throw(DecodeError, /Sub-record 1 has partition key index 3/)
+            .with.property("stage", "deaggregate");
+    });
+
+    it("should throw a DecodeError for an explicit hash key index out of range", () => {
+        const data = aggregate([
+            { partitionKey: "a", explicitHashKey: 0, data: "x" }
+        ]);
+
+        expect(() => deaggregate(record("1", data))).to.throw(
+            DecodeError,
+            /explicit hash key index 0, but the table only has 0 entries/
+        );
+    });
+
+    it("should throw a DecodeError for a sub-record with no partition key index", () => {
+        const message = Buffer.from([0x0a, 0x01, 0x61, 0x1a, 0x02, 0x1a, 0x00]);
+
+        expect(() =>
+            deaggregate(record("1", aggregate([], { message })))
+        ).to.throw(DecodeError, /missing its partition key index/);
+    });
+});
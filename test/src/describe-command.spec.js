@@ -0,0 +1,132 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const describeCommand = require("../../src/describe-command");
+
+// Support
+const { FakeKinesis, MemoryCheckpointStore, record } = require("../test-utils");
+const chai = require("chai");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+chai.use(sinonChai);
+
+// A stream whose first shard was split into two, with a record in each shard.
+function createKinesis() {
+    return new FakeKinesis({
+        streams: {
+            stream: {
+                retentionPeriodHours: 48,
+                shards: [
+                    {
+                        ShardId: "shardId-0",
+                        closed: true,
+                        records: [record("1", "a")]
+                    },
+                    {
+                        ShardId: "shardId-1",
+                        ParentShardId: "shardId-0",
+                        records: [record("2", "b"), record("3", "c")]
+                    },
+                    {
+                        ShardId: "shardId-2",
+                        ParentShardId: "shardId-0",
+                        records: []
+                    }
+                ]
+            }
+        }
+    });
+}
+
+describe("describe-command", () => {
+    let log;
+    beforeEach(() => {
+        log = sinon.stub(console, "log");
+    });
+    afterEach(() => sinon.restore());
+
+    function printedJson() {
+        return JSON.parse(log.lastCall.args[0]);
+    }
+
+    it("should describe the stream and how its shards are related", async () => {
+        await describeCommand(createKinesis(), {
+            "stream-name": "stream",
+            json: true
+        });
+
+        const description = printedJson();
+        expect(description).to.include({
+            streamName: "stream",
+            status: "ACTIVE",
+            retentionPeriodHours: 48,
+            encryptionType: "NONE"
+        });
+        expect(description.shards[0]).to.deep.include({
+            shardId: "shardId-0",
+            state: "closed",
+            parentShardIds: [],
+            childShardIds: ["shardId-1", "shardId-2"],
+            sequenceNumberRange: { start: "1", end: "999" }
+        });
+        expect(description.shards[1]).to.deep.include({
+            state: "open",
+            parentShardIds: ["shardId-0"],
+            childShardIds: []
+        });
+        expect(description.shards[0]).to.not.have.property("lag");
+    });
+
+    it("should probe how far behind the open shards' trim horizons and checkpoints are", async () => {
+        const kinesis = createKinesis();
+        const store = new MemoryCheckpointStore([
+            {
+                streamName: "stream",
+                shardId: "shardId-1",
+                lastReadSequenceNumber: "3"
+            }
+        ]);
+        const close = sinon.spy(store, "close");
+
+        await describeCommand(
+            kinesis,
+            { "stream-name": "stream", json: true, lag: true },
+            store
+        );
+
+        const [closed, behind, empty] = printedJson().shards;
+        expect(closed).to.not.have.property("lag");
+        expect(behind.lag).to.deep.include({
+            trimHorizonMs: 1000,
+            checkpointMs: 0
+        });
+        expect(empty.lag).to.deep.equal({
+            trimHorizonMs: 0,
+            checkpointMs: null
+        });
+        expect(kinesis.callsTo("getShardIterator")[1]).to.include({
+            ShardId: "shardId-1",
+            ShardIteratorType: "AFTER_SEQUENCE_NUMBER",
+            StartingSequenceNumber: "3"
+        });
+        expect(close).to.have.been.calledOnce;
+    });
+
+    it("should print a table of the shards", async () => {
+        await describeCommand(createKinesis(), {
+            "stream-name": "stream",
+            lag: true
+        });
+
+        const printed = log
+            .getCalls()
+            .map(call => call.args.join(" "))
+            .join("\n");
+        expect(printed).to.match(/Retention:.* 48 hours/);
+        expect(printed).to.match(/Shards:.* 2 open, 3 total/);
+        expect(printed).to.match(/shardId-0\s+closed\s+shardId-1, shardId-2/);
+        expect(printed).to.match(/shardId-2\s+open\s+shardId-0.*no checkpoint/);
+    });
+});
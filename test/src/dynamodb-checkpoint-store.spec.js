@@ -0,0 +1,203 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const DynamoDbCheckpointStore = require("../../src/dynamodb-checkpoint-store");
+
+// Support
+const AWS = require("aws-sdk");
+const checkpointsCommand = require("../../src/checkpoints-command");
+const { CallerError } = require("../../src/error");
+const { useLocalDynamoDb } = require("../test-utils");
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const TABLE = "my-kcl-app";
+
+describe("DynamoDbCheckpointStore", () => {
+    const local = useLocalDynamoDb();
+    let dynamodb;
+    let config;
+
+    beforeEach(async () => {
+        config = {
+            region: "us-east-1",
+            endpoint: local.endpoint,
+            credentials: new AWS.Credentials("fake-key-id", "fake-secret")
+        };
+        dynamodb = new AWS.DynamoDB(config);
+        // The lease table, as the KCL creates it.
+        await dynamodb
+            .createTable({
+                TableName: TABLE,
+                KeySchema: [{ AttributeName: "leaseKey", KeyType: "HASH" }],
+                AttributeDefinitions: [
+                    { AttributeName: "leaseKey", AttributeType: "S" }
+                ],
+                BillingMode: "PAY_PER_REQUEST"
+            })
+            .promise();
+    });
+    afterEach(async () => {
+        await dynamodb.deleteTable({ TableName: TABLE }).promise();
+    });
+
+    function putLease(leaseKey, attributes) {
+        return dynamodb
+            .putItem({
+                TableName: TABLE,
+                Item: {
+                    leaseKey: { S: leaseKey },
+                    leaseCounter: { N: "7" },
+                    ownerSwitchesSinceCheckpoint: { N: "2" },
+                    ...attributes
+                }
+            })
+            .promise();
+    }
+
+    async function getLease(leaseKey) {
+        const { Item } = await dynamodb
+            .getItem({ TableName: TABLE, Key: { leaseKey: { S: leaseKey } } })
+            .promise();
+        return AWS.DynamoDB.Converter.unmarshall(Item);
+    }
+
+    it("should load the checkpoints of the KCL's leases", async () => {
+        await putLease("shardId-0", {
+            checkpoint: {
+                S: "49590338271490256608559692538361571095921575989136588898"
+            },
+            checkpointSubSequenceNumber: { N: "3" },
+            leaseOwner: { S: "worker-1" }
+        });
+        await putLease("shardId-1", { checkpoint: { S: "TRIM_HORIZON" } });
+        await putLease("shardId-2", { checkpoint: { S: "SHARD_END" } });
+
+        const entries = await new DynamoDbCheckpointStore(TABLE, config).load(
+            "stream"
+        );
+
+        expect(
+            entries.sort((a, b) => a.shardId.localeCompare(b.shardId))
+        ).to.deep.equal([
+            {
+                streamName: "stream",
+                shardId: "shardId-0",
+                leaseOwner: "worker-1",
+                lastReadSequenceNumber:
+                    "49590338271490256608559692538361571095921575989136588898",
+                lastReadSubSequenceNumber: 3
+            },
+            { streamName: "stream", shardId: "shardId-1" },
+            {
+                streamName: "stream",
+                shardId: "shardId-2",
+                shardIterator: null,
+                lastReadSequenceNumber: null
+            }
+        ]);
+    });
+
+    it("should load a LATEST lease as the time it's loaded", async () => {
+        await putLease("shardId-0", { checkpoint: { S: "LATEST" } });
+        const before = Date.now();
+
+        const [entry] = await new DynamoDbCheckpointStore(TABLE, config).load(
+            "stream"
+        );
+
+        expect(new Date(entry.timestamp).getTime()).to.be.at.least(before);
+    });
+
+    it("should save a checkpoint back to the lease it came from", async () => {
+        const leaseKey = "123456789012:stream:1577836800:shardId-0";
+        await putLease(leaseKey, {
+            checkpoint: { S: "100" },
+            checkpointSubSequenceNumber: { N: "0" },
+            pendingCheckpoint: { S: "101" }
+        });
+        await putLease("123456789012:other:1577836800:shardId-0", {
+            checkpoint: { S: "5" }
+        });
+        const store = new DynamoDbCheckpointStore(TABLE, config);
+
+        const entries = await store.load("stream");
+        await store.save([
+            {
+                ...entries[0],
+                lastReadSequenceNumber: "200",
+                lastReadSubSequenceNumber: 4
+            }
+        ]);
+
+        expect(entries).to.have.lengthOf(1);
+        expect(await getLease(leaseKey)).to.deep.equal({
+            leaseKey,
+            checkpoint: "200",
+            checkpointSubSequenceNumber: 4,
+            leaseCounter: 7,
+            ownerSwitchesSinceCheckpoint: 0
+        });
+    });
+
+    it("should create a lease for a shard that doesn't have one", async () => {
+        await new DynamoDbCheckpointStore(TABLE, config).save([
+            { streamName: "stream", shardId: "shardId-0", shardIterator: null },
+            { streamName: "stream", shardId: "shardId-1" }
+        ]);
+
+        expect(await getLease("shardId-0")).to.deep.equal({
+            leaseKey: "shardId-0",
+            checkpoint: "SHARD_END",
+            checkpointSubSequenceNumber: 0,
+            leaseCounter: 0,
+            ownerSwitchesSinceCheckpoint: 0
+        });
+        expect(await getLease("shardId-1")).to.include({
+            checkpoint: "TRIM_HORIZON"
+        });
+    });
+
+    it("should skip checkpoints it can't save, but reject them when asked", async () => {
+        const store = new DynamoDbCheckpointStore(TABLE, config);
+        const entry = {
+            streamName: "stream",
+            shardId: "shardId-0",
+            timestamp: new Date().toISOString()
+        };
+
+        await store.save([entry]);
+
+        expect((await dynamodb.scan({ TableName: TABLE }).promise()).Items).to
+            .be.empty;
+        expect(() => store.checkCanSave(entry)).to.throw(
+            CallerError,
+            /Can't save a checkpoint for shard shardId-0 to dynamodb:\/\/my-kcl-app/
+        );
+        expect(() =>
+            store.checkCanSave({ ...entry, lastReadSequenceNumber: "1" })
+        ).to.not.throw();
+    });
+
+    it("should fail to reset a lease to the latest record, instead of skipping it", async () => {
+        await putLease("shardId-0", { checkpoint: { S: "100" } });
+        sinon.stub(console, "log");
+
+        let error = null;
+        try {
+            await checkpointsCommand(
+                "reset",
+                { streamName: "stream", to: "latest" },
+                new DynamoDbCheckpointStore(TABLE, config)
+            );
+        } catch (caught) {
+            error = caught;
+        } finally {
+            sinon.restore();
+        }
+
+        expect(error).to.be.an.instanceOf(CallerError);
+        expect(await getLease("shardId-0")).to.include({ checkpoint: "100" });
+    });
+});
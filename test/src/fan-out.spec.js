@@ -0,0 +1,302 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const FanOutConsumer = require("../../src/fan-out");
+
+// Support
+const AWS = require("aws-sdk");
+const { CallerError } = require("../../src/error");
+const { configureRetries } = require("../../src/retry");
+const {
+    FakeKinesis,
+    record,
+    useFakeEventStreamServer
+} = require("../test-utils");
+const { expect } = require("chai");
+
+const STREAM_ARN = "arn:aws:kinesis:us-east-1:123456789012:stream/stream";
+const CONSUMER_ARN = `${STREAM_ARN}/consumer/reader:1`;
+
+describe("fan-out", () => {
+    const server = useFakeEventStreamServer();
+    before(() => configureRetries({ baseDelayMs: 1, maxDelayMs: 1 }));
+    after(() => configureRetries());
+
+    // A client whose SubscribeToShard requests go to the fake server.
+    function createKinesis(consumers = []) {
+        const kinesis = new FakeKinesis({
+            streams: { stream: { shards: [], consumers } }
+        });
+        kinesis.endpoint = new AWS.Endpoint(server.endpoint);
+        kinesis.config = new AWS.Config({
+            region: "us-east-1",
+            credentials: new AWS.Credentials("fake-key-id", "fake-secret")
+        });
+        return kinesis;
+    }
+
+    async function readAll(cursor) {
+        const batches = [];
+        for (let next = cursor.next; next; ) {
+            const batch = await next();
+            batches.push(batch);
+            next = batch.next;
+        }
+        return batches;
+    }
+
+    describe("FanOutConsumer.open", () => {
+        it("should use the stream's consumer with the name, if there is one", async () => {
+            const kinesis = createKinesis([
+                {
+                    ConsumerName: "reader",
+                    ConsumerARN: CONSUMER_ARN,
+                    ConsumerStatus: "ACTIVE"
+                }
+            ]);
+
+            const consumer = await FanOutConsumer.open(
+                kinesis,
+                "stream",
+                "reader"
+            );
+
+            expect(consumer.consumerArn).to.equal(CONSUMER_ARN);
+            expect(kinesis.callsTo("registerStreamConsumer")).to.be.empty;
+        });
+
+        it("should register a consumer, and wait for it to be active", async function() {
+            this.timeout(5000);
+            const kinesis = createKinesis();
+
+            const consumer = await FanOutConsumer.open(
+                kinesis,
+                "stream",
+                "reader"
+            );
+
+            expect(consumer.consumerArn).to.equal(CONSUMER_ARN);
+            expect(kinesis.callsTo("registerStreamConsumer")).to.deep.equal([
+                { StreamARN: STREAM_ARN, ConsumerName: "reader" }
+            ]);
+            expect(kinesis.callsTo("describeStreamConsumer")).to.have.lengthOf(
+                2
+            );
+        });
+
+        it("should refuse a consumer that's being deleted", async () => {
+            const kinesis = createKinesis([
+                {
+                    ConsumerName: "reader",
+                    ConsumerARN: CONSUMER_ARN,
+                    ConsumerStatus: "DELETING"
+                }
+            ]);
+            let error = null;
+
+            try {
+                await FanOutConsumer.open(kinesis, "stream", "reader");
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.an.instanceOf(CallerError);
+            expect(error.message).to.match(/is DELETING, and can't be used/);
+        });
+    });
+
+    describe("readFromShard", () => {
+        let consumer;
+        beforeEach(() => {
+            consumer = new FanOutConsumer(createKinesis(), CONSUMER_ARN);
+        });
+        afterEach(() => consumer.close());
+
+        it("should subscribe with a signed request, from after the checkpoint", async () => {
+            server.responses.push({
+                events: [
+                    {
+                        Records: [record("6", "a")],
+                        ContinuationSequenceNumber: "6",
+                        MillisBehindLatest: 0
+                    }
+                ]
+            });
+
+            const batch = await consumer
+                .readFromShard("shardId-0", { lastReadSequenceNumber: "5" })
+                .next();
+
+            const [{ headers, params }] = server.requests;
+            expect(params).to.deep.equal({
+                ConsumerARN: CONSUMER_ARN,
+                ShardId: "shardId-0",
+                StartingPosition: {
+                    Type: "AFTER_SEQUENCE_NUMBER",
+                    SequenceNumber: "5"
+                }
+            });
+            expect(headers).to.include({
+                ":method": "POST",
+                "x-amz-target": "Kinesis_20131202.SubscribeToShard"
+            });
+            expect(headers.authorization).to.match(
+                /^AWS4-HMAC-SHA256 Credential=fake-key-id\/\d+\/us-east-1\/kinesis\/aws4_request/
+            );
+            expect(batch.records).to.deep.equal([record("6", "a")]);
+            expect(batch.checkpoint).to.deep.equal({
+                lastReadSequenceNumber: "6",
+                lastReadTimestamp: new Date(6000)
+            });
+            expect(batch.next).to.be.undefined;
+        });
+
+        it("should subscribe again from the continuation when a subscription ends", async () => {
+            server.responses.push(
+                {
+                    events: [
+                        {
+                            Records: [record("1", "a")],
+                            ContinuationSequenceNumber: "1",
+                            MillisBehindLatest: 1000
+                        }
+                    ]
+                },
+                {
+                    events: [
+                        {
+                            Records: [record("2", "b")],
+                            ContinuationSequenceNumber: "2",
+                            MillisBehindLatest: 0
+                        }
+                    ]
+                }
+            );
+
+            const batches = await readAll(
+                consumer.readFromShard("shardId-0", {})
+            );
+
+            expect(
+                batches.map(batch => batch.records[0].Data.toString())
+            ).to.deep.equal(["a", "b"]);
+            expect(
+                server.requests.map(({ params }) => params.StartingPosition)
+            ).to.deep.equal([
+                { Type: "TRIM_HORIZON" },
+                { Type: "AFTER_SEQUENCE_NUMBER", SequenceNumber: "1" }
+            ]);
+            expect(batches[0].checkpoint.moreRecordsBy).to.deep.equal(
+                new Date(2000)
+            );
+        });
+
+        it("should keep following the shard until it's closed", async () => {
+            server.responses.push({
+                events: [
+                    {
+                        Records: [record("1", "a")],
+                        ContinuationSequenceNumber: "1",
+                        MillisBehindLatest: 0
+                    },
+                    { Records: [], MillisBehindLatest: 0 }
+                ]
+            });
+
+            const batches = await readAll(
+                consumer.readFromShard(
+                    "shardId-0",
+                    { timestamp: "2020-01-01T00:00:00.000Z" },
+                    { follow: true }
+                )
+            );
+
+            expect(batches).to.have.lengthOf(2);
+            expect(batches[1]).to.include({ shardEnded: true });
+            expect(batches[1].checkpoint).to.deep.include({
+                shardIterator: null,
+                lastReadSequenceNumber: "1"
+            });
+            expect(server.requests[0].params.StartingPosition).to.deep.equal({
+                Type: "AT_TIMESTAMP",
+                Timestamp: 1577836800
+            });
+        });
+
+        it("should subscribe again after an error that's worth retrying", async () => {
+            server.responses.push(
+                {
+                    status: 400,
+                    error: {
+                        __type: "ResourceInUseException",
+                        message: "Another active subscription exists"
+                    }
+                },
+                {
+                    exception: {
+                        type: "InternalFailureException",
+                        message: "Oops"
+                    }
+                },
+                {
+                    events: [
+                        {
+                            Records: [record("1", "a")],
+                            ContinuationSequenceNumber: "1",
+                            MillisBehindLatest: 0
+                        }
+                    ]
+                }
+            );
+
+            const batch = await consumer.readFromShard("shardId-0", {}).next();
+
+            expect(batch.records).to.have.lengthOf(1);
+            expect(server.requests).to.have.lengthOf(3);
+        });
+
+        it("should fail on an error that isn't worth retrying", async () => {
+            server.responses.push({
+                exception: {
+                    type: "ResourceNotFoundException",
+                    message: "Shard not found"
+                }
+            });
+            let error = null;
+
+            try {
+                await consumer.readFromShard("shardId-9", {}).next();
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.lastError).to.include({
+                code: "ResourceNotFoundException",
+                message: "Shard not found"
+            });
+            expect(server.requests).to.have.lengthOf(1);
+        });
+    });
+
+    describe("close", () => {
+        it("should deregister the consumer if asked to", async () => {
+            const kinesis = createKinesis([
+                {
+                    ConsumerName: "reader",
+                    ConsumerARN: CONSUMER_ARN,
+                    ConsumerStatus: "ACTIVE"
+                }
+            ]);
+
+            await new FanOutConsumer(kinesis, CONSUMER_ARN).close();
+            await new FanOutConsumer(kinesis, CONSUMER_ARN).close({
+                deregister: true
+            });
+
+            expect(kinesis.callsTo("deregisterStreamConsumer")).to.deep.equal([
+                { ConsumerARN: CONSUMER_ARN }
+            ]);
+        });
+    });
+});
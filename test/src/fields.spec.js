@@ -0,0 +1,85 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const {
+    DEFAULT_FIELDS,
+    parseFields,
+    getField,
+    selectFields,
+    formatValue
+} = require("../../src/fields");
+
+// Support
+const { CallerError } = require("../../src/error");
+const { expect } = require("chai");
+
+const RECORD = {
+    SequenceNumber: "1",
+    _data: { user: { id: 7 }, items: [{ sku: "a" }, { sku: "b" }] }
+};
+
+describe("fields", () => {
+    describe("parseFields", () => {
+        it("should parse each field into its path", () => {
+            expect(
+                parseFields(" SequenceNumber, _data.items[1].sku,,")
+            ).to.deep.equal([
+                { name: "SequenceNumber", path: ["SequenceNumber"] },
+                {
+                    name: "_data.items[1].sku",
+                    path: ["_data", "items", 1, "sku"]
+                }
+            ]);
+            expect(parseFields(DEFAULT_FIELDS.join(","))).to.have.lengthOf(5);
+        });
+
+        it("should reject fields that aren't paths", () => {
+            expect(() => parseFields(" , ")).to.throw(
+                CallerError,
+                /No fields given/
+            );
+            for (const field of ["_data..id", "_data[x]", "_data.", "[0]"]) {
+                expect(() => parseFields(field), field).to.throw(
+                    CallerError,
+                    /Invalid field/
+                );
+            }
+        });
+    });
+
+    describe("getField and selectFields", () => {
+        it("should get the value at a field's path, or undefined if there isn't one", () => {
+            const [id, sku, missing, tooDeep] = parseFields(
+                "_data.user.id,_data.items[0].sku,_data.nope.id,SequenceNumber.length"
+            );
+
+            expect(getField(RECORD, id)).to.equal(7);
+            expect(getField(RECORD, sku)).to.equal("a");
+            expect(getField(RECORD, missing)).to.be.undefined;
+            expect(getField(RECORD, tooDeep)).to.be.undefined;
+        });
+
+        it("should select the fields by the names they were given as, with null for missing ones", () => {
+            expect(
+                selectFields(RECORD, parseFields("_data.user,_data.items[2]"))
+            ).to.deep.equal({
+                "_data.user": { id: 7 },
+                "_data.items[2]": null
+            });
+        });
+    });
+
+    describe("formatValue", () => {
+        it("should format values for a column", () => {
+            expect(formatValue(undefined)).to.equal("");
+            expect(formatValue(null)).to.equal("");
+            expect(formatValue(new Date(0))).to.equal(
+                "1970-01-01T00:00:00.000Z"
+            );
+            expect(formatValue(Buffer.from([1, 2, 3]))).to.equal("AQID");
+            expect(formatValue({ a: [1] })).to.equal('{"a":[1]}');
+            expect(formatValue(false)).to.equal("false");
+        });
+    });
+});
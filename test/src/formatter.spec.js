@@ -0,0 +1,294 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const {
+    getEncoder,
+    getFormatter,
+    getFormatterOptions
+} = require("../../src/formatter");
+
+// Support
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const avro = require("avsc");
+const protobuf = require("protobufjs");
+const { CallerError, DecodeError } = require("../../src/error");
+const { expect } = require("chai");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+describe("formatter", () => {
+    describe("getFormatter", () => {
+        it("should apply a single formatter", () => {
+            const data = Buffer.from('{"a": 1}');
+
+            expect(getFormatter("utf-8")(data)).to.equal('{"a": 1}');
+            expect(getFormatter("json")(data)).to.deep.equal({ a: 1 });
+            expect(getFormatter("hex")(Buffer.from([1, 255]))).to.equal("01ff");
+            expect(getFormatter("base64")(data)).to.equal(
+                data.toString("base64")
+            );
+            expect(getFormatter("binary")(data)).to.equal(data);
+        });
+
+        it("should apply a pipeline of decoders before the formatter", () => {
+            const data = Buffer.from(
+                zlib.gzipSync(Buffer.from('{"a": [1, 2]}')).toString("base64")
+            );
+
+            const formatter = getFormatter("base64-decode, gzip, json");
+
+            expect(formatter(data)).to.deep.equal({ a: [1, 2] });
+        });
+
+        it("should end a pipeline of decoders with their Buffer", () => {
+            const data = zlib.deflateRawSync(Buffer.from("hello"));
+
+            expect(getFormatter("deflate-raw")(data)).to.deep.equal(
+                Buffer.from("hello")
+            );
+        });
+
+        it("should throw a DecodeError naming the stage that failed", () => {
+            const formatter = getFormatter("gzip,json");
+
+            expect(() =>
+                formatter(Buffer.from("not gzip"), { SequenceNumber: "42" })
+            )
+                .to.throw(
+                    DecodeError,
+                    /Failed to decode record 42 at stage "gzip"/
+                )
+                .that.includes({ stage: "gzip", sequenceNumber: "42" });
+            expect(() =>
+                formatter(zlib.gzipSync(Buffer.from("{")), {
+                    SequenceNumber: "43"
+                })
+            ).to.throw(DecodeError, /at stage "json"/);
+        });
+
+        it("should reject text that isn't base64", () => {
+            expect(() =>
+                getFormatter("base64-decode,utf-8")(Buffer.from("not base64!"))
+            ).to.throw(DecodeError, /not base64 encoded text/);
+        });
+
+        it("should reject a formatter that isn't the last stage", () => {
+            expect(() => getFormatter("json,gzip")).to.throw(
+                CallerError,
+                /json can only be the last stage/
+            );
+        });
+
+        it("should reject an unknown stage", () => {
+            expect(() => getFormatter("gzip,yaml")).to.throw(
+                CallerError,
+                /Invalid format name specified: yaml/
+            );
+        });
+    });
+
+    describe("the cloudwatch-logs format", () => {
+        const payload = {
+            messageType: "DATA_MESSAGE",
+            logGroup: "/aws/lambda/handler",
+            logStream: "2020/01/01/[$LATEST]abc",
+            logEvents: [
+                { id: "1", timestamp: 1577836800000, message: "first" },
+                { id: "2", timestamp: 1577836801000, message: '{"b": 2}' }
+            ]
+        };
+
+        it("should expand a gzipped payload into its log events", () => {
+            const formatter = getFormatter("cloudwatch-logs");
+
+            const outputs = formatter(
+                zlib.gzipSync(Buffer.from(JSON.stringify(payload)))
+            );
+
+            expect(formatter.expandsRecords).to.be.true;
+            expect(outputs).to.deep.equal([
+                {
+                    fields: {
+                        _logGroup: "/aws/lambda/handler",
+                        _logStream: "2020/01/01/[$LATEST]abc",
+                        _logEventId: "1",
+                        _logEventTimestamp: new Date("2020-01-01T00:00:00Z")
+                    },
+                    data: "first"
+                },
+                {
+                    fields: {
+                        _logGroup: "/aws/lambda/handler",
+                        _logStream: "2020/01/01/[$LATEST]abc",
+                        _logEventId: "2",
+                        _logEventTimestamp: new Date("2020-01-01T00:00:01Z")
+                    },
+                    data: '{"b": 2}'
+                }
+            ]);
+        });
+
+        it("should expand a payload that isn't gzipped", () => {
+            const outputs = getFormatter("base64-decode,cwl")(
+                Buffer.from(
+                    Buffer.from(JSON.stringify(payload)).toString("base64")
+                )
+            );
+
+            expect(outputs.map(({ data }) => data)).to.deep.equal([
+                "first",
+                '{"b": 2}'
+            ]);
+        });
+
+        it("should drop control messages", () => {
+            const outputs = getFormatter("cloudwatch-logs")(
+                Buffer.from(
+                    JSON.stringify({
+                        messageType: "CONTROL_MESSAGE",
+                        logEvents: [{ id: "", message: "CWL CONTROL MESSAGE" }]
+                    })
+                )
+            );
+
+            expect(outputs).to.deep.equal([]);
+        });
+
+        it("should throw a DecodeError for data that isn't a payload", () => {
+            expect(() =>
+                getFormatter("cloudwatch-logs")(Buffer.from('{"a": 1}'))
+            ).to.throw(DecodeError, /not a CloudWatch Logs subscription/);
+        });
+
+        it("should only be the last stage", () => {
+            expect(() => getFormatter("cloudwatch-logs,json")).to.throw(
+                CallerError
+            );
+        });
+    });
+
+    describe("the avro format", () => {
+        const schema = path.join(FIXTURES, "user.avsc");
+
+        it("should decode data with the schema", () => {
+            const type = avro.Type.forSchema(
+                JSON.parse(fs.readFileSync(schema, "utf8"))
+            );
+            const data = type.toBuffer({ name: "Ada", age: 36 });
+
+            const output = getFormatter("avro", { schema })(data);
+
+            expect({ ...output }).to.deep.equal({ name: "Ada", age: 36 });
+        });
+
+        it("should throw a DecodeError for data that doesn't match", () => {
+            expect(() =>
+                getFormatter("avro", { schema })(Buffer.from([0x02]))
+            ).to.throw(DecodeError, /at stage "avro"/);
+        });
+
+        it("should require a schema file", () => {
+            expect(() => getFormatter("avro")).to.throw(
+                CallerError,
+                /requires an Avro schema file/
+            );
+            expect(() =>
+                getFormatter("avro", { schema: path.join(FIXTURES, "nope") })
+            ).to.throw(CallerError, /Failed to load Avro schema/);
+        });
+    });
+
+    describe("the protobuf format", () => {
+        const proto = path.join(FIXTURES, "user.proto");
+
+        it("should decode the message type, with longs and bytes as strings", () => {
+            const type = protobuf.loadSync(proto).lookupType("test.User");
+            const data = type
+                .encode(
+                    type.fromObject({
+                        name: "Ada",
+                        id: "9007199254740993",
+                        avatar: Buffer.from([1, 2, 3])
+                    })
+                )
+                .finish();
+
+            const output = getFormatter("gzip,protobuf", {
+                proto,
+                messageType: "test.User"
+            })(zlib.gzipSync(data));
+
+            expect(output).to.deep.equal({
+                name: "Ada",
+                id: "9007199254740993",
+                avatar: "AQID"
+            });
+        });
+
+        it("should require a .proto file and a known message type", () => {
+            expect(() => getFormatter("protobuf", { proto })).to.throw(
+                CallerError,
+                /requires a .proto file and a message type/
+            );
+            expect(() =>
+                getFormatter("protobuf", { proto, messageType: "test.Nope" })
+            ).to.throw(CallerError, /Failed to load Protobuf message type/);
+        });
+    });
+
+    describe("getEncoder", () => {
+        it("should undo what the formatter did", () => {
+            const formats = [
+                ["utf-8", "hello"],
+                ["json", { a: [1, 2] }],
+                ["hex", "01ff"],
+                ["base64-decode, gzip, json", { a: 1 }],
+                ["deflate-raw", Buffer.from("hello")]
+            ];
+            for (const [format, value] of formats) {
+                const data = getEncoder(format)(value);
+
+                expect(data).to.be.an.instanceOf(Buffer);
+                expect(getFormatter(format)(data)).to.deep.equal(value);
+            }
+        });
+
+        it("should encode with a schema", () => {
+            const schema = path.join(FIXTURES, "user.avsc");
+
+            const data = getEncoder("avro", { schema })({
+                name: "Ada",
+                age: 36
+            });
+
+            expect({ ...getFormatter("avro", { schema })(data) }).to.deep.equal(
+                { name: "Ada", age: 36 }
+            );
+        });
+
+        it("should refuse formats that expand records", () => {
+            expect(() => getEncoder("gzip,cloudwatch-logs")).to.throw(
+                CallerError,
+                /can't be re-encoded with the cloudwatch-logs data format/
+            );
+            expect(() => getEncoder("avro")).to.throw(
+                CallerError,
+                /requires an Avro schema file/
+            );
+        });
+    });
+
+    describe("getFormatterOptions", () => {
+        it("should list the formatters and decoders", () => {
+            expect(getFormatterOptions()).to.include.members([
+                "json",
+                "utf-8",
+                "gzip",
+                "base64-decode"
+            ]);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const {
+    getHashKey,
+    parseHashKeyRange,
+    filterShardsByHashKeyRanges
+} = require("../../src/hash-keys");
+
+// Support
+const { CallerError } = require("../../src/error");
+const { expect } = require("chai");
+
+const MAX_HASH_KEY = "340282366920938463463374607431768211455";
+
+function shard(ShardId, StartingHashKey, EndingHashKey) {
+    return { ShardId, HashKeyRange: { StartingHashKey, EndingHashKey } };
+}
+
+describe("hash-keys", () => {
+    describe("getHashKey", () => {
+        it("should be the MD5 hash of the partition key as a decimal integer", () => {
+            expect(getHashKey("")).to.equal(
+                "281949768489412648962353822266799178366"
+            );
+            expect(getHashKey("pk")).to.equal(
+                "38317986088707300215492326132921849533"
+            );
+        });
+    });
+
+    describe("parseHashKeyRange", () => {
+        it("should parse START-END", () => {
+            expect(parseHashKeyRange(` 0 - ${MAX_HASH_KEY}`)).to.deep.equal({
+                start: "0",
+                end: MAX_HASH_KEY
+            });
+            expect(parseHashKeyRange({ start: 5, end: "5" })).to.deep.equal({
+                start: "5",
+                end: "5"
+            });
+        });
+
+        it("should reject ranges that aren't hash keys in order", () => {
+            const invalid = [
+                "1",
+                "a-b",
+                "-1-5",
+                "5-1",
+                `0-${MAX_HASH_KEY}0`,
+                { start: "1" }
+            ];
+            for (const range of invalid) {
+                expect(() => parseHashKeyRange(range), range).to.throw(
+                    CallerError,
+                    /Invalid hash key range/
+                );
+            }
+        });
+    });
+
+    describe("filterShardsByHashKeyRanges", () => {
+        // A parent shard split in half.
+        const parent = shard("parent", "0", "99");
+        const low = shard("low", "0", "49");
+        const high = shard("high", "50", "99");
+
+        it("should keep the shards that overlap any of the ranges, including their ancestors", () => {
+            const shards = [parent, low, high];
+
+            expect(
+                filterShardsByHashKeyRanges(shards, [
+                    { start: "49", end: "49" }
+                ])
+            ).to.deep.equal([parent, low]);
+            expect(
+                filterShardsByHashKeyRanges(shards, [
+                    { start: "10", end: "20" },
+                    { start: "99", end: MAX_HASH_KEY }
+                ])
+            ).to.deep.equal(shards);
+            expect(
+                filterShardsByHashKeyRanges(shards, [
+                    { start: "100", end: "200" }
+                ])
+            ).to.be.empty;
+        });
+    });
+});
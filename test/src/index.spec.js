@@ -2,24 +2,25 @@
 /* eslint no-unused-expressions:0 */
 
 // Module under test
-// const moduleUnderTest = require("../../src/index");
+const readKinesis = require("../../src");
 
 // Support
+const { readStream } = require("../../src/read-stream");
+const { expect } = require("chai");
 
-// Your own custom test utilities.
-// const testUtils = require("../test-utils");
-
-// assertions library
-// const chai = require("chai");
-// const { expect } = require("chai");
-
-// mocks and stubs
-// const sinon = require("sinon");
-
-// chai plugin for assertino on sinon stuff
-// const sinonChai = require("sinon-chai");
-// chai.use(sinonChai);
-
-describe("This module", () => {
-    it("should really have some unit tests");
+describe("index", () => {
+    it("should export the library without running the command line interface", () => {
+        expect(readKinesis.readStream).to.equal(readStream);
+        expect(readKinesis).to.include.all.keys(
+            "readStream",
+            "readFromShard",
+            "listShards",
+            "openCheckpointStore",
+            "getFormatter",
+            "CallerError",
+            "DecodeError",
+            "DataLossError"
+        );
+        expect(process.exitCode).to.be.undefined;
+    });
 });
@@ -0,0 +1,278 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const {
+    parseTimestamp,
+    parseDuration,
+    parseSessionDuration,
+    parseSize,
+    parseShardSequenceNumbers,
+    parseStreamSpec,
+    splitByStream,
+    parseAssumeFor,
+    getRetryConfig
+} = require("../../src/options");
+
+// Support
+const fs = require("fs");
+const path = require("path");
+const { CallerError } = require("../../src/error");
+const { useTempDir } = require("../test-utils");
+const { expect } = require("chai");
+
+describe("options", () => {
+    describe("parseTimestamp", () => {
+        it("should parse a date and time, or a time relative to now", () => {
+            expect(parseTimestamp("2020-01-01T12:00:00Z")).to.deep.equal(
+                new Date("2020-01-01T12:00:00Z")
+            );
+            const hoursAgo =
+                (Date.now() - parseTimestamp("3 hours ago")) / 36e5;
+            expect(hoursAgo).to.be.closeTo(3, 0.01);
+        });
+
+        it("should reject anything else", () => {
+            expect(() => parseTimestamp("next blue moon")).to.throw(
+                CallerError,
+                /Failed to parse timestamp/
+            );
+        });
+    });
+
+    describe("parseDuration", () => {
+        it("should parse a number with a unit into milliseconds, where the default unit is seconds", () => {
+            expect(parseDuration("250ms")).to.equal(250);
+            expect(parseDuration(" 90 ")).to.equal(90000);
+            expect(parseDuration("1.5m")).to.equal(90000);
+            expect(parseDuration("2h")).to.equal(7200000);
+        });
+
+        it("should reject anything else", () => {
+            for (const duration of ["", "0s", "-5m", "5d", "m"]) {
+                expect(() => parseDuration(duration), duration).to.throw(
+                    CallerError,
+                    /Invalid duration/
+                );
+            }
+        });
+    });
+
+    describe("parseSessionDuration", () => {
+        it("should parse a duration into seconds", () => {
+            expect(parseSessionDuration("15m")).to.equal(900);
+            expect(parseSessionDuration("3600")).to.equal(3600);
+            expect(parseSessionDuration("12h")).to.equal(43200);
+        });
+
+        it("should reject a duration STS doesn't allow", () => {
+            for (const duration of ["14m", "12.5h"]) {
+                expect(() => parseSessionDuration(duration), duration).to.throw(
+                    CallerError,
+                    `Invalid session duration ${duration}, expected between 15 minutes and 12 hours`
+                );
+            }
+            expect(() => parseSessionDuration("1d")).to.throw(
+                CallerError,
+                /Invalid duration 1d/
+            );
+        });
+    });
+
+    describe("parseSize", () => {
+        it("should parse a number of bytes, or a number with a unit in powers of 1024", () => {
+            expect(parseSize(500)).to.equal(500);
+            expect(parseSize("500K")).to.equal(500 * 1024);
+            expect(parseSize("1.5 MB")).to.equal(1.5 * 1024 * 1024);
+            expect(parseSize("1gib")).to.equal(1024 * 1024 * 1024);
+        });
+
+        it("should reject anything else", () => {
+            for (const size of ["", "0", "-1K", "5T", "M"]) {
+                expect(() => parseSize(size), size).to.throw(
+                    CallerError,
+                    /Invalid size/
+                );
+            }
+        });
+    });
+
+    describe("parseShardSequenceNumbers", () => {
+        it("should get the sequence number for each shard", () => {
+            expect(
+                parseShardSequenceNumbers(
+                    ["shardId-0=1", "shardId-1=22"],
+                    [],
+                    "--until-sequence"
+                )
+            ).to.deep.equal({ "shardId-0": "1", "shardId-1": "22" });
+            expect(
+                parseShardSequenceNumbers(
+                    ["3"],
+                    ["shardId-0"],
+                    "--until-sequence"
+                )
+            ).to.deep.equal({ "shardId-0": "3" });
+            expect(parseShardSequenceNumbers(undefined, undefined, "x")).to.be
+                .empty;
+        });
+
+        it("should need the shard unless exactly one is being read, and a sequence number", () => {
+            const cases = [
+                ["3", ["shardId-0", "shardId-1"]],
+                ["3", []],
+                ["shardId-0=abc", []],
+                ["shardId-0=", []]
+            ];
+            cases.forEach(([value, shards]) =>
+                expect(() =>
+                    parseShardSequenceNumbers(
+                        [value],
+                        shards,
+                        "--start-at-sequence"
+                    )
+                ).to.throw(
+                    CallerError,
+                    `Invalid --start-at-sequence ${value}, expected SHARD-ID=SEQUENCE-NUMBER`
+                )
+            );
+        });
+    });
+
+    describe("parseStreamSpec", () => {
+        it("should take a stream name as it is, or the name and region from an ARN", () => {
+            const arn =
+                "arn:aws-cn:kinesis:cn-north-1:123456789012:stream/my.stream-1";
+
+            expect(parseStreamSpec("my-stream")).to.deep.equal({
+                streamName: "my-stream",
+                region: null,
+                arn: null
+            });
+            expect(parseStreamSpec(arn)).to.deep.equal({
+                streamName: "my.stream-1",
+                region: "cn-north-1",
+                arn
+            });
+        });
+
+        it("should reject an ARN that isn't a stream's", () => {
+            for (const arn of [
+                "arn:aws:kinesis:us-east-1:123456789012:stream/",
+                "arn:aws:kinesis:us-east-1:1234:stream/my-stream",
+                "arn:aws:sqs:us-east-1:123456789012:my-queue"
+            ]) {
+                expect(() => parseStreamSpec(arn), arn).to.throw(
+                    CallerError,
+                    `Invalid stream ARN ${arn}`
+                );
+            }
+        });
+    });
+
+    describe("splitByStream", () => {
+        it("should give a value to just its stream, or to every stream if it has none", () => {
+            expect(
+                splitByStream(
+                    ["a:shardId-0", "shardId-1", "b:shardId-2:x"],
+                    ["a", "b", "c"],
+                    "--shard"
+                )
+            ).to.deep.equal({
+                a: ["shardId-0", "shardId-1"],
+                b: ["shardId-1", "shardId-2:x"],
+                c: ["shardId-1"]
+            });
+            expect(splitByStream(undefined, ["a"], "--shard")).to.deep.equal({
+                a: []
+            });
+        });
+
+        it("should reject a value for a stream that isn't being read", () => {
+            expect(() =>
+                splitByStream(["d:shardId-0"], ["a", "b"], "--shard")
+            ).to.throw(
+                CallerError,
+                "Invalid --shard d:shardId-0, d isn't one of the streams being read"
+            );
+        });
+    });
+
+    describe("parseAssumeFor", () => {
+        const role = "arn:aws:iam::123456789012:role/reader";
+
+        it("should give each stream its chain of roles, in order", () => {
+            expect(
+                parseAssumeFor(
+                    [`a=${role}`, `b=${role}`, `a=${role}-2`],
+                    ["a", "b", "c"]
+                )
+            ).to.deep.equal({ a: [role, `${role}-2`], b: [role] });
+            expect(parseAssumeFor(undefined, ["a"])).to.deep.equal({});
+        });
+
+        it("should need one of the streams being read", () => {
+            for (const value of [role, `d=${role}`]) {
+                expect(() => parseAssumeFor([value], ["a"]), value).to.throw(
+                    CallerError,
+                    `Invalid --assume-for ${value}, expected STREAM=ROLE-ARN`
+                );
+            }
+        });
+    });
+
+    describe("getRetryConfig", () => {
+        const tempDir = useTempDir();
+
+        it("should put the retry options on top of the config file, for both kinds of error", () => {
+            const retryConfig = path.join(tempDir.path, "retries.json");
+            fs.writeFileSync(
+                retryConfig,
+                JSON.stringify({
+                    deadlineMs: 60000,
+                    throttling: { maxAttempts: 20, baseDelayMs: 500 },
+                    transient: { jitter: "none" }
+                })
+            );
+
+            expect(
+                getRetryConfig({
+                    retryConfig,
+                    retryMaxAttempts: 5,
+                    retryMaxDelay: 1000
+                })
+            ).to.deep.equal({
+                deadlineMs: 60000,
+                maxAttempts: 5,
+                maxDelayMs: 1000,
+                throttling: {
+                    maxAttempts: 5,
+                    baseDelayMs: 500,
+                    maxDelayMs: 1000
+                },
+                transient: { jitter: "none", maxAttempts: 5, maxDelayMs: 1000 }
+            });
+        });
+
+        it("should use the retry options on their own without a config file", () => {
+            expect(
+                getRetryConfig({ retryJitter: "full", retryDeadline: 0 })
+            ).to.deep.equal({
+                jitter: "full",
+                deadlineMs: 0,
+                throttling: { jitter: "full" },
+                transient: { jitter: "full" }
+            });
+        });
+
+        it("should fail for a config file it can't read", () => {
+            const retryConfig = path.join(tempDir.path, "retries.json");
+            fs.writeFileSync(retryConfig, "{ maxAttempts: 5 }");
+
+            expect(() => getRetryConfig({ retryConfig })).to.throw(
+                CallerError,
+                /Failed to read the retry config file .*retries.json/
+            );
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const OrderedMerge = require("../../src/ordered-merge");
+
+// Support
+const { expect } = require("chai");
+
+function rec(SequenceNumber, time) {
+    return { SequenceNumber, ApproximateArrivalTimestamp: new Date(time) };
+}
+
+function createMerge(maxBufferedRecords = 100) {
+    const emitted = [];
+    const merge = new OrderedMerge(
+        record => emitted.push(record.SequenceNumber),
+        { maxBufferedRecords }
+    );
+    return { merge, emitted };
+}
+
+describe("OrderedMerge", () => {
+    it("should emit records in arrival order once every shard has caught up", async () => {
+        const { merge, emitted } = createMerge();
+        merge.addShard("a");
+        merge.addShard("b");
+
+        await merge.push("a", [rec("a1", 1), rec("a3", 3), rec("a5", 5)], 5);
+        expect(emitted).to.be.empty;
+
+        await merge.push("b", [rec("b2", 2), rec("b4", 4)], 4);
+        expect(emitted).to.deep.equal(["a1", "b2", "a3", "b4"]);
+
+        merge.removeShard("b");
+        expect(emitted).to.deep.equal(["a1", "b2", "a3", "b4", "a5"]);
+    });
+
+    it("should break ties by sequence number", async () => {
+        const { merge, emitted } = createMerge();
+        merge.addShard("a");
+        merge.addShard("b");
+
+        await merge.push("a", [rec("100", 1)], 1);
+        await merge.push("b", [rec("99", 1)], 1);
+
+        expect(emitted).to.deep.equal(["99", "100"]);
+    });
+
+    it("should let a shard with no records advance the output with its watermark", async () => {
+        const { merge, emitted } = createMerge();
+        merge.addShard("a");
+        merge.addShard("empty");
+
+        await merge.push("a", [rec("a1", 1), rec("a9", 9)], 9);
+        await merge.push("empty", [], 5);
+
+        expect(emitted).to.deep.equal(["a1"]);
+    });
+
+    it("should emit everything that's left when it ends", async () => {
+        const { merge, emitted } = createMerge();
+        merge.addShard("a");
+        merge.addShard("b");
+
+        await merge.push("a", [rec("a2", 2)], 2);
+        merge.end();
+
+        expect(emitted).to.deep.equal(["a2"]);
+        expect(merge.isDrained("a")).to.be.true;
+    });
+
+    it("should hold back a shard that's ahead when the buffer is full", async () => {
+        const { merge, emitted } = createMerge(2);
+        merge.addShard("ahead");
+        merge.addShard("behind");
+
+        let pushed = false;
+        const pushing = merge
+            .push("ahead", [rec("x1", 10), rec("x2", 11), rec("x3", 12)], 12)
+            .then(() => {
+                pushed = true;
+            });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(pushed).to.be.false;
+
+        // The shard holding back the watermark can always push.
+        await merge.push("behind", [rec("y1", 1)], 20);
+        await pushing;
+
+        expect(pushed).to.be.true;
+        expect(emitted).to.deep.equal(["y1", "x1", "x2", "x3"]);
+    });
+
+    it("should stop emitting, and stop holding back shards, once emit returns false", async () => {
+        const emitted = [];
+        const merge = new OrderedMerge(
+            record =>
+                emitted.length < 2 && emitted.push(record.SequenceNumber) > 0,
+            { maxBufferedRecords: 2 }
+        );
+        merge.addShard("a");
+        merge.addShard("b");
+
+        const pushing = merge.push(
+            "a",
+            [rec("a1", 1), rec("a3", 3), rec("a5", 5)],
+            5
+        );
+        await merge.push("b", [rec("b2", 2), rec("b4", 4)], 4);
+        // The buffer is still full, but nothing more will be emitted to make room.
+        await pushing;
+        merge.end();
+
+        expect(emitted).to.deep.equal(["a1", "b2"]);
+        expect(merge.isDrained("a")).to.be.false;
+        expect(merge.isDrained("b")).to.be.false;
+    });
+});
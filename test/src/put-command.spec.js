@@ -0,0 +1,147 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const putCommand = require("../../src/put-command");
+
+// Support
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { CallerError } = require("../../src/error");
+const { FakeKinesis, useTempDir } = require("../test-utils");
+const chai = require("chai");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+chai.use(sinonChai);
+
+describe("put-command", () => {
+    const tempDir = useTempDir();
+    let kinesis;
+    beforeEach(() => {
+        kinesis = new FakeKinesis();
+        sinon.stub(console, "error");
+    });
+    afterEach(() => sinon.restore());
+
+    function writeInput(lines) {
+        const file = path.join(tempDir.path, "input.jsonl");
+        fs.writeFileSync(file, lines.join("\n"));
+        return file;
+    }
+
+    async function put(lines, args = {}) {
+        await putCommand(
+            kinesis,
+            {
+                "stream-name": "stream",
+                dataFormat: "utf-8",
+                files: [writeInput(lines)],
+                ...args
+            },
+            () => {}
+        );
+        return [].concat(
+            ...kinesis.callsTo("putRecords").map(params => params.Records)
+        );
+    }
+
+    it("should put the records that the dump command output", async () => {
+        const records = await put([
+            JSON.stringify({ PartitionKey: "a", _data: "one" }),
+            "",
+            JSON.stringify({
+                PartitionKey: "b",
+                ExplicitHashKey: "42",
+                _data: "two"
+            })
+        ]);
+
+        expect(records).to.deep.equal([
+            { Data: Buffer.from("one"), PartitionKey: "a" },
+            {
+                Data: Buffer.from("two"),
+                PartitionKey: "b",
+                ExplicitHashKey: "42"
+            }
+        ]);
+        expect(console.error).to.have.been.calledWith(
+            "Put 2 record(s) to stream stream"
+        );
+    });
+
+    it("should re-encode the data with the data format it was dumped with", async () => {
+        const [record] = await put(
+            [JSON.stringify({ PartitionKey: "a", _data: { b: [1] } })],
+            { dataFormat: "gzip,json" }
+        );
+
+        expect(JSON.parse(zlib.gunzipSync(record.Data))).to.deep.equal({
+            b: [1]
+        });
+    });
+
+    it("should put the raw data of records that couldn't be decoded", async () => {
+        const [record] = await put(
+            [
+                JSON.stringify({
+                    PartitionKey: "a",
+                    _data: Buffer.from([0xff, 0x00]).toString("base64"),
+                    _decodeError: "Failed to decode"
+                })
+            ],
+            { dataFormat: "json" }
+        );
+
+        expect(record.Data).to.deep.equal(Buffer.from([0xff, 0x00]));
+    });
+
+    it("should put raw lines with the given partition key", async () => {
+        const records = await put(['{"a": 1}', "plain text"], {
+            input: "lines",
+            partitionKey: "key"
+        });
+
+        expect(records).to.deep.equal([
+            { Data: Buffer.from('{"a": 1}'), PartitionKey: "key" },
+            { Data: Buffer.from("plain text"), PartitionKey: "key" }
+        ]);
+    });
+
+    it("should give records random partition keys if asked to", async () => {
+        const records = await put(
+            [JSON.stringify({ PartitionKey: "a", _data: "one" })],
+            { randomPartitionKeys: true }
+        );
+
+        expect(records[0].PartitionKey).to.match(/^[0-9a-f]{32}$/);
+    });
+
+    it("should say which line is wrong", async () => {
+        const failures = [
+            [["not json"], {}, /Invalid JSON on line 1 of .*input.jsonl/],
+            [['{"a": 1}'], {}, /The record on line 1 .* has no _data/],
+            [
+                ['{"_data": "x"}'],
+                {},
+                /There's no PartitionKey for the record on line 1/
+            ],
+            [
+                ['{"_data": {"a": 1}, "PartitionKey": "a"}'],
+                { dataFormat: "gzip" },
+                /Failed to encode the data on line 1 .* as gzip/
+            ]
+        ];
+        for (const [lines, args, pattern] of failures) {
+            let error = null;
+            try {
+                await put(lines, args);
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).to.be.an.instanceOf(CallerError);
+            expect(error.message).to.match(pattern);
+        }
+    });
+});
@@ -0,0 +1,930 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+/* global BigInt */
+
+// Module under test
+const { readStream, readStreams } = require("../../src/read-stream");
+
+// Support
+const zlib = require("zlib");
+const { CallerError, DataLossError, DecodeError } = require("../../src/error");
+const {
+    FakeKinesis,
+    MemoryCheckpointStore,
+    record,
+    awsError,
+    aggregate,
+    collect
+} = require("../test-utils");
+const { expect } = require("chai");
+
+const STREAM = "stream";
+const MAX_HASH_KEY = "340282366920938463463374607431768211455";
+
+function createKinesis(shards, options = {}) {
+    return new FakeKinesis({
+        ...options,
+        streams: {
+            [STREAM]: {
+                shards: shards.map(shard => ({ closed: true, ...shard }))
+            }
+        }
+    });
+}
+
+function read(kinesis, options = {}) {
+    return readStream({
+        kinesis,
+        streamName: STREAM,
+        checkRetention: false,
+        ...options
+    });
+}
+
+// A stand-in for an AbortSignal, which Node 12 doesn't have.
+function createSignal() {
+    const listeners = new Set();
+    return {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        abort() {
+            this.aborted = true;
+            listeners.forEach(listener => listener());
+        }
+    };
+}
+
+describe("read-stream", () => {
+    describe("readStream", () => {
+        function createTwoShardKinesis() {
+            return createKinesis([
+                { ShardId: "shardId-0", records: [record("1", "a")] },
+                {
+                    ShardId: "shardId-1",
+                    records: [record("2", "b"), record("3", "c")]
+                }
+            ]);
+        }
+
+        it("should read every shard, with where each record came from", async () => {
+            const stream = read(createTwoShardKinesis());
+
+            const outputs = await collect(stream);
+
+            expect(
+                outputs.sort((a, b) => a.SequenceNumber - b.SequenceNumber)
+            ).to.deep.equal([
+                {
+                    _shardId: "shardId-0",
+                    _streamName: STREAM,
+                    SequenceNumber: "1",
+                    ApproximateArrivalTimestamp: new Date(1000),
+                    PartitionKey: "pk",
+                    _data: "a"
+                },
+                {
+                    _shardId: "shardId-1",
+                    _streamName: STREAM,
+                    SequenceNumber: "2",
+                    ApproximateArrivalTimestamp: new Date(2000),
+                    PartitionKey: "pk",
+                    _data: "b"
+                },
+                {
+                    _shardId: "shardId-1",
+                    _streamName: STREAM,
+                    SequenceNumber: "3",
+                    ApproximateArrivalTimestamp: new Date(3000),
+                    PartitionKey: "pk",
+                    _data: "c"
+                }
+            ]);
+            expect(stream.checkpoints.get("shardId-1")).to.include({
+                shardIterator: null,
+                lastReadSequenceNumber: "3"
+            });
+        });
+
+        it("should decode the data with a data format or a function", async () => {
+            const kinesis = createKinesis([
+                {
+                    ShardId: "shardId-0",
+                    records: [
+                        record("1", zlib.gzipSync(Buffer.from('{"a": 1}')))
+                    ]
+                }
+            ]);
+
+            const [formatted] = await collect(
+                read(kinesis, { decoder: "gzip,json" })
+            );
+            const [decoded] = await collect(
+                read(kinesis, {
+                    decoder: (data, kinesisRecord) => [
+                        data.length,
+                        kinesisRecord.SequenceNumber
+                    ]
+                })
+            );
+
+            expect(formatted._data).to.deep.equal({ a: 1 });
+            expect(decoded._data).to.deep.equal([
+                zlib.gzipSync(Buffer.from('{"a": 1}')).length,
+                "1"
+            ]);
+        });
+
+        it("should only read the given shards, from the given positions", async () => {
+            const kinesis = createTwoShardKinesis();
+
+            const outputs = await collect(
+                read(kinesis, {
+                    shards: ["shardId-1"],
+                    startSequenceNumbers: { "shardId-1": "3" }
+                })
+            );
+
+            expect(outputs.map(({ _data }) => _data)).to.deep.equal(["c"]);
+            expect(kinesis.callsTo("listShards")).to.be.empty;
+        });
+
+        it("should start shards without a checkpoint from a timestamp, or the latest record", async () => {
+            const kinesis = createTwoShardKinesis();
+
+            const fromTimestamp = await collect(
+                read(kinesis, { start: new Date(2500) })
+            );
+            const fromLatest = await collect(
+                read(kinesis, { start: "latest" })
+            );
+
+            expect(fromTimestamp.map(({ _data }) => _data)).to.deep.equal([
+                "c"
+            ]);
+            expect(fromLatest).to.be.empty;
+        });
+
+        it("should resume from the store's checkpoints, unless told not to", async () => {
+            const kinesis = createTwoShardKinesis();
+            const checkpointStore = new MemoryCheckpointStore([
+                {
+                    streamName: STREAM,
+                    shardId: "shardId-1",
+                    lastReadSequenceNumber: "2"
+                },
+                {
+                    streamName: STREAM,
+                    shardId: "shardId-0",
+                    shardIterator: null,
+                    lastReadSequenceNumber: "1"
+                }
+            ]);
+
+            const resumed = await collect(read(kinesis, { checkpointStore }));
+            const restarted = await collect(
+                read(kinesis, { checkpointStore, resume: false })
+            );
+
+            expect(resumed.map(({ _data }) => _data)).to.deep.equal(["c"]);
+            expect(restarted).to.have.lengthOf(3);
+            expect(checkpointStore.latest(STREAM, "shardId-1")).to.include({
+                lastReadSequenceNumber: "3"
+            });
+        });
+
+        it("should stop following the stream when the signal is aborted", async () => {
+            const kinesis = createKinesis([
+                {
+                    ShardId: "shardId-0",
+                    closed: false,
+                    records: [record("1", "a")]
+                }
+            ]);
+            const signal = createSignal();
+            const outputs = [];
+
+            for await (const output of read(kinesis, {
+                follow: true,
+                signal
+            })) {
+                outputs.push(output._data);
+                signal.abort();
+            }
+
+            expect(outputs).to.deep.equal(["a"]);
+        });
+
+        it("should not start reading if the signal is already aborted", async () => {
+            const kinesis = createTwoShardKinesis();
+            const signal = createSignal();
+            signal.abort();
+
+            const outputs = await collect(read(kinesis, { signal }));
+
+            expect(outputs).to.be.empty;
+            expect(kinesis.callsTo("getRecords")).to.be.empty;
+        });
+
+        describe("selecting shards by partition key or hash key range", () => {
+            // The partition key "pk" hashes into the lower half of the hash key space.
+            const HALF = "170141183460469231731687303715884105728";
+
+            function createHalvedKinesis() {
+                return createKinesis([
+                    {
+                        ShardId: "shardId-low",
+                        HashKeyRange: {
+                            StartingHashKey: "0",
+                            EndingHashKey: String(BigInt(HALF) - BigInt(1))
+                        },
+                        records: [
+                            record("1", "a", { partitionKey: "pk" }),
+                            record("2", "b", { partitionKey: "other" })
+                        ]
+                    },
+                    {
+                        ShardId: "shardId-high",
+                        HashKeyRange: {
+                            StartingHashKey: HALF,
+                            EndingHashKey: MAX_HASH_KEY
+                        },
+                        records: [record("3", "c", { partitionKey: "pk" })]
+                    }
+                ]);
+            }
+
+            it("should only read the shard a partition key maps to, and only its records", async () => {
+                const kinesis = createHalvedKinesis();
+
+                const outputs = await collect(
+                    read(kinesis, { partitionKeys: ["pk"] })
+                );
+
+                expect(outputs.map(output => output._data)).to.deep.equal([
+                    "a"
+                ]);
+                expect(
+                    kinesis
+                        .callsTo("getShardIterator")
+                        .map(params => params.ShardId)
+                ).to.deep.equal(["shardId-low"]);
+            });
+
+            it("should read every record in the shards a hash key range overlaps", async () => {
+                const outputs = await collect(
+                    read(createHalvedKinesis(), {
+                        hashKeyRanges: [`${HALF}-${MAX_HASH_KEY}`]
+                    })
+                );
+
+                expect(outputs.map(output => output._data)).to.deep.equal([
+                    "c"
+                ]);
+            });
+
+            it("should not take shards as well", () => {
+                expect(() =>
+                    read(createHalvedKinesis(), {
+                        shards: ["shardId-low"],
+                        partitionKeys: ["pk"]
+                    })
+                ).to.throw(CallerError, /Shards can't be given along with/);
+            });
+        });
+
+        it("should reject options that don't make sense", () => {
+            expect(() =>
+                readStream({ kinesis: createTwoShardKinesis() })
+            ).to.throw(CallerError, /No stream name specified/);
+            expect(() =>
+                read(createTwoShardKinesis(), { shards: [] })
+            ).to.throw(CallerError, /No shard IDs specified/);
+            expect(() =>
+                read(createTwoShardKinesis(), { start: "soon" })
+            ).to.throw(CallerError, /Invalid start position soon/);
+            expect(() =>
+                read(createTwoShardKinesis(), { concurrency: 0 })
+            ).to.throw(CallerError, /Invalid concurrency 0/);
+        });
+
+        it("should read at most as many shards at once as the concurrency", async () => {
+            const kinesis = createKinesis(
+                [
+                    {
+                        ShardId: "shardId-0",
+                        records: [record("1", "a"), record("2", "b")]
+                    },
+                    {
+                        ShardId: "shardId-1",
+                        records: [record("3", "c"), record("4", "d")]
+                    }
+                ],
+                { batchSize: 1 }
+            );
+
+            const outputs = await collect(read(kinesis, { concurrency: 1 }));
+
+            expect(outputs).to.have.lengthOf(4);
+            expect(
+                kinesis
+                    .callsTo("getRecords")
+                    .map(params => JSON.parse(params.ShardIterator).shardId)
+            ).to.deep.equal([
+                "shardId-0",
+                "shardId-0",
+                "shardId-1",
+                "shardId-1"
+            ]);
+        });
+
+        it("should only be iterated once", async () => {
+            const stream = read(createTwoShardKinesis());
+            await collect(stream);
+
+            expect(() => stream[Symbol.asyncIterator]()).to.throw(
+                /can only be iterated once/
+            );
+        });
+    });
+
+    describe("stop conditions", () => {
+        // One shard with five records, which arrived a second apart, read three at a time.
+        function createFiveRecordKinesis() {
+            return createKinesis([
+                {
+                    ShardId: "shardId-0",
+                    records: ["1", "2", "3", "4", "5"].map(seq =>
+                        record(seq, `data ${seq}`)
+                    )
+                }
+            ]);
+        }
+
+        async function readUntil(options) {
+            const checkpointStore = new MemoryCheckpointStore();
+            const outputs = await collect(
+                read(createFiveRecordKinesis(), {
+                    checkpointStore,
+                    ...options
+                })
+            );
+            return {
+                sequenceNumbers: outputs.map(output => output.SequenceNumber),
+                checkpoint: checkpointStore.latest(STREAM, "shardId-0")
+            };
+        }
+
+        it("should stop at the exact record after the stop time, even in the middle of a batch", async () => {
+            const { sequenceNumbers, checkpoint } = await readUntil({
+                stopAfter: new Date(2000)
+            });
+
+            expect(sequenceNumbers).to.deep.equal(["1", "2"]);
+            expect(checkpoint).to.include({ lastReadSequenceNumber: "2" });
+            expect(checkpoint.shardIterator).to.not.equal(null);
+        });
+
+        it("should stop a duration after the start time", async () => {
+            const { sequenceNumbers } = await readUntil({
+                start: new Date(2000),
+                durationMs: 2000
+            });
+
+            expect(sequenceNumbers).to.deep.equal(["2", "3", "4"]);
+        });
+
+        it("should stop after a shard's sequence number to read until", async () => {
+            const { sequenceNumbers, checkpoint } = await readUntil({
+                untilSequenceNumbers: { "shardId-0": "4" }
+            });
+
+            expect(sequenceNumbers).to.deep.equal(["1", "2", "3", "4"]);
+            expect(checkpoint).to.include({ lastReadSequenceNumber: "4" });
+        });
+
+        it("should stop after the most records, in total or for each shard", async () => {
+            const total = await readUntil({ maxRecords: 2 });
+            const perShard = await readUntil({ maxRecordsPerShard: 4 });
+
+            expect(total.sequenceNumbers).to.deep.equal(["1", "2"]);
+            expect(total.checkpoint).to.include({
+                lastReadSequenceNumber: "2"
+            });
+            expect(perShard.sequenceNumbers).to.deep.equal([
+                "1",
+                "2",
+                "3",
+                "4"
+            ]);
+        });
+
+        it("should only count the records that match the filter", async () => {
+            const { sequenceNumbers, checkpoint } = await readUntil({
+                filter: "_data != 'data 2'",
+                maxRecords: 2
+            });
+
+            expect(sequenceNumbers).to.deep.equal(["1", "3"]);
+            expect(checkpoint).to.include({ lastReadSequenceNumber: "3" });
+        });
+
+        it("should reject limits that aren't positive", () => {
+            for (const name of [
+                "maxRecords",
+                "maxRecordsPerShard",
+                "durationMs"
+            ]) {
+                expect(() =>
+                    read(createFiveRecordKinesis(), { [name]: 0 })
+                ).to.throw(CallerError, new RegExp(`Invalid ${name} 0`));
+            }
+        });
+    });
+
+    describe("when a shard fails", () => {
+        it("should stop the other shards and save their checkpoints before failing", async () => {
+            const kinesis = createKinesis([
+                {
+                    ShardId: "shardId-ok",
+                    closed: false,
+                    records: [record("1", "a"), record("2", "b")]
+                },
+                { ShardId: "shardId-bad", records: [record("3", "c")] }
+            ]);
+            kinesis.failNext("getRecords", awsError("AccessDeniedException"), {
+                when: ({ ShardIterator }) =>
+                    FakeKinesis.shardOf(ShardIterator) === "shardId-bad"
+            });
+            const checkpointStore = new MemoryCheckpointStore();
+            const outputs = [];
+
+            let error = null;
+            try {
+                // Following, the good shard would be read forever unless it's stopped.
+                for await (const output of read(kinesis, {
+                    follow: true,
+                    checkpointStore
+                })) {
+                    outputs.push(output._data);
+                }
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.message).to.match(/AccessDeniedException/);
+            expect(outputs).to.deep.equal(["a", "b"]);
+            expect(checkpointStore.latest(STREAM, "shardId-ok")).to.include({
+                lastReadSequenceNumber: "2"
+            });
+            const getRecordsCalls = kinesis.callsTo("getRecords").length;
+            await new Promise(resolve => setTimeout(resolve, 500));
+            expect(kinesis.callsTo("getRecords")).to.have.lengthOf(
+                getRecordsCalls
+            );
+        });
+    });
+
+    describe("when resuming from a checkpoint out of retention", () => {
+        function createTrimmedKinesis() {
+            return createKinesis([
+                {
+                    ShardId: "shardId-0",
+                    trimmed: 2,
+                    records: ["1", "2", "3"].map(seq => record(seq, seq))
+                }
+            ]);
+        }
+
+        function readFrom(checkpoint, options) {
+            return read(createTrimmedKinesis(), {
+                checkRetention: true,
+                checkpointStore: new MemoryCheckpointStore([
+                    { streamName: STREAM, shardId: "shardId-0", ...checkpoint }
+                ]),
+                ...options
+            });
+        }
+
+        it("should fail in strict mode if records after the checkpoint were lost", async () => {
+            let error = null;
+            try {
+                await collect(
+                    readFrom(
+                        {
+                            lastReadSequenceNumber: "1",
+                            moreRecordsBy: new Date(2000).toISOString()
+                        },
+                        { strict: true }
+                    )
+                );
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.an.instanceOf(DataLossError);
+            expect(error).to.include({
+                shardId: "shardId-0",
+                firstAvailableSequenceNumber: "3"
+            });
+        });
+
+        it("should read on without a warning if only the checkpointed record was trimmed", async () => {
+            const warnings = [];
+
+            const outputs = await collect(
+                readFrom(
+                    { lastReadSequenceNumber: "2" },
+                    {
+                        strict: true,
+                        onWarning: warning => warnings.push(warning)
+                    }
+                )
+            );
+
+            expect(outputs.map(({ _data }) => _data)).to.deep.equal(["3"]);
+            expect(warnings).to.be.empty;
+        });
+
+        it("should note in its checkpoints that more records followed", async () => {
+            const kinesis = createKinesis(
+                [
+                    {
+                        ShardId: "shardId-0",
+                        records: ["1", "2", "3"].map(seq => record(seq, seq))
+                    }
+                ],
+                { batchSize: 2 }
+            );
+            const checkpointStore = new MemoryCheckpointStore();
+
+            await collect(
+                read(kinesis, { checkpointStore, checkpointIntervalBatches: 1 })
+            );
+
+            expect(checkpointStore.saves[0][0]).to.include({
+                lastReadSequenceNumber: "2"
+            });
+            expect(checkpointStore.saves[0][0].moreRecordsBy).to.deep.equal(
+                new Date(3000)
+            );
+            expect(
+                checkpointStore.latest(STREAM, "shardId-0")
+            ).to.not.have.property("moreRecordsBy");
+        });
+    });
+
+    describe("with ordered", () => {
+        function createOrderedKinesis(options = { batchSize: 1 }) {
+            return createKinesis(
+                [
+                    {
+                        ShardId: "shardId-a",
+                        records: [
+                            record("1", "a1", { timestamp: 1000 }),
+                            record("3", "a3", { timestamp: 3000 }),
+                            record("5", "a5", { timestamp: 5000 })
+                        ]
+                    },
+                    {
+                        ShardId: "shardId-b",
+                        records: [
+                            record("2", "b2", { timestamp: 2000 }),
+                            record("4", "b4", { timestamp: 4000 })
+                        ]
+                    }
+                ],
+                options
+            );
+        }
+
+        it("should merge the shards' records by arrival time", async () => {
+            const outputs = await collect(
+                read(createOrderedKinesis(), { ordered: true })
+            );
+
+            expect(outputs.map(({ _data }) => _data)).to.deep.equal([
+                "a1",
+                "b2",
+                "a3",
+                "b4",
+                "a5"
+            ]);
+        });
+
+        it("should output the earliest records with maxRecords, and resume after them", async () => {
+            // Each shard is read in one batch, which is only partly output.
+            const kinesis = createOrderedKinesis({});
+            const checkpointStore = new MemoryCheckpointStore();
+
+            const first = await collect(
+                read(kinesis, { ordered: true, maxRecords: 3, checkpointStore })
+            );
+            const rest = await collect(
+                read(kinesis, { ordered: true, checkpointStore })
+            );
+
+            expect(first.map(({ _data }) => _data)).to.deep.equal([
+                "a1",
+                "b2",
+                "a3"
+            ]);
+            expect(rest.map(({ _data }) => _data)).to.deep.equal(["b4", "a5"]);
+        });
+
+        it("should count maxRecords across the streams it reads in order", async () => {
+            const stream = readStreams(
+                [
+                    {
+                        kinesis: createOrderedKinesis(),
+                        streamName: STREAM,
+                        ordered: true,
+                        checkRetention: false
+                    }
+                ],
+                { maxRecords: 2 }
+            );
+
+            const outputs = await collect(stream);
+
+            expect(outputs.map(({ _data }) => _data)).to.deep.equal([
+                "a1",
+                "b2"
+            ]);
+        });
+    });
+
+    describe("with KPL aggregated records", () => {
+        // An aggregated record whose sub-record refers to a partition key that isn't in the table.
+        const corrupt = record(
+            "2",
+            aggregate([{ partitionKey: 5, data: "lost" }])
+        );
+
+        function createAggregatedKinesis() {
+            return createKinesis([
+                {
+                    ShardId: "shardId-0",
+                    records: [
+                        record(
+                            "1",
+                            aggregate([
+                                { partitionKey: "a", data: "one" },
+                                { partitionKey: "b", data: "two" }
+                            ])
+                        ),
+                        corrupt,
+                        record("3", "three")
+                    ]
+                }
+            ]);
+        }
+
+        it("should output each user record", async () => {
+            const outputs = await collect(
+                read(createAggregatedKinesis(), { onDecodeError: "skip" })
+            );
+
+            expect(
+                outputs.map(({ PartitionKey, SubSequenceNumber, _data }) => [
+                    PartitionKey,
+                    SubSequenceNumber,
+                    _data
+                ])
+            ).to.deep.equal([
+                ["a", 0, "one"],
+                ["b", 1, "two"],
+                ["pk", undefined, "three"]
+            ]);
+        });
+
+        it("should output a corrupt aggregated record raw, with the error", async () => {
+            const warnings = [];
+
+            const outputs = await collect(
+                read(createAggregatedKinesis(), {
+                    onWarning: warning => warnings.push(warning)
+                })
+            );
+
+            expect(outputs).to.have.lengthOf(4);
+            expect(outputs[2]).to.include({
+                SequenceNumber: "2",
+                _shardId: "shardId-0",
+                _data: corrupt.Data.toString("base64")
+            });
+            expect(outputs[2]._decodeError).to.match(
+                /Failed to deaggregate record 2/
+            );
+            expect(warnings).to.have.lengthOf(1);
+            expect(warnings[0]).to.be.an.instanceOf(DecodeError);
+        });
+
+        it("should resume part of the way through an aggregated record", async () => {
+            const checkpointStore = new MemoryCheckpointStore([
+                {
+                    streamName: STREAM,
+                    shardId: "shardId-0",
+                    lastReadSequenceNumber: "1",
+                    lastReadSubSequenceNumber: 0
+                }
+            ]);
+
+            const outputs = await collect(
+                read(createAggregatedKinesis(), {
+                    checkpointStore,
+                    onDecodeError: "skip"
+                })
+            );
+
+            expect(outputs.map(({ _data }) => _data)).to.deep.equal([
+                "two",
+                "three"
+            ]);
+        });
+
+        it("should checkpoint after the last user record of an aggregated record", async () => {
+            const kinesis = createKinesis(
+                [
+                    {
+                        ShardId: "shardId-0",
+                        records: [
+                            record(
+                                "1",
+                                aggregate([
+                                    { partitionKey: "a", data: "one" },
+                                    { partitionKey: "b", data: "two" }
+                                ])
+                            ),
+                            record("2", "three")
+                        ]
+                    }
+                ],
+                { batchSize: 1 }
+            );
+            const checkpointStore = new MemoryCheckpointStore();
+
+            await collect(
+                read(kinesis, {
+                    checkpointStore,
+                    checkpointIntervalBatches: 1,
+                    partitionKeys: ["a"]
+                })
+            );
+
+            expect(checkpointStore.saves[0][0]).to.include({
+                lastReadSequenceNumber: "1",
+                lastReadSubSequenceNumber: 1
+            });
+            expect(
+                checkpointStore.latest(STREAM, "shardId-0")
+            ).to.not.have.property("lastReadSubSequenceNumber");
+        });
+
+        it("should checkpoint partway through an aggregated record that max-records stopped in", async () => {
+            const kinesis = createKinesis([
+                {
+                    ShardId: "shardId-0",
+                    records: [
+                        record(
+                            "1",
+                            aggregate([
+                                { partitionKey: "a", data: "one" },
+                                { partitionKey: "b", data: "two" },
+                                { partitionKey: "c", data: "three" }
+                            ])
+                        ),
+                        record("2", "four")
+                    ]
+                }
+            ]);
+            const checkpointStore = new MemoryCheckpointStore();
+
+            const first = await collect(
+                read(kinesis, { checkpointStore, maxRecords: 2 })
+            );
+            const rest = await collect(read(kinesis, { checkpointStore }));
+
+            expect(checkpointStore.saves[0][0]).to.include({
+                lastReadSequenceNumber: "1",
+                lastReadSubSequenceNumber: 1
+            });
+            expect([...first, ...rest].map(({ _data }) => _data)).to.deep.equal(
+                ["one", "two", "three", "four"]
+            );
+        });
+
+        it("should fail on a corrupt aggregated record if asked to", async () => {
+            let error = null;
+            try {
+                await collect(
+                    read(createAggregatedKinesis(), { onDecodeError: "fail" })
+                );
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.an.instanceOf(DecodeError);
+        });
+    });
+
+    describe("readStreams", () => {
+        function readTwoStreams(options, ordersOptions = {}) {
+            const orders = new FakeKinesis({
+                streams: {
+                    orders: {
+                        shards: [
+                            {
+                                ShardId: "shardId-0",
+                                closed: true,
+                                records: [record("1", "o1"), record("2", "o2")]
+                            }
+                        ]
+                    }
+                }
+            });
+            const payments = new FakeKinesis({
+                streams: {
+                    payments: {
+                        shards: [
+                            {
+                                ShardId: "shardId-0",
+                                closed: true,
+                                records: [record("3", "p1")]
+                            }
+                        ]
+                    }
+                }
+            });
+            return readStreams(
+                [
+                    {
+                        kinesis: orders,
+                        streamName: "orders",
+                        checkRetention: false,
+                        ...ordersOptions
+                    },
+                    {
+                        kinesis: payments,
+                        streamName: "payments",
+                        checkRetention: false
+                    }
+                ],
+                options
+            );
+        }
+
+        it("should read every stream, each with its own client, with the stream each record came from", async () => {
+            const outputs = await collect(readTwoStreams());
+
+            expect(
+                outputs
+                    .map(({ _streamName, _data }) => `${_streamName}:${_data}`)
+                    .sort()
+            ).to.deep.equal(["orders:o1", "orders:o2", "payments:p1"]);
+        });
+
+        it("should stop after the total number of records across the streams", async () => {
+            const outputs = await collect(readTwoStreams({ maxRecords: 2 }));
+
+            expect(outputs).to.have.lengthOf(2);
+        });
+
+        it("should stop the other streams when one fails", async () => {
+            const stream = readTwoStreams(
+                {},
+                { decoder: "json", onDecodeError: "fail" }
+            );
+            let error = null;
+
+            try {
+                await collect(stream);
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.an.instanceOf(DecodeError);
+            expect(stream.stopRequested).to.be.true;
+        });
+
+        it("should reject streams it can't read together", () => {
+            const kinesis = createKinesis([]);
+
+            expect(() => readStreams([])).to.throw(
+                CallerError,
+                /No streams specified/
+            );
+            expect(() =>
+                readStreams([
+                    { kinesis, streamName: STREAM },
+                    { kinesis, streamName: STREAM }
+                ])
+            ).to.throw(CallerError, /Stream stream is given more than once/);
+            expect(() =>
+                readStreams([{ kinesis, streamName: STREAM }], {
+                    maxRecords: 0
+                })
+            ).to.throw(CallerError, /Invalid maxRecords 0/);
+        });
+    });
+});
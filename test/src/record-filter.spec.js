@@ -0,0 +1,58 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const createRecordFilter = require("../../src/record-filter");
+
+// Support
+const { CallerError } = require("../../src/error");
+const { expect } = require("chai");
+
+const RECORD = {
+    SequenceNumber: "1",
+    ApproximateArrivalTimestamp: new Date("2020-01-01T00:00:00Z"),
+    PartitionKey: "user-1",
+    _data: { level: "ERROR", tags: [], message: "" }
+};
+
+describe("createRecordFilter", () => {
+    it("should match the records the expression is true for", () => {
+        expect(createRecordFilter("PartitionKey == 'user-1'")(RECORD)).to.be
+            .true;
+        expect(createRecordFilter("_data.level == 'INFO'")(RECORD)).to.be.false;
+    });
+
+    it("should treat empty and missing values as false, like JMESPath does", () => {
+        const matches = expression => createRecordFilter(expression)(RECORD);
+
+        expect(matches("_data.level")).to.be.true;
+        expect(matches("_data")).to.be.true;
+        expect(matches("_data.tags")).to.be.false;
+        expect(matches("_data.message")).to.be.false;
+        expect(matches("_data.nope")).to.be.false;
+        expect(matches("`{}`")).to.be.false;
+        expect(matches("`0`")).to.be.true;
+    });
+
+    it("should see timestamps as ISO-8601 strings", () => {
+        const filter = createRecordFilter(
+            "starts_with(ApproximateArrivalTimestamp, '2020-01-01')"
+        );
+
+        expect(filter(RECORD)).to.be.true;
+    });
+
+    it("should not match records the expression can't be evaluated against", () => {
+        const filter = createRecordFilter("length(_data.level) > `3`");
+
+        expect(filter(RECORD)).to.be.true;
+        expect(filter({ ...RECORD, _data: { level: 5 } })).to.be.false;
+    });
+
+    it("should reject an invalid expression", () => {
+        expect(() => createRecordFilter("_data.level ==")).to.throw(
+            CallerError,
+            /Invalid filter expression _data.level ==/
+        );
+    });
+});
@@ -0,0 +1,102 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const RecordWriter = require("../../src/record-writer");
+
+// Support
+const { CallerError } = require("../../src/error");
+const { FakeKinesis } = require("../test-utils");
+const { expect } = require("chai");
+
+function entry(data, PartitionKey = "pk") {
+    return { Data: Buffer.from(data), PartitionKey };
+}
+
+describe("RecordWriter", () => {
+    let kinesis;
+    beforeEach(() => {
+        kinesis = new FakeKinesis();
+    });
+
+    function putRequests() {
+        return kinesis.callsTo("putRecords");
+    }
+
+    it("should write up to 500 records per request", async () => {
+        const writer = new RecordWriter(kinesis, "stream");
+
+        for (let i = 0; i < 501; i++) {
+            await writer.add(entry(String(i)));
+        }
+        await writer.flush();
+
+        expect(
+            putRequests().map(({ Records }) => Records.length)
+        ).to.deep.equal([500, 1]);
+        expect(putRequests()[0].StreamName).to.equal("stream");
+        expect(writer.recordCount).to.equal(501);
+    });
+
+    it("should write up to 5 MB per request", async () => {
+        const writer = new RecordWriter(kinesis, "stream");
+        const data = Buffer.alloc(1024 * 1024 - 2);
+
+        for (let i = 0; i < 6; i++) {
+            await writer.add({ Data: data, PartitionKey: "pk" });
+        }
+        await writer.flush();
+
+        expect(
+            putRequests().map(({ Records }) => Records.length)
+        ).to.deep.equal([5, 1]);
+    });
+
+    it("should reject a record that's too big for Kinesis", async () => {
+        const writer = new RecordWriter(kinesis, "stream");
+        let error = null;
+
+        try {
+            await writer.add({
+                Data: Buffer.alloc(1024 * 1024),
+                PartitionKey: "pk"
+            });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.an.instanceOf(CallerError);
+        expect(error.message).to.match(/is 1048578 bytes/);
+    });
+
+    it("should only retry the records that failed", async () => {
+        const writer = new RecordWriter(kinesis, "stream");
+        kinesis.putRecordsResults.push([
+            { SequenceNumber: "1", ShardId: "shardId-0" },
+            {
+                ErrorCode: "ProvisionedThroughputExceededException",
+                ErrorMessage: "Rate exceeded"
+            },
+            { SequenceNumber: "3", ShardId: "shardId-0" }
+        ]);
+
+        await writer.add(entry("a"));
+        await writer.add(entry("b"));
+        await writer.add(entry("c"));
+        await writer.flush();
+
+        expect(
+            putRequests().map(({ Records }) =>
+                Records.map(({ Data }) => Data.toString())
+            )
+        ).to.deep.equal([["a", "b", "c"], ["b"]]);
+        expect(writer.recordCount).to.equal(3);
+        expect(writer.retriedCount).to.equal(1);
+    });
+
+    it("should not make a request when there's nothing to write", async () => {
+        await new RecordWriter(kinesis, "stream").flush();
+
+        expect(kinesis.calls).to.be.empty;
+    });
+});
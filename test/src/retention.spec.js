@@ -0,0 +1,171 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const {
+    checkRetention,
+    describeDataLoss,
+    getMoreRecordsBy
+} = require("../../src/retention");
+
+// Support
+const ShardThrottle = require("../../src/throttle");
+const { FakeKinesis, record } = require("../test-utils");
+const chai = require("chai");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+chai.use(sinonChai);
+
+const STREAM = "stream";
+const SHARD = "shardId-0";
+
+// Records 1 and 2 have been trimmed, so the oldest one left is 3, which arrived at 3000.
+function createKinesis() {
+    return new FakeKinesis({
+        streams: {
+            [STREAM]: {
+                shards: [
+                    {
+                        ShardId: SHARD,
+                        trimmed: 2,
+                        records: ["1", "2", "3", "4"].map(seq =>
+                            record(seq, `data ${seq}`)
+                        )
+                    }
+                ]
+            }
+        }
+    });
+}
+
+describe("retention", () => {
+    describe("checkRetention", () => {
+        it("should find nothing lost while the checkpointed record is still in the shard", async () => {
+            const kinesis = createKinesis();
+
+            const result = await checkRetention(kinesis, STREAM, SHARD, {
+                lastReadSequenceNumber: "3",
+                moreRecordsBy: new Date(4000)
+            });
+
+            expect(result).to.deep.equal({ lost: false });
+        });
+
+        it("should not report a loss when only the checkpointed record has been trimmed", async () => {
+            const kinesis = createKinesis();
+
+            const result = await checkRetention(kinesis, STREAM, SHARD, {
+                lastReadSequenceNumber: "2"
+            });
+
+            expect(result).to.deep.equal({
+                lost: false,
+                checkpointTrimmed: true
+            });
+        });
+
+        it("should not report a loss when the next record may be the oldest one left", async () => {
+            const kinesis = createKinesis();
+
+            const result = await checkRetention(kinesis, STREAM, SHARD, {
+                lastReadSequenceNumber: "2",
+                moreRecordsBy: new Date(3000).toISOString()
+            });
+
+            expect(result.lost).to.be.false;
+        });
+
+        it("should report a loss when a record after the checkpoint has been trimmed", async () => {
+            const kinesis = createKinesis();
+
+            const result = await checkRetention(kinesis, STREAM, SHARD, {
+                lastReadSequenceNumber: "1",
+                lastReadTimestamp: new Date(1000),
+                moreRecordsBy: new Date(2000)
+            });
+
+            expect(result).to.deep.equal({
+                lost: true,
+                checkpointTrimmed: true,
+                lastReadSequenceNumber: "1",
+                firstAvailableSequenceNumber: "3",
+                firstAvailableTimestamp: new Date(3000),
+                gapMs: 2000,
+                gapIsLowerBound: false
+            });
+            expect(describeDataLoss(STREAM, SHARD, result)).to.equal(
+                "The checkpoint for shard shardId-0 of stream stream is outside of the stream's retention window, " +
+                    "records after sequence number 1 have been lost. The oldest available record (sequence number 3) " +
+                    "arrived at 1970-01-01T00:00:03.000Z, 2 seconds after the last record that was read."
+            );
+        });
+
+        it("should estimate the gap from when the checkpoint was written if that's all it has", async () => {
+            const result = await checkRetention(
+                createKinesis(),
+                STREAM,
+                SHARD,
+                {
+                    lastReadSequenceNumber: "1",
+                    moreRecordsBy: new Date(2000),
+                    time: new Date(2500).toISOString()
+                }
+            );
+
+            expect(result).to.include({ gapMs: 500, gapIsLowerBound: true });
+        });
+
+        it("should pace its reads with the shard's throttle", async () => {
+            const kinesis = createKinesis();
+            const throttle = new ShardThrottle();
+            sinon.spy(throttle, "beforeRead");
+
+            await checkRetention(
+                kinesis,
+                STREAM,
+                SHARD,
+                { lastReadSequenceNumber: "1" },
+                { throttle }
+            );
+
+            expect(throttle.beforeRead).to.have.been.calledOnce;
+            expect(kinesis.callsTo("getRecords")).to.have.lengthOf(1);
+        });
+
+        it("should not read the shard for a checkpoint without a sequence number", async () => {
+            const kinesis = createKinesis();
+
+            const result = await checkRetention(kinesis, STREAM, SHARD, {
+                timestamp: new Date(0)
+            });
+
+            expect(result).to.deep.equal({ lost: false });
+            expect(kinesis.calls).to.be.empty;
+        });
+    });
+
+    describe("getMoreRecordsBy", () => {
+        const records = [
+            record("1", "a", { timestamp: 1000 }),
+            record("2", "b", { timestamp: 2000 })
+        ];
+
+        it("should be when the last record arrived plus how far behind the tip it was", () => {
+            expect(getMoreRecordsBy(records, 500)).to.deep.equal(
+                new Date(2500)
+            );
+        });
+
+        it("should be nothing when the batch reached the tip", () => {
+            expect(getMoreRecordsBy(records, 0, { moreRecordsBy: "x" })).to.be
+                .undefined;
+        });
+
+        it("should keep the last checkpoint's for an empty batch", () => {
+            expect(getMoreRecordsBy([], 500, { moreRecordsBy: "x" })).to.equal(
+                "x"
+            );
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const withRetry = require("../../src/retry");
+const { configureRetries, getRetryStats } = require("../../src/retry");
+
+// Support
+const { CallerError } = require("../../src/error");
+const { awsError } = require("../test-utils");
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+function throttled() {
+    return awsError("ProvisionedThroughputExceededException", "Slow down", {
+        retryable: true
+    });
+}
+
+function networkError() {
+    return awsError("NetworkingError", "socket hang up", { retryable: true });
+}
+
+// A function that fails with each of the errors in turn, and then succeeds.
+function failingWith(...errors) {
+    const f = sinon.stub().resolves("done");
+    errors.forEach((error, index) => f.onCall(index).rejects(error));
+    return f;
+}
+
+async function caughtFrom(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe("retry", () => {
+    beforeEach(() => configureRetries({ baseDelayMs: 0, maxDelayMs: 0 }));
+    afterEach(() => configureRetries());
+
+    describe("withRetry", () => {
+        it("should retry errors that are retryable until the function succeeds", async () => {
+            const f = failingWith(throttled(), networkError());
+            const before = getRetryStats();
+
+            expect(await withRetry(f)).to.equal("done");
+
+            expect(f).to.have.property("callCount", 3);
+            const after = getRetryStats();
+            expect(after.retries - before.retries).to.equal(2);
+            expect(after.throttling - before.throttling).to.equal(1);
+            expect(after.transient - before.transient).to.equal(1);
+        });
+
+        it("should not retry other errors", async () => {
+            const error = await caughtFrom(
+                withRetry(failingWith(awsError("AccessDeniedException")))
+            );
+
+            expect(error.name).to.equal("NonRetryableError");
+            expect(error.lastError.code).to.equal("AccessDeniedException");
+        });
+
+        it("should give up after the most attempts", async () => {
+            configureRetries({ maxAttempts: 3, baseDelayMs: 0, maxDelayMs: 0 });
+            const f = failingWith(throttled(), throttled(), throttled());
+
+            const error = await caughtFrom(withRetry(f));
+
+            expect(f).to.have.property("callCount", 3);
+            expect(error.name).to.equal("OutOfRetriesError");
+            expect(error.timings.attempts).to.equal(3);
+            expect(error.prevErrors).to.have.lengthOf(2);
+        });
+
+        it("should count attempts that failed with either kind of error toward the same most attempts", async () => {
+            configureRetries({ maxAttempts: 3, baseDelayMs: 0, maxDelayMs: 0 });
+            const f = failingWith(
+                throttled(),
+                networkError(),
+                throttled(),
+                networkError()
+            );
+
+            const error = await caughtFrom(withRetry(f));
+
+            expect(f).to.have.property("callCount", 3);
+            expect(error.timings.attempts).to.equal(3);
+        });
+
+        it("should use the most attempts of the kind of error that was last", async () => {
+            configureRetries({
+                baseDelayMs: 0,
+                maxDelayMs: 0,
+                throttling: { maxAttempts: 5 },
+                transient: { maxAttempts: 2 }
+            });
+
+            const throttledThenNetwork = failingWith(
+                throttled(),
+                throttled(),
+                networkError()
+            );
+            const onlyThrottled = failingWith(
+                throttled(),
+                throttled(),
+                throttled(),
+                throttled()
+            );
+
+            expect(
+                (await caughtFrom(withRetry(throttledThenNetwork))).name
+            ).to.equal("OutOfRetriesError");
+            expect(throttledThenNetwork).to.have.property("callCount", 3);
+            expect(await withRetry(onlyThrottled)).to.equal("done");
+        });
+
+        it("should stop retrying at the deadline", async () => {
+            configureRetries({
+                baseDelayMs: 50,
+                maxDelayMs: 50,
+                jitter: "none",
+                deadlineMs: 75
+            });
+            const f = failingWith(networkError(), networkError());
+
+            const error = await caughtFrom(withRetry(f));
+
+            expect(f).to.have.property("callCount", 2);
+            expect(error.timings).to.include({
+                attempts: 2,
+                deadlineExceeded: true
+            });
+            expect(error.timings.delaysMs).to.deep.equal([50]);
+        });
+
+        it("should back off exponentially up to the max delay", async () => {
+            const logger = sinon.spy();
+            configureRetries(
+                { baseDelayMs: 1, maxDelayMs: 4, jitter: "none" },
+                logger
+            );
+
+            await withRetry(
+                failingWith(
+                    networkError(),
+                    networkError(),
+                    networkError(),
+                    networkError()
+                )
+            );
+
+            expect(logger.getCalls().map(call => call.args[0])).to.deep.equal(
+                [1, 2, 4, 4].map(
+                    ms => `Retrying after NetworkingError in ${ms} ms`
+                )
+            );
+        });
+    });
+
+    describe("configureRetries", () => {
+        it("should reject settings that don't make sense", () => {
+            expect(() => configureRetries({ maxAttempts: 0 })).to.throw(
+                CallerError,
+                /maxAttempts must be a number, at least 1/
+            );
+            expect(() =>
+                configureRetries({ throttling: { jitter: "some" } })
+            ).to.throw(CallerError, /Invalid throttling retry config: jitter/);
+            expect(() =>
+                configureRetries({ baseDelayMs: 10, maxDelayMs: 1 })
+            ).to.throw(CallerError, /the base delay \(10 ms\) is more than/);
+            expect(() => configureRetries({ deadlineMs: -1 })).to.throw(
+                CallerError,
+                /Invalid retry deadline -1/
+            );
+        });
+    });
+});
@@ -0,0 +1,163 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const readFromShard = require("../../src/shard-reader");
+
+// Support
+const { FakeKinesis, record, awsError } = require("../test-utils");
+const { expect } = require("chai");
+
+const STREAM = "stream";
+const SHARD = "shardId-000000000000";
+
+function createKinesis({ closed = false, records = [], batchSize = 2 } = {}) {
+    return new FakeKinesis({
+        batchSize,
+        streams: { [STREAM]: { shards: [{ ShardId: SHARD, closed, records }] } }
+    });
+}
+
+async function readAll(cursor, { maxReads = 10 } = {}) {
+    const cursors = [];
+    for (let reads = 0; cursor.next && reads < maxReads; reads++) {
+        cursor = await cursor.next();
+        cursors.push(cursor);
+    }
+    return cursors;
+}
+
+function sequenceNumbers(cursors) {
+    return [].concat(
+        ...cursors.map(cursor =>
+            cursor.records.map(({ SequenceNumber }) => SequenceNumber)
+        )
+    );
+}
+
+describe("shard-reader", () => {
+    it("should read from the TRIM_HORIZON to the tip of the shard", async () => {
+        const kinesis = createKinesis({
+            records: [record("1", "a"), record("2", "b"), record("3", "c")]
+        });
+
+        const cursors = await readAll(
+            readFromShard(kinesis, STREAM, SHARD, null)
+        );
+
+        expect(sequenceNumbers(cursors)).to.deep.equal(["1", "2", "3"]);
+        expect(cursors).to.have.lengthOf(2);
+        expect(kinesis.callsTo("getShardIterator")).to.deep.equal([
+            {
+                StreamName: STREAM,
+                ShardId: SHARD,
+                ShardIteratorType: "TRIM_HORIZON",
+                StartingSequenceNumber: undefined,
+                Timestamp: undefined
+            }
+        ]);
+        const { checkpoint } = cursors[1];
+        expect(checkpoint.lastReadSequenceNumber).to.equal("3");
+        expect(checkpoint.lastReadTimestamp).to.deep.equal(new Date(3000));
+        expect(checkpoint.shardIterator).to.be.a("string");
+        expect(cursors[1].shardEnded).to.be.false;
+    });
+
+    it("should resume after the last read sequence number of a checkpoint", async () => {
+        const kinesis = createKinesis({
+            records: [record("1", "a"), record("2", "b"), record("3", "c")]
+        });
+
+        const cursors = await readAll(
+            readFromShard(kinesis, STREAM, SHARD, {
+                shardIterator: null,
+                lastReadSequenceNumber: "1"
+            })
+        );
+
+        expect(sequenceNumbers(cursors)).to.deep.equal(["2", "3"]);
+        expect(kinesis.callsTo("getShardIterator")[0]).to.include({
+            ShardIteratorType: "AFTER_SEQUENCE_NUMBER",
+            StartingSequenceNumber: "1"
+        });
+    });
+
+    it("should say when a closed shard has been read to the end", async () => {
+        const kinesis = createKinesis({
+            closed: true,
+            records: [record("1", "a")]
+        });
+
+        const cursors = await readAll(
+            readFromShard(kinesis, STREAM, SHARD, null, { follow: true })
+        );
+
+        expect(cursors).to.have.lengthOf(1);
+        expect(cursors[0].shardEnded).to.be.true;
+        expect(cursors[0].next).to.be.undefined;
+        expect(cursors[0].checkpoint.shardIterator).to.be.null;
+    });
+
+    describe("in follow mode", () => {
+        it("should keep reading at the tip of an open shard", async () => {
+            const kinesis = createKinesis({ records: [record("1", "a")] });
+
+            let cursor = await readFromShard(kinesis, STREAM, SHARD, null, {
+                follow: true
+            }).next();
+            expect(cursor.records).to.have.lengthOf(1);
+            expect(cursor.millisBehindLatest).to.equal(0);
+            expect(cursor.next).to.be.a("function");
+
+            cursor = await cursor.next();
+            expect(cursor.records).to.be.empty;
+            expect(cursor.next).to.be.a("function");
+
+            kinesis.addRecords(STREAM, SHARD, [record("2", "b")]);
+            cursor = await cursor.next();
+            expect(sequenceNumbers([cursor])).to.deep.equal(["2"]);
+            expect(cursor.checkpoint.lastReadSequenceNumber).to.equal("2");
+        });
+
+        it("should wait before reading again after an empty batch", async () => {
+            const kinesis = createKinesis();
+
+            let cursor = await readFromShard(kinesis, STREAM, SHARD, null, {
+                follow: true
+            }).next();
+            const start = Date.now();
+            cursor = await cursor.next();
+
+            expect(Date.now() - start).to.be.at.least(240);
+            expect(cursor.next).to.be.a("function");
+        });
+    });
+
+    it("should stop at the tip of an open shard when not following", async () => {
+        const kinesis = createKinesis({ records: [record("1", "a")] });
+
+        const cursors = await readAll(
+            readFromShard(kinesis, STREAM, SHARD, null)
+        );
+
+        expect(cursors).to.have.lengthOf(1);
+        expect(cursors[0].next).to.be.undefined;
+        expect(cursors[0].shardEnded).to.be.false;
+    });
+
+    it("should get a new shard iterator when one expires", async () => {
+        const kinesis = createKinesis({
+            records: [record("1", "a"), record("2", "b"), record("3", "c")]
+        });
+        const cursor = await readFromShard(kinesis, STREAM, SHARD, null).next();
+        kinesis.failNext("getRecords", awsError("ExpiredIteratorException"));
+
+        const cursors = await readAll(cursor);
+
+        expect(sequenceNumbers(cursors)).to.deep.equal(["3"]);
+        expect(kinesis.callsTo("getShardIterator")[1]).to.include({
+            ShardIteratorType: "AFTER_SEQUENCE_NUMBER",
+            StartingSequenceNumber: "2"
+        });
+    });
+});
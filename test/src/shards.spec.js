@@ -0,0 +1,155 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const { listShards, readShardsInLineageOrder } = require("../../src/shards");
+
+// Support
+const { FakeKinesis } = require("../test-utils");
+const chai = require("chai");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+chai.use(sinonChai);
+
+function shard(ShardId, ParentShardId, AdjacentParentShardId) {
+    return {
+        ShardId,
+        ...(ParentShardId && { ParentShardId }),
+        ...(AdjacentParentShardId && { AdjacentParentShardId })
+    };
+}
+
+/**
+ * A readShard function that records when each shard starts and finishes, finishing each after a
+ * delay so that shards read concurrently overlap.
+ */
+function createShardReader(events, { openShards = [] } = {}) {
+    return async ({ ShardId }) => {
+        events.push(`start ${ShardId}`);
+        await new Promise(resolve => setImmediate(resolve));
+        events.push(`end ${ShardId}`);
+        return {
+            checkpoint: { shardId: ShardId },
+            shardEnded: !openShards.includes(ShardId)
+        };
+    };
+}
+
+describe("shards", () => {
+    describe("listShards", () => {
+        it("should follow the pages of shards", async () => {
+            const kinesis = new FakeKinesis({
+                pageSize: 2,
+                streams: {
+                    stream: {
+                        shards: ["a", "b", "c", "d", "e"].map(id => ({
+                            ShardId: id,
+                            records: []
+                        }))
+                    }
+                }
+            });
+
+            const shards = await listShards(kinesis, "stream");
+
+            expect(shards.map(({ ShardId }) => ShardId)).to.deep.equal([
+                "a",
+                "b",
+                "c",
+                "d",
+                "e"
+            ]);
+            const calls = kinesis.callsTo("listShards");
+            expect(calls).to.have.lengthOf(3);
+            expect(calls[0]).to.deep.equal({ StreamName: "stream" });
+            expect(calls[1]).to.have.keys("NextToken");
+        });
+    });
+
+    describe("readShardsInLineageOrder", () => {
+        it("should read a child shard only after its parents have ended", async () => {
+            // a and b merge into c, which splits into d and e.
+            const shards = [
+                shard("a"),
+                shard("b"),
+                shard("c", "a", "b"),
+                shard("d", "c"),
+                shard("e", "c")
+            ];
+            const events = [];
+
+            const checkpoints = await readShardsInLineageOrder(
+                shards,
+                createShardReader(events),
+                async () => shards
+            );
+
+            expect(events.slice(0, 2)).to.have.members(["start a", "start b"]);
+            const started = id => events.indexOf(`start ${id}`);
+            const ended = id => events.indexOf(`end ${id}`);
+            expect(started("c")).to.be.above(ended("a"));
+            expect(started("c")).to.be.above(ended("b"));
+            expect(started("d")).to.be.above(ended("c"));
+            expect(started("e")).to.be.above(ended("c"));
+            expect(started("e")).to.be.below(ended("d"));
+            expect(checkpoints.map(({ shardId }) => shardId)).to.have.members([
+                "a",
+                "b",
+                "c",
+                "d",
+                "e"
+            ]);
+        });
+
+        it("should read shards whose parents aren't known right away", async () => {
+            const events = [];
+
+            await readShardsInLineageOrder(
+                [shard("c", "trimmed")],
+                createShardReader(events),
+                async () => []
+            );
+
+            expect(events).to.deep.equal(["start c", "end c"]);
+        });
+
+        it("should list the shards again for children of an ended shard", async () => {
+            const events = [];
+            const discoverShards = sinon
+                .stub()
+                .resolves([shard("a"), shard("b", "a")]);
+
+            await readShardsInLineageOrder(
+                [shard("a")],
+                createShardReader(events, { openShards: ["b"] }),
+                discoverShards
+            );
+
+            expect(discoverShards).to.have.been.calledOnce;
+            expect(events).to.deep.equal([
+                "start a",
+                "end a",
+                "start b",
+                "end b"
+            ]);
+        });
+
+        it("should not read the children of a shard that didn't end", async () => {
+            const events = [];
+            const discoverShards = sinon.stub().resolves([]);
+            const finished = [];
+
+            await readShardsInLineageOrder(
+                [shard("a"), shard("b", "a")],
+                createShardReader(events, { openShards: ["a"] }),
+                discoverShards,
+                ({ ShardId }) => finished.push(ShardId)
+            );
+
+            expect(events).to.deep.equal(["start a", "end a"]);
+            expect(discoverShards).not.to.have.been.called;
+            expect(finished).to.deep.equal(["a"]);
+        });
+    });
+});
@@ -0,0 +1,342 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const { FileSink, StdoutSink } = require("../../src/sinks");
+
+// Support
+const fs = require("fs");
+const path = require("path");
+const { PassThrough } = require("stream");
+const zlib = require("zlib");
+const { parseFields } = require("../../src/fields");
+const { useTempDir } = require("../test-utils");
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+// An output record, as read from a stream.
+function output(shardId, sequenceNumber, arrival, streamName = "stream") {
+    return {
+        _streamName: streamName,
+        _shardId: shardId,
+        SequenceNumber: sequenceNumber,
+        ApproximateArrivalTimestamp: new Date(arrival),
+        _data: `data ${sequenceNumber}`
+    };
+}
+
+describe("sinks", () => {
+    describe("StdoutSink", () => {
+        let stdout;
+        let written;
+        beforeEach(() => {
+            stdout = new PassThrough();
+            written = [];
+            stdout.on("data", chunk => written.push(chunk.toString()));
+            sinon.replaceGetter(process, "stdout", () => stdout);
+        });
+        afterEach(() => sinon.restore());
+
+        async function writeAll(options, outputs) {
+            const sink = new StdoutSink(options);
+            for (const record of outputs) {
+                await sink.write(record);
+            }
+            await sink.close();
+            return written.join("");
+        }
+
+        const outputs = [
+            output("shardId-0", "1", 1000),
+            {
+                ...output("shardId-0", "2", 2000),
+                _data: 'a "quoted",\ttabbed\nvalue'
+            }
+        ];
+
+        it("should write JSON lines, with just the fields if given", async () => {
+            const text = await writeAll(
+                { format: "jsonl", fields: parseFields("SequenceNumber") },
+                outputs
+            );
+
+            expect(text).to.equal(
+                '{"SequenceNumber":"1"}\n{"SequenceNumber":"2"}\n'
+            );
+        });
+
+        it("should write CSV and TSV with a header row, and the default fields", async () => {
+            const csv = await writeAll({ format: "csv" }, outputs);
+            written = [];
+            const tsv = await writeAll({ format: "tsv" }, outputs);
+
+            expect(csv).to.equal(
+                [
+                    "_shardId,SequenceNumber,PartitionKey,ApproximateArrivalTimestamp,_data",
+                    "shardId-0,1,,1970-01-01T00:00:01.000Z,data 1",
+                    'shardId-0,2,,1970-01-01T00:00:02.000Z,"a ""quoted"",\ttabbed\nvalue"',
+                    ""
+                ].join("\n")
+            );
+            expect(tsv.split("\n")[2]).to.equal(
+                'shardId-0\t2\t\t1970-01-01T00:00:02.000Z\ta "quoted",\\ttabbed\\nvalue'
+            );
+        });
+
+        it("should write a header even if there are no records", async () => {
+            expect(
+                await writeAll(
+                    { format: "csv", fields: parseFields("a,b") },
+                    []
+                )
+            ).to.equal("a,b\n");
+        });
+
+        it("should write a table with aligned columns when it's closed", async () => {
+            const sink = new StdoutSink({
+                format: "table",
+                fields: parseFields("SequenceNumber,_data")
+            });
+            for (const record of outputs) {
+                await sink.write(record);
+            }
+            expect(written).to.be.empty;
+
+            await sink.close();
+
+            const lines = written.join("").split("\n");
+            expect(lines[0]).to.match(/SequenceNumber {2}_data/);
+            expect(lines.slice(1)).to.deep.equal([
+                "1               data 1",
+                '2               a "quoted",\\ttabbed\\nvalue',
+                ""
+            ]);
+        });
+
+        it("should stop writing once the reader has gone away", async () => {
+            const sink = new StdoutSink({ format: "jsonl" });
+            stdout.emit(
+                "error",
+                Object.assign(new Error("write EPIPE"), { code: "EPIPE" })
+            );
+
+            await sink.write(outputs[0]);
+            await sink.close();
+
+            expect(sink.closed).to.be.true;
+            expect(written).to.be.empty;
+        });
+    });
+
+    describe("FileSink", () => {
+        const tempDir = useTempDir();
+
+        function readLines(file) {
+            let content = fs.readFileSync(path.join(tempDir.path, file));
+            if (file.endsWith(".gz")) {
+                content = zlib.gunzipSync(content);
+            }
+            return content
+                .toString()
+                .split("\n")
+                .filter(Boolean)
+                .map(line => JSON.parse(line));
+        }
+
+        function readManifest() {
+            return JSON.parse(
+                fs.readFileSync(path.join(tempDir.path, "manifest.json"))
+            );
+        }
+
+        async function writeAll(sink, outputs) {
+            for (const record of outputs) {
+                await sink.write(record, record);
+            }
+        }
+
+        it("should write a file for each shard, and a manifest of them", async () => {
+            const sink = new FileSink(tempDir.path);
+
+            await writeAll(sink, [
+                output("shardId-0", "1", 1000),
+                output("shardId-1", "2", 2000),
+                output("shardId-0", "3", 3000)
+            ]);
+            await sink.close();
+
+            expect(
+                readLines("shardId-0/part-00000.ndjson").map(
+                    line => line.SequenceNumber
+                )
+            ).to.deep.equal(["1", "3"]);
+            expect(readManifest().files).to.deep.equal([
+                {
+                    file: "shardId-0/part-00000.ndjson",
+                    partition: "shardId-0",
+                    stream: "stream",
+                    records: 2,
+                    bytes: fs.statSync(
+                        path.join(tempDir.path, "shardId-0/part-00000.ndjson")
+                    ).size,
+                    shards: {
+                        "shardId-0": {
+                            firstSequenceNumber: "1",
+                            lastSequenceNumber: "3"
+                        }
+                    }
+                },
+                {
+                    file: "shardId-1/part-00000.ndjson",
+                    partition: "shardId-1",
+                    stream: "stream",
+                    records: 1,
+                    bytes: fs.statSync(
+                        path.join(tempDir.path, "shardId-1/part-00000.ndjson")
+                    ).size,
+                    shards: {
+                        "shardId-1": {
+                            firstSequenceNumber: "2",
+                            lastSequenceNumber: "2"
+                        }
+                    }
+                }
+            ]);
+        });
+
+        it("should start a new part once a file has the most records, and gzip them", async () => {
+            const sink = new FileSink(tempDir.path, {
+                maxFileRecords: 2,
+                gzip: true,
+                fields: parseFields("SequenceNumber")
+            });
+
+            await writeAll(
+                sink,
+                ["1", "2", "3"].map(seq => output("shardId-0", seq, 1000))
+            );
+            // The full file is closed and in the manifest before the sink is.
+            expect(
+                readManifest().files.map(file => file.records)
+            ).to.deep.equal([2]);
+            await sink.close();
+
+            expect(readLines("shardId-0/part-00000.ndjson.gz")).to.deep.equal([
+                { SequenceNumber: "1" },
+                { SequenceNumber: "2" }
+            ]);
+            expect(readLines("shardId-0/part-00001.ndjson.gz")).to.deep.equal([
+                { SequenceNumber: "3" }
+            ]);
+        });
+
+        it("should add parts after the files of an earlier dump into the directory", async () => {
+            const first = new FileSink(tempDir.path);
+            await writeAll(first, [output("shardId-0", "1", 1000)]);
+            await first.close();
+
+            const second = new FileSink(tempDir.path);
+            await writeAll(second, [output("shardId-0", "2", 2000)]);
+            await second.close();
+
+            expect(readManifest().files.map(({ file }) => file)).to.deep.equal([
+                "shardId-0/part-00000.ndjson",
+                "shardId-0/part-00001.ndjson"
+            ]);
+            expect(readLines("shardId-0/part-00001.ndjson")).to.have.lengthOf(
+                1
+            );
+        });
+
+        describe("partitioned by hour", () => {
+            const HOUR = 60 * 60 * 1000;
+            const TEN = Date.UTC(2020, 0, 2, 10);
+
+            it("should close an hour's file and save the manifest when the next hour's first record arrives", async () => {
+                const sink = new FileSink(tempDir.path, {
+                    partitionBy: "hour"
+                });
+
+                await writeAll(sink, [
+                    output("shardId-0", "1", TEN),
+                    output("shardId-1", "2", TEN + 1000)
+                ]);
+                expect(fs.existsSync(path.join(tempDir.path, "manifest.json")))
+                    .to.be.false;
+                await writeAll(sink, [output("shardId-0", "3", TEN + HOUR)]);
+
+                expect(readManifest().files).to.deep.include({
+                    file: "2020/01/02/10/part-00000.ndjson",
+                    partition: "2020/01/02/10",
+                    stream: "stream",
+                    records: 2,
+                    bytes: fs.statSync(
+                        path.join(
+                            tempDir.path,
+                            "2020/01/02/10/part-00000.ndjson"
+                        )
+                    ).size,
+                    shards: {
+                        "shardId-0": {
+                            firstSequenceNumber: "1",
+                            lastSequenceNumber: "1"
+                        },
+                        "shardId-1": {
+                            firstSequenceNumber: "2",
+                            lastSequenceNumber: "2"
+                        }
+                    }
+                });
+                expect(
+                    readLines("2020/01/02/10/part-00000.ndjson")
+                ).to.have.lengthOf(2);
+                expect([...sink.openFiles.keys()]).to.deep.equal([
+                    "2020/01/02/11"
+                ]);
+                await sink.close();
+            });
+
+            it("should put a late shard's records for a closed hour in a new part", async () => {
+                const sink = new FileSink(tempDir.path, {
+                    partitionBy: "hour"
+                });
+
+                await writeAll(sink, [
+                    output("shardId-0", "1", TEN),
+                    output("shardId-0", "2", TEN + HOUR),
+                    output("shardId-1", "3", TEN + 1000)
+                ]);
+                await sink.close();
+
+                expect(
+                    readManifest().files.map(({ file }) => file)
+                ).to.deep.equal([
+                    "2020/01/02/10/part-00000.ndjson",
+                    "2020/01/02/11/part-00000.ndjson",
+                    "2020/01/02/10/part-00001.ndjson"
+                ]);
+            });
+
+            it("should only close a stream's own hours when streams are kept apart", async () => {
+                const sink = new FileSink(tempDir.path, {
+                    partitionBy: "hour",
+                    separateStreams: true
+                });
+
+                await writeAll(sink, [
+                    output("shardId-0", "1", TEN, "a"),
+                    output("shardId-0", "2", TEN + HOUR, "b")
+                ]);
+
+                expect([...sink.openFiles.keys()]).to.deep.equal([
+                    "a/2020/01/02/10",
+                    "b/2020/01/02/11"
+                ]);
+                await sink.close();
+                expect(
+                    readLines("a/2020/01/02/10/part-00000.ndjson")
+                ).to.have.lengthOf(1);
+            });
+        });
+    });
+});
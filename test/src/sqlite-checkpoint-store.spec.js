@@ -0,0 +1,105 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const SqliteCheckpointStore = require("../../src/sqlite-checkpoint-store");
+
+// Support
+const fs = require("fs");
+const path = require("path");
+const { useTempDir } = require("../test-utils");
+const { expect } = require("chai");
+
+describe("SqliteCheckpointStore", () => {
+    const tempDir = useTempDir();
+    let file;
+    beforeEach(() => {
+        file = path.join(tempDir.path, "checkpoints.db");
+    });
+
+    it("should load nothing from a database that doesn't exist yet", async () => {
+        const store = new SqliteCheckpointStore(file);
+
+        expect(await store.load()).to.deep.equal([]);
+        await store.close();
+    });
+
+    it("should keep the latest checkpoint for each shard in the file", async () => {
+        const store = new SqliteCheckpointStore(file);
+        await store.save([
+            {
+                streamName: "s",
+                shardId: "a",
+                time: "2020-01-01T00:00:00.000Z",
+                shardIterator: "iterator",
+                lastReadSequenceNumber: "1",
+                lastReadTimestamp: new Date("2020-01-01T00:00:00Z"),
+                moreRecordsBy: new Date("2020-01-01T00:00:01Z")
+            },
+            { streamName: "s", shardId: "b", startSequenceNumber: "7" }
+        ]);
+        await store.save([
+            {
+                streamName: "s",
+                shardId: "a",
+                shardIterator: null,
+                lastReadSequenceNumber: "2"
+            },
+            {
+                streamName: "t",
+                shardId: "a",
+                timestamp: "2020-01-02T00:00:00Z"
+            }
+        ]);
+        await store.close();
+
+        const reopened = new SqliteCheckpointStore(file);
+        expect(await reopened.load("s")).to.deep.equal([
+            {
+                streamName: "s",
+                shardId: "a",
+                shardIterator: null,
+                lastReadSequenceNumber: "2"
+            },
+            { streamName: "s", shardId: "b", startSequenceNumber: "7" }
+        ]);
+        expect(await reopened.load()).to.have.lengthOf(3);
+        expect((await reopened.load("t"))[0]).to.deep.equal({
+            streamName: "t",
+            shardId: "a",
+            timestamp: "2020-01-02T00:00:00.000Z"
+        });
+        await reopened.close();
+    });
+
+    it("should round trip a checkpoint, with its times as ISO strings", async () => {
+        const store = new SqliteCheckpointStore(file);
+        await store.save([
+            {
+                streamName: "s",
+                shardId: "a",
+                time: "2020-01-01T00:00:00.000Z",
+                shardIterator: "iterator",
+                lastReadSequenceNumber: "1",
+                lastReadSubSequenceNumber: 0,
+                lastReadTimestamp: new Date("2020-01-01T00:00:00Z"),
+                moreRecordsBy: new Date("2020-01-01T00:00:01Z")
+            }
+        ]);
+
+        expect(await store.load()).to.deep.equal([
+            {
+                streamName: "s",
+                shardId: "a",
+                time: "2020-01-01T00:00:00.000Z",
+                shardIterator: "iterator",
+                lastReadSequenceNumber: "1",
+                lastReadSubSequenceNumber: 0,
+                lastReadTimestamp: "2020-01-01T00:00:00.000Z",
+                moreRecordsBy: "2020-01-01T00:00:01.000Z"
+            }
+        ]);
+        await store.close();
+        expect(fs.readdirSync(tempDir.path)).to.deep.equal(["checkpoints.db"]);
+    });
+});
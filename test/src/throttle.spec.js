@@ -0,0 +1,102 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const ShardThrottle = require("../../src/throttle");
+
+// Support
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+function recordOfSize(bytes) {
+    return { Data: Buffer.alloc(bytes), PartitionKey: "" };
+}
+
+describe("ShardThrottle", () => {
+    let clock;
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(1000000);
+    });
+    afterEach(() => clock.restore());
+
+    // Whether the promise has settled, once pending callbacks have run.
+    async function isSettled(promise) {
+        let settled = false;
+        promise.then(() => {
+            settled = true;
+        });
+        await Promise.resolve();
+        await Promise.resolve();
+        return settled;
+    }
+
+    it("should make the first read right away, with the initial batch size", async () => {
+        expect(await new ShardThrottle().beforeRead()).to.equal(2500);
+    });
+
+    it("should pace reads to 5 per second", async () => {
+        const throttle = new ShardThrottle();
+        await throttle.beforeRead();
+        throttle.afterRead(2500, []);
+
+        const next = throttle.beforeRead();
+
+        clock.tick(199);
+        expect(await isSettled(next)).to.be.false;
+        clock.tick(1);
+        expect(await isSettled(next)).to.be.true;
+    });
+
+    it("should wait for the data that was read to fit in 2 MB per second", async () => {
+        const throttle = new ShardThrottle();
+        await throttle.beforeRead();
+        throttle.afterRead(2500, [recordOfSize(3 * 1024 * 1024)]);
+
+        const next = throttle.beforeRead();
+
+        clock.tick(1499);
+        expect(await isSettled(next)).to.be.false;
+        clock.tick(1);
+        expect(await isSettled(next)).to.be.true;
+    });
+
+    it("should grow the batch size while reads succeed, up to the most GetRecords allows", async () => {
+        const throttle = new ShardThrottle();
+
+        throttle.afterRead(2500, []);
+        expect(throttle.batchSize).to.equal(3750);
+        throttle.afterRead(8000, []);
+        expect(throttle.batchSize).to.equal(10000);
+    });
+
+    it("should halve the batch size and hold off for a second when throttled", async () => {
+        const throttle = new ShardThrottle();
+        await throttle.beforeRead();
+
+        throttle.throttled(2500);
+        throttle.throttled(1);
+        const next = throttle.beforeRead();
+
+        expect(throttle.batchSize).to.equal(1);
+        clock.tick(999);
+        expect(await isSettled(next)).to.be.false;
+        clock.tick(1);
+        expect(await next).to.equal(1);
+    });
+
+    it("should take other limits", async () => {
+        const throttle = new ShardThrottle({
+            maxCallsPerSecond: 1,
+            maxBytesPerSecond: 1000
+        });
+        await throttle.beforeRead();
+        throttle.afterRead(2500, [recordOfSize(3000)]);
+
+        const next = throttle.beforeRead();
+
+        clock.tick(2999);
+        expect(await isSettled(next)).to.be.false;
+        clock.tick(1);
+        expect(await isSettled(next)).to.be.true;
+    });
+});
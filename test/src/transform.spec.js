@@ -0,0 +1,113 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions:0 */
+
+// Module under test
+const { loadTransform, applyTransform } = require("../../src/transform");
+
+// Support
+const fs = require("fs");
+const path = require("path");
+const { CallerError } = require("../../src/error");
+const { useTempDir } = require("../test-utils");
+const { expect } = require("chai");
+
+describe("transform", () => {
+    const tempDir = useTempDir();
+
+    function writeModule(source) {
+        const file = path.join(tempDir.path, "transform.js");
+        fs.writeFileSync(file, source);
+        return file;
+    }
+
+    describe("loadTransform", () => {
+        it("should load a module that exports the transform function", async () => {
+            const { transform, setup, teardown } = loadTransform(
+                writeModule(
+                    "module.exports = record => ({ ...record, seen: true });"
+                )
+            );
+
+            expect(transform({ a: 1 })).to.deep.equal({ a: 1, seen: true });
+            expect(await setup()).to.be.undefined;
+            expect(await teardown()).to.be.undefined;
+        });
+
+        it("should load a module that exports the function with setup and teardown hooks", async () => {
+            const loaded = loadTransform(
+                writeModule(`
+                    let suffix = null;
+                    module.exports = {
+                        setup: async () => { suffix = "!"; },
+                        transform: record => record + suffix,
+                        teardown: async () => "done"
+                    };
+                `)
+            );
+
+            await loaded.setup();
+
+            expect(loaded.transform("hi")).to.equal("hi!");
+            expect(await loaded.teardown()).to.equal("done");
+        });
+
+        it("should say what's wrong with a module it can't use", () => {
+            expect(() =>
+                loadTransform(path.join(tempDir.path, "missing.js"))
+            ).to.throw(
+                CallerError,
+                /^Failed to load the transform module .*missing.js: Cannot find module [^\n]*$/
+            );
+            expect(() =>
+                loadTransform(writeModule("module.exports = { a: 1 };"))
+            ).to.throw(CallerError, /must export a function/);
+        });
+
+        it("should reject hooks that aren't functions", () => {
+            expect(() =>
+                loadTransform(
+                    writeModule(
+                        "module.exports = { transform: r => r, teardown: true };"
+                    )
+                )
+            ).to.throw(
+                CallerError,
+                /The teardown export .* must be a function/
+            );
+        });
+    });
+
+    describe("applyTransform", () => {
+        const context = {
+            shardId: "shardId-0",
+            streamName: "stream",
+            checkpoint: null
+        };
+
+        it("should output what the transform returns, in a list", async () => {
+            expect(
+                await applyTransform(record => record * 2, 2, context)
+            ).to.deep.equal([4]);
+            expect(
+                await applyTransform(
+                    async record => [record, record],
+                    2,
+                    context
+                )
+            ).to.deep.equal([2, 2]);
+            expect(await applyTransform(() => null, 2, context)).to.be.empty;
+            expect(await applyTransform(() => {}, 2, context)).to.be.empty;
+        });
+
+        it("should give the transform the context", async () => {
+            const [result] = await applyTransform(
+                (record, { shardId, streamName }) =>
+                    `${streamName}/${shardId}: ${record}`,
+                "a",
+                context
+            );
+
+            expect(result).to.equal("stream/shardId-0: a");
+        });
+    });
+});
@@ -0,0 +1,676 @@
+/* eslint-env mocha */
+const AWS = require("aws-sdk");
+const crypto = require("crypto");
+const dynalite = require("dynalite");
+const fs = require("fs");
+const http2 = require("http2");
+const os = require("os");
+const path = require("path");
+
+const MAX_HASH_KEY = "340282366920938463463374607431768211455";
+
+/**
+ * An in-memory stand-in for an `AWS.Kinesis` client, with just enough of the API for the readers,
+ * writers, and commands to work against. Each stream has a list of shards, each with its records.
+ * Calls are recorded in `calls`, and errors can be injected with {@link FakeKinesis#failNext}.
+ *
+ * ```javascript
+ * const kinesis = new FakeKinesis({
+ *     streams: {
+ *         "my-stream": {
+ *             shards: [{ ShardId: "shardId-0", records: [record("1", "data")] }]
+ *         }
+ *     }
+ * });
+ * ```
+ */
+class FakeKinesis {
+    /**
+     * @param {object} options
+     * @param {object} options.streams Stream specs by name: `{shards: [{ShardId, ParentShardId,
+     * AdjacentParentShardId, HashKeyRange, closed, trimmed, records}], consumers}`, where
+     * `trimmed` is how many of the records have fallen out of retention, and `consumers` are the
+     * stream's enhanced fan-out consumers, as `{ConsumerName, ConsumerARN, ConsumerStatus}`.
+     * @param {number} [options.batchSize] The most records a GetRecords call returns.
+     * @param {number} [options.pageSize] The most shards a ListShards call returns.
+     * @param {string} [options.region]
+     */
+    constructor({
+        streams = {},
+        batchSize = 3,
+        pageSize = 100,
+        region = "us-east-1"
+    } = {}) {
+        this.streams = streams;
+        this.batchSize = batchSize;
+        this.pageSize = pageSize;
+        this.config = { region };
+        this.calls = [];
+        this.failures = [];
+        this.putRecordsResults = [];
+    }
+
+    /**
+     * Make the next call of the given method fail with the given error.
+     *
+     * @param {string} method
+     * @param {Error} error
+     * @param {object} [options]
+     * @param {number} [options.times] Fail this many calls instead.
+     * @param {function(object): boolean} [options.when] Only fail calls with params like this.
+     */
+    failNext(method, error, { times = 1, when = () => true } = {}) {
+        for (let i = 0; i < times; i++) {
+            this.failures.push({ method, error, when });
+        }
+    }
+
+    /**
+     * Add records to the end of a shard.
+     */
+    addRecords(streamName, shardId, records) {
+        this.getShard(streamName, shardId).records.push(...records);
+    }
+
+    /**
+     * Get the ID of the shard a shard iterator is for.
+     */
+    static shardOf(shardIterator) {
+        return JSON.parse(shardIterator).shardId;
+    }
+
+    /**
+     * The parameters of each call made to the given method.
+     */
+    callsTo(method) {
+        return this.calls
+            .filter(call => call.method === method)
+            .map(call => call.params);
+    }
+
+    listShards(params) {
+        return this.request("listShards", params, () => {
+            const streamName = params.NextToken
+                ? JSON.parse(params.NextToken).streamName
+                : params.StreamName;
+            const start = params.NextToken
+                ? JSON.parse(params.NextToken).start
+                : 0;
+            const shards = this.getStream(streamName).shards.map(describeShard);
+            const end = start + this.pageSize;
+            return {
+                Shards: shards.slice(start, end),
+                ...(end < shards.length && {
+                    NextToken: JSON.stringify({ streamName, start: end })
+                })
+            };
+        });
+    }
+
+    describeStreamSummary(params) {
+        return this.request("describeStreamSummary", params, () => {
+            const stream = this.getStream(params.StreamName);
+            return {
+                StreamDescriptionSummary: {
+                    StreamName: params.StreamName,
+                    StreamARN: `arn:aws:kinesis:${this.config.region}:123456789012:stream/${params.StreamName}`,
+                    StreamStatus: "ACTIVE",
+                    RetentionPeriodHours: stream.retentionPeriodHours || 24,
+                    StreamCreationTimestamp: new Date("2020-01-01T00:00:00Z"),
+                    EncryptionType: "NONE",
+                    OpenShardCount: stream.shards.filter(shard => !shard.closed)
+                        .length
+                }
+            };
+        });
+    }
+
+    describeStreamConsumer(params) {
+        return this.request("describeStreamConsumer", params, () => {
+            const consumers = this.getConsumers(params.StreamARN);
+            const consumer = consumers.find(
+                ({ ConsumerName }) => ConsumerName === params.ConsumerName
+            );
+            if (!consumer) {
+                throw awsError(
+                    "ResourceNotFoundException",
+                    `Consumer ${params.ConsumerName} not found`
+                );
+            }
+            // Registering a consumer takes a while, but here it's done by the time it's described.
+            if (consumer.ConsumerStatus === "CREATING") {
+                consumer.ConsumerStatus = "ACTIVE";
+            }
+            return { ConsumerDescription: { ...consumer } };
+        });
+    }
+
+    registerStreamConsumer(params) {
+        return this.request("registerStreamConsumer", params, () => {
+            const consumer = {
+                ConsumerName: params.ConsumerName,
+                ConsumerARN: `${params.StreamARN}/consumer/${params.ConsumerName}:1`,
+                ConsumerStatus: "CREATING"
+            };
+            this.getConsumers(params.StreamARN).push(consumer);
+            return { Consumer: consumer };
+        });
+    }
+
+    deregisterStreamConsumer(params) {
+        return this.request("deregisterStreamConsumer", params, () => {
+            Object.values(this.streams).forEach(stream => {
+                stream.consumers = (stream.consumers || []).filter(
+                    ({ ConsumerARN }) => ConsumerARN !== params.ConsumerARN
+                );
+            });
+            return {};
+        });
+    }
+
+    getShardIterator(params) {
+        return this.request("getShardIterator", params, () => {
+            const shard = this.getShard(params.StreamName, params.ShardId);
+            const { records } = shard;
+            const trimmed = shard.trimmed || 0;
+            const indexOf = sequenceNumber =>
+                records.findIndex(
+                    record => record.SequenceNumber === sequenceNumber
+                );
+            let position;
+            switch (params.ShardIteratorType) {
+                case "TRIM_HORIZON":
+                    position = trimmed;
+                    break;
+                case "LATEST":
+                    position = records.length;
+                    break;
+                case "AT_SEQUENCE_NUMBER":
+                    position = indexOf(params.StartingSequenceNumber);
+                    break;
+                case "AFTER_SEQUENCE_NUMBER":
+                    position = indexOf(params.StartingSequenceNumber) + 1;
+                    break;
+                case "AT_TIMESTAMP": {
+                    const time = new Date(params.Timestamp).getTime();
+                    position = records.findIndex(
+                        record =>
+                            record.ApproximateArrivalTimestamp.getTime() >= time
+                    );
+                    if (position < 0) {
+                        position = records.length;
+                    }
+                    break;
+                }
+                default:
+                    throw new Error(
+                        `Bad iterator type ${params.ShardIteratorType}`
+                    );
+            }
+            return {
+                ShardIterator: JSON.stringify({
+                    streamName: params.StreamName,
+                    shardId: shard.ShardId,
+                    position: Math.max(position, trimmed)
+                })
+            };
+        });
+    }
+
+    getRecords(params) {
+        return this.request("getRecords", params, () => {
+            const { streamName, shardId, position } = JSON.parse(
+                params.ShardIterator
+            );
+            const shard = this.getShard(streamName, shardId);
+            const end = Math.min(
+                shard.records.length,
+                position + Math.min(params.Limit || Infinity, this.batchSize)
+            );
+            const atEnd = end >= shard.records.length;
+            return {
+                Records: shard.records.slice(position, end),
+                MillisBehindLatest: atEnd ? 0 : 1000,
+                NextShardIterator:
+                    atEnd && shard.closed
+                        ? null
+                        : JSON.stringify({
+                              streamName,
+                              shardId,
+                              position: end
+                          })
+            };
+        });
+    }
+
+    putRecords(params) {
+        return this.request("putRecords", params, () => {
+            const results = this.putRecordsResults.shift();
+            const records = params.Records.map(
+                (record, index) =>
+                    (results && results[index]) || {
+                        SequenceNumber: String(
+                            this.calls.length * 1000 + index
+                        ),
+                        ShardId: "shardId-000000000000"
+                    }
+            );
+            return {
+                FailedRecordCount: records.filter(record => record.ErrorCode)
+                    .length,
+                Records: records
+            };
+        });
+    }
+
+    request(method, params, f) {
+        this.calls.push({ method, params });
+        return {
+            promise: async () => {
+                const index = this.failures.findIndex(
+                    failure => failure.method === method && failure.when(params)
+                );
+                if (index >= 0) {
+                    const [{ error }] = this.failures.splice(index, 1);
+                    throw error;
+                }
+                return f();
+            }
+        };
+    }
+
+    getStream(streamName) {
+        const stream = this.streams[streamName];
+        if (!stream) {
+            throw awsError(
+                "ResourceNotFoundException",
+                `Stream ${streamName} not found`
+            );
+        }
+        return stream;
+    }
+
+    getConsumers(streamArn) {
+        const stream = this.getStream(streamArn.split("/").pop());
+        stream.consumers = stream.consumers || [];
+        return stream.consumers;
+    }
+
+    getShard(streamName, shardId) {
+        const shard = this.getStream(streamName).shards.find(
+            ({ ShardId }) => ShardId === shardId
+        );
+        if (!shard) {
+            throw awsError(
+                "ResourceNotFoundException",
+                `Shard ${shardId} not found`
+            );
+        }
+        return shard;
+    }
+}
+
+function describeShard({
+    ShardId,
+    ParentShardId,
+    AdjacentParentShardId,
+    HashKeyRange,
+    closed
+}) {
+    return {
+        ShardId,
+        ...(ParentShardId && { ParentShardId }),
+        ...(AdjacentParentShardId && { AdjacentParentShardId }),
+        HashKeyRange: HashKeyRange || {
+            StartingHashKey: "0",
+            EndingHashKey: MAX_HASH_KEY
+        },
+        SequenceNumberRange: {
+            StartingSequenceNumber: "1",
+            ...(closed && { EndingSequenceNumber: "999" })
+        }
+    };
+}
+
+/**
+ * Make a Kinesis record, as GetRecords returns it.
+ *
+ * @param {string} sequenceNumber
+ * @param {string|Buffer} data
+ * @param {object} [options]
+ * @param {Date|string|number} [options.timestamp] The arrival time, which defaults to a time from
+ * the sequence number, so records are in order.
+ * @param {string} [options.partitionKey]
+ */
+function record(
+    sequenceNumber,
+    data,
+    { timestamp = Number(sequenceNumber) * 1000, partitionKey = "pk" } = {}
+) {
+    return {
+        SequenceNumber: sequenceNumber,
+        ApproximateArrivalTimestamp: new Date(timestamp),
+        Data: Buffer.isBuffer(data) ? data : Buffer.from(data),
+        PartitionKey: partitionKey
+    };
+}
+
+/**
+ * Make an error like the ones the AWS SDK throws.
+ *
+ * @param {string} code
+ * @param {string} [message]
+ * @param {object} [props] Like `retryable` or `statusCode`.
+ */
+function awsError(code, message = code, props = {}) {
+    return Object.assign(new Error(message), { name: code, code }, props);
+}
+
+/**
+ * Encode user records as a KPL aggregated record, per
+ * https://github.com/awslabs/amazon-kinesis-producer/blob/master/aggregation-format.md. The
+ * partition key and explicit hash key of each user record can be given as indexes into the tables
+ * instead (to make a corrupt record), and `message` can replace the whole protobuf message.
+ *
+ * @param {{partitionKey: string|number, explicitHashKey: string|number, data: string|Buffer}[]} userRecords
+ * @param {object} [options]
+ * @param {Buffer} [options.message]
+ * @returns {Buffer}
+ */
+function aggregate(userRecords, { message } = {}) {
+    const partitionKeys = [];
+    const explicitHashKeys = [];
+    const indexIn = (table, key) => {
+        if (typeof key === "number") {
+            return key;
+        }
+        if (!table.includes(key)) {
+            table.push(key);
+        }
+        return table.indexOf(key);
+    };
+    const records = userRecords.map(({ partitionKey, explicitHashKey, data }) =>
+        Buffer.concat([
+            varintField(1, indexIn(partitionKeys, partitionKey)),
+            explicitHashKey === undefined
+                ? Buffer.alloc(0)
+                : varintField(2, indexIn(explicitHashKeys, explicitHashKey)),
+            bytesField(3, Buffer.from(data))
+        ])
+    );
+    const body =
+        message ||
+        Buffer.concat([
+            ...partitionKeys.map(key => bytesField(1, Buffer.from(key))),
+            ...explicitHashKeys.map(key => bytesField(2, Buffer.from(key))),
+            ...records.map(record => bytesField(3, record))
+        ]);
+    return Buffer.concat([
+        Buffer.from([0xf3, 0x89, 0x9a, 0xc2]),
+        body,
+        crypto
+            .createHash("md5")
+            .update(body)
+            .digest()
+    ]);
+}
+
+function varint(value) {
+    const bytes = [];
+    do {
+        bytes.push(value % 128 | (value >= 128 ? 0x80 : 0));
+        value = Math.floor(value / 128);
+    } while (value > 0);
+    return Buffer.from(bytes);
+}
+
+function varintField(fieldNumber, value) {
+    return Buffer.concat([varint(fieldNumber * 8), varint(value)]);
+}
+
+function bytesField(fieldNumber, bytes) {
+    return Buffer.concat([
+        varint(fieldNumber * 8 + 2),
+        varint(bytes.length),
+        bytes
+    ]);
+}
+
+/**
+ * A checkpoint store that keeps every saved entry in memory, in `saves`.
+ */
+class MemoryCheckpointStore {
+    constructor(entries = []) {
+        this.location = "memory";
+        this.entries = entries;
+        this.saves = [];
+    }
+
+    async load(streamName) {
+        return this.entries.filter(
+            entry => !streamName || entry.streamName === streamName
+        );
+    }
+
+    async save(entries) {
+        this.saves.push(entries);
+        this.entries.push(...entries);
+    }
+
+    /**
+     * The last checkpoint saved for a shard.
+     */
+    latest(streamName, shardId) {
+        return [...this.entries]
+            .reverse()
+            .find(
+                entry =>
+                    entry.streamName === streamName && entry.shardId === shardId
+            );
+    }
+
+    async close() {}
+}
+
+/**
+ * Create a temporary directory for each test in the current `describe`, which is removed after
+ * the test.
+ *
+ * @returns {{path: string}} Has the path to the directory while a test runs.
+ */
+function useTempDir() {
+    const dir = { path: null };
+    beforeEach(async () => {
+        dir.path = await fs.promises.mkdtemp(
+            path.join(os.tmpdir(), "read-kinesis-test-")
+        );
+    });
+    afterEach(async () => {
+        await fs.promises.rmdir(dir.path, { recursive: true });
+    });
+    return dir;
+}
+
+/**
+ * Run a local, in-memory DynamoDB stand-in (dynalite) for the tests in the calling `describe`.
+ *
+ * @returns {{endpoint: string}} The endpoint URL, set before the tests run.
+ */
+function useLocalDynamoDb() {
+    const local = { endpoint: null };
+    let server;
+    before(done => {
+        server = dynalite({ createTableMs: 0, deleteTableMs: 0 });
+        server.listen(0, "127.0.0.1", error => {
+            local.endpoint = `http://127.0.0.1:${server.address().port}`;
+            done(error);
+        });
+    });
+    after(done => server.close(done));
+    return local;
+}
+
+/**
+ * Run a local HTTP/2 server for the tests in the calling `describe`, standing in for the Kinesis
+ * endpoint that SubscribeToShard requests go to. Each request gets the next response queued in
+ * `responses` (an empty subscription if there's none), which is one of:
+ *
+ * - `{events, exception}`: an event stream with a SubscribeToShardEvent for each of `events`
+ *   (each with `Records` made by {@link record}), then an exception message if `exception` is
+ *   given as `{type, message}`, after which the subscription ends.
+ * - `{status, error}`: a failed request, with `error` (like `{__type, message}`) as the body.
+ *
+ * The requests, as `{headers, params}`, are in `requests`. Both lists are reset for each test.
+ *
+ * @returns {{endpoint: string, requests: object[], responses: object[]}} The endpoint URL is set
+ * before the tests run.
+ */
+function useFakeEventStreamServer() {
+    const fake = { endpoint: null, requests: [], responses: [] };
+    const sessions = new Set();
+    let server;
+    before(done => {
+        server = http2.createServer();
+        server.on("session", session => {
+            sessions.add(session);
+            session.on("close", () => sessions.delete(session));
+        });
+        server.on("stream", (stream, headers) => {
+            const chunks = [];
+            stream.on("data", chunk => chunks.push(chunk));
+            stream.on("end", () => {
+                fake.requests.push({
+                    headers,
+                    params: JSON.parse(Buffer.concat(chunks).toString())
+                });
+                respond(stream, fake.responses.shift() || { events: [] });
+            });
+        });
+        server.listen(0, "127.0.0.1", () => {
+            fake.endpoint = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+    beforeEach(() => {
+        fake.requests = [];
+        fake.responses = [];
+    });
+    after(done => {
+        sessions.forEach(session => session.destroy());
+        server.close(done);
+    });
+    return fake;
+}
+
+function respond(stream, { events = [], exception, status, error }) {
+    if (status) {
+        stream.respond({
+            ":status": status,
+            "content-type": "application/x-amz-json-1.1"
+        });
+        stream.end(JSON.stringify(error || {}));
+        return;
+    }
+    stream.respond({
+        ":status": 200,
+        "content-type": "application/vnd.amazon.eventstream"
+    });
+    stream.write(
+        eventMessage(
+            {
+                ":message-type": "event",
+                ":event-type": "initial-response"
+            },
+            {}
+        )
+    );
+    events.forEach(event =>
+        stream.write(
+            eventMessage(
+                {
+                    ":message-type": "event",
+                    ":event-type": "SubscribeToShardEvent",
+                    ":content-type": "application/json"
+                },
+                {
+                    ...event,
+                    Records: event.Records.map(record => ({
+                        ...record,
+                        Data: record.Data.toString("base64"),
+                        ApproximateArrivalTimestamp:
+                            record.ApproximateArrivalTimestamp.getTime() / 1000
+                    }))
+                }
+            )
+        )
+    );
+    if (exception) {
+        stream.write(
+            eventMessage(
+                {
+                    ":message-type": "exception",
+                    ":exception-type": exception.type
+                },
+                { message: exception.message }
+            )
+        );
+    }
+    stream.end();
+}
+
+/**
+ * Encode an event stream message with string headers and a JSON payload, per
+ * https://docs.aws.amazon.com/transcribe/latest/dg/event-stream.html.
+ */
+function eventMessage(headers, payload) {
+    const headerBytes = Buffer.concat(
+        Object.entries(headers).map(([name, value]) => {
+            const valueLength = Buffer.alloc(2);
+            valueLength.writeUInt16BE(Buffer.byteLength(value));
+            return Buffer.concat([
+                Buffer.from([Buffer.byteLength(name)]),
+                Buffer.from(name),
+                // 7 is the type of string headers.
+                Buffer.from([7]),
+                valueLength,
+                Buffer.from(value)
+            ]);
+        })
+    );
+    const body = Buffer.from(JSON.stringify(payload));
+    const prelude = Buffer.alloc(8);
+    prelude.writeUInt32BE(16 + headerBytes.length + body.length, 0);
+    prelude.writeUInt32BE(headerBytes.length, 4);
+    const message = Buffer.concat([prelude, crc32(prelude), headerBytes, body]);
+    return Buffer.concat([message, crc32(message)]);
+}
+
+function crc32(buffer) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(AWS.util.crypto.crc32(buffer));
+    return bytes;
+}
+
+/**
+ * Collect everything an async iterable yields.
+ */
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+}
+
+module.exports = {
+    FakeKinesis,
+    record,
+    awsError,
+    aggregate,
+    collect,
+    MemoryCheckpointStore,
+    useTempDir,
+    useLocalDynamoDb,
+    useFakeEventStreamServer,
+    MAX_HASH_KEY
+};